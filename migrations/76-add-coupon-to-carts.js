@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('carts', 'coupon_code', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('carts', 'coupon_applied_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('carts', 'coupon_expires_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('carts', 'coupon_expires_at');
+    await queryInterface.removeColumn('carts', 'coupon_applied_at');
+    await queryInterface.removeColumn('carts', 'coupon_code');
+  },
+};
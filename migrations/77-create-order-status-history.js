@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('order_status_histories', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      order_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'orders', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      in_dining_order_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'in_dining_orders', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      from_status: { type: Sequelize.STRING, allowNull: false },
+      to_status: { type: Sequelize.STRING, allowNull: false },
+      changed_by: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      actor_type: { type: Sequelize.ENUM('customer', 'merchant', 'staff', 'driver', 'admin', 'system'), allowNull: false, defaultValue: 'system' },
+      reason: { type: Sequelize.TEXT, allowNull: true },
+      metadata: { type: Sequelize.JSONB, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+
+    await queryInterface.addIndex('order_status_histories', ['order_id'], { name: 'order_status_histories_order_id_index' });
+    await queryInterface.addIndex('order_status_histories', ['in_dining_order_id'], { name: 'order_status_histories_in_dining_order_id_index' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('order_status_histories');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_order_status_histories_actor_type;');
+  },
+};
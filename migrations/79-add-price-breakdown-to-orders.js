@@ -0,0 +1,46 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of ['orders', 'in_dining_orders']) {
+      await queryInterface.addColumn(table, 'subtotal', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      });
+      await queryInterface.addColumn(table, 'tax_total', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      });
+      await queryInterface.addColumn(table, 'service_charge', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      });
+      await queryInterface.addColumn(table, 'price_breakdown', {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      });
+    }
+    await queryInterface.addColumn('orders', 'delivery_fee', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn('merchant_branches', 'service_charge_rate', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('merchant_branches', 'service_charge_rate');
+    await queryInterface.removeColumn('orders', 'delivery_fee');
+    for (const table of ['in_dining_orders', 'orders']) {
+      await queryInterface.removeColumn(table, 'price_breakdown');
+      await queryInterface.removeColumn(table, 'service_charge');
+      await queryInterface.removeColumn(table, 'tax_total');
+      await queryInterface.removeColumn(table, 'subtotal');
+    }
+  },
+};
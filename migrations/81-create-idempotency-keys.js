@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('idempotency_keys', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      key: { type: Sequelize.STRING, allowNull: false },
+      user_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      scope: { type: Sequelize.STRING, allowNull: false },
+      request_hash: { type: Sequelize.STRING(64), allowNull: false },
+      status: { type: Sequelize.ENUM('processing', 'completed'), allowNull: false, defaultValue: 'processing' },
+      response_status: { type: Sequelize.INTEGER, allowNull: true },
+      response_body: { type: Sequelize.JSONB, allowNull: true },
+      expires_at: { type: Sequelize.DATE, allowNull: false },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+
+    await queryInterface.addIndex('idempotency_keys', ['key', 'user_id', 'scope'], { unique: true, name: 'idempotency_keys_key_user_scope_unique' });
+    await queryInterface.addIndex('idempotency_keys', ['expires_at'], { name: 'idempotency_keys_expires_at_index' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('idempotency_keys');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_idempotency_keys_status;');
+  },
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query("ALTER TYPE enum_orders_status ADD VALUE IF NOT EXISTS 'scheduled' AFTER 'pending';");
+
+    await queryInterface.addColumn('orders', 'fulfillment_type', {
+      type: Sequelize.ENUM('delivery', 'pickup'),
+      allowNull: false,
+      defaultValue: 'delivery',
+    });
+    await queryInterface.addColumn('orders', 'scheduled_for', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('orders', 'release_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('orders', 'dispatch_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addIndex('orders', ['status', 'release_at'], { name: 'orders_status_release_at_index' });
+    await queryInterface.addIndex('orders', ['branch_id', 'scheduled_for'], { name: 'orders_branch_id_scheduled_for_index' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('orders', 'orders_branch_id_scheduled_for_index');
+    await queryInterface.removeIndex('orders', 'orders_status_release_at_index');
+    await queryInterface.removeColumn('orders', 'dispatch_at');
+    await queryInterface.removeColumn('orders', 'release_at');
+    await queryInterface.removeColumn('orders', 'scheduled_for');
+    await queryInterface.removeColumn('orders', 'fulfillment_type');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_orders_fulfillment_type;');
+    // Postgres cannot drop a single enum value; move any scheduled orders back to pending
+    await queryInterface.sequelize.query("UPDATE orders SET status = 'pending' WHERE status = 'scheduled';");
+  },
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('checkouts', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      checkout_number: { type: Sequelize.STRING, allowNull: false, unique: true },
+      customer_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'customers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      cart_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'carts', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      status: { type: Sequelize.ENUM('pending', 'paid', 'payment_failed'), allowNull: false, defaultValue: 'pending' },
+      currency: { type: Sequelize.STRING, allowNull: false },
+      subtotal: { type: Sequelize.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      total_discount: { type: Sequelize.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      delivery_fee: { type: Sequelize.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      total_amount: { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+      applied_promotions: { type: Sequelize.JSONB, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('checkouts', ['customer_id'], { name: 'checkouts_customer_id_index' });
+
+    await queryInterface.addColumn('orders', 'checkout_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'checkouts', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.addIndex('orders', ['checkout_id'], { name: 'orders_checkout_id_index' });
+
+    // A checkout spanning several merchants is paid once, so the payment has no single merchant
+    await queryInterface.addColumn('payments', 'checkout_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'checkouts', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.addIndex('payments', ['checkout_id'], { name: 'payments_checkout_id_index' });
+    await queryInterface.changeColumn('payments', 'merchant_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'merchants', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    });
+
+    await queryInterface.createTable('payment_allocations', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      payment_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'payments', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      order_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'orders', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      merchant_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'merchants', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      amount: { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+      currency: { type: Sequelize.STRING, allowNull: false },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('payment_allocations', ['payment_id', 'order_id'], { unique: true, name: 'payment_allocations_payment_order_unique' });
+    await queryInterface.addIndex('payment_allocations', ['order_id'], { name: 'payment_allocations_order_id_index' });
+    await queryInterface.addIndex('payment_allocations', ['merchant_id'], { name: 'payment_allocations_merchant_id_index' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('payment_allocations');
+    await queryInterface.changeColumn('payments', 'merchant_id', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'merchants', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    });
+    await queryInterface.removeIndex('payments', 'payments_checkout_id_index');
+    await queryInterface.removeColumn('payments', 'checkout_id');
+    await queryInterface.removeIndex('orders', 'orders_checkout_id_index');
+    await queryInterface.removeColumn('orders', 'checkout_id');
+    await queryInterface.dropTable('checkouts');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_checkouts_status;');
+  },
+};
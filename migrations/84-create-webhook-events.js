@@ -0,0 +1,29 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('webhook_events', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      provider: { type: Sequelize.STRING, allowNull: false },
+      event_id: { type: Sequelize.STRING, allowNull: false },
+      payment_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'payments', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      status: { type: Sequelize.ENUM('received', 'processed', 'failed'), allowNull: false, defaultValue: 'received' },
+      signature_verified: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      payload: { type: Sequelize.JSONB, allowNull: true },
+      result: { type: Sequelize.JSONB, allowNull: true },
+      error: { type: Sequelize.TEXT, allowNull: true },
+      attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1 },
+      processed_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+
+    await queryInterface.addIndex('webhook_events', ['provider', 'event_id'], { unique: true, name: 'webhook_events_provider_event_unique' });
+    await queryInterface.addIndex('webhook_events', ['payment_id'], { name: 'webhook_events_payment_id_index' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('webhook_events');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_webhook_events_status;');
+  },
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('reconciliation_runs', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      provider: { type: Sequelize.STRING, allowNull: false },
+      settlement_date: { type: Sequelize.DATEONLY, allowNull: false },
+      file_name: { type: Sequelize.STRING, allowNull: true },
+      status: { type: Sequelize.ENUM('pending', 'completed', 'failed'), allowNull: false, defaultValue: 'pending' },
+      settlement_rows: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      summary: { type: Sequelize.JSONB, allowNull: true },
+      error: { type: Sequelize.TEXT, allowNull: true },
+      uploaded_by: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      completed_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('reconciliation_runs', ['provider', 'settlement_date'], { name: 'reconciliation_runs_provider_date_index' });
+    await queryInterface.addIndex('reconciliation_runs', ['status'], { name: 'reconciliation_runs_status_index' });
+
+    await queryInterface.createTable('reconciliation_items', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      run_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'reconciliation_runs', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      payment_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'payments', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      reference: { type: Sequelize.STRING, allowNull: true },
+      issue: {
+        type: Sequelize.ENUM('matched', 'missing_in_settlement', 'missing_in_system', 'duplicate', 'amount_mismatch', 'status_mismatch'),
+        allowNull: false,
+      },
+      system_amount: { type: Sequelize.DECIMAL(12, 2), allowNull: true },
+      settled_amount: { type: Sequelize.DECIMAL(12, 2), allowNull: true },
+      details: { type: Sequelize.JSONB, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('reconciliation_items', ['run_id', 'issue'], { name: 'reconciliation_items_run_issue_index' });
+    await queryInterface.addIndex('reconciliation_items', ['payment_id'], { name: 'reconciliation_items_payment_id_index' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('reconciliation_items');
+    await queryInterface.dropTable('reconciliation_runs');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_reconciliation_items_issue;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_reconciliation_runs_status;');
+  },
+};
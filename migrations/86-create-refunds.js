@@ -0,0 +1,61 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query("ALTER TYPE enum_payments_status ADD VALUE IF NOT EXISTS 'partially_refunded' AFTER 'completed';");
+    await queryInterface.sequelize.query("ALTER TYPE enum_orders_payment_status ADD VALUE IF NOT EXISTS 'partially_refunded' AFTER 'paid';");
+
+    await queryInterface.createTable('refunds', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      payment_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'payments', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      order_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'orders', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      amount: { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+      currency: { type: Sequelize.STRING, allowNull: true },
+      status: { type: Sequelize.ENUM('pending', 'approved', 'rejected', 'processed'), allowNull: false, defaultValue: 'pending' },
+      items: { type: Sequelize.JSONB, allowNull: true },
+      restock: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      reason: { type: Sequelize.STRING, allowNull: false },
+      notes: { type: Sequelize.TEXT, allowNull: true },
+      requested_by: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      processed_by: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      processed_at: { type: Sequelize.DATE, allowNull: true },
+      admin_notes: { type: Sequelize.TEXT, allowNull: true },
+      provider_reference: { type: Sequelize.STRING, allowNull: true },
+      provider_status: { type: Sequelize.STRING, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('refunds', ['payment_id', 'status'], { name: 'refunds_payment_id_status_index' });
+    await queryInterface.addIndex('refunds', ['order_id'], { name: 'refunds_order_id_index' });
+
+    await queryInterface.addColumn('payments', 'refunded_amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn('orders', 'refunded_amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn('promotion_redemptions', 'reversed_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    // Payments refunded before refunds were tracked separately were always refunded in full
+    await queryInterface.sequelize.query("UPDATE payments SET refunded_amount = amount WHERE status = 'refunded';");
+    await queryInterface.sequelize.query("UPDATE orders SET refunded_amount = total_amount WHERE payment_status = 'refunded';");
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('promotion_redemptions', 'reversed_at');
+    await queryInterface.removeColumn('orders', 'refunded_amount');
+    await queryInterface.removeColumn('payments', 'refunded_amount');
+    await queryInterface.dropTable('refunds');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_refunds_status;');
+    // Postgres cannot drop a single enum value; partially refunded rows go back to their settled status
+    await queryInterface.sequelize.query("UPDATE payments SET status = 'completed' WHERE status = 'partially_refunded';");
+    await queryInterface.sequelize.query("UPDATE orders SET payment_status = 'paid' WHERE payment_status = 'partially_refunded';");
+  },
+};
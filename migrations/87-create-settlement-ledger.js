@@ -0,0 +1,86 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ledger_transactions', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      type: { type: Sequelize.STRING, allowNull: false },
+      reference_type: { type: Sequelize.STRING, allowNull: false },
+      reference_id: { type: Sequelize.INTEGER, allowNull: false },
+      currency: { type: Sequelize.STRING, allowNull: false },
+      description: { type: Sequelize.STRING, allowNull: true },
+      metadata: { type: Sequelize.JSONB, allowNull: true },
+      occurred_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('ledger_transactions', ['type', 'reference_type', 'reference_id'], { unique: true, name: 'ledger_transactions_type_reference_unique' });
+    await queryInterface.addIndex('ledger_transactions', ['occurred_at'], { name: 'ledger_transactions_occurred_at_index' });
+
+    await queryInterface.createTable('ledger_entries', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      transaction_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'ledger_transactions', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      account: { type: Sequelize.STRING, allowNull: false },
+      owner_type: { type: Sequelize.STRING, allowNull: true },
+      owner_id: { type: Sequelize.INTEGER, allowNull: true },
+      direction: { type: Sequelize.ENUM('debit', 'credit'), allowNull: false },
+      amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+      currency: { type: Sequelize.STRING, allowNull: false },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('ledger_entries', ['transaction_id'], { name: 'ledger_entries_transaction_id_index' });
+    await queryInterface.addIndex('ledger_entries', ['account', 'owner_type', 'owner_id'], { name: 'ledger_entries_account_owner_index' });
+
+    await queryInterface.createTable('payout_batches', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      status: { type: Sequelize.ENUM('processing', 'completed', 'failed'), allowNull: false, defaultValue: 'processing' },
+      period_end: { type: Sequelize.DATE, allowNull: false },
+      total_amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false, defaultValue: 0 },
+      summary: { type: Sequelize.JSONB, allowNull: true },
+      triggered_by: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      completed_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+
+    await queryInterface.createTable('merchant_payouts', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      batch_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'payout_batches', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      merchant_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'merchants', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+      currency: { type: Sequelize.STRING, allowNull: false },
+      status: { type: Sequelize.ENUM('pending', 'processing', 'completed', 'failed', 'skipped'), allowNull: false, defaultValue: 'pending' },
+      provider: { type: Sequelize.STRING, allowNull: true },
+      destination: { type: Sequelize.STRING, allowNull: true },
+      provider_reference: { type: Sequelize.STRING, allowNull: true },
+      error: { type: Sequelize.TEXT, allowNull: true },
+      completed_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('merchant_payouts', ['batch_id'], { name: 'merchant_payouts_batch_id_index' });
+    await queryInterface.addIndex('merchant_payouts', ['merchant_id', 'status'], { name: 'merchant_payouts_merchant_id_status_index' });
+
+    await queryInterface.addColumn('merchants', 'commission_rate', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('merchants', 'payout_settings', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('merchants', 'payout_settings');
+    await queryInterface.removeColumn('merchants', 'commission_rate');
+    await queryInterface.dropTable('merchant_payouts');
+    await queryInterface.dropTable('payout_batches');
+    await queryInterface.dropTable('ledger_entries');
+    await queryInterface.dropTable('ledger_transactions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_merchant_payouts_status;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_payout_batches_status;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_ledger_entries_direction;');
+  },
+};
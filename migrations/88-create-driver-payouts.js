@@ -0,0 +1,41 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('driver_payouts', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      driver_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'drivers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+      currency: { type: Sequelize.STRING, allowNull: false },
+      status: { type: Sequelize.ENUM('pending', 'processing', 'completed', 'failed'), allowNull: false, defaultValue: 'pending' },
+      provider: { type: Sequelize.STRING, allowNull: false },
+      destination: { type: Sequelize.STRING, allowNull: false },
+      provider_reference: { type: Sequelize.STRING, allowNull: true },
+      error: { type: Sequelize.TEXT, allowNull: true },
+      completed_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('driver_payouts', ['driver_id', 'status'], { name: 'driver_payouts_driver_id_status_index' });
+
+    await queryInterface.createTable('driver_earning_adjustments', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      driver_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'drivers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      type: { type: Sequelize.ENUM('bonus', 'adjustment'), allowNull: false },
+      amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+      currency: { type: Sequelize.STRING, allowNull: false },
+      reason: { type: Sequelize.STRING, allowNull: false },
+      created_by: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('driver_earning_adjustments', ['driver_id'], { name: 'driver_earning_adjustments_driver_id_index' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('driver_earning_adjustments');
+    await queryInterface.dropTable('driver_payouts');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_driver_earning_adjustments_type;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_driver_payouts_status;');
+  },
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('bill_splits', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      in_dining_order_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'in_dining_orders', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      mode: { type: Sequelize.ENUM('even', 'custom', 'items'), allowNull: false },
+      status: { type: Sequelize.ENUM('open', 'settled', 'cancelled'), allowNull: false, defaultValue: 'open' },
+      total_amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+      currency: { type: Sequelize.STRING, allowNull: false },
+      requested_by: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      staff_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'staff', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      settled_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('bill_splits', ['in_dining_order_id', 'status'], { name: 'bill_splits_in_dining_order_id_status_index' });
+
+    await queryInterface.createTable('bill_split_shares', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      bill_split_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'bill_splits', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      customer_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'customers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+      items: { type: Sequelize.JSONB, allowNull: true },
+      status: { type: Sequelize.ENUM('pending', 'processing', 'paid', 'failed'), allowNull: false, defaultValue: 'pending' },
+      payment_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'payments', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      paid_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('bill_split_shares', ['bill_split_id'], { name: 'bill_split_shares_bill_split_id_index' });
+    await queryInterface.addIndex('bill_split_shares', ['payment_id'], { name: 'bill_split_shares_payment_id_index' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('bill_split_shares');
+    await queryInterface.dropTable('bill_splits');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_bill_split_shares_status;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_bill_splits_status;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_bill_splits_mode;');
+  },
+};
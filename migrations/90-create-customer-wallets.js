@@ -0,0 +1,49 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('wallets', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      customer_id: { type: Sequelize.INTEGER, allowNull: false, unique: true, references: { model: 'customers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      currency: { type: Sequelize.STRING, allowNull: false },
+      balance: { type: Sequelize.DECIMAL(12, 2), allowNull: false, defaultValue: 0 },
+      status: { type: Sequelize.ENUM('active', 'frozen'), allowNull: false, defaultValue: 'active' },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+
+    await queryInterface.createTable('wallet_transactions', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      wallet_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'wallets', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      type: { type: Sequelize.ENUM('top_up', 'payment', 'refund'), allowNull: false },
+      amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+      balance_after: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+      currency: { type: Sequelize.STRING, allowNull: false },
+      payment_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'payments', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      refund_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'refunds', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      description: { type: Sequelize.STRING, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('wallet_transactions', ['wallet_id', 'created_at'], { name: 'wallet_transactions_wallet_id_created_at_index' });
+    // A payment is spent or credited once, and a refund credited once
+    await queryInterface.addIndex('wallet_transactions', ['payment_id', 'type'], { unique: true, where: { refund_id: null }, name: 'wallet_transactions_payment_id_type_unique' });
+    await queryInterface.addIndex('wallet_transactions', ['refund_id'], { unique: true, name: 'wallet_transactions_refund_id_unique' });
+
+    // Top-ups are collected like any other payment, against the wallet they fund
+    await queryInterface.addColumn('payments', 'wallet_id', { type: Sequelize.INTEGER, allowNull: true, references: { model: 'wallets', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' });
+    await queryInterface.addIndex('payments', ['wallet_id'], { name: 'payments_wallet_id_index' });
+    await queryInterface.addColumn('refunds', 'destination', { type: Sequelize.ENUM('original', 'wallet'), allowNull: false, defaultValue: 'original' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('refunds', 'destination');
+    await queryInterface.removeIndex('payments', 'payments_wallet_id_index');
+    await queryInterface.removeColumn('payments', 'wallet_id');
+    await queryInterface.dropTable('wallet_transactions');
+    await queryInterface.dropTable('wallets');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_refunds_destination;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_wallet_transactions_type;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_wallets_status;');
+  },
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+const now = new Date();
+const rule = (name, type, params, weight, scope = {}) => ({
+  name,
+  type,
+  country: scope.country || null,
+  currency: scope.currency || null,
+  payment_method: scope.payment_method || null,
+  params: JSON.stringify(params),
+  weight,
+  active: true,
+  created_at: now,
+  updated_at: now,
+});
+
+// Starting rules; amounts are per currency so a routine MWK payment is not a "high amount"
+const DEFAULT_RULES = [
+  rule('High amount (MWK)', 'amount', { above: 100000 }, 20, { currency: 'MWK' }),
+  rule('High amount (TZS)', 'amount', { above: 250000 }, 20, { currency: 'TZS' }),
+  rule('High amount (MZN)', 'amount', { above: 6000 }, 20, { currency: 'MZN' }),
+  rule('High amount (ZMW)', 'amount', { above: 2500 }, 20, { currency: 'ZMW' }),
+  rule('New customer', 'customer_history', { min_completed: 3 }, 15),
+  rule('Customer velocity', 'velocity', { subject: 'customer', window_minutes: 1440, max_count: 5 }, 25),
+  rule('Phone number velocity', 'velocity', { subject: 'phone_number', window_minutes: 60, max_count: 3 }, 25, { payment_method: 'MOBILE_MONEY' }),
+  rule('Device velocity', 'velocity', { subject: 'device', window_minutes: 60, max_count: 5 }, 20),
+  rule('New device', 'new_device', { max_age_hours: 24 }, 15),
+  rule('Blocklisted', 'blocklist', {}, 100),
+];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query("ALTER TYPE enum_payments_status ADD VALUE IF NOT EXISTS 'pending_review' AFTER 'processing';");
+    await queryInterface.addColumn('payments', 'device_id', { type: Sequelize.STRING, allowNull: true });
+    await queryInterface.addIndex('payments', ['device_id'], { name: 'payments_device_id_index' });
+
+    await queryInterface.createTable('risk_rules', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      name: { type: Sequelize.STRING, allowNull: false },
+      type: { type: Sequelize.ENUM('amount', 'velocity', 'customer_history', 'new_device', 'blocklist'), allowNull: false },
+      country: { type: Sequelize.STRING(3), allowNull: true },
+      currency: { type: Sequelize.STRING(3), allowNull: true },
+      payment_method: { type: Sequelize.STRING, allowNull: true },
+      params: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+      weight: { type: Sequelize.INTEGER, allowNull: false },
+      active: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('risk_rules', ['active'], { name: 'risk_rules_active_index' });
+
+    await queryInterface.createTable('risk_blocklist_entries', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      type: { type: Sequelize.ENUM('phone_number', 'device_id', 'customer_id'), allowNull: false },
+      value: { type: Sequelize.STRING, allowNull: false },
+      reason: { type: Sequelize.TEXT, allowNull: true },
+      created_by: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      expires_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('risk_blocklist_entries', ['type', 'value'], { unique: true, name: 'risk_blocklist_entries_type_value_unique' });
+
+    await queryInterface.bulkInsert('risk_rules', DEFAULT_RULES);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('risk_blocklist_entries');
+    await queryInterface.dropTable('risk_rules');
+    await queryInterface.removeIndex('payments', 'payments_device_id_index');
+    await queryInterface.removeColumn('payments', 'device_id');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_risk_blocklist_entries_type;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_risk_rules_type;');
+    // Postgres cannot drop a single enum value; held payments are failed instead
+    await queryInterface.sequelize.query("UPDATE payments SET status = 'failed' WHERE status = 'pending_review';");
+  },
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('gift_cards', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      merchant_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'merchants', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      code: { type: Sequelize.STRING(16), allowNull: false, unique: true },
+      initial_value: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+      balance: { type: Sequelize.DECIMAL(12, 2), allowNull: false, defaultValue: 0 },
+      currency: { type: Sequelize.STRING, allowNull: false },
+      status: { type: Sequelize.ENUM('pending_payment', 'active', 'redeemed', 'expired', 'cancelled'), allowNull: false, defaultValue: 'pending_payment' },
+      purchaser_customer_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'customers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      issued_by: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      recipient_name: { type: Sequelize.STRING, allowNull: true },
+      recipient_email: { type: Sequelize.STRING, allowNull: true },
+      recipient_phone: { type: Sequelize.STRING, allowNull: true },
+      message: { type: Sequelize.TEXT, allowNull: true },
+      delivery_channel: { type: Sequelize.ENUM('email', 'whatsapp'), allowNull: true },
+      delivered_at: { type: Sequelize.DATE, allowNull: true },
+      expires_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('gift_cards', ['merchant_id', 'status'], { name: 'gift_cards_merchant_id_status_index' });
+    await queryInterface.addIndex('gift_cards', ['purchaser_customer_id'], { name: 'gift_cards_purchaser_customer_id_index' });
+    await queryInterface.addIndex('gift_cards', ['status', 'expires_at'], { name: 'gift_cards_status_expires_at_index' });
+
+    // Cards bought in the app are paid like any other payment, against the card they fund;
+    // redemptions are payments made with the card
+    await queryInterface.addColumn('payments', 'gift_card_id', { type: Sequelize.INTEGER, allowNull: true, references: { model: 'gift_cards', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' });
+    await queryInterface.addIndex('payments', ['gift_card_id'], { name: 'payments_gift_card_id_index' });
+
+    await queryInterface.createTable('gift_card_transactions', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      gift_card_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'gift_cards', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      type: { type: Sequelize.ENUM('issue', 'redemption', 'refund', 'expiry', 'cancellation'), allowNull: false },
+      amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+      balance_after: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+      currency: { type: Sequelize.STRING, allowNull: false },
+      payment_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'payments', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      refund_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'refunds', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      description: { type: Sequelize.STRING, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('gift_card_transactions', ['gift_card_id', 'created_at'], { name: 'gift_card_transactions_gift_card_id_created_at_index' });
+    // A card is issued once, a payment redeems once and a refund is credited once
+    await queryInterface.addIndex('gift_card_transactions', ['gift_card_id', 'type'], { unique: true, where: { type: 'issue' }, name: 'gift_card_transactions_issue_unique' });
+    await queryInterface.addIndex('gift_card_transactions', ['payment_id', 'type'], { unique: true, where: { refund_id: null }, name: 'gift_card_transactions_payment_id_type_unique' });
+    await queryInterface.addIndex('gift_card_transactions', ['refund_id'], { unique: true, name: 'gift_card_transactions_refund_id_unique' });
+
+    // { denominations: [], allow_custom, min_value, max_value, validity_days }
+    await queryInterface.addColumn('merchants', 'gift_card_settings', { type: Sequelize.JSONB, allowNull: true });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('merchants', 'gift_card_settings');
+    await queryInterface.dropTable('gift_card_transactions');
+    await queryInterface.removeIndex('payments', 'payments_gift_card_id_index');
+    await queryInterface.removeColumn('payments', 'gift_card_id');
+    await queryInterface.dropTable('gift_cards');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_gift_card_transactions_type;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_gift_cards_delivery_channel;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_gift_cards_status;');
+  },
+};
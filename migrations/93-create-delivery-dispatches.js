@@ -0,0 +1,54 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('delivery_dispatches', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      order_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'orders', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      status: { type: Sequelize.ENUM('searching', 'assigned', 'failed', 'cancelled'), allowNull: false, defaultValue: 'searching' },
+      round: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      radius_km: { type: Sequelize.DECIMAL(6, 2), allowNull: false },
+      driver_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'drivers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      requested_by: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      end_reason: { type: Sequelize.STRING, allowNull: true },
+      assigned_at: { type: Sequelize.DATE, allowNull: true },
+      ended_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('delivery_dispatches', ['order_id'], { unique: true, where: { status: 'searching' }, name: 'delivery_dispatches_order_id_searching_unique' });
+    await queryInterface.addIndex('delivery_dispatches', ['status', 'created_at'], { name: 'delivery_dispatches_status_created_at_index' });
+
+    await queryInterface.createTable('dispatch_offers', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      dispatch_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'delivery_dispatches', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      order_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'orders', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      driver_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'drivers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      round: { type: Sequelize.INTEGER, allowNull: false },
+      rank: { type: Sequelize.INTEGER, allowNull: false },
+      radius_km: { type: Sequelize.DECIMAL(6, 2), allowNull: false },
+      distance_km: { type: Sequelize.DECIMAL(8, 3), allowNull: false },
+      eta_seconds: { type: Sequelize.INTEGER, allowNull: false },
+      score: { type: Sequelize.DECIMAL(5, 4), allowNull: false },
+      factors: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+      status: { type: Sequelize.ENUM('pending', 'accepted', 'declined', 'expired', 'withdrawn'), allowNull: false, defaultValue: 'pending' },
+      decline_reason: { type: Sequelize.STRING, allowNull: true },
+      expires_at: { type: Sequelize.DATE, allowNull: false },
+      responded_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    // A dispatch has at most one open offer, and offers each driver once
+    await queryInterface.addIndex('dispatch_offers', ['dispatch_id'], { unique: true, where: { status: 'pending' }, name: 'dispatch_offers_dispatch_id_pending_unique' });
+    await queryInterface.addIndex('dispatch_offers', ['dispatch_id', 'driver_id'], { unique: true, name: 'dispatch_offers_dispatch_id_driver_id_unique' });
+    await queryInterface.addIndex('dispatch_offers', ['driver_id', 'status', 'created_at'], { name: 'dispatch_offers_driver_id_status_created_at_index' });
+    await queryInterface.addIndex('dispatch_offers', ['status', 'expires_at'], { name: 'dispatch_offers_status_expires_at_index' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('dispatch_offers');
+    await queryInterface.dropTable('delivery_dispatches');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_dispatch_offers_status;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_delivery_dispatches_status;');
+  },
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('delivery_dispatches', 'order_ids', { type: Sequelize.ARRAY(Sequelize.INTEGER), allowNull: false, defaultValue: Sequelize.literal('ARRAY[]::INTEGER[]') });
+    await queryInterface.sequelize.query('UPDATE delivery_dispatches SET order_ids = ARRAY[order_id];');
+    await queryInterface.addIndex('delivery_dispatches', ['order_ids'], { using: 'gin', name: 'delivery_dispatches_order_ids_index' });
+    await queryInterface.addColumn('delivery_dispatches', 'route_optimization_id', { type: Sequelize.INTEGER, allowNull: true, references: { model: 'route_optimizations', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('delivery_dispatches', 'route_optimization_id');
+    await queryInterface.removeIndex('delivery_dispatches', 'delivery_dispatches_order_ids_index');
+    await queryInterface.removeColumn('delivery_dispatches', 'order_ids');
+  },
+};
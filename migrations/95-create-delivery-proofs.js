@@ -0,0 +1,31 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('merchants', 'proof_of_delivery_settings', { type: Sequelize.JSONB, allowNull: true });
+
+    await queryInterface.createTable('delivery_proofs', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      order_id: { type: Sequelize.INTEGER, allowNull: false, unique: true, references: { model: 'orders', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      driver_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'drivers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      requirements: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+      otp_hash: { type: Sequelize.STRING, allowNull: true },
+      otp_sent_at: { type: Sequelize.DATE, allowNull: true },
+      otp_attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      otp_verified_at: { type: Sequelize.DATE, allowNull: true },
+      photo_path: { type: Sequelize.STRING, allowNull: true },
+      signature_path: { type: Sequelize.STRING, allowNull: true },
+      location: { type: Sequelize.JSONB, allowNull: true },
+      distance_meters: { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      completed_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('delivery_proofs', ['driver_id', 'completed_at'], { name: 'delivery_proofs_driver_id_completed_at_index' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('delivery_proofs');
+    await queryInterface.removeColumn('merchants', 'proof_of_delivery_settings');
+  },
+};
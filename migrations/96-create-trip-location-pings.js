@@ -0,0 +1,47 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('trip_location_pings', {
+      id: { type: Sequelize.BIGINT, primaryKey: true, autoIncrement: true, allowNull: false },
+      trip_type: { type: Sequelize.ENUM('order', 'ride'), allowNull: false },
+      trip_id: { type: Sequelize.INTEGER, allowNull: false },
+      driver_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'drivers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      lat: { type: Sequelize.DECIMAL(10, 7), allowNull: false },
+      lng: { type: Sequelize.DECIMAL(10, 7), allowNull: false },
+      accuracy_meters: { type: Sequelize.DECIMAL(8, 2), allowNull: true },
+      speed_kmh: { type: Sequelize.DECIMAL(6, 2), allowNull: true },
+      heading: { type: Sequelize.DECIMAL(5, 2), allowNull: true },
+      recorded_at: { type: Sequelize.DATE, allowNull: false },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('trip_location_pings', ['trip_type', 'trip_id', 'recorded_at'], { name: 'trip_location_pings_trip_recorded_at_index' });
+    await queryInterface.addIndex('trip_location_pings', ['recorded_at'], { name: 'trip_location_pings_recorded_at_index' });
+
+    await queryInterface.createTable('trip_trails', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      trip_type: { type: Sequelize.ENUM('order', 'ride'), allowNull: false },
+      trip_id: { type: Sequelize.INTEGER, allowNull: false },
+      driver_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'drivers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      polyline: { type: Sequelize.TEXT, allowNull: false },
+      time_offsets: { type: Sequelize.ARRAY(Sequelize.INTEGER), allowNull: false, defaultValue: [] },
+      point_count: { type: Sequelize.INTEGER, allowNull: false },
+      raw_point_count: { type: Sequelize.INTEGER, allowNull: false },
+      driven_distance_meters: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+      planned_distance_meters: { type: Sequelize.DECIMAL(12, 2), allowNull: true },
+      started_at: { type: Sequelize.DATE, allowNull: false },
+      ended_at: { type: Sequelize.DATE, allowNull: false },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('trip_trails', ['trip_type', 'trip_id'], { unique: true, name: 'trip_trails_trip_unique' });
+    await queryInterface.addIndex('trip_trails', ['driver_id', 'started_at'], { name: 'trip_trails_driver_id_started_at_index' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('trip_trails');
+    await queryInterface.dropTable('trip_location_pings');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_trip_trails_trip_type;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_trip_location_pings_trip_type;');
+  },
+};
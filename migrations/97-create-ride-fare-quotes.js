@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ride_fare_quotes', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      customer_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'customers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      ride_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'rides', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      ride_type: { type: Sequelize.STRING(255), allowNull: false },
+      pickup_location: { type: Sequelize.JSONB, allowNull: false },
+      dropoff_location: { type: Sequelize.JSONB, allowNull: false },
+      scheduled_time: { type: Sequelize.DATE, allowNull: true },
+      distance_meters: { type: Sequelize.INTEGER, allowNull: false },
+      duration_seconds: { type: Sequelize.INTEGER, allowNull: false },
+      base_fare: { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+      distance_fare: { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+      time_fare: { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+      surge_multiplier: { type: Sequelize.DECIMAL(4, 2), allowNull: false, defaultValue: 1 },
+      surge_geofence_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'geofences', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      surge_demand: { type: Sequelize.INTEGER, allowNull: true },
+      surge_supply: { type: Sequelize.INTEGER, allowNull: true },
+      fare: { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+      currency: { type: Sequelize.STRING(3), allowNull: false },
+      expires_at: { type: Sequelize.DATE, allowNull: false },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    });
+    await queryInterface.addIndex('ride_fare_quotes', ['customer_id', 'created_at'], { name: 'ride_fare_quotes_customer_id_created_at_index' });
+    await queryInterface.addIndex('ride_fare_quotes', ['ride_id'], { unique: true, name: 'ride_fare_quotes_ride_id_unique' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('ride_fare_quotes');
+  },
+};
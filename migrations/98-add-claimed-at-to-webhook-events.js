@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('webhook_events', 'claimed_at', { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.sequelize.query("UPDATE webhook_events SET claimed_at = updated_at WHERE status = 'received';");
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('webhook_events', 'claimed_at');
+  },
+};
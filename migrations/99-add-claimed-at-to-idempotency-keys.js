@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('idempotency_keys', 'claimed_at', { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.sequelize.query("UPDATE idempotency_keys SET claimed_at = created_at WHERE status = 'processing';");
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('idempotency_keys', 'claimed_at');
+  },
+};
@@ -24,6 +24,11 @@ const { setupPreviewRoutes } = require('@setup/merchant/profile/previewSetup');
 const setupMerchantDraft = require('@setup/merchant/profile/draftSetup');
 const setupActivityLog = require('@setup/merchant/profile/activityLogSetup');
 const { setupNotificationRoutes } = require('@setup/routes/notificationRoutesSetup');
+const { setupPaymentRoutes } = require('@setup/routes/paymentRoutesSetup');
+const { setupExcelRoutes } = require('@setup/routes/excelRoutesSetup');
+const { setupSettlementRoutes } = require('@setup/routes/settlementRoutesSetup');
+const { setupDispatchRoutes } = require('@setup/routes/dispatchRoutesSetup');
+const { setupTripTrackingRoutes } = require('@setup/routes/tripTrackingRoutesSetup');
 const { setupNotifications } = require('@setup/notifications/notificationSetup');
 const { setupAuthRoutes } = require('@setup/routes/authRouteSetup');
 const { setupCustomerEvents } = require('@setup/customer/events');
@@ -52,6 +57,8 @@ const { setupProfileRoutes } = require('@setup/customer/profile/profileRouteSetu
 const setupBooking = require('@setup/customer/bookingSetup');
 const setupRideRoutes = require('@setup/customer/rideSetup');
 const setupCartRoutes = require('@setup/customer/cartSetup');
+const setupWalletRoutes = require('@setup/customer/walletSetup');
+const setupGiftCardRoutes = require('@setup/customer/giftCardSetup');
 const setupMenuRoutes = require('@setup/customer/menuSetup');
 const setupOrder = require('@setup/customer/orderSetup');
 const setupSubscriptions = require('@setup/customer/subscriptionSetup');
@@ -62,6 +69,7 @@ const setupFeedback = require('@setup/customer/feedbackSetup');
 const staffRoutes = require('@routes/staff/staffRoutes');
 const setupStaffOperations = require('@setup/merchant/staffOperationsSetup');
 const setupMerchantCustomer = require('@setup/merchant/merchantCustomerSetup');
+const setupMerchantGiftCards = require('@setup/merchant/giftCardSetup');
 
 const REQUIRED_ENV = [
   'PORT',
@@ -169,7 +177,8 @@ async function startServer() {
 
     // Express app setup
     const app = express();
-    app.use(express.json());
+    // Keep the raw bytes for webhook signature checks
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
     logger.info('📋 JSON parser active');
 
     await setupApp(app);
@@ -207,6 +216,14 @@ async function startServer() {
     setupCartRoutes(app);
     logRouterStack(app, 'setupCartRoutes');
 
+    logger.info('👛 Setting up customer wallet routes...');
+    setupWalletRoutes(app);
+    logRouterStack(app, 'setupWalletRoutes');
+
+    logger.info('🎁 Setting up customer gift card routes...');
+    setupGiftCardRoutes(app);
+    logRouterStack(app, 'setupGiftCardRoutes');
+
     logger.info('🍔 Setting up customer menu routes...');
     setupMenuRoutes(app);
     logRouterStack(app, 'setupMenuRoutes');
@@ -215,6 +232,11 @@ async function startServer() {
     setupOrder(app);
     logRouterStack(app, 'setupOrder');
 
+    // Mounted ahead of the CSRF middleware so provider callbacks reach the payment routes
+    logger.info('💳 Setting up payment routes...');
+    setupPaymentRoutes(app);
+    logRouterStack(app, 'setupPaymentRoutes');
+
     logger.info('🍽️ Setting up in-dining order routes...');
     logger.debug('Resolved path for setupInDiningOrder:', require.resolve('@setup/customer/inDiningOrderSetup'));
     const setupInDiningOrder = require('@setup/customer/inDiningOrderSetup');
@@ -256,6 +278,10 @@ async function startServer() {
     setupStaffOperations(app, io);
     logRouterStack(app, 'setupStaffOperations');
 
+    logger.info('🎁 Setting up merchant gift card routes...');
+    setupMerchantGiftCards(app);
+    logRouterStack(app, 'setupMerchantGiftCards');
+
     logger.info('🎨 Setting up banner...');
     setupBanner(app);
     logRouterStack(app, 'setupBanner');
@@ -379,6 +405,22 @@ async function startServer() {
     setupNotificationRoutes(app);
     logRouterStack(app, 'setupNotificationRoutes');
 
+    logger.info('📊 Setting up report and reconciliation routes...');
+    setupExcelRoutes(app);
+    logRouterStack(app, 'setupExcelRoutes');
+
+    logger.info('💵 Setting up settlement routes...');
+    setupSettlementRoutes(app);
+    logRouterStack(app, 'setupSettlementRoutes');
+
+    logger.info('🛵 Setting up dispatch routes...');
+    setupDispatchRoutes(app);
+    logRouterStack(app, 'setupDispatchRoutes');
+
+    logger.info('🧭 Setting up trip tracking routes...');
+    setupTripTrackingRoutes(app);
+    logRouterStack(app, 'setupTripTrackingRoutes');
+
     logger.info('📣 Setting up notifications...');
     setupNotifications(app, notificationService);
     logRouterStack(app, 'setupNotifications');
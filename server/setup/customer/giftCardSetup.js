@@ -0,0 +1,16 @@
+'use strict';
+
+const giftCardRoutes = require('@routes/customer/giftCardRoutes');
+const { logger } = require('@utils/logger');
+
+/**
+ * Sets up gift card routes for customers
+ * @param {Express} app - The Express application instance
+ */
+const setupGiftCardRoutes = (app) => {
+  // Mount gift card routes under /api/customer/gift-cards
+  app.use('/api/customer/gift-cards', giftCardRoutes);
+  logger.info('Gift card routes mounted at /api/customer/gift-cards');
+};
+
+module.exports = setupGiftCardRoutes;
@@ -2,6 +2,7 @@
 const cron = require('node-cron');
 const OrderService = require('@services/customer/orderService');
 const { logger } = require('@utils/logger');
+const { purgeExpiredKeys } = require('@middleware/idempotencyMiddleware');
 
 const orderRoutes = require('@routes/customer/orderRoutes');
 
@@ -29,6 +30,29 @@ const setupOrder = (app) => {
   });
 
   logger.info('Order feedback cron job scheduled');
+
+  // Release scheduled orders to merchants and drivers once their lead time is reached (runs every minute)
+  cron.schedule('* * * * *', async () => {
+    try {
+      const released = await OrderService.releaseScheduledOrders();
+      const dispatched = await OrderService.dispatchScheduledOrders();
+      if (released || dispatched) {
+        logger.info('Scheduled orders processed', { released, dispatched });
+      }
+    } catch (error) {
+      logger.error('Error in scheduled order release cron job', { error: error.message });
+    }
+  });
+
+  // Drop stored checkout and payment responses once their replay window has passed (runs daily)
+  cron.schedule('0 3 * * *', async () => {
+    try {
+      const removed = await purgeExpiredKeys();
+      logger.info('Expired idempotency keys purged', { removed });
+    } catch (error) {
+      logger.error('Error in idempotency key purge cron job', { error: error.message });
+    }
+  });
 };
 
 module.exports = setupOrder;
\ No newline at end of file
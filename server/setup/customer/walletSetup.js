@@ -0,0 +1,16 @@
+'use strict';
+
+const walletRoutes = require('@routes/customer/walletRoutes');
+const { logger } = require('@utils/logger');
+
+/**
+ * Sets up wallet routes for customers
+ * @param {Express} app - The Express application instance
+ */
+const setupWalletRoutes = (app) => {
+  // Mount wallet routes under /api/customer/wallet
+  app.use('/api/customer/wallet', walletRoutes);
+  logger.info('Wallet routes mounted at /api/customer/wallet');
+};
+
+module.exports = setupWalletRoutes;
@@ -3,7 +3,9 @@
 const driverRoutes = require('@routes/driver/driverRoutes');
 const { logger } = require('@utils/logger');
 const DriverService = require('@services/driver/driverService');
+const DispatchService = require('@services/common/dispatchService');
 const Geolocation2Service = require('@services/geoLocation/Geolocation2Service');
+const { DISPATCH_SOCKET_EVENTS } = require('@config/constants/dispatch');
 
 /**
  * Sets up driver-related ride-hailing functionality for the MunchMtxi server.
@@ -75,6 +77,24 @@ const setupDriverRide = (app, io) => {
       }
     });
 
+    // Answer delivery offers from the dispatch engine; replies go to the ack callback when given
+    const answerOffer = (answer) => async ({ offerId, reason } = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : (result) => socket.emit(DISPATCH_SOCKET_EVENTS.RESULT, result);
+      if (!socket.driverId) {
+        reply({ status: 'fail', message: 'Not authenticated' });
+        return;
+      }
+      try {
+        const data = await answer(socket.driverId, offerId, reason);
+        reply({ status: 'success', data });
+      } catch (error) {
+        logger.warn('Delivery offer answer failed', { driverId: socket.driverId, offerId, error: error.message });
+        reply({ status: 'fail', offerId, code: error.errorCode, message: error.message });
+      }
+    };
+    socket.on(DISPATCH_SOCKET_EVENTS.ACCEPT, answerOffer((driverId, offerId) => DispatchService.acceptOffer(driverId, offerId)));
+    socket.on(DISPATCH_SOCKET_EVENTS.DECLINE, answerOffer((driverId, offerId, reason) => DispatchService.declineOffer(driverId, offerId, reason)));
+
     socket.on('disconnect', () => {
       logger.info('Driver disconnected', { driverId: socket.driverId, socketId: socket.id });
     });
@@ -0,0 +1,24 @@
+// server/setup/merchant/giftCardSetup.js
+const cron = require('node-cron');
+const giftCardRoutes = require('@routes/merchant/giftCardRoutes');
+const GiftCardService = require('@services/common/giftCardService');
+const { logger } = require('@utils/logger');
+
+function setupMerchantGiftCards(app) {
+  app.use('/api/v1/merchants/gift-cards', giftCardRoutes);
+  logger.info('Merchant gift card routes mounted at /api/v1/merchants/gift-cards');
+
+  // Expire cards past their expiry date and release what was left on them (runs hourly)
+  cron.schedule('0 * * * *', async () => {
+    try {
+      const expired = await GiftCardService.expireCards();
+      if (expired) {
+        logger.info('Gift cards expired', { expired });
+      }
+    } catch (error) {
+      logger.error('Error in gift card expiry cron job', { error: error.message });
+    }
+  });
+}
+
+module.exports = setupMerchantGiftCards;
@@ -21,6 +21,7 @@ module.exports = {
     router.patch('/', profileController.updateProfile);
     router.patch('/business-hours', profileController.updateBusinessHours);
     router.patch('/delivery-settings', profileController.updateDeliverySettings);
+    router.patch('/cancellation-policy', profileController.updateCancellationPolicy);
     router.post('/branches', profileController.createBranch);
     router.patch('/branches/:branchId', profileController.updateBranch);
 
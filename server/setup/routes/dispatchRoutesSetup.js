@@ -0,0 +1,41 @@
+// server/setup/routes/dispatchRoutesSetup.js
+const cron = require('node-cron');
+const DispatchRoutes = require('@routes/dispatchRoutes');
+const DispatchService = require('@services/common/dispatchService');
+const DeliveryBatchService = require('@services/common/deliveryBatchService');
+const eventManager = require('@services/events/core/eventManager');
+const { DISPATCHABLE_ORDER_STATUSES } = require('@config/constants/dispatch');
+const { logger } = require('@utils/logger');
+
+module.exports = {
+  setupDispatchRoutes: (app) => {
+    app.use('/api/v1/dispatch', DispatchRoutes);
+    logger.info('Dispatch routes mounted');
+
+    // Stop looking for a driver once the order is cancelled or otherwise past dispatch
+    eventManager.on('order.updated', ({ orderType, orderId, status }) => {
+      if (orderType !== 'order' || DISPATCHABLE_ORDER_STATUSES.includes(status)) return;
+      DispatchService.cancelForOrder(orderId, `ORDER_${status.toUpperCase()}`).catch((error) => {
+        logger.error('Failed to stop dispatch for order', { orderId, status, error: error.message });
+      });
+    });
+
+    // Each drop-off on a batched trip brings the next customers' deliveries closer
+    eventManager.on('order.updated', ({ orderType, orderId, status }) => {
+      if (orderType !== 'order' || status !== 'completed') return;
+      DeliveryBatchService.advanceEtas(orderId).catch((error) => {
+        logger.error('Failed to update batched delivery ETAs', { orderId, error: error.message });
+      });
+    });
+
+    // Offer timers live in memory, so a sweep catches the ones lost to a restart (runs every minute)
+    cron.schedule('* * * * *', async () => {
+      try {
+        const expired = await DispatchService.expireOverdueOffers();
+        if (expired) logger.info(`Dispatch sweep expired ${expired} offers`);
+      } catch (error) {
+        logger.error('Error in dispatch offer sweep cron job', { error: error.message });
+      }
+    });
+  }
+};
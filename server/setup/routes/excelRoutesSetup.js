@@ -0,0 +1,10 @@
+// server/setup/routes/excelRoutesSetup.js
+const ExcelRoutes = require('@routes/excelRoutes');
+const { logger } = require('@utils/logger');
+
+module.exports = {
+  setupExcelRoutes: (app) => {
+    app.use('/api/excel', ExcelRoutes);
+    logger.info('Excel report routes mounted');
+  }
+};
@@ -0,0 +1,24 @@
+// server/setup/routes/paymentRoutesSetup.js
+const cron = require('node-cron');
+const PaymentRoutes = require('@routes/paymentRoutes');
+const paymentService = require('@services/common/paymentService');
+const { logger } = require('@utils/logger');
+
+module.exports = {
+  setupPaymentRoutes: (app) => {
+    app.use('/api/payments', PaymentRoutes);
+    logger.info('Payment routes mounted');
+
+    // Fail mobile-money and checkout card payments that were never confirmed (runs every five minutes)
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        const expired = await paymentService.expireStalePayments();
+        if (expired) {
+          logger.info('Stale payments expired', { expired });
+        }
+      } catch (error) {
+        logger.error('Error in stale payment expiry cron job', { error: error.message });
+      }
+    });
+  }
+};
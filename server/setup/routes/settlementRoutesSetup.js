@@ -0,0 +1,10 @@
+// server/setup/routes/settlementRoutesSetup.js
+const SettlementRoutes = require('@routes/settlementRoutes');
+const { logger } = require('@utils/logger');
+
+module.exports = {
+  setupSettlementRoutes: (app) => {
+    app.use('/api/settlements', SettlementRoutes);
+    logger.info('Settlement routes mounted');
+  }
+};
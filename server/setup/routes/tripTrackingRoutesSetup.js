@@ -0,0 +1,31 @@
+// server/setup/routes/tripTrackingRoutesSetup.js
+const cron = require('node-cron');
+const TripTrackingRoutes = require('@routes/tripTrackingRoutes');
+const TripTrackingService = require('@services/common/tripTrackingService');
+const { logger } = require('@utils/logger');
+
+module.exports = {
+  setupTripTrackingRoutes: (app) => {
+    app.use('/api/v1/trips', TripTrackingRoutes);
+    logger.info('Trip tracking routes mounted');
+
+    // Compress the trails of deliveries and rides that have finished (runs every 10 minutes)
+    cron.schedule('*/10 * * * *', async () => {
+      try {
+        const compressed = await TripTrackingService.compressFinishedTrips();
+        if (compressed) logger.info(`Compressed ${compressed} trip trails`);
+      } catch (error) {
+        logger.error('Error in trip trail compression cron job', { error: error.message });
+      }
+    });
+
+    // Purge raw pings past the retention period (runs daily at 03:30)
+    cron.schedule('30 3 * * *', async () => {
+      try {
+        await TripTrackingService.purgeExpiredPings();
+      } catch (error) {
+        logger.error('Error in trip ping purge cron job', { error: error.message });
+      }
+    });
+  }
+};
@@ -31,5 +31,10 @@ module.exports = {
     'plugin:security/recommended'
   ],
   plugins: ['security'],
-  
+  overrides: [
+    {
+      files: ['**/__tests__/**/*.js', 'setup/jest.setup.js'],
+      env: { jest: true },
+    },
+  ],
 };
@@ -1,4 +1,6 @@
 module.exports = {
+  // This file lives in setup/; paths resolve from the project root
+  rootDir: '..',
   testEnvironment: 'node',
   coverageDirectory: 'coverage',
   collectCoverageFrom: ['src/**/*.js'],
@@ -6,6 +8,21 @@ module.exports = {
   testMatch: ['**/__tests__/**/*.test.js', '**/__tests__/**/*.spec.js'],
   setupFilesAfterEnv: ['<rootDir>/setup/jest.setup.js'],
   moduleNameMapper: {
+    // Mirrors _moduleAliases in package.json
+    '^@constants(/.*)?$': '<rootDir>/src/constants$1',
+    '^@scripts(/.*)?$': '<rootDir>/src/scripts$1',
+    '^@setup(/.*)?$': '<rootDir>/server/setup$1',
+    '^@config(/.*)?$': '<rootDir>/src/config$1',
+    '^@controllers(/.*)?$': '<rootDir>/src/controllers$1',
+    '^@models(/.*)?$': '<rootDir>/src/models$1',
+    '^@routes(/.*)?$': '<rootDir>/src/routes$1',
+    '^@utils(/.*)?$': '<rootDir>/src/utils$1',
+    '^@services(/.*)?$': '<rootDir>/src/services$1',
+    '^@middleware(/.*)?$': '<rootDir>/src/middleware$1',
+    '^@validators(/.*)?$': '<rootDir>/src/validators$1',
+    '^@handlers(/.*)?$': '<rootDir>/src/handlers$1',
+    '^@serverUtils(/.*)?$': '<rootDir>/server/utils$1',
+    '^@server(/.*)?$': '<rootDir>/server$1',
     '\\.(css|less)$': 'identity-obj-proxy',
     '\\.(jpg|jpeg|png|gif|webp|svg)$': '<rootDir>/__mocks__/fileMock.js',
   },
@@ -3,6 +3,9 @@ require('dotenv').config();
 // Define environment first
 const environment = process.env.NODE_ENV || 'development';
 
+// Comma-separated secrets, current first; older ones stay valid while a rotation rolls out
+const secretList = (value) => (value ? value.split(',').map((secret) => secret.trim()).filter(Boolean) : []);
+
 // Base configuration shared across all environments
 const baseConfig = {
   nodeEnv: environment,
@@ -49,6 +52,181 @@ const baseConfig = {
     encryption: process.env.EMAIL_ENCRYPTION
   },
   frontendUrl: process.env.FRONTEND_URL,
+  payments: {
+    // 'sandbox' routes every provider through the simulated adapter
+    mode: process.env.PAYMENT_PROVIDER_MODE || (environment === 'production' ? 'live' : 'sandbox'),
+    callbackBaseUrl: process.env.PAYMENT_CALLBACK_BASE_URL,
+    requestTimeoutMs: parseInt(process.env.PAYMENT_PROVIDER_TIMEOUT_MS, 10) || 30000,
+    pendingTimeoutMinutes: parseInt(process.env.PAYMENT_PENDING_TIMEOUT_MINUTES, 10) || 15,
+    // A card payment a checkout is waiting on is given up after this long, releasing the checkout's stock
+    checkoutCardTimeoutMinutes: parseInt(process.env.PAYMENT_CHECKOUT_CARD_TIMEOUT_MINUTES, 10) || 30,
+    sandbox: {
+      callbackDelayMs: parseInt(process.env.PAYMENT_SANDBOX_CALLBACK_DELAY_MS, 10) || 3000
+    },
+    webhooks: {
+      // Signed webhooks older or newer than this are rejected as replays
+      toleranceSeconds: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS, 10) || 300,
+      // An event still being processed after this long is taken to have crashed and can be retried
+      claimTimeoutSeconds: parseInt(process.env.PAYMENT_WEBHOOK_CLAIM_TIMEOUT_SECONDS, 10) || 120,
+      secrets: {
+        AIRTEL_MONEY: secretList(process.env.AIRTEL_MONEY_WEBHOOK_SECRETS),
+        TNM_MPAMBA: secretList(process.env.TNM_MPAMBA_WEBHOOK_SECRETS),
+        MTN_MONEY: secretList(process.env.MTN_MOMO_WEBHOOK_SECRETS),
+        M_PESA: secretList(process.env.MPESA_WEBHOOK_SECRETS),
+        NMB_BANK: secretList(process.env.NMB_BANK_WEBHOOK_SECRETS),
+        CRDB_BANK: secretList(process.env.CRDB_BANK_WEBHOOK_SECRETS),
+        NATIONAL_BANK: secretList(process.env.NATIONAL_BANK_WEBHOOK_SECRETS),
+        STANDARD_BANK: secretList(process.env.STANDARD_BANK_WEBHOOK_SECRETS)
+      }
+    },
+    airtel: {
+      baseUrl: process.env.AIRTEL_MONEY_BASE_URL || 'https://openapiuat.airtel.africa',
+      clientId: process.env.AIRTEL_MONEY_CLIENT_ID,
+      clientSecret: process.env.AIRTEL_MONEY_CLIENT_SECRET,
+      country: process.env.AIRTEL_MONEY_COUNTRY || 'MW',
+      dialCode: process.env.AIRTEL_MONEY_DIAL_CODE || '265',
+      disbursementPin: process.env.AIRTEL_MONEY_DISBURSEMENT_PIN
+    },
+    tnm: {
+      baseUrl: process.env.TNM_MPAMBA_BASE_URL,
+      username: process.env.TNM_MPAMBA_USERNAME,
+      password: process.env.TNM_MPAMBA_PASSWORD,
+      merchantCode: process.env.TNM_MPAMBA_MERCHANT_CODE
+    },
+    mtn: {
+      baseUrl: process.env.MTN_MOMO_BASE_URL || 'https://sandbox.momodeveloper.mtn.com',
+      targetEnvironment: process.env.MTN_MOMO_TARGET_ENVIRONMENT || 'sandbox',
+      collectionSubscriptionKey: process.env.MTN_MOMO_COLLECTION_KEY,
+      disbursementSubscriptionKey: process.env.MTN_MOMO_DISBURSEMENT_KEY,
+      apiUser: process.env.MTN_MOMO_API_USER,
+      apiKey: process.env.MTN_MOMO_API_KEY
+    },
+    mpesa: {
+      baseUrl: process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke',
+      consumerKey: process.env.MPESA_CONSUMER_KEY,
+      consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+      shortcode: process.env.MPESA_SHORTCODE,
+      passkey: process.env.MPESA_PASSKEY,
+      initiatorName: process.env.MPESA_INITIATOR_NAME,
+      securityCredential: process.env.MPESA_SECURITY_CREDENTIAL
+    }
+  },
+  settlement: {
+    // Used when neither the merchant nor its business type has a rate
+    defaultCommissionRate: parseFloat(process.env.DEFAULT_COMMISSION_RATE) || 15,
+    // e.g. "restaurant:18,grocery:8"; overrides DEFAULT_COMMISSION_RATES per business type
+    commissionRates: Object.fromEntries(secretList(process.env.COMMISSION_RATES).map((entry) => {
+      const [businessType, rate] = entry.split(':');
+      return [businessType.trim(), parseFloat(rate)];
+    })),
+    payouts: {
+      schedule: process.env.MERCHANT_PAYOUT_SCHEDULE || '0 6 * * 1',
+      minimumAmount: parseFloat(process.env.MERCHANT_PAYOUT_MINIMUM) || 5000
+    },
+    drivers: {
+      // Percent of the delivery fee and ride fare the driver earns
+      deliveryFeeShare: parseFloat(process.env.DRIVER_DELIVERY_FEE_SHARE) || 80,
+      rideFareShare: parseFloat(process.env.DRIVER_RIDE_FARE_SHARE) || 80,
+      minimumPayout: parseFloat(process.env.DRIVER_PAYOUT_MINIMUM) || 2000
+    }
+  },
+  wallet: {
+    minimumTopUp: parseFloat(process.env.WALLET_MINIMUM_TOP_UP) || 500,
+    maximumBalance: parseFloat(process.env.WALLET_MAXIMUM_BALANCE) || 1000000
+  },
+  risk: {
+    // Scores run 0-100: above the review threshold a payment waits for an admin,
+    // at the decline threshold it is refused outright
+    reviewThreshold: parseFloat(process.env.RISK_REVIEW_THRESHOLD) || 50,
+    declineThreshold: parseFloat(process.env.RISK_DECLINE_THRESHOLD) || 100
+  },
+  giftCards: {
+    // Defaults for merchants that have not set their own gift card values and expiry
+    validityDays: parseInt(process.env.GIFT_CARD_VALIDITY_DAYS, 10) || 365,
+    minimumValue: parseFloat(process.env.GIFT_CARD_MINIMUM_VALUE) || 1000,
+    maximumValue: parseFloat(process.env.GIFT_CARD_MAXIMUM_VALUE) || 500000
+  },
+  dispatch: {
+    // Each round offers a delivery to up to candidatesPerRound drivers within the round's
+    // radius, one at a time; the next round widens the radius by radiusStepKm
+    offerTimeoutSeconds: parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS, 10) || 30,
+    initialRadiusKm: parseFloat(process.env.DISPATCH_INITIAL_RADIUS_KM) || 3,
+    radiusStepKm: parseFloat(process.env.DISPATCH_RADIUS_STEP_KM) || 3,
+    maxRounds: parseInt(process.env.DISPATCH_MAX_ROUNDS, 10) || 4,
+    candidatesPerRound: parseInt(process.env.DISPATCH_CANDIDATES_PER_ROUND, 10) || 3,
+    // Only the closest drivers get a route ETA and a score, which bounds map lookups per offer
+    shortlistSize: parseInt(process.env.DISPATCH_SHORTLIST_SIZE, 10) || 5,
+    averageSpeedKmh: parseFloat(process.env.DISPATCH_AVERAGE_SPEED_KMH) || 25,
+    staleLocationMinutes: parseInt(process.env.DISPATCH_STALE_LOCATION_MINUTES, 10) || 10,
+    acceptanceWindow: parseInt(process.env.DISPATCH_ACCEPTANCE_WINDOW, 10) || 50,
+    // Scheduled dispatch waits this long after a failed search before trying again
+    retryAfterMinutes: parseInt(process.env.DISPATCH_RETRY_AFTER_MINUTES, 10) || 5,
+    weights: {
+      eta: 0.5,
+      rating: 0.2,
+      acceptance: 0.2,
+      vehicle: 0.1
+    }
+  },
+  batching: {
+    // Ready orders from branches this close together can share one driver trip, as long as
+    // no order arrives more than maxDetourMinutes later than it would on its own and none
+    // waits more than maxFoodWaitMinutes between being ready and being dropped off
+    enabled: process.env.DELIVERY_BATCHING_ENABLED !== 'false',
+    maxOrders: parseInt(process.env.DELIVERY_BATCH_MAX_ORDERS, 10) || 3,
+    branchRadiusKm: parseFloat(process.env.DELIVERY_BATCH_BRANCH_RADIUS_KM) || 1,
+    maxDetourMinutes: parseInt(process.env.DELIVERY_BATCH_MAX_DETOUR_MINUTES, 10) || 10,
+    maxFoodWaitMinutes: parseInt(process.env.DELIVERY_BATCH_MAX_FOOD_WAIT_MINUTES, 10) || 35,
+    stopServiceMinutes: parseInt(process.env.DELIVERY_BATCH_STOP_SERVICE_MINUTES, 10) || 2,
+    // Closest candidates tried per batch, each costing a route optimization
+    candidateLimit: parseInt(process.env.DELIVERY_BATCH_CANDIDATE_LIMIT, 10) || 4
+  },
+  proofOfDelivery: {
+    // Defaults for merchants that have not chosen what a driver must capture at the door
+    requireOtp: process.env.POD_REQUIRE_OTP !== 'false',
+    requirePhoto: process.env.POD_REQUIRE_PHOTO !== 'false',
+    requireSignature: process.env.POD_REQUIRE_SIGNATURE === 'true',
+    geofenceMeters: parseInt(process.env.POD_GEOFENCE_METERS, 10) || 150,
+    otpLength: parseInt(process.env.POD_OTP_LENGTH, 10) || 4,
+    // Wrong codes allowed before the driver has to ask for a new one
+    otpMaxAttempts: parseInt(process.env.POD_OTP_MAX_ATTEMPTS, 10) || 5,
+    otpResendSeconds: parseInt(process.env.POD_OTP_RESEND_SECONDS, 10) || 60
+  },
+  tripTracking: {
+    // A ping is stored once the driver has moved minDistanceMeters, but never more often
+    // than every minIntervalSeconds; a stationary driver is still recorded every maxIntervalSeconds
+    minIntervalSeconds: parseInt(process.env.TRIP_PING_MIN_INTERVAL_SECONDS, 10) || 5,
+    maxIntervalSeconds: parseInt(process.env.TRIP_PING_MAX_INTERVAL_SECONDS, 10) || 30,
+    minDistanceMeters: parseInt(process.env.TRIP_PING_MIN_DISTANCE_METERS, 10) || 15,
+    // Fixes this imprecise, or implying a jump faster than maxSpeedKmh, are dropped as GPS noise
+    maxAccuracyMeters: parseInt(process.env.TRIP_PING_MAX_ACCURACY_METERS, 10) || 100,
+    maxSpeedKmh: parseInt(process.env.TRIP_PING_MAX_SPEED_KMH, 10) || 160,
+    simplifyToleranceMeters: parseInt(process.env.TRIP_TRAIL_SIMPLIFY_TOLERANCE_METERS, 10) || 5,
+    // Raw pings are purged after this many days; the compressed trail is kept
+    rawRetentionDays: parseInt(process.env.TRIP_PING_RETENTION_DAYS, 10) || 30
+  },
+  surgePricing: {
+    // Rides picked up inside an active geofence are priced up once its open requests
+    // outnumber its online drivers by more than demandRatioThreshold; each request per
+    // driver beyond that adds multiplierPerRatio, in steps of multiplierStep
+    enabled: process.env.SURGE_PRICING_ENABLED !== 'false',
+    demandRatioThreshold: parseFloat(process.env.SURGE_DEMAND_RATIO_THRESHOLD) || 1,
+    multiplierPerRatio: parseFloat(process.env.SURGE_MULTIPLIER_PER_RATIO) || 0.5,
+    multiplierStep: parseFloat(process.env.SURGE_MULTIPLIER_STEP) || 0.1,
+    // Fewer open requests than this never surge, however few drivers are online
+    minOpenRequests: parseInt(process.env.SURGE_MIN_OPEN_REQUESTS, 10) || 3,
+    // Requests older than this no longer count as demand
+    demandWindowMinutes: parseInt(process.env.SURGE_DEMAND_WINDOW_MINUTES, 10) || 15,
+    // Used when the country sets no maxSurgeMultiplier
+    defaultMaxMultiplier: parseFloat(process.env.SURGE_DEFAULT_MAX_MULTIPLIER) || 2,
+    // e.g. "MWI:1.5,TZA:3"; overrides each country's maxSurgeMultiplier
+    maxMultipliers: Object.fromEntries(secretList(process.env.SURGE_MAX_MULTIPLIERS).map((entry) => {
+      const [country, multiplier] = entry.split(':');
+      return [country.trim().toUpperCase(), parseFloat(multiplier)];
+    })),
+    // A quoted fare holds for this long before the ride has to be quoted again
+    quoteLockMinutes: parseInt(process.env.RIDE_QUOTE_LOCK_MINUTES, 10) || 5
+  },
   statusMonitor: {
     username: process.env.STATUS_MONITOR_USERNAME,
     password: process.env.STATUS_MONITOR_PASSWORD
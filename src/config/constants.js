@@ -38,6 +38,7 @@ module.exports = {
           COMPLETED: 'completed',
           FAILED: 'failed',
           REFUNDED: 'refunded',
+          PARTIALLY_REFUNDED: 'partially_refunded',
           CANCELLED: 'cancelled',
           VERIFIED: 'verified'
       }
@@ -0,0 +1,26 @@
+// How an in-dining bill is divided: equal shares, amounts the diners choose,
+// or what each diner claims from the order's items
+const BILL_SPLIT_MODES = ['even', 'custom', 'items'];
+
+const BILL_SPLIT_STATUSES = ['open', 'settled', 'cancelled'];
+
+// A share is pending until its payer starts paying, and can be retried after failing
+const BILL_SHARE_STATUSES = ['pending', 'processing', 'paid', 'failed'];
+
+// Payment statuses that settle a share
+const BILL_SHARE_SETTLED_PAYMENT_STATUSES = ['completed', 'verified'];
+
+// Payment statuses after which the share has to be paid again
+const BILL_SHARE_FAILED_PAYMENT_STATUSES = ['failed', 'cancelled'];
+
+// Order payment statuses from which a bill can still be split
+const BILL_PAYABLE_ORDER_STATUSES = ['pending', 'failed'];
+
+module.exports = {
+  BILL_SPLIT_MODES,
+  BILL_SPLIT_STATUSES,
+  BILL_SHARE_STATUSES,
+  BILL_SHARE_SETTLED_PAYMENT_STATUSES,
+  BILL_SHARE_FAILED_PAYMENT_STATUSES,
+  BILL_PAYABLE_ORDER_STATUSES,
+};
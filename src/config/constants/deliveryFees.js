@@ -0,0 +1,18 @@
+// Delivery pricing applied when a merchant has not set its own delivery_settings.
+// fee_type picks the base fee: 'flat', 'distance' (per-km tiers) or 'zone' (geofence prices).
+const DEFAULT_DELIVERY_SETTINGS = {
+  fee_type: 'flat',
+  flat_fee: 0,
+  // Distance bands, each charged per km; the last band's up_to_km is the delivery limit
+  distance_tiers: [],
+  distance_base_fee: 0,
+  // { geofence_id, fee } entries, checked in order
+  zones: [],
+  free_delivery_min_order: null,
+  // { days: [0-6], start: 'HH:mm', end: 'HH:mm', surcharge_amount, surcharge_percentage }
+  peak_hours: [],
+};
+
+const DELIVERY_FEE_TYPES = ['flat', 'distance', 'zone'];
+
+module.exports = { DEFAULT_DELIVERY_SETTINGS, DELIVERY_FEE_TYPES };
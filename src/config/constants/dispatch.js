@@ -0,0 +1,39 @@
+// A dispatch looks for a driver for one delivery, one offer at a time, until a
+// driver accepts, every round has run out, or the order no longer needs one
+const DISPATCH_STATUSES = ['searching', 'assigned', 'failed', 'cancelled'];
+
+// An offer is pending until the driver answers or it times out; offers still
+// pending when the dispatch stops are withdrawn
+const DISPATCH_OFFER_STATUSES = ['pending', 'accepted', 'declined', 'expired', 'withdrawn'];
+
+// Order statuses in which a delivery can be offered to drivers
+const DISPATCHABLE_ORDER_STATUSES = ['preparing', 'ready'];
+
+// Events on the /driver socket namespace
+const DISPATCH_SOCKET_EVENTS = {
+  OFFER: 'deliveryOffer',
+  ACCEPT: 'deliveryOffer:accept',
+  DECLINE: 'deliveryOffer:decline',
+  RESULT: 'deliveryOffer:result',
+  CLOSED: 'deliveryOffer:closed',
+};
+
+// How well each vehicle suits a food delivery, 0-1; vehicles not listed are not offered deliveries
+const DELIVERY_VEHICLE_SCORES = {
+  MOTORBIKE: 1,
+  BICYCLE: 0.8,
+  CAR: 0.7,
+  VAN: 0.4,
+};
+
+// Used for the rating and acceptance factors of drivers without a rating or offer history yet
+const NEW_DRIVER_FACTOR_SCORE = 0.8;
+
+module.exports = {
+  DISPATCH_STATUSES,
+  DISPATCH_OFFER_STATUSES,
+  DISPATCHABLE_ORDER_STATUSES,
+  DISPATCH_SOCKET_EVENTS,
+  DELIVERY_VEHICLE_SCORES,
+  NEW_DRIVER_FACTOR_SCORE,
+};
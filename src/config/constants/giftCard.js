@@ -0,0 +1,29 @@
+// pending_payment cards wait for the buyer's payment; redeemed cards have nothing left on them
+const GIFT_CARD_STATUSES = ['pending_payment', 'active', 'redeemed', 'expired', 'cancelled'];
+
+// Issues and refunds add to a card's balance; the rest take from it
+const GIFT_CARD_TRANSACTION_TYPES = {
+  ISSUE: 'issue',
+  REDEMPTION: 'redemption',
+  REFUND: 'refund',
+  EXPIRY: 'expiry',
+  CANCELLATION: 'cancellation',
+};
+
+const GIFT_CARD_DELIVERY_CHANNELS = ['email', 'whatsapp'];
+
+// Payment method of payments made with a gift card
+const GIFT_CARD_PAYMENT_METHOD = 'GIFT_CARD';
+
+// Codes leave out characters that are easily misread (0/O, 1/I/L)
+const GIFT_CARD_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const GIFT_CARD_CODE_LENGTH = 16;
+
+module.exports = {
+  GIFT_CARD_STATUSES,
+  GIFT_CARD_TRANSACTION_TYPES,
+  GIFT_CARD_DELIVERY_CHANNELS,
+  GIFT_CARD_PAYMENT_METHOD,
+  GIFT_CARD_CODE_ALPHABET,
+  GIFT_CARD_CODE_LENGTH,
+};
@@ -0,0 +1,14 @@
+// Customer cancellation rules applied when a merchant has not set its own
+const DEFAULT_CANCELLATION_POLICY = {
+  allow_customer_cancellation: true,
+  // Statuses in which the customer gets a full refund
+  free_statuses: ['pending', 'scheduled', 'confirmed'],
+  // Statuses in which the customer may still cancel but pays a fee
+  fee_statuses: ['preparing'],
+  fee_percentage: 50,
+  min_fee: 0,
+  // Cancelling this soon after placing the order is always free, even in a fee status
+  grace_period_minutes: 5,
+};
+
+module.exports = { DEFAULT_CANCELLATION_POLICY };
@@ -0,0 +1,16 @@
+// Limits and lead-time inputs for scheduled (pre-order) orders
+const ORDER_SCHEDULING = {
+  MAX_ADVANCE_DAYS: 7,
+  // Orders are counted against branch capacity in slots of this length
+  SLOT_MINUTES: 30,
+  // Added to preparation and travel time before an order is released
+  RELEASE_BUFFER_MINUTES: 10,
+  // Used when a menu item has no preparation_time_minutes
+  DEFAULT_PREPARATION_MINUTES: 15,
+  // Used when the route duration cannot be fetched
+  DEFAULT_ROUTE_MINUTES: 30,
+};
+
+const FULFILLMENT_TYPES = ['delivery', 'pickup'];
+
+module.exports = { ORDER_SCHEDULING, FULFILLMENT_TYPES };
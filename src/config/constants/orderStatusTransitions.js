@@ -0,0 +1,23 @@
+// Allowed status moves per order type; terminal statuses map to an empty list
+const ORDER_STATUS_TRANSITIONS = {
+  order: {
+    pending: ['confirmed', 'scheduled', 'cancelled'],
+    scheduled: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['out_for_delivery', 'completed', 'cancelled'],
+    out_for_delivery: ['completed'],
+    completed: [],
+    cancelled: [],
+  },
+  in_dining_order: {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['served', 'cancelled'],
+    served: ['closed'],
+    closed: [],
+    cancelled: [],
+  },
+};
+
+module.exports = { ORDER_STATUS_TRANSITIONS };
@@ -27,9 +27,11 @@ PAYMENT_CONSTANTS: {
     STATUS: {
         PENDING: 'pending',
         PROCESSING: 'processing',
+        PENDING_REVIEW: 'pending_review',
         COMPLETED: 'completed',
         FAILED: 'failed',
         REFUNDED: 'refunded',
+        PARTIALLY_REFUNDED: 'partially_refunded',
         CANCELLED: 'cancelled',
         VERIFIED: 'verified'
     }
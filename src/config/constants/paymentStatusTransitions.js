@@ -0,0 +1,24 @@
+// Allowed payment status moves; a provider update outside these is stale and ignored
+const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ['processing', 'pending_review', 'completed', 'failed', 'cancelled', 'verified'],
+  processing: ['pending_review', 'completed', 'failed', 'cancelled', 'verified'],
+  // Held by the risk rules until an admin approves or declines it
+  pending_review: ['pending', 'verified', 'failed'],
+  verified: ['completed', 'partially_refunded', 'refunded'],
+  completed: ['partially_refunded', 'refunded'],
+  // Each further partial refund keeps the status until the captured amount is used up
+  partially_refunded: ['partially_refunded', 'refunded'],
+  // A success reported after the expiry job gave up still means the money moved
+  failed: ['completed'],
+  cancelled: [],
+  refunded: [],
+};
+
+// Set only by PaymentService.settleRefund, together with the Refund, refunded_amount and
+// ledger entries; a status update from a provider, webhook or job never applies them
+const REFUND_PAYMENT_STATUSES = ['partially_refunded', 'refunded'];
+
+// The only source that may release a payment held for review or mark one verified
+const RISK_REVIEW_SOURCE = 'risk_review';
+
+module.exports = { PAYMENT_STATUS_TRANSITIONS, REFUND_PAYMENT_STATUSES, RISK_REVIEW_SOURCE };
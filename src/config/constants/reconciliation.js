@@ -0,0 +1,39 @@
+// Settlement file columns, matched against headers lowercased with spaces turned into underscores.
+// The first header present wins; providers only list the columns that differ from the defaults.
+const DEFAULT_SETTLEMENT_COLUMNS = {
+  reference: ['transaction_id', 'transaction_reference', 'reference', 'bank_reference', 'receipt_number'],
+  amount: ['amount', 'settled_amount', 'transaction_amount', 'credit'],
+  currency: ['currency'],
+  status: ['status', 'transaction_status'],
+  settled_at: ['settlement_date', 'transaction_date', 'date'],
+};
+
+const PROVIDER_SETTLEMENT_COLUMNS = {
+  AIRTEL_MONEY: { reference: ['airtel_money_id', 'transaction_id', 'reference'] },
+  TNM_MPAMBA: { reference: ['receipt_number', 'transaction_id', 'reference'] },
+  M_PESA: { reference: ['receipt_no', 'receipt_number', 'transaction_id'], amount: ['paid_in', 'amount'] },
+  MTN_MONEY: { reference: ['external_transaction_id', 'financial_transaction_id', 'transaction_id'] },
+};
+
+// Payment statuses the provider is expected to have settled
+const SETTLED_PAYMENT_STATUSES = ['completed', 'verified', 'partially_refunded', 'refunded'];
+
+const RECONCILIATION_ISSUES = [
+  'matched',
+  'missing_in_settlement',
+  'missing_in_system',
+  'duplicate',
+  'amount_mismatch',
+  'status_mismatch',
+];
+
+// Differences below this are rounding, not mismatches
+const AMOUNT_TOLERANCE = 0.01;
+
+module.exports = {
+  DEFAULT_SETTLEMENT_COLUMNS,
+  PROVIDER_SETTLEMENT_COLUMNS,
+  SETTLED_PAYMENT_STATUSES,
+  RECONCILIATION_ISSUES,
+  AMOUNT_TOLERANCE,
+};
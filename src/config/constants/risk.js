@@ -0,0 +1,23 @@
+// What a risk rule checks; each type reads its own params:
+// amount { above }, velocity { subject, window_minutes, max_count },
+// customer_history { min_completed }, new_device { max_age_hours }, blocklist {}
+const RISK_RULE_TYPES = ['amount', 'velocity', 'customer_history', 'new_device', 'blocklist'];
+
+// What a velocity rule counts payments by
+const VELOCITY_SUBJECTS = ['customer', 'phone_number', 'device'];
+
+const BLOCKLIST_TYPES = ['phone_number', 'device_id', 'customer_id'];
+
+// Outcome of screening a payment against the rules
+const RISK_DECISIONS = {
+  ALLOW: 'allow',
+  REVIEW: 'review',
+  DECLINE: 'decline',
+};
+
+module.exports = {
+  RISK_RULE_TYPES,
+  VELOCITY_SUBJECTS,
+  BLOCKLIST_TYPES,
+  RISK_DECISIONS,
+};
@@ -0,0 +1,57 @@
+// Ledger accounts. Owned accounts (e.g. merchant_payable, customer_wallet) are kept per owner;
+// gift_card_liability is what a merchant's unspent gift cards are still worth.
+// Liability and revenue accounts grow with credits; platform_clearing and
+// driver_incentives grow with debits.
+const LEDGER_ACCOUNTS = {
+  PLATFORM_CLEARING: 'platform_clearing',
+  MERCHANT_PAYABLE: 'merchant_payable',
+  DRIVER_PAYABLE: 'driver_payable',
+  PLATFORM_COMMISSION: 'platform_commission',
+  DELIVERY_FEES: 'delivery_fees',
+  TIPS_PAYABLE: 'tips_payable',
+  DRIVER_INCENTIVES: 'driver_incentives',
+  CUSTOMER_WALLET: 'customer_wallet',
+  GIFT_CARD_LIABILITY: 'gift_card_liability',
+};
+
+const LEDGER_TRANSACTION_TYPES = {
+  PAYMENT: 'payment',
+  TIP: 'tip',
+  REFUND: 'refund',
+  CHARGEBACK: 'chargeback',
+  PAYOUT: 'payout',
+  PAYOUT_REVERSAL: 'payout_reversal',
+  DELIVERY_EARNING: 'delivery_earning',
+  RIDE_EARNING: 'ride_earning',
+  TIP_EARNING: 'tip_earning',
+  BONUS: 'bonus',
+  ADJUSTMENT: 'adjustment',
+  WALLET_TOP_UP: 'wallet_top_up',
+  GIFT_CARD_SALE: 'gift_card_sale',
+  GIFT_CARD_ISSUE: 'gift_card_issue',
+  GIFT_CARD_RELEASE: 'gift_card_release',
+};
+
+// Platform commission in percent of a merchant's sales, before any per-merchant override
+const DEFAULT_COMMISSION_RATES = {
+  restaurant: 15,
+  cafe: 15,
+  bakery: 12,
+  grocery: 10,
+  butcher: 10,
+};
+
+const PAYOUT_STATUSES = ['pending', 'processing', 'completed', 'failed', 'skipped'];
+
+const DRIVER_PAYOUT_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+
+const DRIVER_ADJUSTMENT_TYPES = ['bonus', 'adjustment'];
+
+module.exports = {
+  LEDGER_ACCOUNTS,
+  LEDGER_TRANSACTION_TYPES,
+  DEFAULT_COMMISSION_RATES,
+  PAYOUT_STATUSES,
+  DRIVER_PAYOUT_STATUSES,
+  DRIVER_ADJUSTMENT_TYPES,
+};
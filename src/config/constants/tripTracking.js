@@ -0,0 +1,19 @@
+const TRIP_TYPES = ['order', 'ride'];
+
+// A driver's pings count toward every trip of theirs in one of these statuses
+const ACTIVE_TRIP_STATUSES = {
+  order: ['preparing', 'ready', 'out_for_delivery'],
+  ride: ['ACCEPTED', 'IN_PROGRESS'],
+};
+
+// Trips that will get no more pings, so their trail can be compressed
+const FINISHED_TRIP_STATUSES = {
+  order: ['completed', 'cancelled'],
+  ride: ['COMPLETED', 'CANCELLED'],
+};
+
+module.exports = {
+  TRIP_TYPES,
+  ACTIVE_TRIP_STATUSES,
+  FINISHED_TRIP_STATUSES,
+};
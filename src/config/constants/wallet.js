@@ -0,0 +1,21 @@
+const WALLET_STATUSES = ['active', 'frozen'];
+
+// Top-ups and refunds add to the balance; payments take from it
+const WALLET_TRANSACTION_TYPES = {
+  TOP_UP: 'top_up',
+  PAYMENT: 'payment',
+  REFUND: 'refund',
+};
+
+// Where an approved refund is paid: back through the original method or into the wallet
+const REFUND_DESTINATIONS = ['original', 'wallet'];
+
+// Payment method of payments made from the wallet
+const WALLET_PAYMENT_METHOD = 'WALLET';
+
+module.exports = {
+  WALLET_STATUSES,
+  WALLET_TRANSACTION_TYPES,
+  REFUND_DESTINATIONS,
+  WALLET_PAYMENT_METHOD,
+};
@@ -3,6 +3,12 @@ module.exports = {
     MWI: {
       name: 'Malawi',
       currency: 'MWK',
+      pricing: {
+        taxInclusive: true,
+        defaultTaxRate: 16.5,
+        roundingDecimals: 2,
+        maxSurgeMultiplier: 2
+      },
       phonePrefix: '+265',
       timeZone: 'Africa/Blantyre',
       addressFormat: {
@@ -19,6 +25,12 @@ module.exports = {
     TZA: {
       name: 'Tanzania',
       currency: 'TZS',
+      pricing: {
+        taxInclusive: true,
+        defaultTaxRate: 18,
+        roundingDecimals: 0,
+        maxSurgeMultiplier: 2.5
+      },
       phonePrefix: '+255',
       timeZone: 'Africa/Dar_es_Salaam',
       addressFormat: {
@@ -35,6 +47,12 @@ module.exports = {
     MOZ: {
       name: 'Mozambique',
       currency: 'MZN',
+      pricing: {
+        taxInclusive: true,
+        defaultTaxRate: 16,
+        roundingDecimals: 2,
+        maxSurgeMultiplier: 2
+      },
       phonePrefix: '+258',
       timeZone: 'Africa/Maputo',
       addressFormat: {
@@ -51,6 +69,12 @@ module.exports = {
     ZMB: {
       name: 'Zambia',
       currency: 'ZMW',
+      pricing: {
+        taxInclusive: true,
+        defaultTaxRate: 16,
+        roundingDecimals: 2,
+        maxSurgeMultiplier: 2
+      },
       phonePrefix: '+260',
       timeZone: 'Africa/Lusaka',
       addressFormat: {
@@ -21,4 +21,21 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }
 });
 
-module.exports = upload;
\ No newline at end of file
+const imageFileFilter = (req, file, cb) => {
+  const allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
+  if (!allowedTypes.includes(file.mimetype)) {
+    logger.warn('Invalid image type uploaded', { mimetype: file.mimetype });
+    return cb(new AppError('Only JPEG, PNG or WEBP images are allowed', 400), false);
+  }
+  cb(null, true);
+};
+
+// Photos taken in the apps, e.g. proof of delivery
+const imageUpload = multer({
+  storage,
+  fileFilter: imageFileFilter,
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+module.exports = upload;
+module.exports.imageUpload = imageUpload;
\ No newline at end of file
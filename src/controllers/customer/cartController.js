@@ -78,6 +78,37 @@ const cartController = {
     });
   }),
 
+  /**
+   * Validates a coupon and attaches it to the cart
+   */
+  applyCoupon: catchAsync(async (req, res) => {
+    const { code } = req.body;
+    const customerId = req.user.customerId;
+
+    const cart = await CartService.applyCoupon(customerId, code);
+    logger.info('Coupon applied via controller', { customerId, code });
+
+    res.status(200).json({
+      status: 'success',
+      data: cart,
+    });
+  }),
+
+  /**
+   * Removes the coupon attached to the cart
+   */
+  removeCoupon: catchAsync(async (req, res) => {
+    const customerId = req.user.customerId;
+
+    const cart = await CartService.removeCoupon(customerId);
+    logger.info('Coupon removed via controller', { customerId });
+
+    res.status(200).json({
+      status: 'success',
+      data: cart,
+    });
+  }),
+
   /**
    * Clears the cart
    */
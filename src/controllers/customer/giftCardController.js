@@ -0,0 +1,83 @@
+'use strict';
+
+const GiftCardService = require('@services/common/giftCardService');
+const paymentService = require('@services/common/paymentService');
+const pdfService = require('@services/pdfService');
+const catchAsync = require('@utils/catchAsync');
+const AppError = require('@utils/AppError');
+
+class GiftCardController {
+  getOffer = catchAsync(async (req, res) => {
+    const offer = await GiftCardService.getOffer(req.params.merchantId);
+    res.status(200).json({
+      status: 'success',
+      data: offer
+    });
+  });
+
+  // Starts a purchase; the card is activated and sent once the provider settles the payment
+  purchase = catchAsync(async (req, res) => {
+    const { merchant_id, amount, payment_method } = req.body;
+    if (!merchant_id || !amount || !payment_method?.type) {
+      throw new AppError('merchant_id, amount and payment_method.type are required', 400, 'MISSING_FIELDS');
+    }
+    const { giftCard, payment } = await paymentService.initiateGiftCardPurchase({
+      ...req.body,
+      customer_id: req.user.customerId,
+      device_id: req.headers['x-device-id'],
+    });
+    res.status(201).json({
+      status: 'success',
+      data: {
+        gift_card_id: giftCard.id,
+        amount: Number(giftCard.initial_value),
+        currency: giftCard.currency,
+        status: giftCard.status,
+        payment_id: payment.id,
+        payment_status: payment.status,
+      }
+    });
+  });
+
+  listPurchases = catchAsync(async (req, res) => {
+    const giftCards = await GiftCardService.listPurchases(req.user.customerId);
+    res.status(200).json({
+      status: 'success',
+      data: giftCards
+    });
+  });
+
+  // Codes are posted rather than put in the URL so they stay out of access logs
+  checkBalance = catchAsync(async (req, res) => {
+    if (!req.body.code) throw new AppError('code is required', 400, 'MISSING_FIELDS');
+    const balance = await GiftCardService.checkBalance(req.body.code);
+    res.status(200).json({
+      status: 'success',
+      data: balance
+    });
+  });
+
+  downloadVoucher = catchAsync(async (req, res, next) => {
+    const card = await GiftCardService.getOwnedCard(req.params.giftCardId, { customer_id: req.user.customerId });
+    const filePath = await GiftCardService.generateVoucher(card);
+    res.download(filePath, `gift-card-${card.id}.pdf`, async (error) => {
+      await pdfService.cleanup(filePath);
+      if (error && !res.headersSent) next(error);
+    });
+  });
+
+  resend = catchAsync(async (req, res) => {
+    const card = await GiftCardService.getOwnedCard(req.params.giftCardId, { customer_id: req.user.customerId });
+    await GiftCardService.deliver(card, req.body);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        gift_card_id: card.id,
+        delivery_channel: card.delivery_channel,
+        delivered_at: card.delivered_at,
+      }
+    });
+  });
+}
+
+module.exports = new GiftCardController();
@@ -2,26 +2,61 @@
 const OrderService = require('@services/customer/orderService');
 const catchAsync = require('@utils/catchAsync');
 const AppError = require('@utils/AppError');
+const { FULFILLMENT_TYPES } = require('@config/constants/orderScheduling');
+
+const actorFrom = (req, type) => ({ user_id: req.user?.id, type });
 
 const orderController = {
   checkout: catchAsync(async (req, res, next) => {
-    const { customer_id, payment_method, cart_id } = req.body;
-    if (!customer_id || !payment_method || !cart_id) {
+    const { payment_method, payment_details, cart_id, promotion_code, gift_card_code, scheduled_for, fulfillment_type } = req.body;
+    if (!(payment_method || gift_card_code) || !cart_id) {
       throw new AppError('Missing required fields', 400, 'VALIDATION_ERROR');
     }
+    if (fulfillment_type && !FULFILLMENT_TYPES.includes(fulfillment_type)) {
+      throw new AppError(`Fulfillment type must be one of ${FULFILLMENT_TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
 
-    const result = await OrderService.checkout({ customer_id, payment_method, cart_id });
+    const result = await OrderService.checkout({
+      user_id: req.user.id,
+      payment_method,
+      payment_details,
+      cart_id,
+      promotion_code,
+      gift_card_code,
+      scheduled_for,
+      fulfillment_type,
+    });
     res.status(201).json({
       status: 'success',
       data: result,
     });
   }),
 
+  getDeliveryQuote: catchAsync(async (req, res, next) => {
+    const { cart_id, promotion_code, scheduled_for } = req.query;
+    if (!cart_id) throw new AppError('Cart ID is required', 400, 'VALIDATION_ERROR');
+
+    const result = await OrderService.getDeliveryQuote({ user_id: req.user.id, cart_id, promotion_code, scheduled_for });
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  }),
+
+  getCheckout: catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+    const result = await OrderService.getCheckout(id, req.user.id);
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  }),
+
   notifyMerchant: catchAsync(async (req, res, next) => {
     const { order_id } = req.body;
     if (!order_id) throw new AppError('Order ID is required', 400, 'VALIDATION_ERROR');
 
-    const result = await OrderService.notifyMerchant(order_id);
+    const result = await OrderService.notifyMerchant(order_id, actorFrom(req, 'merchant'));
     res.status(200).json({
       status: 'success',
       data: result,
@@ -30,7 +65,7 @@ const orderController = {
 
   confirmOrderReady: catchAsync(async (req, res, next) => {
     const { id } = req.params;
-    const result = await OrderService.confirmOrderReady(id);
+    const result = await OrderService.confirmOrderReady(id, actorFrom(req, 'merchant'));
     res.status(200).json({
       status: 'success',
       data: result,
@@ -41,7 +76,7 @@ const orderController = {
     const { order_id } = req.body;
     if (!order_id) throw new AppError('Order ID is required', 400, 'VALIDATION_ERROR');
 
-    const result = await OrderService.assignDriver(order_id);
+    const result = await OrderService.assignDriver(order_id, { requested_by: req.user?.id });
     res.status(200).json({
       status: 'success',
       data: result,
@@ -50,7 +85,7 @@ const orderController = {
 
   confirmPickup: catchAsync(async (req, res, next) => {
     const { id } = req.params;
-    const result = await OrderService.confirmPickup(id);
+    const result = await OrderService.confirmPickup(id, actorFrom(req, 'driver'));
     res.status(200).json({
       status: 'success',
       data: result,
@@ -59,7 +94,7 @@ const orderController = {
 
   confirmDelivery: catchAsync(async (req, res, next) => {
     const { id } = req.params;
-    const result = await OrderService.confirmDelivery(id);
+    const result = await OrderService.confirmDelivery(id, actorFrom(req, 'driver'));
     res.status(200).json({
       status: 'success',
       data: result,
@@ -77,6 +112,52 @@ const orderController = {
     });
   }),
 
+  cancelOrder: catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const result = await OrderService.cancelOrder(id, req.user.id, reason);
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  }),
+
+  getOrderHistory: catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+    const result = await OrderService.getOrderHistory(id, req.user.id);
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  }),
+
+  listOrders: catchAsync(async (req, res, next) => {
+    const { page, limit, status } = req.query;
+    const result = await OrderService.listCustomerOrders(req.user.id, { page, limit, status });
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  }),
+
+  getOrder: catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+    const result = await OrderService.getCustomerOrder(id, req.user.id);
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  }),
+
+  reorder: catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+    const result = await OrderService.reorder(id, req.user.id);
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  }),
+
   getOrderStatus: catchAsync(async (req, res, next) => {
     const { id } = req.params;
     const order = await OrderService.getOrderStatus(id);
@@ -4,8 +4,13 @@ const catchAsync = require('@utils/catchAsync');
 const QuickLinkService = require('@services/customer/quickLinkService');
 const { logApiEvent } = require('@utils/logger');
 const AppError = require('@utils/AppError');
+const { WALLET_PAYMENT_METHOD } = require('@config/constants/wallet');
+const { GIFT_CARD_PAYMENT_METHOD } = require('@config/constants/giftCard');
 
-const quickLinkService = QuickLinkService; // Use the imported instance directly
+// Methods paid on the platform itself, which need no provider
+const PROVIDERLESS_TYPES = [WALLET_PAYMENT_METHOD, GIFT_CARD_PAYMENT_METHOD];
+
+const quickLinkService = QuickLinkService.instance;
 
 module.exports = {
   /**
@@ -82,46 +87,79 @@ module.exports = {
    * @param {Function} next - Express next middleware function
    */
   requestBill: catchAsync(async (req, res, next) => {
-    const { user_id, in_dining_order_id, payment_method, split_with } = req.body;
+    const { user_id, in_dining_order_id, payment_method, split_with, split_mode, amount, items } = req.body;
 
     if (!user_id || !in_dining_order_id || !payment_method) {
       throw new AppError('user_id, in_dining_order_id, and payment_method are required', 400, 'MISSING_FIELDS');
     }
 
-    if (!payment_method.type || !payment_method.provider) {
+    if (!payment_method.type || (!payment_method.provider && !PROVIDERLESS_TYPES.includes(payment_method.type))) {
       throw new AppError('payment_method must include type and provider', 400, 'INVALID_PAYMENT_METHOD');
     }
 
-    const validPaymentTypes = ['MOBILE_MONEY', 'BANK_CARD'];
+    const validPaymentTypes = ['MOBILE_MONEY', 'BANK_CARD', ...PROVIDERLESS_TYPES];
     if (!validPaymentTypes.includes(payment_method.type)) {
-      throw new AppError('Invalid payment_method.type. Must be MOBILE_MONEY or BANK_CARD', 400, 'INVALID_PAYMENT_TYPE');
+      throw new AppError('Invalid payment_method.type. Must be MOBILE_MONEY, BANK_CARD, WALLET or GIFT_CARD', 400, 'INVALID_PAYMENT_TYPE');
     }
 
-    const { payment } = await quickLinkService.requestBill(
+    const { split } = await quickLinkService.requestBill(
       user_id,
       in_dining_order_id,
       payment_method,
-      split_with || []
+      split_with || [],
+      { mode: split_mode, amount, items }
     );
 
     res.status(200).json({
       status: 'success',
       message: 'Bill requested successfully',
+      data: { split },
+    });
+  }),
+
+  /**
+   * Pay the caller's share of a split bill, or retry it after a failed payment
+   * @route POST /api/customer/quicklink/bill-shares/:shareId/pay
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  payBillShare: catchAsync(async (req, res, next) => {
+    const { payment_method } = req.body;
+
+    if (!payment_method?.type || (!payment_method.provider && !PROVIDERLESS_TYPES.includes(payment_method.type))) {
+      throw new AppError('payment_method must include type and provider', 400, 'INVALID_PAYMENT_METHOD');
+    }
+
+    const { share } = await quickLinkService.payBillShare(req.user.id, Number(req.params.shareId), payment_method);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Share payment requested',
       data: {
-        payment: Array.isArray(payment)
-          ? payment.map(p => ({
-              id: p.id,
-              amount: p.amount,
-              customer_id: p.customer_id,
-              status: p.status,
-            }))
-          : {
-              id: payment.id,
-              amount: payment.amount,
-              customer_id: payment.customer_id,
-              status: payment.status,
-            },
+        share: {
+          id: share.id,
+          amount: Number(share.amount),
+          status: share.status,
+          payment_id: share.payment_id,
+        },
       },
     });
   }),
+
+  /**
+   * Get the settlement progress of an in-dining order's bill
+   * @route GET /api/customer/quicklink/bill/:inDiningOrderId
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  getBill: catchAsync(async (req, res, next) => {
+    const { split } = await quickLinkService.getBill(req.user.id, Number(req.params.inDiningOrderId));
+
+    res.status(200).json({
+      status: 'success',
+      data: { split },
+    });
+  }),
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 // src/controllers/customer/rideController.js
 const RideBookingService = require('@services/customer/rideBookingService');
 const RideTrackingService = require('@services/customer/rideTrackingService');
+const TripTrackingService = require('@services/common/tripTrackingService');
 const catchAsync = require('@utils/catchAsync');
 const AppError = require('@utils/AppError');
 const { logger } = require('@utils/logger');
@@ -13,12 +14,23 @@ const RideController = {
       throw new AppError('Authentication required', 401);
     }
     const userId = req.user.id;
-    const { pickup, dropoff, rideType, scheduleTime } = req.body;
+    const { pickup, dropoff, rideType, scheduleTime, quoteId } = req.body;
 
-    const ride = await RideBookingService.requestRide(userId, { pickup, dropoff, rideType, scheduleTime });
+    const { ride, fare } = await RideBookingService.requestRide(userId, { pickup, dropoff, rideType, scheduleTime, quoteId });
 
     logger.info('Ride request successful', { rideId: ride.id, userId });
-    res.status(201).json({ status: 'success', data: { ride } });
+    res.status(201).json({ status: 'success', data: { ride, fare } });
+  }),
+
+  quoteRide: catchAsync(async (req, res) => {
+    const { pickup, dropoff, rideType, scheduleTime } = req.body;
+
+    const quote = await RideBookingService.quoteRide(req.user.id, { pickup, dropoff, rideType, scheduleTime });
+
+    res.status(201).json({
+      status: 'success',
+      data: { quote },
+    });
   }),
 
   processPayment: catchAsync(async (req, res) => {
@@ -64,6 +76,17 @@ const RideController = {
     res.status(200).json(trackingData); // Send full response
   }),
 
+  getRideTrail: catchAsync(async (req, res) => {
+    const { rideId } = req.params;
+
+    const trail = await TripTrackingService.getTrail('ride', rideId);
+
+    res.status(200).json({
+      status: 'success',
+      data: trail,
+    });
+  }),
+
   getRideHistory: catchAsync(async (req, res) => {
     const customerId = req.user.customerId || req.user.id; // Use customerId if available
     const { page, limit } = req.query;
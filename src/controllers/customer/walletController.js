@@ -0,0 +1,49 @@
+'use strict';
+
+const WalletService = require('@services/customer/walletService');
+const paymentService = require('@services/common/paymentService');
+const catchAsync = require('@utils/catchAsync');
+const AppError = require('@utils/AppError');
+
+class WalletController {
+  getBalance = catchAsync(async (req, res) => {
+    const balance = await WalletService.getBalance(req.user.customerId);
+    res.status(200).json({
+      status: 'success',
+      data: balance
+    });
+  });
+
+  // Starts a top-up; the balance moves once the provider settles the payment
+  topUp = catchAsync(async (req, res) => {
+    const { amount, payment_method } = req.body;
+    if (!amount || !payment_method?.type) {
+      throw new AppError('amount and payment_method.type are required', 400, 'MISSING_FIELDS');
+    }
+    const payment = await paymentService.initiateWalletTopUp({
+      customer_id: req.user.customerId,
+      amount,
+      payment_method,
+      device_id: req.headers['x-device-id'],
+    });
+    res.status(201).json({
+      status: 'success',
+      data: {
+        payment_id: payment.id,
+        amount: payment.amount,
+        status: payment.status,
+        payment_method: payment.payment_method,
+      }
+    });
+  });
+
+  getTransactions = catchAsync(async (req, res) => {
+    const history = await WalletService.getTransactions(req.user.customerId, req.query);
+    res.status(200).json({
+      status: 'success',
+      data: history
+    });
+  });
+}
+
+module.exports = new WalletController();
@@ -0,0 +1,57 @@
+// src/controllers/dispatchController.js
+const DispatchService = require('@services/common/dispatchService');
+const catchAsync = require('@utils/catchAsync');
+
+class DispatchController {
+  // Driver-facing; the driver app normally answers offers over the socket
+  listOffers = catchAsync(async (req, res) => {
+    const offers = await DispatchService.getPendingOffers(req.driver.id);
+    res.status(200).json({
+      status: 'success',
+      data: offers
+    });
+  });
+
+  acceptOffer = catchAsync(async (req, res) => {
+    const assignment = await DispatchService.acceptOffer(req.driver.id, req.params.offerId);
+    res.status(200).json({
+      status: 'success',
+      data: assignment
+    });
+  });
+
+  declineOffer = catchAsync(async (req, res) => {
+    const result = await DispatchService.declineOffer(req.driver.id, req.params.offerId, req.body.reason);
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  });
+
+  // Operations
+  dispatchOrder = catchAsync(async (req, res) => {
+    const dispatch = await DispatchService.dispatchOrder(req.params.orderId, { requested_by: req.user.id });
+    res.status(200).json({
+      status: 'success',
+      data: dispatch
+    });
+  });
+
+  getOrderDispatches = catchAsync(async (req, res) => {
+    const dispatches = await DispatchService.getOrderDispatches(req.params.orderId);
+    res.status(200).json({
+      status: 'success',
+      data: dispatches
+    });
+  });
+
+  getAnalytics = catchAsync(async (req, res) => {
+    const analytics = await DispatchService.getOfferAnalytics(req.query);
+    res.status(200).json({
+      status: 'success',
+      data: analytics
+    });
+  });
+}
+
+module.exports = new DispatchController();
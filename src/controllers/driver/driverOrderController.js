@@ -81,18 +81,29 @@ class DriverOrderController {
   }
 
   /**
-   * Complete the order delivery
+   * Complete the order delivery with the proof the merchant asks for
    */
   static async completeOrder(req, res, next) {
     return catchAsync(async (req, res, next) => {
       const { order_id } = req.params;
-      const { driver_id } = req.user; // From auth middleware
+      const driver_id = req.driver.id; // From restrictToDriver
+      const { otp, lat, lng } = req.body; // Multipart fields, alongside the photo and signature files
+      const files = req.files || {};
 
       if (!order_id) {
         throw new AppError('Order ID is required', 400, 'MISSING_FIELDS');
       }
 
-      const result = await DriverOrderService.completeOrder({ order_id, driver_id });
+      const result = await DriverOrderService.completeOrder({
+        order_id,
+        driver_id,
+        proof: {
+          otp,
+          location: lat !== undefined && lng !== undefined ? { lat, lng } : null,
+          photo: files.photo?.[0],
+          signature: files.signature?.[0],
+        },
+      });
 
       logger.info('Order completed via controller', { order_id, driver_id });
 
@@ -103,6 +114,26 @@ class DriverOrderController {
       });
     })(req, res, next);
   }
+
+  /**
+   * Send the customer a new delivery code
+   */
+  static async resendDeliveryOtp(req, res, next) {
+    return catchAsync(async (req, res, next) => {
+      const { order_id } = req.params;
+      const driver_id = req.driver.id;
+
+      const result = await DriverOrderService.resendDeliveryOtp({ order_id, driver_id });
+
+      logger.info('Delivery code resent via controller', { order_id, driver_id });
+
+      return res.status(200).json({
+        status: 'success',
+        data: result,
+        message: `Delivery code resent for order #${order_id}`,
+      });
+    })(req, res, next);
+  }
 }
 
 module.exports = DriverOrderController;
\ No newline at end of file
@@ -10,7 +10,7 @@ const AppError = require('@utils/AppError');
  */
 const DriverPaymentController = {
   /**
-   * Adds a tip to a payment and updates driver earnings.
+   * Adds a tip to a payment and credits it to the driver's earnings.
    * @route POST /api/v1/driver/payments/:paymentId/tip
    */
   addTip: catchAsync(async (req, res, next) => {
@@ -42,14 +42,14 @@ const DriverPaymentController = {
         },
         earnings: {
           driver_id: earnings.driver_id,
-          total_earned: earnings.total_earned,
+          balance: earnings.balance,
         },
       },
     });
   }),
 
   /**
-   * Retrieves a driver's total earnings.
+   * Retrieves a driver's earnings balance and payouts in progress.
    * @route GET /api/v1/driver/earnings
    */
   getEarnings: catchAsync(async (req, res, next) => {
@@ -61,46 +61,72 @@ const DriverPaymentController = {
 
     res.status(200).json({
       status: 'success',
-      data: {
-        earnings: {
-          driver_id: earnings.driver_id,
-          total_earned: earnings.total_earned,
-          updated_at: earnings.updated_at,
-        },
-      },
+      data: { earnings },
+    });
+  }),
+
+  /**
+   * Retrieves the weekly earnings statement for the week containing ?week=YYYY-MM-DD.
+   * @route GET /api/v1/driver/earnings/statement
+   */
+  getWeeklyStatement: catchAsync(async (req, res, next) => {
+    const statement = await DriverPaymentService.getWeeklyStatement(req.driver.id, req.query.week);
+
+    res.status(200).json({
+      status: 'success',
+      data: { statement },
     });
   }),
 
   /**
-   * Processes a payout request for a driver.
+   * Pays the driver's earnings out to mobile money.
    * @route POST /api/v1/driver/payout
    */
   requestPayout: catchAsync(async (req, res, next) => {
     const driverId = req.driver.id; // Assumes driver ID from auth middleware
-    const { amount } = req.body;
+    const { amount, provider, phone_number, currency } = req.body;
 
-    logger.info('Payout request received', { driverId, amount });
+    logger.info('Payout request received', { driverId, amount, provider });
 
-    if (typeof amount !== 'number' || amount <= 0) {
-      logger.warn('Invalid payout amount', { driverId, amount });
-      throw new AppError('Payout amount must be a positive number', 400);
-    }
-
-    const payout = await DriverPaymentService.processPayout(driverId, amount);
+    const payout = await DriverPaymentService.requestPayout(driverId, {
+      amount,
+      provider,
+      phone_number,
+      currency,
+    });
 
-    res.status(200).json({
+    // A rejected payout is reported through its status; the money stays on the balance
+    res.status(201).json({
       status: 'success',
       data: {
         payout: {
-          driver_id: payout.driverId,
+          id: payout.id,
+          driver_id: payout.driver_id,
           amount: payout.amount,
-          transaction_id: payout.transactionId,
+          currency: payout.currency,
+          provider: payout.provider,
+          destination: payout.destination,
           status: payout.status,
-          processed_at: payout.processedAt,
+          provider_reference: payout.provider_reference,
+          error: payout.error,
+          completed_at: payout.completed_at,
         },
       },
     });
   }),
+
+  /**
+   * Lists the driver's payouts, newest first.
+   * @route GET /api/v1/driver/payouts
+   */
+  listPayouts: catchAsync(async (req, res, next) => {
+    const payouts = await DriverPaymentService.listPayouts(req.driver.id, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: payouts,
+    });
+  }),
 };
 
 module.exports = DriverPaymentController;
\ No newline at end of file
@@ -0,0 +1,82 @@
+'use strict';
+
+const GiftCardService = require('@services/common/giftCardService');
+const pdfService = require('@services/pdfService');
+const catchAsync = require('@utils/catchAsync');
+const AppError = require('@utils/AppError');
+
+class MerchantGiftCardController {
+  getSettings = catchAsync(async (req, res) => {
+    const offer = await GiftCardService.getOffer(req.user.merchantId);
+    res.status(200).json({
+      status: 'success',
+      data: offer
+    });
+  });
+
+  updateSettings = catchAsync(async (req, res) => {
+    const settings = await GiftCardService.updateSettings(req.user.merchantId, req.body);
+    res.status(200).json({
+      status: 'success',
+      data: settings
+    });
+  });
+
+  // Issues an active card, e.g. one sold at the counter; it is sent on if a recipient is given
+  issue = catchAsync(async (req, res) => {
+    if (!req.body.amount) throw new AppError('amount is required', 400, 'MISSING_FIELDS');
+    const card = await GiftCardService.issueCard(req.user.merchantId, req.user.id, req.body);
+    res.status(201).json({
+      status: 'success',
+      data: { ...card.toJSON(), code: GiftCardService.formatCode(card.code) }
+    });
+  });
+
+  list = catchAsync(async (req, res) => {
+    const giftCards = await GiftCardService.listMerchantCards(req.user.merchantId, req.query);
+    res.status(200).json({
+      status: 'success',
+      data: giftCards
+    });
+  });
+
+  get = catchAsync(async (req, res) => {
+    const card = await GiftCardService.getMerchantCard(req.user.merchantId, req.params.giftCardId);
+    res.status(200).json({
+      status: 'success',
+      data: card
+    });
+  });
+
+  cancel = catchAsync(async (req, res) => {
+    const card = await GiftCardService.cancelCard(req.user.merchantId, req.params.giftCardId, req.user.id);
+    res.status(200).json({
+      status: 'success',
+      data: { gift_card_id: card.id, status: card.status }
+    });
+  });
+
+  downloadVoucher = catchAsync(async (req, res, next) => {
+    const card = await GiftCardService.getOwnedCard(req.params.giftCardId, { merchant_id: req.user.merchantId });
+    const filePath = await GiftCardService.generateVoucher(card);
+    res.download(filePath, `gift-card-${card.id}.pdf`, async (error) => {
+      await pdfService.cleanup(filePath);
+      if (error && !res.headersSent) next(error);
+    });
+  });
+
+  resend = catchAsync(async (req, res) => {
+    const card = await GiftCardService.getOwnedCard(req.params.giftCardId, { merchant_id: req.user.merchantId });
+    await GiftCardService.deliver(card, req.body);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        gift_card_id: card.id,
+        delivery_channel: card.delivery_channel,
+        delivered_at: card.delivered_at,
+      }
+    });
+  });
+}
+
+module.exports = new MerchantGiftCardController();
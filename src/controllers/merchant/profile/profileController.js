@@ -69,6 +69,32 @@ const profileController = {
     });
   }),
 
+  updateProofOfDeliverySettings: catchAsync(async (req, res) => {
+    const userId = req.user.id;
+    const merchant = await Merchant.findOne({ where: { user_id: userId } });
+    if (!merchant) throw new AppError('Merchant not found', 404);
+    const merchantId = merchant.id;
+    const profile = await merchantProfileService.updateProofOfDeliverySettings(merchantId, req.body.proofOfDeliverySettings);
+    res.status(200).json({
+      status: 'success',
+      message: 'Proof of delivery settings updated successfully',
+      data: profile
+    });
+  }),
+
+  updateCancellationPolicy: catchAsync(async (req, res) => {
+    const userId = req.user.id;
+    const merchant = await Merchant.findOne({ where: { user_id: userId } });
+    if (!merchant) throw new AppError('Merchant not found', 404);
+    const merchantId = merchant.id;
+    const profile = await merchantProfileService.updateCancellationPolicy(merchantId, req.body.cancellationPolicy);
+    res.status(200).json({
+      status: 'success',
+      message: 'Cancellation policy updated successfully',
+      data: profile
+    });
+  }),
+
   createBranch: catchAsync(async (req, res) => {
     const userId = req.user.id;
     const merchant = await Merchant.findOne({ where: { user_id: userId } });
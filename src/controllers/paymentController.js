@@ -3,6 +3,8 @@ const { logTransactionEvent } = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
 const paymentService = require('../services/common/paymentService');
+const riskAssessmentService = require('../services/common/riskAssessmentService');
+const webhookService = require('../services/common/webhookService');
 const catchAsync = require('../utils/catchAsync');
 
 // Helper function: Export Transaction Report
@@ -27,7 +29,10 @@ async function exportTransactionReport(startDate, endDate) {
 class PaymentController {
   // Payment Initiation Controllers
   initiateMobileMoneyPayment = catchAsync(async (req, res) => {
-    const payment = await paymentService.initiateMobileMoneyPayment(req.body);
+    const payment = await paymentService.initiateMobileMoneyPayment({
+      ...req.body,
+      device_id: req.headers['x-device-id']
+    });
     res.status(201).json({
       status: 'success',
       data: payment
@@ -35,7 +40,10 @@ class PaymentController {
   });
 
   initiateBankCardPayment = catchAsync(async (req, res) => {
-    const payment = await paymentService.initiateBankCardPayment(req.body);
+    const payment = await paymentService.initiateBankCardPayment({
+      ...req.body,
+      device_id: req.headers['x-device-id']
+    });
     res.status(201).json({
       status: 'success',
       data: payment
@@ -56,7 +64,10 @@ class PaymentController {
     const { provider } = req.params;
     const webhookData = req.body;
 
-    const result = await paymentService.handleWebhook(provider, webhookData);
+    // Each provider event is applied once; redeliveries are acknowledged as duplicates
+    const result = await webhookService.processEvent(req.webhook, webhookData, () =>
+      paymentService.handleWebhook(provider, webhookData)
+    );
 
     res.status(200).json({
       status: 'success',
@@ -65,6 +76,18 @@ class PaymentController {
     });
   });
 
+  // Mobile-money provider callback handler
+  handleProviderCallback = catchAsync(async (req, res) => {
+    const result = await webhookService.processEvent(req.webhook, req.body, () =>
+      paymentService.handleProviderCallback(req.params.provider, req.body)
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  });
+
   // Transaction Report Export Controller
   exportTransactionReport = catchAsync(async (req, res) => {
     const { startDate, endDate } = req.query;
@@ -120,48 +143,80 @@ class PaymentController {
     });
   });
 
+  getReviewQueue = catchAsync(async (req, res) => {
+    const queue = await paymentService.getReviewQueue(req.query);
+    res.status(200).json({
+      status: 'success',
+      data: queue
+    });
+  });
+
   approveHighRiskPayment = catchAsync(async (req, res) => {
     const { paymentId } = req.params;
     const { reason, notes } = req.body;
-    const result = await paymentService.updatePaymentStatus(paymentId, 'verified', {
-      approved_by: req.user.id,
-      approval_reason: reason,
-      approval_notes: notes,
-      approval_time: new Date()
-    });
-    logTransactionEvent('High-risk payment approved', {
-      payment_id: paymentId,
-      approved_by: req.user.id,
-      reason,
-      notes
-    });
+    const result = await paymentService.reviewPayment(paymentId, req.user.id, 'approve', { reason, notes });
     res.status(200).json({
       status: 'success',
       data: result
     });
   });
 
-  rejectHighRiskPayment = catchAsync(async (req, res) => {
+  declineHighRiskPayment = catchAsync(async (req, res) => {
     const { paymentId } = req.params;
     const { reason, notes } = req.body;
-    const result = await paymentService.updatePaymentStatus(paymentId, 'rejected', {
-      rejected_by: req.user.id,
-      rejection_reason: reason,
-      rejection_notes: notes,
-      rejection_time: new Date()
+    const result = await paymentService.reviewPayment(paymentId, req.user.id, 'decline', { reason, notes });
+    res.status(200).json({
+      status: 'success',
+      data: result
     });
-    logTransactionEvent('High-risk payment rejected', {
-      payment_id: paymentId,
-      rejected_by: req.user.id,
-      reason,
-      notes
+  });
+
+  // Risk rules and blocklist
+  listRiskRules = catchAsync(async (req, res) => {
+    const rules = await riskAssessmentService.listRules(req.query);
+    res.status(200).json({
+      status: 'success',
+      data: rules
+    });
+  });
+
+  createRiskRule = catchAsync(async (req, res) => {
+    const rule = await riskAssessmentService.createRule(req.body);
+    res.status(201).json({
+      status: 'success',
+      data: rule
     });
+  });
+
+  updateRiskRule = catchAsync(async (req, res) => {
+    const rule = await riskAssessmentService.updateRule(req.params.ruleId, req.body);
     res.status(200).json({
       status: 'success',
-      data: result
+      data: rule
+    });
+  });
+
+  listBlocklist = catchAsync(async (req, res) => {
+    const entries = await riskAssessmentService.listBlocklist(req.query);
+    res.status(200).json({
+      status: 'success',
+      data: entries
+    });
+  });
+
+  addToBlocklist = catchAsync(async (req, res) => {
+    const entry = await riskAssessmentService.addToBlocklist(req.body, req.user.id);
+    res.status(201).json({
+      status: 'success',
+      data: entry
     });
   });
 
+  removeFromBlocklist = catchAsync(async (req, res) => {
+    await riskAssessmentService.removeFromBlocklist(req.params.entryId);
+    res.status(204).send();
+  });
+
   getAnomalyReport = catchAsync(async (req, res) => {
     const { startDate, endDate, threshold = 50 } = req.query;
     const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // Default to last 30 days
@@ -199,14 +254,23 @@ class PaymentController {
   
   processRefund = catchAsync(async (req, res) => {
     const { paymentId, action } = req.params;
-    const { notes } = req.body;
-    const result = await paymentService.processRefund(paymentId, req.user.id, action, notes);
+    const { notes, refund_id } = req.body;
+    const result = await paymentService.processRefund(paymentId, req.user.id, action, notes, refund_id);
     
     res.status(200).json({
       status: 'success',
       data: result
     });
   });
+
+  getRefunds = catchAsync(async (req, res) => {
+    const result = await paymentService.getRefunds(req.params.paymentId);
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  });
   
   addTip = catchAsync(async (req, res) => {
     const { paymentId } = req.params;
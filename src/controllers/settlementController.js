@@ -0,0 +1,132 @@
+// src/controllers/settlementController.js
+const path = require('path');
+const SettlementService = require('@services/common/settlementService');
+const DriverPaymentService = require('@services/driver/driverPaymentService');
+const excelService = require('@services/common/excelService');
+const catchAsync = require('@utils/catchAsync');
+
+// Streams a statement file and removes it once sent
+const sendStatementFile = (res, filePath, next) => {
+  res.download(filePath, path.basename(filePath), async (error) => {
+    await excelService.cleanup(filePath);
+    if (error && !res.headersSent) next(error);
+  });
+};
+
+class SettlementController {
+  // Merchant-facing
+  getBalance = catchAsync(async (req, res) => {
+    const balance = await SettlementService.getMerchantBalance(req.user.merchantId);
+    res.status(200).json({
+      status: 'success',
+      data: balance
+    });
+  });
+
+  getStatement = catchAsync(async (req, res) => {
+    const statement = await SettlementService.getStatement(req.user.merchantId, req.query);
+    res.status(200).json({
+      status: 'success',
+      data: statement
+    });
+  });
+
+  downloadStatement = catchAsync(async (req, res, next) => {
+    const { filePath } = await SettlementService.generateStatementFile(req.user.merchantId, req.query);
+    sendStatementFile(res, filePath, next);
+  });
+
+  listPayouts = catchAsync(async (req, res) => {
+    const payouts = await SettlementService.listPayouts(req.user.merchantId, req.query);
+    res.status(200).json({
+      status: 'success',
+      data: payouts
+    });
+  });
+
+  updatePayoutSettings = catchAsync(async (req, res) => {
+    const settings = await SettlementService.updatePayoutSettings(req.user.merchantId, req.body);
+    res.status(200).json({
+      status: 'success',
+      data: settings
+    });
+  });
+
+  // Admin-facing
+  runPayoutBatch = catchAsync(async (req, res) => {
+    const batch = await SettlementService.runPayoutBatch({ triggered_by: req.user.id });
+    res.status(201).json({
+      status: 'success',
+      data: batch
+    });
+  });
+
+  listPayoutBatches = catchAsync(async (req, res) => {
+    const batches = await SettlementService.listPayoutBatches(req.query);
+    res.status(200).json({
+      status: 'success',
+      data: batches
+    });
+  });
+
+  setCommissionRate = catchAsync(async (req, res) => {
+    const result = await SettlementService.setCommissionRate(req.params.merchantId, req.body.commission_rate ?? null);
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  });
+
+  recordChargeback = catchAsync(async (req, res) => {
+    const { payment_id, amount, reason } = req.body;
+    const chargeback = await SettlementService.recordChargeback({
+      payment_id,
+      amount,
+      reason,
+      recorded_by: req.user.id
+    });
+    res.status(201).json({
+      status: 'success',
+      data: chargeback
+    });
+  });
+
+  getMerchantStatement = catchAsync(async (req, res) => {
+    const statement = await SettlementService.getStatement(req.params.merchantId, req.query);
+    res.status(200).json({
+      status: 'success',
+      data: statement
+    });
+  });
+
+  downloadMerchantStatement = catchAsync(async (req, res, next) => {
+    const { filePath } = await SettlementService.generateStatementFile(req.params.merchantId, req.query);
+    sendStatementFile(res, filePath, next);
+  });
+
+  addDriverAdjustment = catchAsync(async (req, res) => {
+    const { type, amount, currency, reason } = req.body;
+    const adjustment = await DriverPaymentService.addAdjustment({
+      driver_id: req.params.driverId,
+      type,
+      amount,
+      currency,
+      reason,
+      created_by: req.user.id
+    });
+    res.status(201).json({
+      status: 'success',
+      data: adjustment
+    });
+  });
+
+  getDriverStatement = catchAsync(async (req, res) => {
+    const statement = await DriverPaymentService.getWeeklyStatement(req.params.driverId, req.query.week);
+    res.status(200).json({
+      status: 'success',
+      data: statement
+    });
+  });
+}
+
+module.exports = new SettlementController();
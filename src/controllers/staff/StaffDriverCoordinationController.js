@@ -18,8 +18,8 @@ class StaffDriverCoordinationController {
         throw new AppError('Order ID is required', 400, 'MISSING_ORDER_ID');
       }
 
-      const order = await this.service.assignDriver(staffId, orderId, driverId);
-      logger.info(`Driver assigned to order ${orderId} by staff ${staffId}`, { driverId });
+      const { order, dispatch } = await this.service.assignDriver(staffId, orderId, driverId);
+      logger.info(`Driver assignment for order ${orderId} handled by staff ${staffId}`, { driverId });
 
       res.status(200).json({
         status: 'success',
@@ -30,6 +30,7 @@ class StaffDriverCoordinationController {
             driverId: order.driver_id,
             status: order.status,
           },
+          dispatch,
         },
       });
     } catch (error) {
@@ -141,6 +142,55 @@ class StaffDriverCoordinationController {
       next(error);
     }
   }
+
+  async getDeliveryProof(req, res, next) {
+    try {
+      const { staffId } = req.user;
+      const { orderId } = req.params;
+
+      const proof = await this.service.getDeliveryProof(staffId, orderId);
+      logger.info(`Delivery proof for order ${orderId} viewed by staff ${staffId}`);
+
+      res.status(200).json({
+        status: 'success',
+        data: proof,
+      });
+    } catch (error) {
+      logger.error('Error in getDeliveryProof controller', { error: error.message });
+      next(error);
+    }
+  }
+
+  async getDeliveryProofImage(req, res, next) {
+    try {
+      const { staffId } = req.user;
+      const { orderId, kind } = req.params;
+
+      const filePath = await this.service.getDeliveryProofImage(staffId, orderId, kind);
+      res.sendFile(filePath, (error) => {
+        if (error) next(new AppError(`The ${kind} file is missing`, 404, 'PROOF_IMAGE_NOT_FOUND'));
+      });
+    } catch (error) {
+      logger.error('Error in getDeliveryProofImage controller', { error: error.message });
+      next(error);
+    }
+  }
+
+  async getDeliveryTrail(req, res, next) {
+    try {
+      const { staffId } = req.user;
+      const { orderId } = req.params;
+
+      const trail = await this.service.getDeliveryTrail(staffId, orderId);
+      res.status(200).json({
+        status: 'success',
+        data: trail,
+      });
+    } catch (error) {
+      logger.error('Error in getDeliveryTrail controller', { error: error.message });
+      next(error);
+    }
+  }
 }
 
 module.exports = StaffDriverCoordinationController;
\ No newline at end of file
@@ -43,16 +43,46 @@ class StaffCustomerController {
   async processBill(req, res, next) {
     try {
       const { orderId } = req.params;
-      const { paymentMethod, splitWith } = req.body;
+      const { paymentMethod, splitWith, splitMode, amount, items } = req.body;
       const staffId = req.user.staffId;
       if (!paymentMethod || !paymentMethod.type || !paymentMethod.provider) {
         throw new AppError('Valid payment method is required', 400, 'INVALID_PAYMENT_METHOD');
       }
-      const order = await this.service.processBill(orderId, staffId, paymentMethod, splitWith);
+      const split = await this.service.processBill(orderId, staffId, paymentMethod, splitWith, {
+        mode: splitMode,
+        amount,
+        items,
+      });
       logger.info('Staff processed bill', { orderId, staffId });
       res.status(200).json({
         status: 'success',
-        data: { order },
+        data: { split },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getBillProgress(req, res, next) {
+    try {
+      const split = await this.service.getBillProgress(req.params.orderId);
+      res.status(200).json({
+        status: 'success',
+        data: { split },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async cancelBillSplit(req, res, next) {
+    try {
+      const { orderId } = req.params;
+      const split = await this.service.cancelBillSplit(orderId, req.user.staffId);
+      logger.info('Staff cancelled bill split', { orderId, staffId: req.user.staffId });
+      res.status(200).json({
+        status: 'success',
+        data: { split },
       });
     } catch (error) {
       next(error);
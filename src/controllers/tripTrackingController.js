@@ -0,0 +1,16 @@
+// src/controllers/tripTrackingController.js
+const TripTrackingService = require('@services/common/tripTrackingService');
+const catchAsync = require('@utils/catchAsync');
+
+class TripTrackingController {
+  // Replay of any delivery or ride, with the distance driven against the planned route
+  getTrail = catchAsync(async (req, res) => {
+    const trail = await TripTrackingService.getTrail(req.params.tripType, req.params.tripId);
+    res.status(200).json({
+      status: 'success',
+      data: trail
+    });
+  });
+}
+
+module.exports = new TripTrackingController();
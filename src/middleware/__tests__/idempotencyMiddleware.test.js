@@ -0,0 +1,287 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { UniqueConstraintError } = require('sequelize');
+
+jest.mock('@models', () => ({
+  IdempotencyKey: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    destroy: jest.fn(),
+  },
+}));
+jest.mock('@utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { IdempotencyKey } = require('@models');
+const { idempotency } = require('@middleware/idempotencyMiddleware');
+
+// Keys held in memory, with the unique (key, user_id, scope) index of the table
+let keys;
+const indexOf = ({ key, user_id, scope }) => `${key}|${user_id}|${scope}`;
+
+const storeKey = fields => {
+  const record = {
+    id: keys.size + 1,
+    status: 'processing',
+    created_at: new Date(),
+    ...fields,
+    isExpired() {
+      return this.expires_at <= new Date();
+    },
+    set(field, value) {
+      this[field] = value;
+    },
+    update: jest.fn(async function update(changes) {
+      Object.assign(this, changes);
+      return this;
+    }),
+    destroy: jest.fn(async function destroy() {
+      keys.delete(indexOf(this));
+    }),
+  };
+  keys.set(indexOf(record), record);
+  return record;
+};
+
+const makeRequest = ({ key = 'key-1', body = {}, userId = 1 } = {}) => ({
+  method: 'POST',
+  baseUrl: '/api/orders',
+  route: { path: '/checkout' },
+  path: '/checkout',
+  params: {},
+  body,
+  user: { id: userId },
+  get: header => (header === 'Idempotency-Key' ? key : undefined),
+});
+
+const makeResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.writableFinished = false;
+  res.set = jest.fn();
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  res.finish = () => {
+    res.writableFinished = true;
+    res.emit('finish');
+  };
+  return res;
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Runs a request through the middleware and, when it reaches the route, answers
+ * with the given status and body
+ */
+const send = async (
+  options = {},
+  answer = { status: 201, body: { id: 1 } }
+) => {
+  const req = makeRequest(options);
+  const res = makeResponse();
+  const next = jest.fn();
+  await idempotency(options.middleware)(req, res, next);
+  if (next.mock.calls.length && !next.mock.calls[0][0] && answer) {
+    res.status(answer.status).json(answer.body);
+    res.finish();
+    await flush();
+  }
+  return { req, res, next };
+};
+
+describe('idempotency middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    keys = new Map();
+    IdempotencyKey.findOne.mockImplementation(
+      async ({ where }) => keys.get(indexOf(where)) || null
+    );
+    IdempotencyKey.create.mockImplementation(async fields => {
+      if (keys.has(indexOf(fields))) throw new UniqueConstraintError({});
+      return storeKey(fields);
+    });
+    IdempotencyKey.update.mockImplementation(async (changes, { where }) => {
+      const record = [...keys.values()].find(
+        row =>
+          row.id === where.id &&
+          row.status === where.status &&
+          row.claimed_at === where.claimed_at
+      );
+      if (!record) return [0];
+      Object.assign(record, changes);
+      return [1];
+    });
+  });
+
+  it('lets requests without a key through', async () => {
+    const req = makeRequest();
+    req.get = () => undefined;
+    const next = jest.fn();
+
+    await idempotency()(req, makeResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(IdempotencyKey.findOne).not.toHaveBeenCalled();
+  });
+
+  it('requires a key when the route asks for one', async () => {
+    const req = makeRequest();
+    req.get = () => undefined;
+    const next = jest.fn();
+
+    await idempotency({ required: true })(req, makeResponse(), next);
+
+    expect(next.mock.calls[0][0]).toMatchObject({
+      statusCode: 400,
+      errorCode: 'IDEMPOTENCY_KEY_REQUIRED',
+    });
+  });
+
+  it('replays the stored response for a repeated request', async () => {
+    const first = await send({ body: { total: 10 } });
+    expect(first.next).toHaveBeenCalledTimes(1);
+    expect(
+      keys.get(
+        indexOf({
+          key: 'key-1',
+          user_id: 1,
+          scope: 'POST /api/orders/checkout',
+        })
+      )
+    ).toMatchObject({
+      status: 'completed',
+      response_status: 201,
+      response_body: { id: 1 },
+    });
+
+    const replay = await send({ body: { total: 10 } });
+
+    expect(replay.next).not.toHaveBeenCalled();
+    expect(replay.res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(replay.res.statusCode).toBe(201);
+    expect(replay.res.body).toEqual({ id: 1 });
+  });
+
+  it('treats bodies with the same fields in another order as the same request', async () => {
+    await send({ body: { total: 10, items: [{ id: 2, quantity: 1 }] } });
+
+    const replay = await send({
+      body: { items: [{ quantity: 1, id: 2 }], total: 10 },
+    });
+
+    expect(replay.next).not.toHaveBeenCalled();
+    expect(replay.res.body).toEqual({ id: 1 });
+  });
+
+  it('rejects a key reused with a different request', async () => {
+    await send({ body: { total: 10 } });
+
+    const reused = await send({ body: { total: 99 } });
+
+    expect(reused.next.mock.calls[0][0]).toMatchObject({
+      statusCode: 409,
+      errorCode: 'IDEMPOTENCY_KEY_REUSED',
+    });
+  });
+
+  it('rejects a repeat while the first request is still running', async () => {
+    await send({}, null);
+
+    const repeat = await send();
+
+    expect(repeat.next.mock.calls[0][0]).toMatchObject({
+      statusCode: 409,
+      errorCode: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+    });
+  });
+
+  it('answers a request that lost the race to create the key like a repeat', async () => {
+    IdempotencyKey.findOne
+      .mockResolvedValueOnce(null)
+      .mockImplementation(
+        async ({ where }) => keys.get(indexOf(where)) || null
+      );
+    storeKey({
+      key: 'key-1',
+      user_id: 1,
+      scope: 'POST /api/orders/checkout',
+      request_hash: 'other',
+      expires_at: new Date(Date.now() + 60000),
+    });
+
+    const { next } = await send();
+
+    expect(next.mock.calls[0][0]).toMatchObject({
+      errorCode: 'IDEMPOTENCY_KEY_REUSED',
+    });
+  });
+
+  it('scopes keys to the user who sent them', async () => {
+    await send({ userId: 1 });
+
+    const other = await send({ userId: 2 });
+
+    expect(other.next).toHaveBeenCalledWith();
+    expect(keys.size).toBe(2);
+  });
+
+  it('does not store server errors, so the request can be retried', async () => {
+    await send({}, { status: 500, body: { error: 'Database unavailable' } });
+    expect(keys.size).toBe(0);
+
+    const retry = await send();
+
+    expect(retry.next).toHaveBeenCalledWith();
+    expect(retry.res.body).toEqual({ id: 1 });
+  });
+
+  it('runs the request again once the stored response has expired', async () => {
+    await send();
+    [...keys.values()][0].expires_at = new Date(Date.now() - 1000);
+
+    const again = await send({}, { status: 201, body: { id: 2 } });
+
+    expect(again.next).toHaveBeenCalledWith();
+    expect([...keys.values()][0].response_body).toEqual({ id: 2 });
+  });
+
+  it('lets a retry take over a key left processing past the timeout', async () => {
+    await send({}, null);
+    const record = [...keys.values()][0];
+
+    const early = await send({ middleware: { processingTimeoutSeconds: 60 } });
+    expect(early.next.mock.calls[0][0]).toMatchObject({
+      errorCode: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+    });
+
+    record.claimed_at = new Date(Date.now() - 61 * 1000);
+    const retry = await send({ middleware: { processingTimeoutSeconds: 60 } });
+
+    expect(retry.next).toHaveBeenCalledWith();
+    expect(record).toMatchObject({ status: 'completed', response_status: 201 });
+  });
+
+  it('stores the answer of a request whose client disconnected first', async () => {
+    const { res, next } = await send({}, null);
+    expect(next).toHaveBeenCalledWith();
+
+    res.emit('close');
+    res.status(201).json({ id: 1 });
+    await flush();
+
+    expect([...keys.values()][0]).toMatchObject({
+      status: 'completed',
+      response_body: { id: 1 },
+    });
+  });
+});
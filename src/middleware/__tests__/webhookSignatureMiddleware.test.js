@@ -0,0 +1,171 @@
+'use strict';
+
+jest.mock('@config/config', () => ({
+  payments: {
+    mode: 'live',
+    webhooks: {
+      toleranceSeconds: 300,
+      secrets: { airtel: ['current-secret', 'old-secret'], mpesa: [] },
+    },
+  },
+}));
+jest.mock('@utils/logger', () => ({ logSecurityEvent: jest.fn() }));
+
+const config = require('@config/config');
+const { logSecurityEvent } = require('@utils/logger');
+const { signWebhookPayload } = require('@utils/webhookSignature');
+const {
+  verifyWebhookSignature,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  EVENT_ID_HEADER,
+} = require('@middleware/webhookSignatureMiddleware');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const makeRequest = ({ provider = 'airtel', body, headers = {} }) => {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return {
+    params: { provider },
+    body,
+    rawBody,
+    ip: '10.0.0.1',
+    get: header => headers[header],
+  };
+};
+
+const signedRequest = ({
+  secret = 'current-secret',
+  timestamp = now(),
+  body = { payment_id: 'TX1', status: 'SUCCESS' },
+  headers = {},
+} = {}) =>
+  makeRequest({
+    body,
+    headers: {
+      [SIGNATURE_HEADER]: signWebhookPayload(
+        secret,
+        timestamp,
+        JSON.stringify(body)
+      ),
+      [TIMESTAMP_HEADER]: String(timestamp),
+      ...headers,
+    },
+  });
+
+const verify = req => {
+  const next = jest.fn();
+  verifyWebhookSignature()(req, {}, next);
+  return next;
+};
+
+describe('webhook signature middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.payments.mode = 'live';
+  });
+
+  it('accepts a webhook signed with the current secret', () => {
+    const req = signedRequest({ headers: { [EVENT_ID_HEADER]: 'evt-1' } });
+
+    const next = verify(req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.webhook).toEqual({
+      provider: 'airtel',
+      eventId: 'evt-1',
+      verified: true,
+    });
+  });
+
+  it('accepts a signature prefixed with its algorithm', () => {
+    const req = signedRequest();
+    const signature = req.get(SIGNATURE_HEADER);
+    const headers = {
+      [SIGNATURE_HEADER]: `sha256=${signature}`,
+      [TIMESTAMP_HEADER]: req.get(TIMESTAMP_HEADER),
+    };
+    req.get = header => headers[header];
+
+    expect(verify(req)).toHaveBeenCalledWith();
+  });
+
+  it('keeps accepting a rotated-out secret until it is removed', () => {
+    expect(
+      verify(signedRequest({ secret: 'old-secret' }))
+    ).toHaveBeenCalledWith();
+  });
+
+  it('rejects a signature made with an unknown secret', () => {
+    const next = verify(signedRequest({ secret: 'guessed-secret' }));
+
+    expect(next.mock.calls[0][0]).toMatchObject({
+      statusCode: 401,
+      errorCode: 'WEBHOOK_SIGNATURE_INVALID',
+    });
+    expect(logSecurityEvent).toHaveBeenCalled();
+  });
+
+  it('rejects a body changed after signing', () => {
+    const req = signedRequest();
+    req.rawBody = Buffer.from(
+      JSON.stringify({ payment_id: 'TX1', status: 'FAILED' })
+    );
+
+    expect(verify(req).mock.calls[0][0]).toMatchObject({
+      errorCode: 'WEBHOOK_SIGNATURE_INVALID',
+    });
+  });
+
+  it('rejects an unsigned webhook', () => {
+    const next = verify(makeRequest({ body: { status: 'SUCCESS' } }));
+
+    expect(next.mock.calls[0][0]).toMatchObject({
+      statusCode: 401,
+      errorCode: 'WEBHOOK_SIGNATURE_MISSING',
+    });
+  });
+
+  it('rejects a replay outside the timestamp window', () => {
+    const next = verify(signedRequest({ timestamp: now() - 301 }));
+
+    expect(next.mock.calls[0][0]).toMatchObject({
+      statusCode: 401,
+      errorCode: 'WEBHOOK_TIMESTAMP_INVALID',
+    });
+  });
+
+  it('rejects a provider it has no configuration for', () => {
+    const req = signedRequest();
+    req.params.provider = 'unknown';
+
+    expect(verify(req).mock.calls[0][0]).toMatchObject({
+      statusCode: 400,
+      errorCode: 'UNSUPPORTED_PROVIDER',
+    });
+  });
+
+  it('only accepts unsigned webhooks from a provider without secrets in sandbox mode', () => {
+    const live = verify(makeRequest({ provider: 'mpesa', body: {} }));
+    expect(live.mock.calls[0][0]).toMatchObject({
+      statusCode: 503,
+      errorCode: 'WEBHOOK_NOT_CONFIGURED',
+    });
+
+    config.payments.mode = 'sandbox';
+    const req = makeRequest({ provider: 'mpesa', body: {} });
+    expect(verify(req)).toHaveBeenCalledWith();
+    expect(req.webhook.verified).toBe(false);
+  });
+
+  it('identifies an event without an ID by its body', () => {
+    const first = signedRequest();
+    const redelivery = signedRequest();
+    const other = signedRequest({ body: { payment_id: 'TX2' } });
+
+    [first, redelivery, other].forEach(verify);
+
+    expect(first.webhook.eventId).toBe(redelivery.webhook.eventId);
+    expect(first.webhook.eventId).not.toBe(other.webhook.eventId);
+  });
+});
@@ -118,6 +118,21 @@ const cartMiddleware = {
     },
   ],
 
+  /**
+   * Validates input for applying a coupon
+   */
+  validateApplyCoupon: [
+    body('code').isString().trim().notEmpty().withMessage('Coupon code is required'),
+    (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn('Validation failed for applyCoupon', { errors: errors.array() });
+        return next(new AppError('Validation failed', 400, null, errors.array()));
+      }
+      next();
+    },
+  ],
+
   /**
    * No additional validation needed for clearCart beyond authentication
    */
@@ -138,13 +138,19 @@ const DriverPaymentMiddleware = {
    * Validates payout request body.
    */
   validatePayoutRequest: (req, res, next) => {
-    const { amount } = req.body;
+    const { amount, provider } = req.body;
 
-    if (!amount || typeof amount !== 'number' || amount <= 0) {
+    // Without an amount the whole balance is paid out
+    if (amount !== undefined && (typeof amount !== 'number' || amount <= 0)) {
       logger.warn('Invalid payout amount', { amount });
       return next(new AppError('Payout amount must be a positive number', 400));
     }
 
+    if (!provider) {
+      logger.warn('Payout request missing provider', { body: req.body });
+      return next(new AppError('A mobile-money provider is required', 400));
+    }
+
     next();
   },
 
@@ -0,0 +1,185 @@
+// src/middleware/idempotencyMiddleware.js
+'use strict';
+
+const crypto = require('crypto');
+const { UniqueConstraintError, Op } = require('sequelize');
+const { IdempotencyKey } = require('@models');
+const AppError = require('@utils/AppError');
+const { logger } = require('@utils/logger');
+
+const HEADER = 'Idempotency-Key';
+const DEFAULT_TTL_HOURS = 24;
+// A request still processing after this long is taken to have crashed, and a retry can take its key over
+const DEFAULT_PROCESSING_TIMEOUT_SECONDS = 120;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serializes a value with object keys sorted, so equal bodies hash equally
+ * regardless of key order
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequest = (req) =>
+  crypto.createHash('sha256').update(canonicalize({ params: req.params, body: req.body || {} })).digest('hex');
+
+/**
+ * Replays or rejects a request whose key has already been used
+ */
+const handleExistingKey = (record, requestHash, res, next) => {
+  if (record.request_hash !== requestHash) {
+    return next(new AppError(
+      'Idempotency key was already used with a different request',
+      409,
+      'IDEMPOTENCY_KEY_REUSED'
+    ));
+  }
+  if (record.status === 'processing') {
+    return next(new AppError(
+      'A request with this idempotency key is still being processed',
+      409,
+      'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+    ));
+  }
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.response_status).json(record.response_body);
+};
+
+const isAbandoned = (record, requestHash, timeoutSeconds) =>
+  record.status === 'processing' &&
+  record.request_hash === requestHash &&
+  Date.now() - new Date(record.claimed_at || record.created_at).getTime() > timeoutSeconds * 1000;
+
+/**
+ * Takes over a key whose request never finished. The update is conditional on the
+ * claim read, so only one retry gets it.
+ */
+const reclaimKey = async (record) => {
+  const claimedAt = new Date();
+  const [updatedCount] = await IdempotencyKey.update(
+    { claimed_at: claimedAt },
+    { where: { id: record.id, status: 'processing', claimed_at: record.claimed_at } }
+  );
+  if (updatedCount === 0) return null;
+  logger.warn('Retrying abandoned idempotent request', { key: record.key, scope: record.scope });
+  record.set('claimed_at', claimedAt);
+  return record;
+};
+
+/**
+ * Makes a route safe to retry. When the request carries an Idempotency-Key header,
+ * the first response is stored for the TTL and returned for replays of the same
+ * request; reusing the key with a different body is rejected with 409.
+ * Server errors are not stored, so the client can retry with the same key, and a
+ * request that never finished frees its key after the processing timeout.
+ * @param {Object} [options]
+ * @param {number} [options.ttlHours=24] - How long a stored response is replayed
+ * @param {number} [options.processingTimeoutSeconds=120] - When an unfinished request's key can be taken over
+ * @param {boolean} [options.required=false] - Reject requests without the header
+ * @returns {Function} Express middleware
+ */
+const idempotency = ({
+  ttlHours = DEFAULT_TTL_HOURS,
+  processingTimeoutSeconds = DEFAULT_PROCESSING_TIMEOUT_SECONDS,
+  required = false,
+} = {}) => async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (!key) {
+    return required
+      ? next(new AppError(`${HEADER} header is required`, 400, 'IDEMPOTENCY_KEY_REQUIRED'))
+      : next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return next(new AppError(`${HEADER} must be at most ${MAX_KEY_LENGTH} characters`, 400, 'INVALID_IDEMPOTENCY_KEY'));
+  }
+
+  const where = {
+    key,
+    user_id: req.user?.id || null,
+    scope: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+  };
+  const requestHash = hashRequest(req);
+
+  try {
+    let record;
+    const existing = await IdempotencyKey.findOne({ where });
+    if (existing && !existing.isExpired()) {
+      if (!isAbandoned(existing, requestHash, processingTimeoutSeconds)) {
+        return handleExistingKey(existing, requestHash, res, next);
+      }
+      record = await reclaimKey(existing);
+      // Another retry took it over first
+      if (!record) return handleExistingKey(existing, requestHash, res, next);
+    } else {
+      if (existing) await existing.destroy();
+      try {
+        record = await IdempotencyKey.create({
+          ...where,
+          request_hash: requestHash,
+          claimed_at: new Date(),
+          expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+        });
+      } catch (error) {
+        // A concurrent request with the same key got there first
+        if (error instanceof UniqueConstraintError) {
+          const winner = await IdempotencyKey.findOne({ where });
+          if (winner) return handleExistingKey(winner, requestHash, res, next);
+        }
+        throw error;
+      }
+    }
+
+    let responseBody;
+    let settled = false;
+    let disconnected = false;
+    const settle = () => {
+      if (settled) return;
+      settled = true;
+      const saveResult = res.statusCode >= 500 || responseBody === undefined
+        ? record.destroy()
+        : record.update({ status: 'completed', response_status: res.statusCode, response_body: responseBody });
+      saveResult.catch((error) =>
+        logger.error('Failed to store idempotent response', { key, scope: where.scope, error: error.message })
+      );
+    };
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      const result = originalJson(body);
+      // Nothing is left to finish once the client has gone, so the answer is stored here
+      if (disconnected) settle();
+      return result;
+    };
+
+    res.on('finish', settle);
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      disconnected = true;
+      // The handler may still be running; the key is settled when it answers, or
+      // taken over by a retry after the processing timeout if it never does
+      if (responseBody !== undefined) settle();
+    });
+
+    next();
+  } catch (error) {
+    logger.error('Idempotency check failed', { key, scope: where.scope, error: error.message });
+    next(error instanceof AppError ? error : new AppError('Failed to process idempotency key', 500));
+  }
+};
+
+/**
+ * Deletes stored responses whose TTL has passed
+ * @returns {Promise<number>} Number of keys removed
+ */
+const purgeExpiredKeys = () => IdempotencyKey.destroy({ where: { expires_at: { [Op.lte]: new Date() } } });
+
+module.exports = { idempotency, purgeExpiredKeys };
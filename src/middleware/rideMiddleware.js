@@ -68,6 +68,17 @@ const RideMiddleware = {
   }),
 
   validateRideRequest: catchAsync(async (req, res, next) => {
+    const { quoteId } = req.body;
+
+    // A quoted ride is booked with the details it was quoted for
+    if (quoteId === undefined) return RideMiddleware.validateRideQuote(req, res, next);
+    if (!Number.isInteger(Number(quoteId)) || Number(quoteId) <= 0) {
+      throw new AppError('Quote ID must be a positive integer', 400);
+    }
+    return next();
+  }),
+
+  validateRideQuote: catchAsync(async (req, res, next) => {
     const { pickup, dropoff, rideType, scheduleTime } = req.body;
 
     if (!pickup || !dropoff || !rideType) {
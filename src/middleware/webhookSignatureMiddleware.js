@@ -0,0 +1,76 @@
+// src/middleware/webhookSignatureMiddleware.js
+'use strict';
+
+const crypto = require('crypto');
+const config = require('@config/config');
+const AppError = require('@utils/AppError');
+const { logSecurityEvent } = require('@utils/logger');
+const { isValidWebhookSignature } = require('@utils/webhookSignature');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const EVENT_ID_HEADER = 'X-Webhook-Event-Id';
+
+/**
+ * Provider event ID from the header or body; without one, identical deliveries
+ * are recognised by a hash of the raw body
+ */
+const resolveEventId = (req, rawBody) =>
+  req.get(EVENT_ID_HEADER) ||
+  req.body?.event_id ||
+  crypto.createHash('sha256').update(rawBody).digest('hex');
+
+/**
+ * Rejects provider webhooks that are unsigned, signed with an unknown secret or
+ * sent outside the timestamp window. Verified requests get req.webhook
+ * ({ provider, eventId, verified }) for the event store.
+ * Providers without secrets are only accepted unsigned in sandbox mode.
+ * @returns {Function} Express middleware
+ */
+const verifyWebhookSignature = () => (req, res, next) => {
+  const { provider } = req.params;
+  const { secrets: providerSecrets, toleranceSeconds } = config.payments.webhooks;
+  const secrets = providerSecrets[provider];
+  if (!secrets) {
+    return next(new AppError(`Unsupported payment provider: ${provider}`, 400, 'UNSUPPORTED_PROVIDER'));
+  }
+
+  // express.json keeps the raw bytes on req.rawBody; re-serialising is only a fallback
+  const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+  const eventId = resolveEventId(req, rawBody);
+
+  if (!secrets.length) {
+    if (config.payments.mode === 'sandbox') {
+      req.webhook = { provider, eventId, verified: false };
+      return next();
+    }
+    return next(new AppError('Webhook signing is not configured for this provider', 503, 'WEBHOOK_NOT_CONFIGURED'));
+  }
+
+  const signature = req.get(SIGNATURE_HEADER);
+  const timestamp = req.get(TIMESTAMP_HEADER);
+  if (!signature || !timestamp) {
+    return next(new AppError('Webhook signature is missing', 401, 'WEBHOOK_SIGNATURE_MISSING'));
+  }
+
+  const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(ageSeconds) || ageSeconds > toleranceSeconds) {
+    logSecurityEvent('Webhook rejected outside timestamp window', { provider, eventId, timestamp });
+    return next(new AppError('Webhook timestamp is outside the allowed window', 401, 'WEBHOOK_TIMESTAMP_INVALID'));
+  }
+
+  if (!isValidWebhookSignature({ secrets, signature, timestamp, body: rawBody })) {
+    logSecurityEvent('Webhook rejected with invalid signature', { provider, eventId, ip: req.ip });
+    return next(new AppError('Webhook signature is invalid', 401, 'WEBHOOK_SIGNATURE_INVALID'));
+  }
+
+  req.webhook = { provider, eventId, verified: true };
+  return next();
+};
+
+module.exports = {
+  verifyWebhookSignature,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  EVENT_ID_HEADER,
+};
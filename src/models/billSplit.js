@@ -0,0 +1,88 @@
+'use strict';
+const { Model } = require('sequelize');
+const { BILL_SPLIT_MODES, BILL_SPLIT_STATUSES } = require('@config/constants/billSplit');
+
+module.exports = (sequelize, DataTypes) => {
+  class BillSplit extends Model {
+    static associate(models) {
+      this.belongsTo(models.InDiningOrder, { foreignKey: 'in_dining_order_id', as: 'order' });
+      this.belongsTo(models.User, { foreignKey: 'requested_by', as: 'requester' });
+      this.belongsTo(models.Staff, { foreignKey: 'staff_id', as: 'staff' });
+      this.hasMany(models.BillSplitShare, { foreignKey: 'bill_split_id', as: 'shares' });
+    }
+  }
+
+  BillSplit.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    in_dining_order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'in_dining_orders', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    mode: {
+      type: DataTypes.ENUM(...BILL_SPLIT_MODES),
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM(...BILL_SPLIT_STATUSES),
+      allowNull: false,
+      defaultValue: 'open',
+    },
+    total_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: 'Order total when the bill was split; the shares add up to it',
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    requested_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'staff', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Set when staff split the bill at the table',
+    },
+    settled_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'BillSplit',
+    tableName: 'bill_splits',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['in_dining_order_id', 'status'], name: 'bill_splits_in_dining_order_id_status_index' },
+    ],
+  });
+
+  return BillSplit;
+};
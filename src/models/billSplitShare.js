@@ -0,0 +1,84 @@
+'use strict';
+const { Model } = require('sequelize');
+const { BILL_SHARE_STATUSES } = require('@config/constants/billSplit');
+
+module.exports = (sequelize, DataTypes) => {
+  class BillSplitShare extends Model {
+    static associate(models) {
+      this.belongsTo(models.BillSplit, { foreignKey: 'bill_split_id', as: 'split' });
+      this.belongsTo(models.Customer, { foreignKey: 'customer_id', as: 'customer' });
+      this.belongsTo(models.Payment, { foreignKey: 'payment_id', as: 'payment' });
+    }
+  }
+
+  BillSplitShare.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    bill_split_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'bill_splits', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'customers', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+    },
+    items: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Claimed { menu_item_id, quantity } when the bill is split by items',
+    },
+    status: {
+      type: DataTypes.ENUM(...BILL_SHARE_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    payment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'payments', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Latest payment attempt for the share',
+    },
+    paid_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'BillSplitShare',
+    tableName: 'bill_split_shares',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['bill_split_id'], name: 'bill_split_shares_bill_split_id_index' },
+      { fields: ['payment_id'], name: 'bill_split_shares_payment_id_index' },
+    ],
+  });
+
+  return BillSplitShare;
+};
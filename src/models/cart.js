@@ -32,6 +32,19 @@ module.exports = (sequelize, DataTypes) => {
       onUpdate: 'CASCADE',
       onDelete: 'CASCADE',
     },
+    coupon_code: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    coupon_applied_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    coupon_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Applied coupon is dropped once this passes',
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -0,0 +1,98 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Checkout extends Model {
+    static associate(models) {
+      this.belongsTo(models.Customer, { foreignKey: 'customer_id', as: 'customer' });
+      this.belongsTo(models.Cart, { foreignKey: 'cart_id', as: 'cart' });
+      this.hasMany(models.Order, { foreignKey: 'checkout_id', as: 'orders' });
+      this.hasMany(models.Payment, { foreignKey: 'checkout_id', as: 'payments' });
+    }
+  }
+
+  Checkout.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    checkout_number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'customers', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      validate: { notNull: { msg: 'Customer ID is required' } },
+    },
+    cart_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'carts', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'paid', 'payment_failed'),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'Payment state of the checkout; each child order keeps its own status',
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    total_discount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    delivery_fee: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    total_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: { min: { args: [0], msg: 'Total amount must be positive' } },
+    },
+    applied_promotions: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'Checkout',
+    tableName: 'checkouts',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['checkout_number'], name: 'checkouts_checkout_number_unique' },
+      { fields: ['customer_id'], name: 'checkouts_customer_id_index' },
+    ],
+  });
+
+  return Checkout;
+};
@@ -21,6 +21,10 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'customer_id',
         as: 'payments',
       });
+      this.hasOne(models.Wallet, {
+        foreignKey: 'customer_id',
+        as: 'wallet',
+      });
       this.hasMany(models.Notification, {
         foreignKey: 'user_id',
         as: 'notifications',
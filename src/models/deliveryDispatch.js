@@ -0,0 +1,114 @@
+'use strict';
+const { Model } = require('sequelize');
+const { DISPATCH_STATUSES } = require('@config/constants/dispatch');
+
+module.exports = (sequelize, DataTypes) => {
+  class DeliveryDispatch extends Model {
+    static associate(models) {
+      this.belongsTo(models.Order, { foreignKey: 'order_id', as: 'order' });
+      this.belongsTo(models.Driver, { foreignKey: 'driver_id', as: 'driver' });
+      this.belongsTo(models.User, { foreignKey: 'requested_by', as: 'requester' });
+      this.belongsTo(models.RouteOptimization, { foreignKey: 'route_optimization_id', as: 'optimization' });
+      this.hasMany(models.DispatchOffer, { foreignKey: 'dispatch_id', as: 'offers' });
+    }
+  }
+
+  DeliveryDispatch.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'orders', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Order the search started from; drivers are ranked from its branch',
+    },
+    order_ids: {
+      type: DataTypes.ARRAY(DataTypes.INTEGER),
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Every order the driver would carry; more than one for a batched trip',
+    },
+    route_optimization_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'route_optimizations', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Planned stop order of a batched trip',
+    },
+    status: {
+      type: DataTypes.ENUM(...DISPATCH_STATUSES),
+      allowNull: false,
+      defaultValue: 'searching',
+    },
+    round: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Round of the latest offer; 0 until the first offer goes out',
+    },
+    radius_km: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: false,
+      comment: 'Search radius around the pickup in the current round',
+    },
+    driver_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'drivers', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Driver who accepted',
+    },
+    requested_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Null when the scheduler started the dispatch',
+    },
+    end_reason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Why a failed or cancelled dispatch stopped',
+    },
+    assigned_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    ended_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'DeliveryDispatch',
+    tableName: 'delivery_dispatches',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['order_id'], where: { status: 'searching' }, name: 'delivery_dispatches_order_id_searching_unique' },
+      { fields: ['status', 'created_at'], name: 'delivery_dispatches_status_created_at_index' },
+      { using: 'gin', fields: ['order_ids'], name: 'delivery_dispatches_order_ids_index' },
+    ],
+  });
+
+  return DeliveryDispatch;
+};
@@ -0,0 +1,103 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class DeliveryProof extends Model {
+    static associate(models) {
+      this.belongsTo(models.Order, { foreignKey: 'order_id', as: 'order' });
+      this.belongsTo(models.Driver, { foreignKey: 'driver_id', as: 'driver' });
+    }
+  }
+
+  DeliveryProof.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: { model: 'orders', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    driver_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'drivers', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Driver the code was issued for, and who completed the delivery',
+    },
+    requirements: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: "The merchant's proof settings when the driver was assigned",
+    },
+    otp_hash: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    otp_sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    otp_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Wrong codes entered since the current one was sent',
+    },
+    otp_verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    photo_path: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    signature_path: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    location: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Where the driver was when completing the delivery, as { lat, lng }',
+    },
+    distance_meters: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Distance from that location to the delivery location',
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'DeliveryProof',
+    tableName: 'delivery_proofs',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['driver_id', 'completed_at'], name: 'delivery_proofs_driver_id_completed_at_index' },
+    ],
+  });
+
+  return DeliveryProof;
+};
@@ -0,0 +1,117 @@
+'use strict';
+const { Model } = require('sequelize');
+const { DISPATCH_OFFER_STATUSES } = require('@config/constants/dispatch');
+
+module.exports = (sequelize, DataTypes) => {
+  class DispatchOffer extends Model {
+    static associate(models) {
+      this.belongsTo(models.DeliveryDispatch, { foreignKey: 'dispatch_id', as: 'dispatch' });
+      this.belongsTo(models.Order, { foreignKey: 'order_id', as: 'order' });
+      this.belongsTo(models.Driver, { foreignKey: 'driver_id', as: 'driver' });
+    }
+  }
+
+  DispatchOffer.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    dispatch_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'delivery_dispatches', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'orders', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    driver_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'drivers', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    round: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    rank: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Position of the offer within its round, from 1',
+    },
+    radius_km: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: false,
+    },
+    distance_km: {
+      type: DataTypes.DECIMAL(8, 3),
+      allowNull: false,
+      comment: 'Straight-line distance from the driver to the pickup',
+    },
+    eta_seconds: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Time for the driver to reach the pickup',
+    },
+    score: {
+      type: DataTypes.DECIMAL(5, 4),
+      allowNull: false,
+    },
+    factors: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Factor scores behind the ranking, and whether the ETA came from a route',
+    },
+    status: {
+      type: DataTypes.ENUM(...DISPATCH_OFFER_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    decline_reason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    responded_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'DispatchOffer',
+    tableName: 'dispatch_offers',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['dispatch_id'], where: { status: 'pending' }, name: 'dispatch_offers_dispatch_id_pending_unique' },
+      { unique: true, fields: ['dispatch_id', 'driver_id'], name: 'dispatch_offers_dispatch_id_driver_id_unique' },
+      { fields: ['driver_id', 'status', 'created_at'], name: 'dispatch_offers_driver_id_status_created_at_index' },
+      { fields: ['status', 'expires_at'], name: 'dispatch_offers_status_expires_at_index' },
+    ],
+  });
+
+  return DispatchOffer;
+};
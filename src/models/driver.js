@@ -17,6 +17,14 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'driver_id',
         as: 'payments',
       });
+      this.hasMany(models.DriverPayout, {
+        foreignKey: 'driver_id',
+        as: 'payouts',
+      });
+      this.hasMany(models.DispatchOffer, {
+        foreignKey: 'driver_id',
+        as: 'dispatchOffers',
+      });
       this.hasMany(models.Notification, {
         foreignKey: 'user_id',
         as: 'notifications',
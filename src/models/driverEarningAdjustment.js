@@ -0,0 +1,73 @@
+'use strict';
+const { Model } = require('sequelize');
+const { DRIVER_ADJUSTMENT_TYPES } = require('@config/constants/settlement');
+
+module.exports = (sequelize, DataTypes) => {
+  class DriverEarningAdjustment extends Model {
+    static associate(models) {
+      this.belongsTo(models.Driver, { foreignKey: 'driver_id', as: 'driver' });
+      this.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+    }
+  }
+
+  DriverEarningAdjustment.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    driver_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'drivers', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    type: {
+      type: DataTypes.ENUM(...DRIVER_ADJUSTMENT_TYPES),
+      allowNull: false,
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: 'Negative adjustments take money off the driver',
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    reason: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'DriverEarningAdjustment',
+    tableName: 'driver_earning_adjustments',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['driver_id'], name: 'driver_earning_adjustments_driver_id_index' },
+    ],
+  });
+
+  return DriverEarningAdjustment;
+};
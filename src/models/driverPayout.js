@@ -0,0 +1,82 @@
+'use strict';
+const { Model } = require('sequelize');
+const { DRIVER_PAYOUT_STATUSES } = require('@config/constants/settlement');
+
+module.exports = (sequelize, DataTypes) => {
+  class DriverPayout extends Model {
+    static associate(models) {
+      this.belongsTo(models.Driver, { foreignKey: 'driver_id', as: 'driver' });
+    }
+  }
+
+  DriverPayout.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    driver_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'drivers', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM(...DRIVER_PAYOUT_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    destination: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Mobile-money number the payout was sent to',
+    },
+    provider_reference: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'DriverPayout',
+    tableName: 'driver_payouts',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['driver_id', 'status'], name: 'driver_payouts_driver_id_status_index' },
+    ],
+  });
+
+  return DriverPayout;
+};
@@ -0,0 +1,130 @@
+'use strict';
+const { Model } = require('sequelize');
+const { GIFT_CARD_STATUSES, GIFT_CARD_DELIVERY_CHANNELS } = require('@config/constants/giftCard');
+
+module.exports = (sequelize, DataTypes) => {
+  class GiftCard extends Model {
+    static associate(models) {
+      this.belongsTo(models.Merchant, { foreignKey: 'merchant_id', as: 'merchant' });
+      this.belongsTo(models.Customer, { foreignKey: 'purchaser_customer_id', as: 'purchaser' });
+      this.belongsTo(models.User, { foreignKey: 'issued_by', as: 'issuer' });
+      this.hasMany(models.GiftCardTransaction, { foreignKey: 'gift_card_id', as: 'transactions' });
+      this.hasMany(models.Payment, { foreignKey: 'gift_card_id', as: 'payments' });
+    }
+  }
+
+  GiftCard.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    merchant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'merchants', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Merchant the card can be spent with',
+    },
+    code: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      unique: true,
+      comment: 'Stored without the spaces or dashes it is printed with',
+    },
+    initial_value: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: { args: [0.01], msg: 'Gift card value must be positive' },
+      },
+    },
+    balance: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: { args: [0], msg: 'Gift card balance cannot be negative' },
+      },
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM(...GIFT_CARD_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending_payment',
+    },
+    purchaser_customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'customers', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Customer who bought the card in the app; null for cards the merchant issued',
+    },
+    issued_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Merchant user who issued the card',
+    },
+    recipient_name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    recipient_email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: { isEmail: { msg: 'Recipient email must be a valid email address' } },
+    },
+    recipient_phone: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    delivery_channel: {
+      type: DataTypes.ENUM(...GIFT_CARD_DELIVERY_CHANNELS),
+      allowNull: true,
+    },
+    delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'GiftCard',
+    tableName: 'gift_cards',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['merchant_id', 'status'], name: 'gift_cards_merchant_id_status_index' },
+      { fields: ['purchaser_customer_id'], name: 'gift_cards_purchaser_customer_id_index' },
+      { fields: ['status', 'expires_at'], name: 'gift_cards_status_expires_at_index' },
+    ],
+  });
+
+  return GiftCard;
+};
@@ -0,0 +1,88 @@
+'use strict';
+const { Model } = require('sequelize');
+const { GIFT_CARD_TRANSACTION_TYPES } = require('@config/constants/giftCard');
+
+module.exports = (sequelize, DataTypes) => {
+  class GiftCardTransaction extends Model {
+    static associate(models) {
+      this.belongsTo(models.GiftCard, { foreignKey: 'gift_card_id', as: 'giftCard' });
+      this.belongsTo(models.Payment, { foreignKey: 'payment_id', as: 'payment' });
+      this.belongsTo(models.Refund, { foreignKey: 'refund_id', as: 'refund' });
+    }
+  }
+
+  GiftCardTransaction.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    gift_card_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'gift_cards', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    type: {
+      type: DataTypes.ENUM(...Object.values(GIFT_CARD_TRANSACTION_TYPES)),
+      allowNull: false,
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: 'Positive when value is added to the card, negative when it is spent or written off',
+    },
+    balance_after: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    payment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'payments', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    refund_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'refunds', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'GiftCardTransaction',
+    tableName: 'gift_card_transactions',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['gift_card_id', 'created_at'], name: 'gift_card_transactions_gift_card_id_created_at_index' },
+      { unique: true, fields: ['gift_card_id', 'type'], where: { type: 'issue' }, name: 'gift_card_transactions_issue_unique' },
+      { unique: true, fields: ['payment_id', 'type'], where: { refund_id: null }, name: 'gift_card_transactions_payment_id_type_unique' },
+      { unique: true, fields: ['refund_id'], name: 'gift_card_transactions_refund_id_unique' },
+    ],
+  });
+
+  return GiftCardTransaction;
+};
@@ -0,0 +1,88 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class IdempotencyKey extends Model {
+    static associate(models) {
+      this.belongsTo(models.User, { foreignKey: 'user_id', as: 'user' });
+    }
+
+    isExpired() {
+      return this.expires_at <= new Date();
+    }
+  }
+
+  IdempotencyKey.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    key: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: { notEmpty: { msg: 'Idempotency key is required' } },
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    scope: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'HTTP method and path the key was used on',
+    },
+    request_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM('processing', 'completed'),
+      allowNull: false,
+      defaultValue: 'processing',
+    },
+    claimed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the request holding the key started; a stale claim can be taken over by a retry',
+    },
+    response_status: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    response_body: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'IdempotencyKey',
+    tableName: 'idempotency_keys',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['key', 'user_id', 'scope'], name: 'idempotency_keys_key_user_scope_unique' },
+      { fields: ['expires_at'], name: 'idempotency_keys_expires_at_index' },
+    ],
+  });
+
+  return IdempotencyKey;
+};
@@ -44,6 +44,12 @@ module.exports = (sequelize, DataTypes) => {
         constraints: false, // Allows referencing InDiningOrder
       });
 
+      // Link to BillSplit (bills shared between diners)
+      this.hasMany(models.BillSplit, {
+        foreignKey: 'in_dining_order_id',
+        as: 'billSplits',
+      });
+
       // Link to Notification (for status updates)
       this.hasMany(models.Notification, {
         foreignKey: 'order_id',
@@ -134,6 +140,25 @@ module.exports = (sequelize, DataTypes) => {
         min: { args: [0], msg: 'Total amount must be positive' },
       },
     },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    tax_total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    service_charge: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    price_breakdown: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Per-line tax, charges and rounding exactly as charged',
+    },
     currency: {
       type: DataTypes.STRING,
       allowNull: false,
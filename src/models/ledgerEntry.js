@@ -0,0 +1,75 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class LedgerEntry extends Model {
+    static associate(models) {
+      this.belongsTo(models.LedgerTransaction, { foreignKey: 'transaction_id', as: 'transaction' });
+    }
+  }
+
+  LedgerEntry.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    transaction_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'ledger_transactions', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    account: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'One of LEDGER_ACCOUNTS',
+    },
+    owner_type: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Set for accounts kept per owner, e.g. merchant',
+    },
+    owner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    direction: {
+      type: DataTypes.ENUM('debit', 'credit'),
+      allowNull: false,
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: { min: { args: [0.01], msg: 'Ledger entry amount must be positive' } },
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'LedgerEntry',
+    tableName: 'ledger_entries',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['transaction_id'], name: 'ledger_entries_transaction_id_index' },
+      { fields: ['account', 'owner_type', 'owner_id'], name: 'ledger_entries_account_owner_index' },
+    ],
+  });
+
+  return LedgerEntry;
+};
@@ -0,0 +1,73 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class LedgerTransaction extends Model {
+    static associate(models) {
+      this.hasMany(models.LedgerEntry, { foreignKey: 'transaction_id', as: 'entries' });
+    }
+  }
+
+  LedgerTransaction.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'One of LEDGER_TRANSACTION_TYPES',
+    },
+    reference_type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'What the transaction books, e.g. payment, refund or merchant_payout',
+    },
+    reference_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    occurred_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'LedgerTransaction',
+    tableName: 'ledger_transactions',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      // A reference is booked once per transaction type, so retried postings are no-ops
+      { unique: true, fields: ['type', 'reference_type', 'reference_id'], name: 'ledger_transactions_type_reference_unique' },
+      { fields: ['occurred_at'], name: 'ledger_transactions_occurred_at_index' },
+    ],
+  });
+
+  return LedgerTransaction;
+};
@@ -96,6 +96,9 @@ module.exports = function(sequelize, DataTypes) {
         
         // Check if discount is active
         if (!discount.is_active) return false;
+
+        // Coupon discounts only apply once the customer enters the code
+        if (discount.coupon_code) return false;
         
         // Check date range if applicable
         if (discount.start_date && new Date(discount.start_date) > now) return false;
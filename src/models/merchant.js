@@ -13,6 +13,8 @@ module.exports = (sequelize, DataTypes) => {
       this.hasMany(models.MenuInventory, { foreignKey: 'merchant_id', as: 'menu_items' });
       this.hasMany(models.Booking, { foreignKey: 'merchant_id', as: 'bookings' });
       this.hasMany(models.Payment, { foreignKey: 'merchant_id', as: 'payments' });
+      this.hasMany(models.MerchantPayout, { foreignKey: 'merchant_id', as: 'payouts' });
+      this.hasMany(models.GiftCard, { foreignKey: 'merchant_id', as: 'giftCards' });
       this.hasMany(models.Notification, { foreignKey: 'user_id', as: 'notifications' });
       this.belongsTo(models.Geofence, { foreignKey: 'geofence_id', as: 'geofence' });
       this.hasMany(models.PasswordHistory, {
@@ -221,6 +223,25 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: { orderUpdates: true, bookingNotifications: true, customerFeedback: true, marketingMessages: false },
     },
     whatsapp_enabled: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+    cancellation_policy: { type: DataTypes.JSONB, allowNull: true },
+    delivery_settings: { type: DataTypes.JSONB, allowNull: true },
+    commission_rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      validate: { min: 0, max: 100 },
+      comment: 'Platform commission in percent; falls back to the business type rate',
+    },
+    payout_settings: { type: DataTypes.JSONB, allowNull: true },
+    gift_card_settings: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: '{ denominations, allow_custom, min_value, max_value, validity_days }; unset fields use the platform defaults',
+    },
+    proof_of_delivery_settings: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: '{ require_otp, require_photo, require_signature, geofence_meters }; unset fields use the platform defaults',
+    },
     logo_url: { type: DataTypes.STRING, allowNull: true },
     banner_url: { type: DataTypes.STRING, allowNull: true },
     storefront_url: { type: DataTypes.STRING, allowNull: true },
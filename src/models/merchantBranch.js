@@ -91,6 +91,7 @@ module.exports = (sequelize, DataTypes) => {
       delivery_radius: { type: DataTypes.FLOAT, allowNull: true, validate: { min: 0 } },
       is_active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
       payment_methods: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+      service_charge_rate: { type: DataTypes.DECIMAL(5, 2), allowNull: true, comment: 'Percentage added to in-dining bills' },
       media: {
         type: DataTypes.JSONB,
         allowNull: false,
@@ -0,0 +1,91 @@
+'use strict';
+const { Model } = require('sequelize');
+const { PAYOUT_STATUSES } = require('@config/constants/settlement');
+
+module.exports = (sequelize, DataTypes) => {
+  class MerchantPayout extends Model {
+    static associate(models) {
+      this.belongsTo(models.PayoutBatch, { foreignKey: 'batch_id', as: 'batch' });
+      this.belongsTo(models.Merchant, { foreignKey: 'merchant_id', as: 'merchant' });
+    }
+  }
+
+  MerchantPayout.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    batch_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'payout_batches', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    merchant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'merchants', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM(...PAYOUT_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    destination: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Mobile-money number the payout was sent to',
+    },
+    provider_reference: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'MerchantPayout',
+    tableName: 'merchant_payouts',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['batch_id'], name: 'merchant_payouts_batch_id_index' },
+      { fields: ['merchant_id', 'status'], name: 'merchant_payouts_merchant_id_status_index' },
+    ],
+  });
+
+  return MerchantPayout;
+};
@@ -35,9 +35,24 @@ module.exports = (sequelize, DataTypes) => {
       if (models.Route) {
         this.belongsTo(models.Route, { foreignKey: 'route_id', as: 'route' });
       }
+      if (models.Checkout) {
+        this.belongsTo(models.Checkout, { foreignKey: 'checkout_id', as: 'checkout' });
+      }
+      if (models.PaymentAllocation) {
+        this.hasMany(models.PaymentAllocation, { foreignKey: 'order_id', as: 'paymentAllocations' });
+      }
       if (models.PromotionRedemption) {
         this.hasMany(models.PromotionRedemption, { foreignKey: 'order_id', as: 'promotionRedemptions' });
       }
+      if (models.Refund) {
+        this.hasMany(models.Refund, { foreignKey: 'order_id', as: 'refunds' });
+      }
+      if (models.DeliveryDispatch) {
+        this.hasMany(models.DeliveryDispatch, { foreignKey: 'order_id', as: 'dispatches' });
+      }
+      if (models.DeliveryProof) {
+        this.hasOne(models.DeliveryProof, { foreignKey: 'order_id', as: 'deliveryProof' });
+      }
       // New association for staff assignment
       if (models.Staff) {
         this.belongsTo(models.Staff, { foreignKey: 'staff_id', as: 'staff' });
@@ -100,6 +115,14 @@ module.exports = (sequelize, DataTypes) => {
       onDelete: 'SET NULL',
       validate: { isInt: { msg: 'Driver ID must be an integer' } },
     },
+    checkout_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'checkouts', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Parent checkout when the cart was split across merchants',
+    },
     subscription_id: {
       type: DataTypes.INTEGER,
       allowNull: true,
@@ -124,15 +147,21 @@ module.exports = (sequelize, DataTypes) => {
     },
     estimated_arrival: { type: DataTypes.DATE, allowNull: true },
     status: {
-      type: DataTypes.ENUM('pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'completed', 'cancelled'),
+      type: DataTypes.ENUM('pending', 'scheduled', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'completed', 'cancelled'),
       allowNull: false,
       defaultValue: 'pending',
     },
     payment_status: {
-      type: DataTypes.ENUM('unpaid', 'paid', 'refunded'),
+      type: DataTypes.ENUM('unpaid', 'paid', 'partially_refunded', 'refunded'),
       allowNull: false,
       defaultValue: 'unpaid',
     },
+    refunded_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Processed refunds charged against this order',
+    },
     currency: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -169,12 +198,56 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: 0,
       validate: { min: 0 },
     },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    tax_total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    service_charge: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    delivery_fee: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    price_breakdown: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Per-line tax, charges and rounding exactly as charged',
+    },
     routing_info: {
       type: DataTypes.JSONB,
       allowNull: true,
       defaultValue: { original_branch_id: null, routed_branch_id: null, routing_timestamp: null, routing_reason: null, routing_metrics: { distance: null, estimated_time: null, branch_load: null } },
     },
     routing_history: { type: DataTypes.JSONB, allowNull: true, defaultValue: [] },
+    fulfillment_type: {
+      type: DataTypes.ENUM('delivery', 'pickup'),
+      allowNull: false,
+      defaultValue: 'delivery',
+    },
+    scheduled_for: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Requested delivery or pickup time for pre-orders',
+    },
+    release_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When a scheduled order is sent to the merchant',
+    },
+    dispatch_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When a scheduled delivery is handed to driver assignment',
+    },
     // New field for delivery location
     delivery_location: { 
       type: DataTypes.JSONB,
@@ -204,9 +277,12 @@ module.exports = (sequelize, DataTypes) => {
       { fields: ['branch_id'], name: 'orders_branch_id_index' },
       { fields: ['driver_id'], name: 'orders_driver_id_index' },
       { fields: ['subscription_id'], name: 'orders_subscription_id_index' },
+      { fields: ['checkout_id'], name: 'orders_checkout_id_index' },
       { unique: true, fields: ['order_number'], name: 'orders_order_number_unique' },
       { fields: ['currency'], name: 'orders_currency_index' },
       { fields: ['route_id'], name: 'orders_route_id_index' },
+      { fields: ['status', 'release_at'], name: 'orders_status_release_at_index' },
+      { fields: ['branch_id', 'scheduled_for'], name: 'orders_branch_id_scheduled_for_index' },
     ],
   });
 
@@ -0,0 +1,92 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class OrderStatusHistory extends Model {
+    static associate(models) {
+      this.belongsTo(models.Order, { foreignKey: 'order_id', as: 'order' });
+      this.belongsTo(models.InDiningOrder, { foreignKey: 'in_dining_order_id', as: 'inDiningOrder' });
+      this.belongsTo(models.User, { foreignKey: 'changed_by', as: 'changedBy' });
+    }
+  }
+
+  OrderStatusHistory.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'orders', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    in_dining_order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'in_dining_orders', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    from_status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    to_status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    changed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    actor_type: {
+      type: DataTypes.ENUM('customer', 'merchant', 'staff', 'driver', 'admin', 'system'),
+      allowNull: false,
+      defaultValue: 'system',
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'OrderStatusHistory',
+    tableName: 'order_status_histories',
+    underscored: true,
+    timestamps: true,
+    validate: {
+      exactlyOneOrderReference() {
+        if (!this.order_id === !this.in_dining_order_id) {
+          throw new Error('Exactly one of Order ID or In-Dining Order ID is required');
+        }
+      },
+    },
+    indexes: [
+      { fields: ['order_id'], name: 'order_status_histories_order_id_index' },
+      { fields: ['in_dining_order_id'], name: 'order_status_histories_in_dining_order_id_index' },
+    ],
+  });
+
+  return OrderStatusHistory;
+};
@@ -24,6 +24,30 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'staff_id',
         as: 'staff',
       });
+      this.belongsTo(models.Checkout, {
+        foreignKey: 'checkout_id',
+        as: 'checkout',
+      });
+      this.hasMany(models.PaymentAllocation, {
+        foreignKey: 'payment_id',
+        as: 'allocations',
+      });
+      this.hasMany(models.WebhookEvent, {
+        foreignKey: 'payment_id',
+        as: 'webhookEvents',
+      });
+      this.hasMany(models.Refund, {
+        foreignKey: 'payment_id',
+        as: 'refunds',
+      });
+      this.belongsTo(models.Wallet, {
+        foreignKey: 'wallet_id',
+        as: 'wallet',
+      });
+      this.belongsTo(models.GiftCard, {
+        foreignKey: 'gift_card_id',
+        as: 'giftCard',
+      });
       // Optionally, define an association for in_dining_order if needed:
       // this.belongsTo(models.InDiningOrder, {
       //   foreignKey: 'in_dining_order_id',
@@ -69,7 +93,7 @@ module.exports = (sequelize, DataTypes) => {
       },
       merchant_id: {
         type: DataTypes.INTEGER,
-        allowNull: false,
+        allowNull: true, // Null when a checkout spanning several merchants is paid at once
         references: {
           model: 'merchants',
           key: 'id',
@@ -77,10 +101,19 @@ module.exports = (sequelize, DataTypes) => {
         onUpdate: 'CASCADE',
         onDelete: 'CASCADE',
         validate: {
-          notNull: { msg: 'Merchant ID is required' },
           isInt: { msg: 'Merchant ID must be an integer' },
         },
       },
+      checkout_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'checkouts',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
       driver_id: {
         type: DataTypes.INTEGER,
         allowNull: true,
@@ -115,6 +148,27 @@ module.exports = (sequelize, DataTypes) => {
         onUpdate: 'CASCADE',
         onDelete: 'SET NULL',
       },
+      wallet_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'wallets', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Wallet this payment tops up',
+      },
+      gift_card_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'gift_cards', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Gift card this payment buys, or pays with when the method is GIFT_CARD',
+      },
+      device_id: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Device the payment was made from, as sent in X-Device-Id',
+      },
       amount: {
         type: DataTypes.FLOAT,
         allowNull: false,
@@ -136,7 +190,9 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.ENUM(
           'pending',
           'processing',
+          'pending_review',
           'completed',
+          'partially_refunded',
           'failed',
           'refunded',
           'cancelled',
@@ -192,6 +248,12 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
         comment: 'Daily transaction counter for limits',
       },
+      refunded_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Running total of processed refunds, never more than amount',
+      },
       refund_status: {
         type: DataTypes.ENUM('pending', 'approved', 'rejected', 'processed'),
         allowNull: true,
@@ -237,8 +299,9 @@ module.exports = (sequelize, DataTypes) => {
       paranoid: true,
       validate: {
         atLeastOneOrderReference() {
-          if (!this.order_id && !this.in_dining_order_id) {
-            throw new Error('At least one of Order ID or In-Dining Order ID is required');
+          // Ride payments are only tied to their driver, wallet top-ups to their wallet
+          if (!this.order_id && !this.in_dining_order_id && !this.checkout_id && !this.driver_id && !this.wallet_id && !this.gift_card_id) {
+            throw new Error('At least one of Order ID, In-Dining Order ID, Checkout ID, Driver ID, Wallet ID or Gift Card ID is required');
           }
         },
       },
@@ -251,6 +314,10 @@ module.exports = (sequelize, DataTypes) => {
         { fields: ['bank_reference'], name: 'payments_bank_reference_index' },
         { fields: ['provider'], name: 'payments_provider_index' },
         { fields: ['in_dining_order_id'], name: 'payments_in_dining_order_id_index' },
+        { fields: ['checkout_id'], name: 'payments_checkout_id_index' },
+        { fields: ['wallet_id'], name: 'payments_wallet_id_index' },
+        { fields: ['gift_card_id'], name: 'payments_gift_card_id_index' },
+        { fields: ['device_id'], name: 'payments_device_id_index' },
       ],
     }
   );
@@ -0,0 +1,75 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class PaymentAllocation extends Model {
+    static associate(models) {
+      this.belongsTo(models.Payment, { foreignKey: 'payment_id', as: 'payment' });
+      this.belongsTo(models.Order, { foreignKey: 'order_id', as: 'order' });
+      this.belongsTo(models.Merchant, { foreignKey: 'merchant_id', as: 'merchant' });
+    }
+  }
+
+  PaymentAllocation.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    payment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'payments', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'orders', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    merchant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'merchants', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: { min: { args: [0], msg: 'Allocated amount must be positive' } },
+      comment: 'Share of the payment owed to this order',
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'PaymentAllocation',
+    tableName: 'payment_allocations',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['payment_id', 'order_id'], name: 'payment_allocations_payment_order_unique' },
+      { fields: ['order_id'], name: 'payment_allocations_order_id_index' },
+      { fields: ['merchant_id'], name: 'payment_allocations_merchant_id_index' },
+    ],
+  });
+
+  return PaymentAllocation;
+};
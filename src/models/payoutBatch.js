@@ -0,0 +1,70 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class PayoutBatch extends Model {
+    static associate(models) {
+      this.hasMany(models.MerchantPayout, { foreignKey: 'batch_id', as: 'payouts' });
+      this.belongsTo(models.User, { foreignKey: 'triggered_by', as: 'trigger' });
+    }
+  }
+
+  PayoutBatch.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    status: {
+      type: DataTypes.ENUM('processing', 'completed', 'failed'),
+      allowNull: false,
+      defaultValue: 'processing',
+    },
+    period_end: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Balances were paid out as they stood at this time',
+    },
+    total_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    summary: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Payout counts and amounts per status',
+    },
+    triggered_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Admin who ran the batch; null for the scheduled run',
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'PayoutBatch',
+    tableName: 'payout_batches',
+    underscored: true,
+    timestamps: true,
+  });
+
+  return PayoutBatch;
+};
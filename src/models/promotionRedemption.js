@@ -74,6 +74,11 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       defaultValue: sequelize.literal('CURRENT_TIMESTAMP')
     },
+    reversed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set when the order was refunded in full and the usage given back'
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -0,0 +1,78 @@
+'use strict';
+const { Model } = require('sequelize');
+const { RECONCILIATION_ISSUES } = require('@config/constants/reconciliation');
+
+module.exports = (sequelize, DataTypes) => {
+  class ReconciliationItem extends Model {
+    static associate(models) {
+      this.belongsTo(models.ReconciliationRun, { foreignKey: 'run_id', as: 'run' });
+      this.belongsTo(models.Payment, { foreignKey: 'payment_id', as: 'payment' });
+    }
+  }
+
+  ReconciliationItem.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    run_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'reconciliation_runs', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    payment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'payments', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    reference: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Settlement reference, or the payment transaction ID when the provider did not report it',
+    },
+    issue: {
+      type: DataTypes.ENUM(...RECONCILIATION_ISSUES),
+      allowNull: false,
+    },
+    system_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+    },
+    settled_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+    },
+    details: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'ReconciliationItem',
+    tableName: 'reconciliation_items',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['run_id', 'issue'], name: 'reconciliation_items_run_issue_index' },
+      { fields: ['payment_id'], name: 'reconciliation_items_payment_id_index' },
+    ],
+  });
+
+  return ReconciliationItem;
+};
@@ -0,0 +1,86 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ReconciliationRun extends Model {
+    static associate(models) {
+      this.hasMany(models.ReconciliationItem, { foreignKey: 'run_id', as: 'items' });
+      this.belongsTo(models.User, { foreignKey: 'uploaded_by', as: 'uploader' });
+    }
+  }
+
+  ReconciliationRun.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    settlement_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Day the settlement file covers; payments created that day are expected in it',
+    },
+    file_name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'completed', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    settlement_rows: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Normalized rows { row_number, reference, amount, currency, status, settled_at }',
+    },
+    summary: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Counts and amounts per issue once reconciled',
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    uploaded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'ReconciliationRun',
+    tableName: 'reconciliation_runs',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['provider', 'settlement_date'], name: 'reconciliation_runs_provider_date_index' },
+      { fields: ['status'], name: 'reconciliation_runs_status_index' },
+    ],
+  });
+
+  return ReconciliationRun;
+};
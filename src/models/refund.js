@@ -0,0 +1,130 @@
+'use strict';
+const { Model } = require('sequelize');
+const { REFUND_DESTINATIONS } = require('@config/constants/wallet');
+
+module.exports = (sequelize, DataTypes) => {
+  class Refund extends Model {
+    static associate(models) {
+      this.belongsTo(models.Payment, { foreignKey: 'payment_id', as: 'payment' });
+      this.belongsTo(models.Order, { foreignKey: 'order_id', as: 'order' });
+      this.belongsTo(models.User, { foreignKey: 'requested_by', as: 'requester' });
+      this.belongsTo(models.User, { foreignKey: 'processed_by', as: 'processor' });
+    }
+  }
+
+  Refund.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    payment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'payments', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'orders', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Order the refund is charged against; null for payments without one',
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: { min: { args: [0.01], msg: 'Refund amount must be positive' } },
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'processed'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    items: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Refunded order items: [{ menu_item_id, quantity, unit_price, amount }]',
+    },
+    destination: {
+      type: DataTypes.ENUM(...REFUND_DESTINATIONS),
+      allowNull: false,
+      defaultValue: 'original',
+      comment: "'wallet' credits the customer's wallet instead of paying back through the provider",
+    },
+    restock: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Whether refunded items go back into stock once the refund is processed',
+    },
+    reason: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: { notEmpty: { msg: 'Refund reason is required' } },
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    requested_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    processed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    processed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    admin_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    provider_reference: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    provider_status: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'Refund',
+    tableName: 'refunds',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['payment_id', 'status'], name: 'refunds_payment_id_status_index' },
+      { fields: ['order_id'], name: 'refunds_order_id_index' },
+    ],
+  });
+
+  return Refund;
+};
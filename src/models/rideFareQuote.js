@@ -0,0 +1,132 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RideFareQuote extends Model {
+    static associate(models) {
+      this.belongsTo(models.Customer, { foreignKey: 'customer_id', as: 'customer' });
+      this.belongsTo(models.Ride, { foreignKey: 'ride_id', as: 'ride' });
+      this.belongsTo(models.Geofence, { foreignKey: 'surge_geofence_id', as: 'surgeZone' });
+      models.Ride.hasOne(this, { foreignKey: 'ride_id', as: 'fareQuote' });
+    }
+  }
+
+  RideFareQuote.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'customers', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    ride_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'rides', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Ride booked at this fare; a quote can be used once',
+    },
+    ride_type: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    pickup_location: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: '{ address, coordinates } as validated when quoting',
+    },
+    dropoff_location: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+    },
+    scheduled_time: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    distance_meters: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    duration_seconds: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    base_fare: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    distance_fare: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    time_fare: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    surge_multiplier: {
+      type: DataTypes.DECIMAL(4, 2),
+      allowNull: false,
+      defaultValue: 1,
+    },
+    surge_geofence_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'geofences', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Zone the pickup fell in when quoting',
+    },
+    surge_demand: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Open ride requests in the zone when quoting',
+    },
+    surge_supply: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Online drivers in the zone when quoting',
+    },
+    fare: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'What the customer pays, surge included',
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'RideFareQuote',
+    tableName: 'ride_fare_quotes',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['customer_id', 'created_at'], name: 'ride_fare_quotes_customer_id_created_at_index' },
+      { unique: true, fields: ['ride_id'], name: 'ride_fare_quotes_ride_id_unique' },
+    ],
+  });
+
+  return RideFareQuote;
+};
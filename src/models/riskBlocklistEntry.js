@@ -0,0 +1,68 @@
+'use strict';
+const { Model } = require('sequelize');
+const { BLOCKLIST_TYPES } = require('@config/constants/risk');
+
+module.exports = (sequelize, DataTypes) => {
+  class RiskBlocklistEntry extends Model {
+    static associate(models) {
+      this.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+    }
+  }
+
+  RiskBlocklistEntry.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    type: {
+      type: DataTypes.ENUM(...BLOCKLIST_TYPES),
+      allowNull: false,
+    },
+    value: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: { msg: 'Blocklisted value is required' },
+      },
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Blocked indefinitely when null',
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'RiskBlocklistEntry',
+    tableName: 'risk_blocklist_entries',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['type', 'value'], name: 'risk_blocklist_entries_type_value_unique' },
+    ],
+  });
+
+  return RiskBlocklistEntry;
+};
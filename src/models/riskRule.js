@@ -0,0 +1,83 @@
+'use strict';
+const { Model } = require('sequelize');
+const { RISK_RULE_TYPES } = require('@config/constants/risk');
+
+module.exports = (sequelize, DataTypes) => {
+  class RiskRule extends Model {}
+
+  RiskRule.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: { msg: 'Rule name is required' },
+      },
+    },
+    type: {
+      type: DataTypes.ENUM(...RISK_RULE_TYPES),
+      allowNull: false,
+    },
+    // Scope: a null field matches every country, currency or payment method
+    country: {
+      type: DataTypes.STRING(3),
+      allowNull: true,
+      comment: 'ISO alpha-3 country code, as in countryConfigs',
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: true,
+    },
+    payment_method: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'MOBILE_MONEY, BANK_CARD, ...',
+    },
+    params: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Thresholds read by the rule type',
+    },
+    weight: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: { args: [0], msg: 'Weight cannot be negative' },
+        max: { args: [100], msg: 'Weight cannot exceed 100' },
+      },
+      comment: 'Added to the risk score when the rule fires',
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'RiskRule',
+    tableName: 'risk_rules',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['active'], name: 'risk_rules_active_index' },
+    ],
+  });
+
+  return RiskRule;
+};
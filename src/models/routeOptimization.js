@@ -3,7 +3,7 @@ const { Model } = require('sequelize');
 module.exports = (sequelize, DataTypes) => {
   class RouteOptimization extends Model {
     static associate(models) {
-      // Define associations if necessary.
+      this.hasMany(models.DeliveryDispatch, { foreignKey: 'route_optimization_id', as: 'dispatches' });
     }
   }
   RouteOptimization.init({
@@ -42,6 +42,8 @@ module.exports = (sequelize, DataTypes) => {
     modelName: 'RouteOptimization',
     tableName: 'route_optimizations',
     underscored: false,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
     indexes: [
       { fields: ['created_at'] }
     ]
@@ -0,0 +1,79 @@
+'use strict';
+const { Model } = require('sequelize');
+const { TRIP_TYPES } = require('@config/constants/tripTracking');
+
+module.exports = (sequelize, DataTypes) => {
+  class TripLocationPing extends Model {
+    static associate(models) {
+      this.belongsTo(models.Driver, { foreignKey: 'driver_id', as: 'driver' });
+    }
+  }
+
+  TripLocationPing.init({
+    id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    trip_type: {
+      type: DataTypes.ENUM(...TRIP_TYPES),
+      allowNull: false,
+    },
+    trip_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Order or Ride ID, depending on trip_type',
+    },
+    driver_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'drivers', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    lat: {
+      type: DataTypes.DECIMAL(10, 7),
+      allowNull: false,
+    },
+    lng: {
+      type: DataTypes.DECIMAL(10, 7),
+      allowNull: false,
+    },
+    accuracy_meters: {
+      type: DataTypes.DECIMAL(8, 2),
+      allowNull: true,
+    },
+    speed_kmh: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: true,
+    },
+    heading: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+    },
+    recorded_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'When the device took the fix, which can be earlier than when it arrived',
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'TripLocationPing',
+    tableName: 'trip_location_pings',
+    underscored: true,
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['trip_type', 'trip_id', 'recorded_at'], name: 'trip_location_pings_trip_recorded_at_index' },
+      { fields: ['recorded_at'], name: 'trip_location_pings_recorded_at_index' },
+    ],
+  });
+
+  return TripLocationPing;
+};
@@ -0,0 +1,96 @@
+'use strict';
+const { Model } = require('sequelize');
+const { TRIP_TYPES } = require('@config/constants/tripTracking');
+
+module.exports = (sequelize, DataTypes) => {
+  class TripTrail extends Model {
+    static associate(models) {
+      this.belongsTo(models.Driver, { foreignKey: 'driver_id', as: 'driver' });
+    }
+  }
+
+  TripTrail.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    trip_type: {
+      type: DataTypes.ENUM(...TRIP_TYPES),
+      allowNull: false,
+    },
+    trip_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Order or Ride ID, depending on trip_type',
+    },
+    driver_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'drivers', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    polyline: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Simplified path as a Google encoded polyline',
+    },
+    time_offsets: {
+      type: DataTypes.ARRAY(DataTypes.INTEGER),
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Seconds from started_at at which each polyline point was recorded',
+    },
+    point_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    raw_point_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Pings stored for the trip before simplification',
+    },
+    driven_distance_meters: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: 'Measured over every stored ping, not the simplified path',
+    },
+    planned_distance_meters: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      comment: "The trip's route distance, when it had one",
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    ended_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'TripTrail',
+    tableName: 'trip_trails',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['trip_type', 'trip_id'], name: 'trip_trails_trip_unique' },
+      { fields: ['driver_id', 'started_at'], name: 'trip_trails_driver_id_started_at_index' },
+    ],
+  });
+
+  return TripTrail;
+};
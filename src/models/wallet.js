@@ -0,0 +1,66 @@
+'use strict';
+const { Model } = require('sequelize');
+const { WALLET_STATUSES } = require('@config/constants/wallet');
+
+module.exports = (sequelize, DataTypes) => {
+  class Wallet extends Model {
+    static associate(models) {
+      this.belongsTo(models.Customer, { foreignKey: 'customer_id', as: 'customer' });
+      this.hasMany(models.WalletTransaction, { foreignKey: 'wallet_id', as: 'transactions' });
+      this.hasMany(models.Payment, { foreignKey: 'wallet_id', as: 'topUps' });
+    }
+  }
+
+  Wallet.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: { model: 'customers', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: "Currency of the customer's country; fixed once the wallet is opened",
+    },
+    balance: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: { args: [0], msg: 'Wallet balance cannot be negative' },
+      },
+    },
+    status: {
+      type: DataTypes.ENUM(...WALLET_STATUSES),
+      allowNull: false,
+      defaultValue: 'active',
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'Wallet',
+    tableName: 'wallets',
+    underscored: true,
+    timestamps: true,
+  });
+
+  return Wallet;
+};
@@ -0,0 +1,87 @@
+'use strict';
+const { Model } = require('sequelize');
+const { WALLET_TRANSACTION_TYPES } = require('@config/constants/wallet');
+
+module.exports = (sequelize, DataTypes) => {
+  class WalletTransaction extends Model {
+    static associate(models) {
+      this.belongsTo(models.Wallet, { foreignKey: 'wallet_id', as: 'wallet' });
+      this.belongsTo(models.Payment, { foreignKey: 'payment_id', as: 'payment' });
+      this.belongsTo(models.Refund, { foreignKey: 'refund_id', as: 'refund' });
+    }
+  }
+
+  WalletTransaction.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    wallet_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'wallets', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    type: {
+      type: DataTypes.ENUM(...Object.values(WALLET_TRANSACTION_TYPES)),
+      allowNull: false,
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: 'Positive when money comes into the wallet, negative when it is spent',
+    },
+    balance_after: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    payment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'payments', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    refund_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'refunds', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'WalletTransaction',
+    tableName: 'wallet_transactions',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['wallet_id', 'created_at'], name: 'wallet_transactions_wallet_id_created_at_index' },
+      { unique: true, fields: ['payment_id', 'type'], where: { refund_id: null }, name: 'wallet_transactions_payment_id_type_unique' },
+      { unique: true, fields: ['refund_id'], name: 'wallet_transactions_refund_id_unique' },
+    ],
+  });
+
+  return WalletTransaction;
+};
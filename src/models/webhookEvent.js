@@ -0,0 +1,94 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class WebhookEvent extends Model {
+    static associate(models) {
+      this.belongsTo(models.Payment, { foreignKey: 'payment_id', as: 'payment' });
+    }
+  }
+
+  WebhookEvent.init({
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    event_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Provider event ID, or a hash of the raw body when the provider sends none',
+    },
+    payment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'payments', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    status: {
+      type: DataTypes.ENUM('received', 'processed', 'failed'),
+      allowNull: false,
+      defaultValue: 'received',
+    },
+    signature_verified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    result: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Outcome returned to the provider, replayed for duplicate deliveries',
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    claimed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the current attempt started; a stale claim can be taken over by a redelivery',
+    },
+    processed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  }, {
+    sequelize,
+    modelName: 'WebhookEvent',
+    tableName: 'webhook_events',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['provider', 'event_id'], name: 'webhook_events_provider_event_unique' },
+      { fields: ['payment_id'], name: 'webhook_events_payment_id_index' },
+    ],
+  });
+
+  return WebhookEvent;
+};
@@ -40,6 +40,19 @@ router.get(
   cartController.viewCart
 );
 
+// Validate a coupon and attach it to the cart
+router.post(
+  '/apply-coupon',
+  cartMiddleware.validateApplyCoupon,
+  cartController.applyCoupon
+);
+
+// Remove the attached coupon
+router.delete(
+  '/coupon',
+  cartController.removeCoupon
+);
+
 // Clear cart
 router.delete(
   '/',
@@ -0,0 +1,23 @@
+'use strict';
+
+const express = require('express');
+const giftCardController = require('@controllers/customer/giftCardController');
+const { authenticateCustomer } = require('@middleware/customer/cartMiddleware');
+const { idempotency } = require('@middleware/idempotencyMiddleware');
+
+const router = express.Router();
+
+/**
+ * Gift Card Routes - Buying, checking and sending merchant gift cards
+ * All routes require customer authentication
+ */
+router.use(authenticateCustomer);
+
+router.get('/merchants/:merchantId', giftCardController.getOffer);
+router.post('/', idempotency(), giftCardController.purchase);
+router.get('/', giftCardController.listPurchases);
+router.post('/balance', giftCardController.checkBalance);
+router.get('/:giftCardId/voucher', giftCardController.downloadVoucher);
+router.post('/:giftCardId/resend', giftCardController.resend);
+
+module.exports = router;
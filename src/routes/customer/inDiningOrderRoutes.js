@@ -9,6 +9,7 @@ const {
   validateFriendRequest,
 } = require('@middleware/customer/inDiningOrderMiddleware');
 const { protect, restrictTo } = require('@middleware/authMiddleware');
+const { idempotency } = require('@middleware/idempotencyMiddleware');
 
 module.exports = (io) => {
   const controller = inDiningOrderController(io);
@@ -20,7 +21,7 @@ module.exports = (io) => {
   router.patch('/:orderId', validateOrderAccess, controller.updateOrder);
   router.post('/:orderId/close', validateOrderAccess, controller.closeOrder);
   router.get('/:orderId/status', validateOrderAccess, controller.getOrderStatus);
-  router.post('/:orderId/pay', validateOrderAccess, controller.payOrder);
+  router.post('/:orderId/pay', validateOrderAccess, idempotency(), controller.payOrder);
   router.get('/recommendations', validateBranchAccess, controller.getRecommendations);
   router.post('/:orderId/tip', validateOrderAccess, validateTipData, controller.addTip);
   router.get('/:orderId/session', validateOrderAccess, controller.getActiveBookingSession);
@@ -2,11 +2,18 @@
 const express = require('express');
 const orderController = require('@controllers/customer/orderController');
 const { restrictToCustomer, restrictToMerchant, restrictToDriver } = require('@middleware/customer/orderAuthMiddleware');
+const { idempotency } = require('@middleware/idempotencyMiddleware');
 
 const router = express.Router();
 
 // 1. Checkout (Customer Action)
-router.post('/checkout', restrictToCustomer, orderController.checkout);
+router.post('/checkout', restrictToCustomer, idempotency(), orderController.checkout);
+
+// 1a. Delivery Fee Quote before Checkout (Customer Action)
+router.get('/checkout/delivery-quote', restrictToCustomer, orderController.getDeliveryQuote);
+
+// 1b. Checkout with its Child Orders per Merchant (Customer Action)
+router.get('/checkout/:id', restrictToCustomer, orderController.getCheckout);
 
 // 2. Notify Merchant (Triggered automatically or manually, merchant access)
 router.post('/order/notify-merchant', restrictToMerchant, orderController.notifyMerchant);
@@ -29,4 +36,19 @@ router.post('/order/request-feedback', restrictToCustomer, orderController.reque
 // 8. Get Order Status (Customer Action)
 router.get('/order/:id/status', restrictToCustomer, orderController.getOrderStatus);
 
+// 9. Get Order Status History (Customer Action)
+router.get('/order/:id/history', restrictToCustomer, orderController.getOrderHistory);
+
+// 10. Cancel Order (Customer Action)
+router.post('/order/:id/cancel', restrictToCustomer, orderController.cancelOrder);
+
+// 11. Order History with Items, Merchant and Payments (Customer Action)
+router.get('/orders', restrictToCustomer, orderController.listOrders);
+
+// 12. Order Details (Customer Action)
+router.get('/order/:id', restrictToCustomer, orderController.getOrder);
+
+// 13. Reorder into the Cart (Customer Action)
+router.post('/order/:id/reorder', restrictToCustomer, orderController.reorder);
+
 module.exports = router;
\ No newline at end of file
@@ -33,4 +33,13 @@ router.post(
   quickLinkController.requestBill
 );
 
+router.get('/bill/:inDiningOrderId', authMiddleware, quickLinkController.getBill);
+
+router.post(
+  '/bill-shares/:shareId/pay',
+  authMiddleware,
+  quickLinkMiddleware.validateBody(['payment_method']),
+  quickLinkController.payBillShare
+);
+
 module.exports = router;
\ No newline at end of file
@@ -27,6 +27,15 @@ router.post(
   RideController.requestRide
 );
 
+// Quote a fare, locked for a few minutes, with any surge disclosed
+router.post(
+  '/quote',
+  RideMiddleware.protect,
+  RideMiddleware.restrictTo('customer'),
+  RideMiddleware.validateRideQuote,
+  RideController.quoteRide
+);
+
 // Payment processing
 router.post(
   '/:rideId/payment',
@@ -63,6 +72,15 @@ router.get(
   RideController.trackRide
 );
 
+// Replay the path the driver took
+router.get(
+  '/:rideId/trail',
+  RideMiddleware.protect,
+  RideMiddleware.restrictTo('customer'),
+  RideMiddleware.restrictToRideOwner,
+  RideController.getRideTrail
+);
+
 // Update ride status
 router.patch(
   '/:rideId/status',
@@ -0,0 +1,20 @@
+'use strict';
+
+const express = require('express');
+const walletController = require('@controllers/customer/walletController');
+const { authenticateCustomer } = require('@middleware/customer/cartMiddleware');
+const { idempotency } = require('@middleware/idempotencyMiddleware');
+
+const router = express.Router();
+
+/**
+ * Wallet Routes - Stored-value balance, top-ups and transaction history
+ * All routes require customer authentication
+ */
+router.use(authenticateCustomer);
+
+router.get('/', walletController.getBalance);
+router.post('/top-ups', idempotency(), walletController.topUp);
+router.get('/transactions', walletController.getTransactions);
+
+module.exports = router;
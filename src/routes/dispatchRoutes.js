@@ -0,0 +1,21 @@
+'use strict';
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorizeRoles } = require('@middleware/authMiddleware');
+const DriverOrderMiddleware = require('@middleware/driver/driverOrderMiddleware');
+const dispatchController = require('@controllers/dispatchController');
+
+const driverOnly = [DriverOrderMiddleware.authenticateDriver, DriverOrderMiddleware.restrictToDriver];
+const adminOnly = [authenticate, authorizeRoles('admin')];
+
+// Delivery offers for the signed-in driver
+router.get('/offers', ...driverOnly, dispatchController.listOffers);
+router.post('/offers/:offerId/accept', ...driverOnly, dispatchController.acceptOffer);
+router.post('/offers/:offerId/decline', ...driverOnly, dispatchController.declineOffer);
+
+// Dispatch operations and offer analytics
+router.post('/orders/:orderId', ...adminOnly, dispatchController.dispatchOrder);
+router.get('/orders/:orderId', ...adminOnly, dispatchController.getOrderDispatches);
+router.get('/analytics', ...adminOnly, dispatchController.getAnalytics);
+
+module.exports = router;
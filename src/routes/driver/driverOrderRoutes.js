@@ -3,6 +3,7 @@
 const express = require('express');
 const DriverOrderController = require('@controllers/driver/driverOrderController');
 const DriverOrderMiddleware = require('@middleware/driver/driverOrderMiddleware');
+const { imageUpload } = require('@config/multerConfig');
 const { Order, Route } = require('@models'); // Ensure models are imported
 const AppError = require('@utils/AppError');
 
@@ -37,15 +38,25 @@ router.put(
   DriverOrderController.trackDelivery
 );
 
-// 4. Complete the order delivery
+// 4. Complete the order delivery, with the customer's code, a photo and a signature as required
 router.put(
   '/complete/:order_id',
   DriverOrderMiddleware.authenticateDriver,
   DriverOrderMiddleware.restrictToDriver,
   DriverOrderMiddleware.verifyOrderOwnership,
+  imageUpload.fields([{ name: 'photo', maxCount: 1 }, { name: 'signature', maxCount: 1 }]),
   DriverOrderController.completeOrder
 );
 
+// 4a. Send the customer a new delivery code
+router.post(
+  '/delivery-otp/:order_id',
+  DriverOrderMiddleware.authenticateDriver,
+  DriverOrderMiddleware.restrictToDriver,
+  DriverOrderMiddleware.verifyOrderOwnership,
+  DriverOrderController.resendDeliveryOtp
+);
+
 // 5. Fetch all orders for a driver
 router.get(
   '/',
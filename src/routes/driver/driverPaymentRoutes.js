@@ -1,8 +1,8 @@
 'use strict';
 
 const express = require('express');
-const DriverPaymentController = require('@controllers/driver/DriverPaymentController');
-const DriverPaymentMiddleware = require('@middleware/driver/DriverPaymentMiddleware');
+const DriverPaymentController = require('@controllers/driver/driverPaymentController');
+const DriverPaymentMiddleware = require('@middleware/driver/driverPaymentMiddleware');
 const { logger } = require('@utils/logger');
 
 const router = express.Router();
@@ -32,6 +32,22 @@ router.get(
   DriverPaymentController.getEarnings
 );
 
+// Get the weekly earnings statement
+router.get(
+  '/earnings/statement',
+  DriverPaymentMiddleware.protect,
+  DriverPaymentMiddleware.restrictToDriver,
+  DriverPaymentController.getWeeklyStatement
+);
+
+// List payouts
+router.get(
+  '/payouts',
+  DriverPaymentMiddleware.protect,
+  DriverPaymentMiddleware.restrictToDriver,
+  DriverPaymentController.listPayouts
+);
+
 // Request a payout
 router.post(
   '/payout',
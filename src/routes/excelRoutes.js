@@ -2,9 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, authorizeRoles } = require('@middleware/authMiddleware');
-const excelService = require('@services/excelService');
+const excelService = require('@services/common/excelService');
+const ReconciliationService = require('@services/common/reconciliationService');
 const emailService = require('@services/emailService');
 const catchAsync = require('@utils/catchAsync');
+const upload = require('@config/multerConfig');
 const { logger } = require('@utils/logger');
 const cron = require('node-cron');
 const { ReportSchedule, Report } = require('@models');
@@ -51,6 +53,60 @@ router.post('/schedule',
   })
 );
 
+router.post('/reconciliation',
+  authenticate,
+  authorizeRoles('admin'),
+  upload.single('file'),
+  catchAsync(async (req, res) => {
+    const { provider, settlement_date } = req.body;
+    const run = await ReconciliationService.ingestSettlementFile({
+      file: req.file,
+      provider,
+      settlement_date,
+      user_id: req.user.id
+    });
+    logger.info(`Settlement file ${run.file_name} uploaded for ${provider} by user ${req.user.id}`);
+    res.status(202).json({
+      status: 'success',
+      data: { id: run.id, provider: run.provider, settlement_date: run.settlement_date, status: run.status, rows: run.settlement_rows.length }
+    });
+  })
+);
+
+router.get('/reconciliation',
+  authenticate,
+  authorizeRoles('admin'),
+  catchAsync(async (req, res) => {
+    const result = await ReconciliationService.listRuns(req.query);
+    res.status(200).json({ status: 'success', data: result });
+  })
+);
+
+// Runs (or re-runs) a reconciliation now instead of waiting for the nightly job
+router.post('/reconciliation/:id/run',
+  authenticate,
+  authorizeRoles('admin'),
+  catchAsync(async (req, res) => {
+    const run = await ReconciliationService.reconcile(req.params.id);
+    res.status(200).json({
+      status: 'success',
+      data: { id: run.id, status: run.status, summary: run.summary, completed_at: run.completed_at }
+    });
+  })
+);
+
+router.get('/reconciliation/:id/report',
+  authenticate,
+  authorizeRoles('admin'),
+  catchAsync(async (req, res) => {
+    const { run, filePath } = await ReconciliationService.generateReport(req.params.id);
+    res.download(filePath, `reconciliation_${run.provider}_${run.settlement_date}.xlsx`, async (err) => {
+      if (err) logger.error({ message: 'Error sending reconciliation report', error: err.message, runId: run.id, userId: req.user.id, timestamp: new Date().toISOString(), context: 'reconciliationReport' });
+      await excelService.cleanup(filePath);
+    });
+  })
+);
+
 cron.schedule('* * * * *', async () => {
   try {
     const now = new Date();
@@ -89,6 +145,16 @@ cron.schedule('* * * * *', async () => {
   }
 });
 
+// Settlement files uploaded during the day are reconciled overnight
+cron.schedule('0 2 * * *', async () => {
+  try {
+    const { completed, failed } = await ReconciliationService.runPendingReconciliations();
+    logger.info(`Payment reconciliation job finished: ${completed} completed, ${failed} failed`);
+  } catch (error) {
+    logger.error({ message: 'Cron job for payment reconciliation failed', error: error.message, timestamp: new Date().toISOString(), context: 'reconciliationCron' });
+  }
+});
+
 const loadSchedules = async () => {
   const schedules = await ReportSchedule.count({ where: { status: 'active' } });
   logger.info(`Loaded ${schedules} active report schedules`);
@@ -0,0 +1,25 @@
+'use strict';
+
+const express = require('express');
+const giftCardController = require('@controllers/merchant/giftCardController');
+const { authenticateMerchant } = require('@middleware/merchantMetricsMiddleware');
+const { idempotency } = require('@middleware/idempotencyMiddleware');
+
+const router = express.Router();
+
+/**
+ * Merchant Gift Card Routes - Values on offer, issuing, cancelling and resending cards
+ * All routes require merchant authentication
+ */
+router.use(authenticateMerchant);
+
+router.get('/settings', giftCardController.getSettings);
+router.put('/settings', giftCardController.updateSettings);
+router.post('/', idempotency(), giftCardController.issue);
+router.get('/', giftCardController.list);
+router.get('/:giftCardId', giftCardController.get);
+router.post('/:giftCardId/cancel', giftCardController.cancel);
+router.get('/:giftCardId/voucher', giftCardController.downloadVoucher);
+router.post('/:giftCardId/resend', giftCardController.resend);
+
+module.exports = router;
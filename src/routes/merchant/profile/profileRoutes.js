@@ -13,6 +13,8 @@ router.route('/')
 
 router.patch('/business-hours', profileController.updateBusinessHours);
 router.patch('/delivery-settings', profileController.updateDeliverySettings);
+router.patch('/proof-of-delivery', profileController.updateProofOfDeliverySettings);
+router.patch('/cancellation-policy', profileController.updateCancellationPolicy);
 
 router.route('/branches')
   .post(profileController.createBranch);
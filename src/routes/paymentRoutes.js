@@ -12,6 +12,8 @@ try {
         paymentValidators
     } = require('../validators/paymentValidators');
     const paymentController = require('../controllers/paymentController');
+    const { idempotency } = require('../middleware/idempotencyMiddleware');
+    const { verifyWebhookSignature } = require('../middleware/webhookSignatureMiddleware');
 
     // Debug logging middleware - keeping this as it's useful for request tracking
     const debugLogger = (routeName) => (req, res, next) => {
@@ -26,6 +28,7 @@ try {
         authenticate,
         authorizeRoles('customer', 'merchant'),
         validateRequest(mobileMoneySchema),
+        idempotency(),
         paymentController.initiateMobileMoneyPayment
     );
 
@@ -36,6 +39,7 @@ try {
         authenticate,
         authorizeRoles('customer', 'merchant'),
         validateRequest(bankCardSchema),
+        idempotency(),
         paymentController.initiateBankCardPayment
     );
 
@@ -51,10 +55,19 @@ try {
     router.post(
         '/webhook/:provider',
         debugLogger('Webhook'),
+        verifyWebhookSignature(),
         validateRequest(webhookSchema),
         paymentController.handleWebhook
     );
 
+    // Mobile-money provider callback route, payloads are read by the provider's adapter
+    router.post(
+        '/callback/:provider',
+        debugLogger('ProviderCallback'),
+        verifyWebhookSignature(),
+        paymentController.handleProviderCallback
+    );
+
     // Verification Route
     router.post(
         '/verify/:paymentId',
@@ -74,15 +87,32 @@ try {
         paymentController.approveHighRiskPayment
     );
     
+    // Declines the payment; /reject is kept for existing clients
     router.post(
-        '/review/:paymentId/reject',
-        debugLogger('ReviewReject'),
+        ['/review/:paymentId/decline', '/review/:paymentId/reject'],
+        debugLogger('ReviewDecline'),
         authenticate,
         authorizeRoles('admin'),
         validateRequest(paymentValidators.reviewDecision),
-        paymentController.rejectHighRiskPayment
+        paymentController.declineHighRiskPayment
+    );
+
+    router.get(
+        '/review',
+        debugLogger('ReviewQueue'),
+        authenticate,
+        authorizeRoles('admin'),
+        paymentController.getReviewQueue
     );
 
+    // Risk rule and blocklist administration
+    router.get('/risk/rules', authenticate, authorizeRoles('admin'), paymentController.listRiskRules);
+    router.post('/risk/rules', authenticate, authorizeRoles('admin'), paymentController.createRiskRule);
+    router.patch('/risk/rules/:ruleId', authenticate, authorizeRoles('admin'), paymentController.updateRiskRule);
+    router.get('/risk/blocklist', authenticate, authorizeRoles('admin'), paymentController.listBlocklist);
+    router.post('/risk/blocklist', authenticate, authorizeRoles('admin'), paymentController.addToBlocklist);
+    router.delete('/risk/blocklist/:entryId', authenticate, authorizeRoles('admin'), paymentController.removeFromBlocklist);
+
     // Transaction Report Route
     router.get(
         '/reports/transactions',
@@ -108,6 +138,13 @@ router.post(
     authorizeRoles('admin'),
     paymentController.processRefund
   );
+
+  router.get(
+    '/:paymentId/refunds',
+    authenticate,
+    authorizeRoles('merchant', 'admin'),
+    paymentController.getRefunds
+  );
   
   // Tip routes
   router.post(
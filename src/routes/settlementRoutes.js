@@ -0,0 +1,51 @@
+'use strict';
+const express = require('express');
+const router = express.Router();
+const cron = require('node-cron');
+const { authenticate, authorizeRoles } = require('@middleware/authMiddleware');
+const merchantMetricsMiddleware = require('@middleware/merchantMetricsMiddleware');
+const settlementController = require('@controllers/settlementController');
+const SettlementService = require('@services/common/settlementService');
+const config = require('@config/config');
+const { logger } = require('@utils/logger');
+
+const { authenticateMerchant } = merchantMetricsMiddleware;
+const adminOnly = [authenticate, authorizeRoles('admin')];
+
+// Merchant balance, statements and payouts
+router.get('/merchant/balance', authenticateMerchant, settlementController.getBalance);
+router.get('/merchant/statement', authenticateMerchant, settlementController.getStatement);
+router.get('/merchant/statement/download', authenticateMerchant, settlementController.downloadStatement);
+router.get('/merchant/payouts', authenticateMerchant, settlementController.listPayouts);
+router.put('/merchant/payout-settings', authenticateMerchant, settlementController.updatePayoutSettings);
+
+// Finance operations
+router.post('/payout-batches', ...adminOnly, settlementController.runPayoutBatch);
+router.get('/payout-batches', ...adminOnly, settlementController.listPayoutBatches);
+router.put('/merchants/:merchantId/commission', ...adminOnly, settlementController.setCommissionRate);
+router.get('/merchants/:merchantId/statement', ...adminOnly, settlementController.getMerchantStatement);
+router.get('/merchants/:merchantId/statement/download', ...adminOnly, settlementController.downloadMerchantStatement);
+router.post('/chargebacks', ...adminOnly, settlementController.recordChargeback);
+router.post('/drivers/:driverId/adjustments', ...adminOnly, settlementController.addDriverAdjustment);
+router.get('/drivers/:driverId/statement', ...adminOnly, settlementController.getDriverStatement);
+
+cron.schedule(config.settlement.payouts.schedule, async () => {
+  try {
+    const batch = await SettlementService.runPayoutBatch();
+    logger.info(`Merchant payout batch ${batch.id} finished with status ${batch.status}`);
+  } catch (error) {
+    logger.error({ message: 'Cron job for merchant payouts failed', error: error.message, timestamp: new Date().toISOString(), context: 'payoutCron' });
+  }
+});
+
+// Merchant and driver payouts the provider had not settled when they were sent
+cron.schedule('*/30 * * * *', async () => {
+  try {
+    const settled = await SettlementService.refreshProcessingPayouts();
+    if (settled) logger.info(`Payout refresh settled ${settled} payouts`);
+  } catch (error) {
+    logger.error({ message: 'Cron job for payout refresh failed', error: error.message, timestamp: new Date().toISOString(), context: 'payoutCron' });
+  }
+});
+
+module.exports = router;
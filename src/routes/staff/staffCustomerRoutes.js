@@ -29,5 +29,19 @@ module.exports = (io, whatsappService, emailService, smsService) => {
     controller.processBill.bind(controller)
   );
 
+  router.get(
+    '/bill/:orderId',
+    staffCustomerMiddleware.authenticateStaff,
+    staffCustomerMiddleware.validateBillRequest,
+    controller.getBillProgress.bind(controller)
+  );
+
+  router.delete(
+    '/bill/:orderId/split',
+    staffCustomerMiddleware.authenticateStaff,
+    staffCustomerMiddleware.validateBillRequest,
+    controller.cancelBillSplit.bind(controller)
+  );
+
   return router;
 };
\ No newline at end of file
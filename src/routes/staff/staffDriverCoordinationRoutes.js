@@ -15,6 +15,9 @@ module.exports = (app) => {
   router.get('/track-delivery/:orderId', staffAuthMiddleware, controller.trackDelivery.bind(controller));
   router.post('/complete-order', staffAuthMiddleware, controller.completeOrder.bind(controller));
   router.get('/driver-overview/:branchId', staffAuthMiddleware, controller.getDriverOrderOverview.bind(controller));
+  router.get('/delivery-proof/:orderId', staffAuthMiddleware, controller.getDeliveryProof.bind(controller));
+  router.get('/delivery-proof/:orderId/:kind', staffAuthMiddleware, controller.getDeliveryProofImage.bind(controller));
+  router.get('/delivery-trail/:orderId', staffAuthMiddleware, controller.getDeliveryTrail.bind(controller));
 
   app.use('/api/v1/staff/driver-coordination', router);
   logger.info('Staff driver coordination routes mounted at /api/v1/staff/driver-coordination');
@@ -0,0 +1,10 @@
+'use strict';
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorizeRoles } = require('@middleware/authMiddleware');
+const tripTrackingController = require('@controllers/tripTrackingController');
+
+// tripType is 'order' or 'ride'
+router.get('/:tripType/:tripId/trail', authenticate, authorizeRoles('admin'), tripTrackingController.getTrail);
+
+module.exports = router;
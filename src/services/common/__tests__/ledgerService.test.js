@@ -0,0 +1,370 @@
+'use strict';
+
+const { Op } = require('sequelize');
+
+jest.mock('@models', () => ({
+  sequelize: {},
+  LedgerTransaction: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn(),
+  },
+  LedgerEntry: { findAll: jest.fn(), bulkCreate: jest.fn() },
+  Payment: {},
+  Order: {},
+  PaymentAllocation: { findAll: jest.fn() },
+  Merchant: { findAll: jest.fn() },
+  PayoutBatch: {},
+  MerchantPayout: {},
+  DriverPayout: {},
+}));
+jest.mock('@config/config', () => ({
+  settlement: { commissionRates: {}, defaultCommissionRate: 15 },
+}));
+jest.mock('@utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  logTransactionEvent: jest.fn(),
+}));
+jest.mock('@services/common/paymentProviders', () => ({
+  getProviderAdapter: jest.fn(),
+}));
+jest.mock('@services/common/excelService', () => ({}));
+
+const {
+  LedgerTransaction,
+  LedgerEntry,
+  PaymentAllocation,
+  Merchant,
+} = require('@models');
+const { LEDGER_ACCOUNTS } = require('@config/constants/settlement');
+const LedgerService = require('@services/common/ledgerService');
+const SettlementService = require('@services/common/settlementService');
+
+const {
+  PLATFORM_CLEARING,
+  MERCHANT_PAYABLE,
+  PLATFORM_COMMISSION,
+  DELIVERY_FEES,
+  CUSTOMER_WALLET,
+} = LEDGER_ACCOUNTS;
+
+// The ledger held in memory, with the unique (type, reference) index of its transactions
+let ledger;
+const sameReference = (row, where) =>
+  row.type === where.type &&
+  row.reference_type === where.reference_type &&
+  row.reference_id === where.reference_id;
+
+const totalOf = (entries, direction) =>
+  Math.round(
+    entries
+      .filter(entry => entry.direction === direction)
+      .reduce((sum, entry) => sum + entry.amount, 0) * 100
+  ) / 100;
+
+const balance = (account, owner_id) =>
+  LedgerService.getBalance({
+    account,
+    ...(owner_id && { owner_type: 'merchant', owner_id }),
+  });
+
+const expectEveryTransactionBalanced = () => {
+  ledger.transactions.forEach(posted => {
+    const lines = ledger.entries.filter(
+      entry => entry.transaction_id === posted.id
+    );
+    expect(totalOf(lines, 'debit')).toBe(totalOf(lines, 'credit'));
+  });
+};
+
+describe('ledger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ledger = { transactions: [], entries: [] };
+    LedgerTransaction.findOne.mockImplementation(
+      async ({ where }) =>
+        ledger.transactions.find(row => sameReference(row, where)) || null
+    );
+    LedgerTransaction.findAll.mockImplementation(async ({ where }) =>
+      ledger.transactions.filter(
+        row =>
+          where.type.includes(row.type) &&
+          Object.entries(where.metadata[Op.contains]).every(
+            ([field, value]) => row.metadata?.[field] === value
+          )
+      )
+    );
+    LedgerTransaction.create.mockImplementation(async data => {
+      const posted = { id: ledger.transactions.length + 1, ...data };
+      ledger.transactions.push(posted);
+      return posted;
+    });
+    LedgerEntry.bulkCreate.mockImplementation(async rows => {
+      ledger.entries.push(...rows);
+      return rows;
+    });
+    LedgerEntry.findAll.mockImplementation(async ({ where, group }) => {
+      const totals = new Map();
+      ledger.entries
+        .filter(entry =>
+          Object.entries(where).every(
+            ([field, value]) => entry[field] === value
+          )
+        )
+        .forEach(entry => {
+          const key = group.map(field => entry[field]).join('|');
+          const row = totals.get(key) || {
+            ...Object.fromEntries(group.map(field => [field, entry[field]])),
+            total: 0,
+          };
+          row.total += entry.amount;
+          totals.set(key, row);
+        });
+      return [...totals.values()];
+    });
+  });
+
+  describe('LedgerService.post', () => {
+    const posting = (entries, fields = {}) => ({
+      type: 'adjustment',
+      reference_type: 'merchant',
+      reference_id: 1,
+      currency: 'MWK',
+      entries,
+      ...fields,
+    });
+
+    it('books a balanced transaction with one entry per line', async () => {
+      const posted = await LedgerService.post(
+        posting([
+          { account: PLATFORM_CLEARING, direction: 'debit', amount: 10.006 },
+          {
+            account: MERCHANT_PAYABLE,
+            owner_type: 'merchant',
+            owner_id: 1,
+            direction: 'credit',
+            amount: 10.01,
+          },
+        ])
+      );
+
+      expect(posted.id).toBe(1);
+      expect(ledger.entries).toEqual([
+        expect.objectContaining({
+          transaction_id: 1,
+          account: PLATFORM_CLEARING,
+          owner_id: null,
+          direction: 'debit',
+          amount: 10.01,
+          currency: 'MWK',
+        }),
+        expect.objectContaining({
+          account: MERCHANT_PAYABLE,
+          owner_id: 1,
+          direction: 'credit',
+          amount: 10.01,
+        }),
+      ]);
+    });
+
+    it('refuses a transaction whose debits and credits differ', async () => {
+      await expect(
+        LedgerService.post(
+          posting([
+            { account: PLATFORM_CLEARING, direction: 'debit', amount: 10 },
+            { account: DELIVERY_FEES, direction: 'credit', amount: 9.99 },
+          ])
+        )
+      ).rejects.toMatchObject({
+        statusCode: 500,
+        errorCode: 'LEDGER_UNBALANCED',
+        details: { debits: 10, credits: 9.99 },
+      });
+      expect(LedgerTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses a transaction with nothing to book', async () => {
+      await expect(
+        LedgerService.post(
+          posting([
+            { account: PLATFORM_CLEARING, direction: 'debit', amount: 0 },
+            { account: DELIVERY_FEES, direction: 'credit', amount: 0 },
+          ])
+        )
+      ).rejects.toMatchObject({ errorCode: 'LEDGER_UNBALANCED' });
+    });
+
+    it('leaves out zero lines', async () => {
+      await LedgerService.post(
+        posting([
+          { account: PLATFORM_CLEARING, direction: 'debit', amount: 5 },
+          { account: DELIVERY_FEES, direction: 'credit', amount: 5 },
+          { account: PLATFORM_COMMISSION, direction: 'credit', amount: 0 },
+        ])
+      );
+
+      expect(ledger.entries.map(entry => entry.account)).toEqual([
+        PLATFORM_CLEARING,
+        DELIVERY_FEES,
+      ]);
+    });
+
+    it('books a reference once, however often it is posted', async () => {
+      const lines = [
+        { account: PLATFORM_CLEARING, direction: 'debit', amount: 5 },
+        { account: DELIVERY_FEES, direction: 'credit', amount: 5 },
+      ];
+
+      const first = await LedgerService.post(posting(lines));
+      const again = await LedgerService.post(posting(lines));
+
+      expect(again).toBe(first);
+      expect(ledger.transactions).toHaveLength(1);
+      expect(ledger.entries).toHaveLength(2);
+    });
+
+    it('reports balances in the normal direction of each account', async () => {
+      await LedgerService.post(
+        posting([
+          { account: PLATFORM_CLEARING, direction: 'debit', amount: 30 },
+          {
+            account: MERCHANT_PAYABLE,
+            owner_type: 'merchant',
+            owner_id: 1,
+            direction: 'credit',
+            amount: 30,
+          },
+        ])
+      );
+
+      expect(await balance(PLATFORM_CLEARING)).toBe(30);
+      expect(await balance(MERCHANT_PAYABLE, 1)).toBe(30);
+      expect(await balance(MERCHANT_PAYABLE, 2)).toBe(0);
+    });
+  });
+
+  describe('SettlementService payment and refund postings', () => {
+    const payment = {
+      id: 40,
+      amount: 100,
+      customer_id: 5,
+      payment_method: 'BANK_CARD',
+      payment_details: { currency: 'MWK' },
+    };
+    const refund = fields => ({
+      amount: '0.00',
+      order_id: null,
+      destination: 'original',
+      ...fields,
+    });
+
+    beforeEach(() => {
+      // A checkout split over a restaurant at the default 15% and a grocer at its own 8%
+      PaymentAllocation.findAll.mockResolvedValue([
+        {
+          merchant_id: 1,
+          amount: '60.00',
+          order: {
+            id: 101,
+            total_amount: '60.00',
+            delivery_fee: '10.00',
+            subtotal: '50.00',
+          },
+        },
+        {
+          merchant_id: 2,
+          amount: '40.00',
+          order: {
+            id: 102,
+            total_amount: '40.00',
+            delivery_fee: '5.00',
+            subtotal: '35.00',
+          },
+        },
+      ]);
+      Merchant.findAll.mockResolvedValue([
+        { id: 1, business_type: 'restaurant', commission_rate: null },
+        { id: 2, business_type: 'grocery', commission_rate: '8' },
+      ]);
+    });
+
+    it('books a checkout payment to each merchant less commission', async () => {
+      await SettlementService.recordPayment(payment);
+      await SettlementService.recordPayment(payment);
+
+      expect(ledger.transactions).toHaveLength(1);
+      expectEveryTransactionBalanced();
+      expect(await balance(PLATFORM_CLEARING)).toBe(100);
+      expect(await balance(MERCHANT_PAYABLE, 1)).toBe(42.5);
+      expect(await balance(MERCHANT_PAYABLE, 2)).toBe(32.2);
+      expect(await balance(DELIVERY_FEES)).toBe(15);
+      expect(await balance(PLATFORM_COMMISSION)).toBe(10.3);
+    });
+
+    it('takes an order refund back from that order only', async () => {
+      await SettlementService.recordPayment(payment);
+
+      await SettlementService.recordRefund(
+        refund({ id: 1, amount: '30.00', order_id: 101 }),
+        payment
+      );
+
+      expectEveryTransactionBalanced();
+      expect(await balance(PLATFORM_CLEARING)).toBe(70);
+      expect(await balance(MERCHANT_PAYABLE, 1)).toBe(21.25);
+      expect(await balance(MERCHANT_PAYABLE, 2)).toBe(32.2);
+      expect(await balance(DELIVERY_FEES)).toBe(10);
+      expect(await balance(PLATFORM_COMMISSION)).toBe(6.55);
+    });
+
+    it('leaves nothing owed once a payment is refunded in parts', async () => {
+      await SettlementService.recordPayment(payment);
+
+      await SettlementService.recordRefund(
+        refund({ id: 1, amount: '30.00', order_id: 101 }),
+        payment
+      );
+      await SettlementService.recordRefund(
+        refund({ id: 2, amount: '70.00' }),
+        payment
+      );
+      await SettlementService.recordRefund(
+        refund({ id: 2, amount: '70.00' }),
+        payment
+      );
+
+      expect(ledger.transactions).toHaveLength(3);
+      expectEveryTransactionBalanced();
+      expect(await balance(PLATFORM_CLEARING)).toBe(0);
+      expect(await balance(MERCHANT_PAYABLE, 1)).toBe(0);
+      expect(await balance(MERCHANT_PAYABLE, 2)).toBe(0);
+      expect(await balance(DELIVERY_FEES)).toBe(0);
+      expect(await balance(PLATFORM_COMMISSION)).toBe(0);
+    });
+
+    it('moves a wallet refund into the customer wallet instead of clearing', async () => {
+      await SettlementService.recordPayment(payment);
+
+      await SettlementService.recordRefund(
+        refund({
+          id: 1,
+          amount: '40.00',
+          order_id: 102,
+          destination: 'wallet',
+        }),
+        payment
+      );
+
+      expectEveryTransactionBalanced();
+      expect(await balance(PLATFORM_CLEARING)).toBe(100);
+      expect(await balance(MERCHANT_PAYABLE, 2)).toBe(0);
+      expect(
+        await LedgerService.getBalance({
+          account: CUSTOMER_WALLET,
+          owner_type: 'customer',
+          owner_id: 5,
+        })
+      ).toBe(40);
+    });
+  });
+});
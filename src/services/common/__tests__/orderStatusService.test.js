@@ -0,0 +1,230 @@
+'use strict';
+
+jest.mock('@models', () => ({
+  Order: { update: jest.fn(), sequelize: { transaction: jest.fn() } },
+  InDiningOrder: { update: jest.fn(), sequelize: { transaction: jest.fn() } },
+  OrderStatusHistory: { create: jest.fn(), findAll: jest.fn() },
+}));
+jest.mock('@services/events/core/eventManager', () => ({ emit: jest.fn() }));
+jest.mock('@utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { Order, InDiningOrder, OrderStatusHistory } = require('@models');
+const eventManager = require('@services/events/core/eventManager');
+const OrderStatusService = require('@services/common/orderStatusService');
+
+const makeOrder = (status, fields = {}) => ({
+  id: 7,
+  order_number: 'ORD-7',
+  status,
+  ...fields,
+  setDataValue(field, value) {
+    this[field] = value;
+  },
+});
+
+const makeTransaction = () => {
+  const callbacks = [];
+  return {
+    afterCommit: jest.fn(callback => callbacks.push(callback)),
+    commit: () => callbacks.forEach(callback => callback()),
+  };
+};
+
+describe('OrderStatusService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Order.update.mockResolvedValue([1]);
+    InDiningOrder.update.mockResolvedValue([1]);
+    OrderStatusHistory.create.mockImplementation(async row => ({
+      ...row,
+      created_at: new Date(),
+    }));
+  });
+
+  describe('getAllowedTransitions', () => {
+    it('lists the next statuses for an order', () => {
+      expect(
+        OrderStatusService.getAllowedTransitions('order', 'pending')
+      ).toEqual(['confirmed', 'scheduled', 'cancelled']);
+    });
+
+    it('allows nothing from a terminal or unknown status', () => {
+      expect(
+        OrderStatusService.getAllowedTransitions('order', 'completed')
+      ).toEqual([]);
+      expect(OrderStatusService.getAllowedTransitions('order', 'lost')).toEqual(
+        []
+      );
+      expect(
+        OrderStatusService.getAllowedTransitions('parcel', 'pending')
+      ).toEqual([]);
+    });
+  });
+
+  describe('transition', () => {
+    it('updates the status conditionally and records who changed it', async () => {
+      const order = makeOrder('pending');
+      const transaction = makeTransaction();
+
+      await OrderStatusService.transition({
+        order,
+        toStatus: 'confirmed',
+        actor: { user_id: 3, type: 'merchant' },
+        reason: 'Accepted',
+        transaction,
+      });
+
+      expect(Order.update).toHaveBeenCalledWith(
+        { status: 'confirmed' },
+        { where: { id: 7, status: 'pending' }, transaction }
+      );
+      expect(OrderStatusHistory.create).toHaveBeenCalledWith(
+        {
+          order_id: 7,
+          from_status: 'pending',
+          to_status: 'confirmed',
+          changed_by: 3,
+          actor_type: 'merchant',
+          reason: 'Accepted',
+          metadata: null,
+        },
+        { transaction }
+      );
+      expect(order.status).toBe('confirmed');
+    });
+
+    it('persists extra fields with the status', async () => {
+      const order = makeOrder('out_for_delivery');
+      const deliveredAt = new Date();
+
+      await OrderStatusService.transition({
+        order,
+        toStatus: 'completed',
+        updates: { actual_delivery_time: deliveredAt },
+        transaction: makeTransaction(),
+      });
+
+      expect(Order.update.mock.calls[0][0]).toEqual({
+        actual_delivery_time: deliveredAt,
+        status: 'completed',
+      });
+      expect(order.actual_delivery_time).toBe(deliveredAt);
+    });
+
+    it('emits order.updated only once the transaction commits', async () => {
+      const transaction = makeTransaction();
+
+      await OrderStatusService.transition({
+        order: makeOrder('confirmed'),
+        toStatus: 'preparing',
+        transaction,
+      });
+      expect(eventManager.emit).not.toHaveBeenCalled();
+
+      transaction.commit();
+      expect(eventManager.emit).toHaveBeenCalledWith(
+        'order.updated',
+        expect.objectContaining({
+          orderType: 'order',
+          orderId: 7,
+          status: 'preparing',
+          previousStatus: 'confirmed',
+          actorType: 'system',
+        })
+      );
+    });
+
+    it('refuses a move the state machine does not allow', async () => {
+      const order = makeOrder('completed');
+
+      await expect(
+        OrderStatusService.transition({
+          order,
+          toStatus: 'cancelled',
+          transaction: makeTransaction(),
+        })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: 'INVALID_STATUS_TRANSITION',
+        details: { from: 'completed', to: 'cancelled', allowed: [] },
+      });
+      expect(Order.update).not.toHaveBeenCalled();
+      expect(OrderStatusHistory.create).not.toHaveBeenCalled();
+      expect(order.status).toBe('completed');
+    });
+
+    it('fails without a history row when the status changed underneath', async () => {
+      Order.update.mockResolvedValue([0]);
+      const order = makeOrder('ready');
+
+      await expect(
+        OrderStatusService.transition({
+          order,
+          toStatus: 'out_for_delivery',
+          transaction: makeTransaction(),
+        })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: 'ORDER_STATUS_CONFLICT',
+      });
+      expect(OrderStatusHistory.create).not.toHaveBeenCalled();
+      expect(order.status).toBe('ready');
+    });
+
+    it('opens a transaction when the caller has none', async () => {
+      const transaction = makeTransaction();
+      Order.sequelize.transaction.mockImplementation(work => work(transaction));
+
+      await OrderStatusService.transition({
+        order: makeOrder('pending'),
+        toStatus: 'cancelled',
+      });
+
+      expect(Order.sequelize.transaction).toHaveBeenCalledTimes(1);
+      expect(Order.update.mock.calls[0][1].transaction).toBe(transaction);
+      expect(OrderStatusHistory.create.mock.calls[0][1].transaction).toBe(
+        transaction
+      );
+    });
+
+    it('follows the in-dining state machine for in-dining orders', async () => {
+      const order = makeOrder('served');
+
+      await OrderStatusService.transition({
+        order,
+        orderType: 'in_dining_order',
+        toStatus: 'closed',
+        transaction: makeTransaction(),
+      });
+
+      expect(InDiningOrder.update).toHaveBeenCalled();
+      expect(Order.update).not.toHaveBeenCalled();
+      expect(OrderStatusHistory.create.mock.calls[0][0]).toMatchObject({
+        in_dining_order_id: 7,
+        from_status: 'served',
+        to_status: 'closed',
+      });
+
+      await expect(
+        OrderStatusService.transition({
+          order: makeOrder('served'),
+          orderType: 'in_dining_order',
+          toStatus: 'completed',
+          transaction: makeTransaction(),
+        })
+      ).rejects.toMatchObject({ errorCode: 'INVALID_STATUS_TRANSITION' });
+    });
+
+    it('rejects an unknown order type', async () => {
+      await expect(
+        OrderStatusService.transition({
+          order: makeOrder('pending'),
+          orderType: 'parcel',
+          toStatus: 'confirmed',
+        })
+      ).rejects.toMatchObject({ errorCode: 'INVALID_ORDER_TYPE' });
+    });
+  });
+});
@@ -0,0 +1,375 @@
+'use strict';
+
+const { Op } = require('sequelize');
+
+jest.mock('@models', () => ({
+  Payment: { findByPk: jest.fn(), sequelize: { transaction: jest.fn() } },
+  Refund: {
+    sum: jest.fn(),
+    create: jest.fn(),
+    count: jest.fn(),
+    findByPk: jest.fn(),
+  },
+  Order: { findByPk: jest.fn() },
+  OrderItems: {},
+  Customer: {},
+  PaymentAllocation: { findOne: jest.fn(), findAll: jest.fn() },
+}));
+jest.mock('@config/config', () => ({ payments: {} }));
+jest.mock('@utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  logTransactionEvent: jest.fn(),
+}));
+jest.mock('@services/events/core/eventManager', () => ({
+  emit: jest.fn(),
+  on: jest.fn(),
+}));
+jest.mock('@services/common/paymentProviders', () => ({
+  getProviderAdapter: jest.fn(),
+  setCallbackHandler: jest.fn(),
+}));
+jest.mock('@services/common/riskAssessmentService', () => ({}));
+jest.mock('@services/merchant/products/inventoryService', () => ({}));
+jest.mock('@services/customer/promotionService', () => ({}));
+jest.mock('@services/customer/walletService', () => ({
+  creditRefund: jest.fn(),
+}));
+jest.mock('@services/common/giftCardService', () => ({}));
+jest.mock('@services/common/settlementService', () => ({
+  recordRefund: jest.fn(),
+}));
+jest.mock('@services/driver/driverPaymentService', () => ({}));
+
+const { Payment, Refund, Order, PaymentAllocation } = require('@models');
+const { getProviderAdapter } = require('@services/common/paymentProviders');
+const WalletService = require('@services/customer/walletService');
+const SettlementService = require('@services/common/settlementService');
+const paymentService = require('@services/common/paymentService');
+
+const makeRecord = fields => ({
+  ...fields,
+  update: jest.fn(async function update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }),
+});
+
+const makePayment = (fields = {}) =>
+  makeRecord({
+    id: 1,
+    order_id: null,
+    amount: 100,
+    refunded_amount: '0.00',
+    status: 'completed',
+    payment_method: 'BANK_CARD',
+    provider: 'Visa',
+    payment_details: { currency: 'MWK' },
+    ...fields,
+  });
+
+const transaction = {
+  LOCK: { UPDATE: 'UPDATE' },
+  afterCommit: callback => callback(),
+};
+
+// Refunds held in memory, so requests made one after another see each other
+let refunds;
+const matches = (row, where) =>
+  Object.entries(where).every(([field, condition]) =>
+    condition && condition[Op.in]
+      ? condition[Op.in].includes(row[field])
+      : row[field] === condition
+  );
+
+describe('paymentService refunds', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    refunds = [];
+    Refund.sum.mockImplementation(async (field, { where }) =>
+      refunds
+        .filter(row => matches(row, where))
+        .reduce((total, row) => total + Number(row[field]), 0)
+    );
+    Refund.create.mockImplementation(async data => {
+      const refund = { id: refunds.length + 1, status: 'pending', ...data };
+      refunds.push(refund);
+      return refund;
+    });
+    Refund.count.mockResolvedValue(0);
+    getProviderAdapter.mockReturnValue({ partialRefunds: true });
+  });
+
+  describe('initiateRefund', () => {
+    it('refunds what is left of the payment when no amount is given', async () => {
+      const payment = makePayment({
+        status: 'partially_refunded',
+        refunded_amount: '20.00',
+      });
+      Payment.findByPk.mockResolvedValue(payment);
+
+      const refund = await paymentService.initiateRefund(
+        1,
+        { reason: 'Cold food' },
+        transaction
+      );
+
+      expect(refund).toMatchObject({
+        payment_id: 1,
+        amount: 80,
+        destination: 'original',
+        status: 'pending',
+      });
+      expect(payment.update).toHaveBeenCalledWith(
+        { refund_status: 'pending' },
+        { transaction }
+      );
+    });
+
+    it('counts outstanding refunds against what is still refundable', async () => {
+      Payment.findByPk.mockResolvedValue(makePayment());
+
+      await paymentService.initiateRefund(1, { amount: 30 }, transaction);
+      await paymentService.initiateRefund(1, { amount: 50 }, transaction);
+      await expect(
+        paymentService.initiateRefund(1, { amount: 30 }, transaction)
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        errorCode: 'REFUND_EXCEEDS_CAPTURED',
+        details: { captured: 100, pending: 80, refundable: 20, requested: 30 },
+      });
+
+      const last = await paymentService.initiateRefund(1, {}, transaction);
+      expect(last.amount).toBe(20);
+      expect(refunds.map(refund => refund.amount)).toEqual([30, 50, 20]);
+    });
+
+    it('frees the amount of a rejected refund and counts a processed one once', async () => {
+      refunds.push(
+        { id: 1, payment_id: 1, amount: 60, status: 'rejected' },
+        { id: 2, payment_id: 1, amount: 40, status: 'processed' }
+      );
+      Payment.findByPk.mockResolvedValue(
+        makePayment({ status: 'partially_refunded', refunded_amount: '40.00' })
+      );
+
+      const refund = await paymentService.initiateRefund(1, {}, transaction);
+
+      expect(refund.amount).toBe(60);
+    });
+
+    it('rejects an amount that is not positive', async () => {
+      Payment.findByPk.mockResolvedValue(makePayment());
+
+      await expect(
+        paymentService.initiateRefund(1, { amount: 0 }, transaction)
+      ).rejects.toMatchObject({ errorCode: 'REFUND_EXCEEDS_CAPTURED' });
+      await expect(
+        paymentService.initiateRefund(1, { amount: -5 }, transaction)
+      ).rejects.toMatchObject({ errorCode: 'REFUND_EXCEEDS_CAPTURED' });
+      expect(Refund.create).not.toHaveBeenCalled();
+    });
+
+    it('only refunds captured payments', async () => {
+      Payment.findByPk.mockResolvedValue(makePayment({ status: 'pending' }));
+      await expect(
+        paymentService.initiateRefund(1, {}, transaction)
+      ).rejects.toMatchObject({ errorCode: 'PAYMENT_NOT_REFUNDABLE' });
+
+      Payment.findByPk.mockResolvedValue(
+        makePayment({ status: 'refunded', refunded_amount: '100.00' })
+      );
+      await expect(
+        paymentService.initiateRefund(1, {}, transaction)
+      ).rejects.toThrow('Payment already refunded');
+      expect(Refund.create).not.toHaveBeenCalled();
+    });
+
+    it("caps an order's refund at its share of a checkout payment", async () => {
+      refunds.push({
+        id: 1,
+        payment_id: 1,
+        order_id: 5,
+        amount: 15,
+        status: 'processed',
+      });
+      Payment.findByPk.mockResolvedValue(
+        makePayment({ status: 'partially_refunded', refunded_amount: '15.00' })
+      );
+      Order.findByPk.mockResolvedValue({ id: 5, currency: 'MWK' });
+      PaymentAllocation.findOne.mockResolvedValue({ amount: '40.00' });
+
+      await expect(
+        paymentService.initiateRefund(
+          1,
+          { order_id: 5, amount: 30 },
+          transaction
+        )
+      ).rejects.toMatchObject({
+        errorCode: 'REFUND_EXCEEDS_CAPTURED',
+        details: { refundable: 25 },
+      });
+
+      const refund = await paymentService.initiateRefund(
+        1,
+        { order_id: 5 },
+        transaction
+      );
+      expect(refund).toMatchObject({ order_id: 5, amount: 25 });
+    });
+
+    it('refuses an order the payment did not cover', async () => {
+      Payment.findByPk.mockResolvedValue(makePayment());
+      Order.findByPk.mockResolvedValue({ id: 9 });
+      PaymentAllocation.findOne.mockResolvedValue(null);
+
+      await expect(
+        paymentService.initiateRefund(1, { order_id: 9 }, transaction)
+      ).rejects.toMatchObject({ errorCode: 'REFUND_ORDER_MISMATCH' });
+    });
+
+    it('sends a partial refund to the wallet when the provider only reverses whole payments', async () => {
+      getProviderAdapter.mockReturnValue({ partialRefunds: false });
+      Payment.findByPk.mockResolvedValue(
+        makePayment({ payment_method: 'MOBILE_MONEY', provider: 'Airtel' })
+      );
+
+      const partial = await paymentService.initiateRefund(
+        1,
+        { amount: 40 },
+        transaction
+      );
+      expect(partial.destination).toBe('wallet');
+
+      await expect(
+        paymentService.initiateRefund(
+          1,
+          { amount: 10, destination: 'original' },
+          transaction
+        )
+      ).rejects.toMatchObject({ errorCode: 'PARTIAL_REFUND_UNSUPPORTED' });
+    });
+
+    it('reverses a whole mobile money payment through the provider', async () => {
+      getProviderAdapter.mockReturnValue({ partialRefunds: false });
+      Payment.findByPk.mockResolvedValue(
+        makePayment({ payment_method: 'MOBILE_MONEY', provider: 'Airtel' })
+      );
+
+      const refund = await paymentService.initiateRefund(1, {}, transaction);
+
+      expect(refund).toMatchObject({ amount: 100, destination: 'original' });
+    });
+
+    it('always refunds a wallet payment to the wallet', async () => {
+      Payment.findByPk.mockResolvedValue(
+        makePayment({ payment_method: 'WALLET', provider: null })
+      );
+
+      const refund = await paymentService.initiateRefund(
+        1,
+        { amount: 25, destination: 'original' },
+        transaction
+      );
+
+      expect(refund.destination).toBe('wallet');
+    });
+  });
+
+  describe('settleRefund', () => {
+    const settle = async (payment, refund) => {
+      Payment.findByPk.mockResolvedValue(payment);
+      Refund.findByPk.mockResolvedValue(refund);
+      return paymentService.settleRefund(refund.id, {}, transaction);
+    };
+
+    it('moves the payment to partially refunded, then refunded', async () => {
+      const payment = makePayment();
+
+      await settle(
+        payment,
+        makeRecord({
+          id: 1,
+          payment_id: 1,
+          amount: '30.00',
+          status: 'approved',
+        })
+      );
+      expect(payment).toMatchObject({
+        status: 'partially_refunded',
+        refunded_amount: 30,
+        refund_status: 'processed',
+      });
+
+      await settle(
+        payment,
+        makeRecord({
+          id: 2,
+          payment_id: 1,
+          amount: '70.00',
+          status: 'approved',
+        })
+      );
+      expect(payment).toMatchObject({
+        status: 'refunded',
+        refunded_amount: 100,
+      });
+      expect(SettlementService.recordRefund).toHaveBeenCalledTimes(2);
+    });
+
+    it('credits a wallet refund to the wallet', async () => {
+      const payment = makePayment();
+      const refund = makeRecord({
+        id: 1,
+        payment_id: 1,
+        amount: '10.00',
+        status: 'approved',
+        destination: 'wallet',
+      });
+
+      await settle(payment, refund);
+
+      expect(WalletService.creditRefund).toHaveBeenCalledWith(
+        refund,
+        payment,
+        transaction
+      );
+    });
+
+    it('never books more than was captured', async () => {
+      const payment = makePayment({
+        status: 'partially_refunded',
+        refunded_amount: '90.00',
+      });
+      const refund = makeRecord({
+        id: 3,
+        payment_id: 1,
+        amount: '20.00',
+        status: 'approved',
+      });
+
+      await expect(settle(payment, refund)).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: 'REFUND_EXCEEDS_CAPTURED',
+      });
+      expect(refund.update).not.toHaveBeenCalled();
+      expect(payment.update).not.toHaveBeenCalled();
+    });
+
+    it('books a refund only once', async () => {
+      const payment = makePayment();
+
+      await settle(
+        payment,
+        makeRecord({
+          id: 1,
+          payment_id: 1,
+          amount: '30.00',
+          status: 'processed',
+        })
+      );
+
+      expect(payment.update).not.toHaveBeenCalled();
+      expect(SettlementService.recordRefund).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,224 @@
+'use strict';
+
+jest.mock('@models', () => ({
+  Payment: { findOne: jest.fn() },
+  WebhookEvent: { findOrCreate: jest.fn(), update: jest.fn() },
+}));
+jest.mock('@config/config', () => ({
+  payments: { webhooks: { claimTimeoutSeconds: 60 } },
+}));
+jest.mock('@utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('@services/common/paymentService', () => ({
+  applyStatusUpdate: jest.fn(),
+}));
+jest.mock('@services/notifications/core/notificationService', () => ({
+  sendThroughChannel: jest.fn(),
+}));
+
+const { WebhookEvent } = require('@models');
+const paymentService = require('@services/common/paymentService');
+const NotificationService = require('@services/notifications/core/notificationService');
+const webhookService = require('@services/common/webhookService');
+
+const webhook = { provider: 'airtel', eventId: 'evt-1', verified: true };
+const payload = { payment_id: 'TX1', status: 'SUCCESS' };
+
+const makeEvent = (fields = {}) => ({
+  id: 3,
+  status: 'received',
+  attempts: 1,
+  claimed_at: new Date(),
+  result: null,
+  ...fields,
+  set(changes) {
+    Object.assign(this, changes);
+  },
+  update: jest.fn(async function update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }),
+});
+
+describe('WebhookService', () => {
+  let handler;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    handler = jest.fn().mockResolvedValue({ id: 9, status: 'completed' });
+    WebhookEvent.update.mockResolvedValue([1]);
+  });
+
+  describe('processEvent', () => {
+    it('applies a new event once and records the result', async () => {
+      const event = makeEvent();
+      WebhookEvent.findOrCreate.mockResolvedValue([event, true]);
+
+      const result = await webhookService.processEvent(
+        webhook,
+        payload,
+        handler
+      );
+
+      expect(WebhookEvent.findOrCreate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { provider: 'airtel', event_id: 'evt-1' },
+        })
+      );
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({
+        duplicate: false,
+        payment_id: 9,
+        status: 'completed',
+      });
+      expect(event).toMatchObject({
+        status: 'processed',
+        payment_id: 9,
+        result: { payment_id: 9, status: 'completed' },
+      });
+    });
+
+    it('acknowledges a redelivered event without applying it again', async () => {
+      WebhookEvent.findOrCreate.mockResolvedValue([
+        makeEvent({
+          status: 'processed',
+          result: { payment_id: 9, status: 'completed' },
+        }),
+        false,
+      ]);
+
+      const result = await webhookService.processEvent(
+        webhook,
+        payload,
+        handler
+      );
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        duplicate: true,
+        payment_id: 9,
+        status: 'completed',
+      });
+    });
+
+    it('refuses a redelivery while the first delivery is being handled', async () => {
+      WebhookEvent.findOrCreate.mockResolvedValue([makeEvent(), false]);
+
+      await expect(
+        webhookService.processEvent(webhook, payload, handler)
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: 'WEBHOOK_IN_PROGRESS',
+      });
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('retries an event whose handler failed', async () => {
+      const event = makeEvent({ status: 'failed', error: 'Timeout' });
+      WebhookEvent.findOrCreate.mockResolvedValue([event, false]);
+
+      await webhookService.processEvent(webhook, payload, handler);
+
+      expect(WebhookEvent.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'received', attempts: 2 }),
+        {
+          where: {
+            id: 3,
+            status: 'failed',
+            claimed_at: expect.any(Date),
+          },
+        }
+      );
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(event.status).toBe('processed');
+    });
+
+    it('takes over an event whose handler never finished', async () => {
+      const event = makeEvent({ claimed_at: new Date(Date.now() - 61 * 1000) });
+      WebhookEvent.findOrCreate.mockResolvedValue([event, false]);
+
+      await webhookService.processEvent(webhook, payload, handler);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(event).toMatchObject({ status: 'processed', attempts: 2 });
+    });
+
+    it('leaves a retry to whichever redelivery claims it first', async () => {
+      WebhookEvent.findOrCreate.mockResolvedValue([
+        makeEvent({ status: 'failed' }),
+        false,
+      ]);
+      WebhookEvent.update.mockResolvedValue([0]);
+
+      await expect(
+        webhookService.processEvent(webhook, payload, handler)
+      ).rejects.toMatchObject({ errorCode: 'WEBHOOK_IN_PROGRESS' });
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('marks the event failed when the handler throws', async () => {
+      const event = makeEvent();
+      WebhookEvent.findOrCreate.mockResolvedValue([event, true]);
+      handler.mockRejectedValue(new Error('Payment not found'));
+
+      await expect(
+        webhookService.processEvent(webhook, payload, handler)
+      ).rejects.toThrow('Payment not found');
+      expect(event).toMatchObject({
+        status: 'failed',
+        error: 'Payment not found',
+      });
+    });
+  });
+
+  describe('applyWebhookStatus', () => {
+    const makePayment = status => ({
+      id: 9,
+      amount: 100,
+      status,
+      payment_details: {},
+      getCustomer: jest.fn().mockResolvedValue({ user_id: 4 }),
+    });
+
+    it('moves the payment through the status rules and notifies the customer', async () => {
+      const payment = makePayment('pending');
+      paymentService.applyStatusUpdate.mockImplementation(
+        async (p, status) => ({
+          ...p,
+          status,
+        })
+      );
+
+      const updated = await webhookService.applyWebhookStatus(
+        payment,
+        'SUCCESS',
+        payload,
+        'mobile_money_webhook'
+      );
+
+      expect(paymentService.applyStatusUpdate).toHaveBeenCalledWith(
+        payment,
+        'completed',
+        { payment_details: { webhook_data: payload } },
+        'mobile_money_webhook'
+      );
+      expect(updated.status).toBe('completed');
+      expect(NotificationService.sendThroughChannel).toHaveBeenCalledTimes(1);
+    });
+
+    it('stays quiet when the status rules ignore a stale webhook', async () => {
+      const payment = makePayment('completed');
+      paymentService.applyStatusUpdate.mockResolvedValue(payment);
+
+      await webhookService.applyWebhookStatus(
+        payment,
+        'PENDING',
+        payload,
+        'mobile_money_webhook'
+      );
+
+      expect(NotificationService.sendThroughChannel).not.toHaveBeenCalled();
+    });
+  });
+});
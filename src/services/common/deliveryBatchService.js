@@ -0,0 +1,248 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { DeliveryDispatch, Order, OrderStatusHistory, RouteOptimization } = require('@models');
+const config = require('@config/config');
+const Geolocation2Service = require('@services/geoLocation/geolocation2Service');
+const eventManager = require('@services/events/core/eventManager');
+const mathUtils = require('@utils/mathUtils');
+const { logger } = require('@utils/logger');
+
+const branchPoint = (order) => {
+  const [lng, lat] = order.branch.location.coordinates;
+  return { lat, lng };
+};
+
+const dropPoint = (order) => ({ lat: order.delivery_location.lat, lng: order.delivery_location.lng });
+
+const asParam = (point) => `${point.lat},${point.lng}`;
+
+const distanceKm = (from, to) => mathUtils.calculateDistance(from.lat, from.lng, to.lat, to.lng);
+
+// Straight-line estimate, used between pickups that are at most a branch radius apart
+const travelSeconds = (km) => Math.round((km / config.dispatch.averageSpeedKmh) * 3600);
+
+/**
+ * Delivery Batch Service - Plans multi-drop trips for ready orders from the same or
+ * nearby branches, and keeps the customers' ETAs current as the driver works through
+ * the stops. Stops are stored on a RouteOptimization, pickups first.
+ */
+class DeliveryBatchService {
+  /**
+   * Plans a shared trip for a ready order and other ready orders, trying the orders whose
+   * drop-off is closest to the seed's first and keeping each one that fits the limits
+   * @param {Object} seed - Ready order with its branch
+   * @param {Object[]} candidates - Other ready, unassigned orders with their branches
+   * @returns {Promise<Object|null>} Trip plan, or null when no order can be combined
+   */
+  static async planBatch(seed, candidates) {
+    const { enabled, maxOrders, branchRadiusKm, candidateLimit } = config.batching;
+    if (!enabled || maxOrders < 2) return null;
+
+    const seedBranch = branchPoint(seed);
+    const seedDrop = dropPoint(seed);
+    const nearby = candidates
+      .filter((order) => distanceKm(seedBranch, branchPoint(order)) <= branchRadiusKm)
+      .sort((a, b) => distanceKm(seedDrop, dropPoint(a)) - distanceKm(seedDrop, dropPoint(b)))
+      .slice(0, candidateLimit);
+    if (!nearby.length) return null;
+
+    const readyTimes = await this.getReadyTimes([seed, ...nearby]);
+    const directSeconds = new Map();
+
+    let members = [seed];
+    let plan = null;
+    for (const order of nearby) {
+      if (members.length >= maxOrders) break;
+      const attempt = await this.planTrip([...members, order], { readyTimes, directSeconds });
+      if (attempt) {
+        members = [...members, order];
+        plan = attempt;
+      }
+    }
+    return plan;
+  }
+
+  /**
+   * Orders the stops of a trip and checks every order against the detour and
+   * food-wait limits. Offsets are seconds from the driver reaching the first pickup.
+   * @returns {Promise<Object|null>} Plan, or null when an order would miss a limit
+   */
+  static async planTrip(orders, { readyTimes, directSeconds }) {
+    const { maxDetourMinutes, maxFoodWaitMinutes, stopServiceMinutes } = config.batching;
+    const serviceSeconds = stopServiceMinutes * 60;
+
+    // Pickups come first: the seed's branch, then whichever branch is nearest next
+    const branches = [...new Map(orders.map((order) => [order.branch_id, order.branch])).values()];
+    const pickups = [branches.shift()];
+    while (branches.length) {
+      const last = branchPoint({ branch: pickups[pickups.length - 1] });
+      branches.sort((a, b) => distanceKm(last, branchPoint({ branch: a })) - distanceKm(last, branchPoint({ branch: b })));
+      pickups.push(branches.shift());
+    }
+
+    const stops = [];
+    let offset = 0;
+    let distance = 0;
+    pickups.forEach((branch, index) => {
+      const location = branchPoint({ branch });
+      if (index) {
+        const km = distanceKm(stops[index - 1].location, location);
+        offset += travelSeconds(km);
+        distance += km * 1000;
+      }
+      stops.push({
+        type: 'pickup',
+        branch_id: branch.id,
+        order_ids: orders.filter((order) => order.branch_id === branch.id).map((order) => order.id),
+        location,
+        eta_offset_seconds: offset,
+      });
+      offset += serviceSeconds;
+    });
+
+    let route;
+    try {
+      route = await Geolocation2Service.optimizeMultipleDeliveries(
+        asParam(stops[stops.length - 1].location),
+        orders.map((order) => ({ id: order.id, location: asParam(dropPoint(order)), value: Number(order.total_amount) }))
+      );
+    } catch (error) {
+      logger.warn('Could not optimize batched deliveries', { order_ids: orders.map((order) => order.id), error: error.message });
+      return null;
+    }
+
+    for (const leg of route.optimizedOrder) {
+      const order = orders.find((candidate) => candidate.id === leg.deliveryId);
+      offset += leg.estimatedDuration;
+      distance += leg.estimatedDistance;
+      stops.push({
+        type: 'dropoff',
+        order_id: order.id,
+        location: dropPoint(order),
+        leg_seconds: leg.estimatedDuration,
+        leg_meters: leg.estimatedDistance,
+        eta_offset_seconds: offset,
+      });
+      offset += serviceSeconds;
+    }
+
+    const now = Date.now();
+    for (const stop of stops.filter((s) => s.type === 'dropoff')) {
+      const order = orders.find((candidate) => candidate.id === stop.order_id);
+      const direct = await this.getDirectSeconds(order, directSeconds);
+      const detour = stop.eta_offset_seconds - direct;
+      const foodWait = (now - readyTimes.get(order.id)) / 1000 + stop.eta_offset_seconds;
+      if (detour > maxDetourMinutes * 60 || foodWait > maxFoodWaitMinutes * 60) return null;
+    }
+
+    const dropoffs = stops.filter((stop) => stop.type === 'dropoff');
+    return {
+      orderIds: dropoffs.map((stop) => stop.order_id),
+      stops,
+      totalDistance: Math.round(distance),
+      totalDuration: dropoffs[dropoffs.length - 1].eta_offset_seconds,
+      polyline: route.polyline,
+      origin: stops[0].location,
+    };
+  }
+
+  // Time to deliver an order on its own from its branch; cached per planning run
+  static async getDirectSeconds(order, cache) {
+    if (!cache.has(order.id)) {
+      try {
+        const route = await Geolocation2Service.calculateRouteForDriver(asParam(branchPoint(order)), asParam(dropPoint(order)));
+        cache.set(order.id, route.duration.value);
+      } catch (error) {
+        cache.set(order.id, travelSeconds(distanceKm(branchPoint(order), dropPoint(order))));
+      }
+    }
+    return cache.get(order.id);
+  }
+
+  /**
+   * When each order last became ready, from its status history
+   * @param {Object[]} orders
+   * @returns {Promise<Map<number, number>>} Order ID to epoch milliseconds
+   */
+  static async getReadyTimes(orders) {
+    const history = await OrderStatusHistory.findAll({
+      where: { order_id: orders.map((order) => order.id), to_status: 'ready' },
+      attributes: ['order_id', 'created_at'],
+      order: [['created_at', 'ASC']],
+    });
+    const readyTimes = new Map(orders.map((order) => [order.id, new Date(order.updated_at).getTime()]));
+    history.forEach((entry) => readyTimes.set(entry.order_id, new Date(entry.created_at).getTime()));
+    return readyTimes;
+  }
+
+  /**
+   * Stores a planned trip so the dispatch and, later, the driver's route can use it
+   * @param {Object} plan - From planBatch
+   * @returns {Promise<Object>} RouteOptimization
+   */
+  static async saveOptimization(plan) {
+    return RouteOptimization.create({
+      totalDistance: plan.totalDistance,
+      totalDuration: plan.totalDuration,
+      optimizedOrder: plan.stops,
+      polyline: plan.polyline,
+      driverLocation: plan.origin,
+      deliveryIds: plan.orderIds,
+    });
+  }
+
+  /**
+   * Moves the ETAs of the later stops of a batched trip once an order is delivered,
+   * counting from now instead of from when the trip was planned
+   * @param {number} orderId - Order just delivered
+   * @returns {Promise<number>} Orders whose ETA changed
+   */
+  static async advanceEtas(orderId) {
+    const dispatch = await DeliveryDispatch.findOne({
+      where: {
+        status: 'assigned',
+        order_ids: { [Op.contains]: [orderId] },
+        route_optimization_id: { [Op.ne]: null },
+      },
+      include: [{ model: RouteOptimization, as: 'optimization' }],
+      order: [['assigned_at', 'DESC']],
+    });
+    if (!dispatch?.optimization) return 0;
+
+    const dropoffs = dispatch.optimization.optimizedOrder.filter((stop) => stop.type === 'dropoff');
+    const completed = dropoffs.find((stop) => stop.order_id === orderId);
+    const later = dropoffs.filter((stop) => stop.eta_offset_seconds > completed.eta_offset_seconds);
+    if (!later.length) return 0;
+
+    const orders = await Order.findAll({
+      where: {
+        id: later.map((stop) => stop.order_id),
+        driver_id: dispatch.driver_id,
+        status: { [Op.notIn]: ['completed', 'cancelled'] },
+      },
+    });
+
+    const remaining = orders
+      .map((order) => ({ order, stop: later.find((s) => s.order_id === order.id) }))
+      .sort((a, b) => a.stop.eta_offset_seconds - b.stop.eta_offset_seconds);
+
+    const now = Date.now();
+    for (const [stopsAhead, { order, stop }] of remaining.entries()) {
+      const estimatedDeliveryTime = new Date(now + (stop.eta_offset_seconds - completed.eta_offset_seconds) * 1000);
+      await order.update({ estimated_delivery_time: estimatedDeliveryTime });
+      eventManager.emit('order.eta_updated', {
+        orderId: order.id,
+        orderNumber: order.order_number,
+        customerId: order.customer_id,
+        estimatedDeliveryTime,
+        stopsAhead,
+      });
+    }
+
+    logger.info('Batched delivery ETAs updated', { dispatch_id: dispatch.id, completed_order_id: orderId, updated: orders.length });
+    return orders.length;
+  }
+}
+
+module.exports = DeliveryBatchService;
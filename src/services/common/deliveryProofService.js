@@ -0,0 +1,271 @@
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { DeliveryProof, Order, Merchant, Customer } = require('@models');
+const config = require('@config/config');
+const NotificationService = require('@services/notifications/core/notificationService');
+const mathUtils = require('@utils/mathUtils');
+const AppError = require('@utils/AppError');
+const { logger } = require('@utils/logger');
+
+const PROOF_DIRECTORY = path.join(__dirname, '../../../uploads/delivery-proofs');
+
+const hashOtp = (orderId, otp) => crypto.createHash('sha256').update(`${orderId}:${otp}`).digest('hex');
+
+// Driver locations are stored either as { lat, lng } or as GeoJSON points
+const coordinatesOf = (location) => {
+  if (!location) return null;
+  if (Array.isArray(location.coordinates)) {
+    const [lng, lat] = location.coordinates;
+    return { lat, lng };
+  }
+  const lat = parseFloat(location.lat);
+  const lng = parseFloat(location.lng);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+/**
+ * Delivery Proof Service - Collects what a driver has to capture before a delivery
+ * counts as done: the code sent to the customer when the driver was assigned, a photo,
+ * a signature and the driver's position at the door, as each merchant requires.
+ * The stored proof is what staff go back to when a customer says an order never arrived.
+ */
+class DeliveryProofService {
+  /**
+   * The merchant's proof of delivery settings over the platform defaults
+   * @returns {Object} { require_otp, require_photo, require_signature, geofence_meters }
+   */
+  static settingsFor(merchant) {
+    const settings = merchant?.proof_of_delivery_settings || {};
+    const defaults = config.proofOfDelivery;
+    return {
+      require_otp: settings.require_otp ?? defaults.requireOtp,
+      require_photo: settings.require_photo ?? defaults.requirePhoto,
+      require_signature: settings.require_signature ?? defaults.requireSignature,
+      geofence_meters: settings.geofence_meters === undefined ? defaults.geofenceMeters : settings.geofence_meters,
+    };
+  }
+
+  // A geofence of null turns the position check off
+  static validateSettings(settings) {
+    const { require_otp, require_photo, require_signature, geofence_meters } = settings;
+    if (![require_otp, require_photo, require_signature].every((value) => typeof value === 'boolean')) {
+      throw new AppError('require_otp, require_photo and require_signature must be true or false', 400, 'INVALID_PROOF_SETTINGS');
+    }
+    if (geofence_meters !== null && !(Number.isInteger(geofence_meters) && geofence_meters > 0)) {
+      throw new AppError('geofence_meters must be a whole number of metres, or null', 400, 'INVALID_PROOF_SETTINGS');
+    }
+  }
+
+  /**
+   * Starts the proof for an order that has just been given a driver, sending the
+   * customer a fresh code when the merchant asks for one. A new driver gets a new code.
+   * @param {number} orderId - Order ID
+   * @param {number} driverId - Assigned driver
+   * @returns {Promise<Object>} DeliveryProof
+   */
+  static async issue(orderId, driverId) {
+    const order = await Order.findByPk(orderId, {
+      include: [{ model: Merchant, as: 'merchant' }, { model: Customer, as: 'customer' }],
+    });
+    if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+
+    const requirements = this.settingsFor(order.merchant);
+    const [proof] = await DeliveryProof.findOrCreate({
+      where: { order_id: order.id },
+      defaults: { driver_id: driverId, requirements },
+    });
+    if (proof.completed_at) return proof;
+
+    await proof.update({
+      driver_id: driverId,
+      requirements,
+      otp_hash: null,
+      otp_sent_at: null,
+      otp_attempts: 0,
+      otp_verified_at: null,
+    });
+    if (requirements.require_otp) await this.sendOtp(order, proof);
+    return proof;
+  }
+
+  /**
+   * Sends the customer a new code, for when the first one did not arrive
+   * @param {number} orderId - Order ID
+   * @param {number} driverId - Driver asking on the customer's behalf
+   * @returns {Promise<Object>} { order_id, otp_sent_at }
+   */
+  static async resendOtp(orderId, driverId) {
+    const proof = await DeliveryProof.findOne({ where: { order_id: orderId } });
+    if (!proof || proof.driver_id !== driverId) {
+      throw new AppError('No delivery code was issued for this order', 404, 'PROOF_NOT_FOUND');
+    }
+    if (proof.completed_at) throw new AppError('Order has already been delivered', 400, 'PROOF_COMPLETED');
+    if (!proof.requirements.require_otp) {
+      throw new AppError('This delivery does not need a code', 400, 'OTP_NOT_REQUIRED');
+    }
+    const waitSeconds = proof.otp_sent_at
+      ? config.proofOfDelivery.otpResendSeconds - (Date.now() - new Date(proof.otp_sent_at).getTime()) / 1000
+      : 0;
+    if (waitSeconds > 0) {
+      throw new AppError('A code was sent moments ago', 429, 'OTP_RECENTLY_SENT', { retry_after_seconds: Math.ceil(waitSeconds) });
+    }
+
+    const order = await Order.findByPk(orderId, { include: [{ model: Customer, as: 'customer' }] });
+    await this.sendOtp(order, proof);
+    return { order_id: order.id, otp_sent_at: proof.otp_sent_at };
+  }
+
+  static async sendOtp(order, proof) {
+    const otp = Array.from({ length: config.proofOfDelivery.otpLength }, () => crypto.randomInt(10)).join('');
+    await proof.update({ otp_hash: hashOtp(order.id, otp), otp_sent_at: new Date(), otp_attempts: 0 });
+
+    await NotificationService.sendThroughChannel({
+      user_id: order.customer.user_id,
+      order_id: order.id,
+      type: 'delivery_otp',
+      message: `Your delivery code for order #${order.order_number} is ${otp}. Only share it with the driver once your order is in your hands.`,
+      priority: 'HIGH',
+    });
+    logger.info('Delivery code sent', { order_id: order.id, driver_id: proof.driver_id });
+  }
+
+  /**
+   * Checks what the driver captured against the order's requirements. A wrong code
+   * counts against the attempts even though the delivery is not completed.
+   * @param {Object} order - Order being completed
+   * @param {Object} driver - Driver completing it
+   * @param {Object} evidence - { otp, location, photo, signature }; files as uploaded by multer
+   * @returns {Promise<Object>} The proof and the checked position
+   */
+  static async check(order, driver, { otp, location, photo, signature } = {}) {
+    let proof = await DeliveryProof.findOne({ where: { order_id: order.id } });
+    if (!proof) {
+      // Assigned before proofs were kept; hold the delivery to today's settings
+      const merchant = await Merchant.findByPk(order.merchant_id);
+      proof = await DeliveryProof.create({ order_id: order.id, driver_id: driver.id, requirements: this.settingsFor(merchant) });
+    }
+    if (proof.completed_at) throw new AppError('Order has already been delivered', 400, 'PROOF_COMPLETED');
+    const { requirements } = proof;
+
+    if (requirements.require_otp) {
+      if (!proof.otp_hash) throw new AppError('No delivery code has been sent; request one for the customer', 400, 'OTP_NOT_SENT');
+      if (proof.otp_attempts >= config.proofOfDelivery.otpMaxAttempts) {
+        throw new AppError('Too many wrong codes; request a new one for the customer', 429, 'OTP_LOCKED');
+      }
+      if (!otp) throw new AppError('The customer\'s delivery code is required', 400, 'OTP_REQUIRED');
+      const expected = Buffer.from(proof.otp_hash, 'hex');
+      const given = Buffer.from(hashOtp(order.id, String(otp).trim()), 'hex');
+      if (!crypto.timingSafeEqual(expected, given)) {
+        await proof.increment('otp_attempts');
+        throw new AppError('Delivery code does not match', 400, 'INVALID_OTP', {
+          attempts_left: Math.max(config.proofOfDelivery.otpMaxAttempts - proof.otp_attempts - 1, 0),
+        });
+      }
+    }
+    if (requirements.require_photo && !photo) {
+      throw new AppError('A photo of the delivered order is required', 400, 'PHOTO_REQUIRED');
+    }
+    if (requirements.require_signature && !signature) {
+      throw new AppError('The customer\'s signature is required', 400, 'SIGNATURE_REQUIRED');
+    }
+
+    // Fall back to the last position the driver's app reported
+    const position = coordinatesOf(location) || coordinatesOf(driver.current_location);
+    const destination = coordinatesOf(order.delivery_location);
+    const distanceMeters = position && destination
+      ? mathUtils.calculateDistance(position.lat, position.lng, destination.lat, destination.lng) * 1000
+      : null;
+
+    if (requirements.geofence_meters) {
+      if (!position) throw new AppError('Your current location is required', 400, 'LOCATION_REQUIRED');
+      if (distanceMeters === null) {
+        logger.warn('Order has no delivery coordinates to check the driver against', { order_id: order.id });
+      } else if (distanceMeters > requirements.geofence_meters) {
+        throw new AppError('You are too far from the delivery address', 403, 'OUTSIDE_DELIVERY_GEOFENCE', {
+          distance_meters: Math.round(distanceMeters),
+          allowed_meters: requirements.geofence_meters,
+        });
+      }
+    }
+
+    return { proof, position, distanceMeters };
+  }
+
+  /**
+   * Stores the checked proof along with the completed delivery
+   * @param {Object} checked - From check
+   * @param {Object} evidence - { photo, signature }; files as uploaded by multer
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<Object>} DeliveryProof
+   */
+  static async record({ proof, position, distanceMeters }, { photo, signature } = {}, { transaction } = {}) {
+    const photoPath = photo ? await this.saveImage(proof.order_id, 'photo', photo) : null;
+    const signaturePath = signature ? await this.saveImage(proof.order_id, 'signature', signature) : null;
+    const now = new Date();
+
+    return proof.update({
+      otp_verified_at: proof.requirements.require_otp ? now : null,
+      photo_path: photoPath,
+      signature_path: signaturePath,
+      location: position,
+      distance_meters: distanceMeters === null ? null : mathUtils.roundToDecimal(distanceMeters, 2),
+      completed_at: now,
+    }, { transaction });
+  }
+
+  static async saveImage(orderId, kind, file) {
+    await fs.mkdir(PROOF_DIRECTORY, { recursive: true });
+    const fileName = `${orderId}-${kind}-${Date.now()}.webp`;
+    await sharp(file.buffer).webp({ quality: 80 }).toFile(path.join(PROOF_DIRECTORY, fileName));
+    return `/uploads/delivery-proofs/${fileName}`;
+  }
+
+  /**
+   * Gets the proof captured for an order
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Object>}
+   */
+  static async getProof(orderId) {
+    const proof = await DeliveryProof.findOne({ where: { order_id: orderId } });
+    if (!proof) throw new AppError('No proof of delivery for this order', 404, 'PROOF_NOT_FOUND');
+    return this.summarize(proof);
+  }
+
+  /**
+   * Resolves where a proof image is kept on disk
+   * @param {number} orderId - Order ID
+   * @param {string} kind - 'photo' or 'signature'
+   * @returns {Promise<string>} Absolute file path
+   */
+  static async getImagePath(orderId, kind) {
+    if (!['photo', 'signature'].includes(kind)) {
+      throw new AppError('Proof image must be a photo or a signature', 400, 'INVALID_PROOF_IMAGE');
+    }
+    const proof = await DeliveryProof.findOne({ where: { order_id: orderId } });
+    const stored = proof?.[`${kind}_path`];
+    if (!stored) throw new AppError(`No ${kind} was captured for this order`, 404, 'PROOF_IMAGE_NOT_FOUND');
+    return path.join(PROOF_DIRECTORY, path.basename(stored));
+  }
+
+  static summarize(proof) {
+    return {
+      order_id: proof.order_id,
+      driver_id: proof.driver_id,
+      requirements: proof.requirements,
+      otp_sent_at: proof.otp_sent_at,
+      otp_verified_at: proof.otp_verified_at,
+      otp_attempts: proof.otp_attempts,
+      has_photo: Boolean(proof.photo_path),
+      has_signature: Boolean(proof.signature_path),
+      location: proof.location,
+      distance_meters: proof.distance_meters === null ? null : parseFloat(proof.distance_meters),
+      completed_at: proof.completed_at,
+    };
+  }
+}
+
+module.exports = DeliveryProofService;
@@ -0,0 +1,869 @@
+'use strict';
+
+const { Op, UniqueConstraintError } = require('sequelize');
+const {
+  sequelize,
+  DeliveryDispatch,
+  DispatchOffer,
+  Driver,
+  Order,
+  MerchantBranch,
+  Customer,
+  Route,
+  RouteOptimization,
+} = require('@models');
+const {
+  DISPATCHABLE_ORDER_STATUSES,
+  DISPATCH_SOCKET_EVENTS,
+  DELIVERY_VEHICLE_SCORES,
+  NEW_DRIVER_FACTOR_SCORE,
+} = require('@config/constants/dispatch');
+const config = require('@config/config');
+const NotificationService = require('@services/notifications/core/notificationService');
+const DeliveryBatchService = require('@services/common/deliveryBatchService');
+const DeliveryProofService = require('@services/common/deliveryProofService');
+const Geolocation2Service = require('@services/geoLocation/geolocation2Service');
+const eventManager = require('@services/events/core/eventManager');
+const mathUtils = require('@utils/mathUtils');
+const AppError = require('@utils/AppError');
+const { logger } = require('@utils/logger');
+
+const orderInclude = {
+  model: Order,
+  as: 'order',
+  include: [{ model: MerchantBranch, as: 'branch' }, { model: Customer, as: 'customer' }],
+};
+
+// Driver locations are stored either as { lat, lng } or as GeoJSON points
+const coordinatesOf = (location) => {
+  if (!location) return null;
+  if (Array.isArray(location.coordinates)) {
+    const [lng, lat] = location.coordinates;
+    return { lat, lng };
+  }
+  if (typeof location.lat === 'number' && typeof location.lng === 'number') {
+    return { lat: location.lat, lng: location.lng };
+  }
+  return null;
+};
+
+const emitToDriver = (driverId, event, payload) => {
+  eventManager.io?.of('/driver').to(`driver:${driverId}`).emit(event, payload);
+};
+
+/**
+ * Dispatch Service - Offers deliveries to ranked drivers until one accepts.
+ * Each round ranks the available drivers within a radius of the pickup and offers
+ * the delivery to the best few in turn; a driver who declines or lets the offer
+ * time out passes it to the next, and the next round searches a wider radius.
+ * A ready order is batched with other ready orders nearby when the trip allows,
+ * and the whole batch is then offered as one.
+ */
+class DispatchService {
+  /**
+   * Starts looking for a driver for a delivery order and sends the first offer.
+   * Returns the search already under way when the order is part of one.
+   * @param {number} orderId - Order ID
+   * @param {Object} [options]
+   * @param {number} [options.requested_by] - User who asked for a driver
+   * @returns {Promise<Object>} Dispatch summary
+   */
+  static async dispatchOrder(orderId, { requested_by = null } = {}) {
+    const order = await Order.findByPk(orderId, { include: [{ model: MerchantBranch, as: 'branch' }] });
+    if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    if (order.fulfillment_type === 'pickup') {
+      throw new AppError('Pickup orders do not need a driver', 400, 'PICKUP_ORDER');
+    }
+    if (!DISPATCHABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new AppError('Drivers can only be assigned to orders being prepared or ready', 400, 'INVALID_ORDER_STATUS');
+    }
+    if (order.driver_id) throw new AppError('Order already has a driver', 400, 'ORDER_ALREADY_ASSIGNED');
+    if (!order.delivery_location) {
+      throw new AppError('Delivery location not set for order', 400, 'MISSING_DELIVERY_LOCATION');
+    }
+
+    const active = await this.findSearchingDispatch(order.id);
+    if (active) return this.getDispatch(active.id);
+
+    const batch = await this.planBatchFor(order);
+
+    let dispatch;
+    try {
+      dispatch = await DeliveryDispatch.create({
+        order_id: order.id,
+        order_ids: batch ? batch.orderIds : [order.id],
+        route_optimization_id: batch?.optimization.id || null,
+        radius_km: config.dispatch.initialRadiusKm,
+        requested_by,
+      });
+    } catch (error) {
+      // Someone else started the search between the lookup and the insert
+      if (!(error instanceof UniqueConstraintError)) throw error;
+      const current = await this.findSearchingDispatch(order.id);
+      return this.getDispatch(current.id);
+    }
+    logger.info('Dispatch started', {
+      dispatch_id: dispatch.id,
+      order_id: order.id,
+      order_ids: dispatch.order_ids,
+      requested_by,
+    });
+
+    await this.offerNext(dispatch.id);
+
+    const summary = await this.getDispatch(dispatch.id);
+    if (summary.status === 'failed') {
+      throw new AppError('No drivers available', 404, 'DRIVER_UNAVAILABLE', { dispatch_id: dispatch.id });
+    }
+    return summary;
+  }
+
+  static async findSearchingDispatch(orderId) {
+    return DeliveryDispatch.findOne({
+      where: { status: 'searching', order_ids: { [Op.contains]: [orderId] } },
+      include: [orderInclude],
+    });
+  }
+
+  /**
+   * Looks for ready orders that can share a trip with a ready order and, when some
+   * can, stores the planned stops
+   * @param {Object} order - Order being dispatched, with its branch
+   * @returns {Promise<Object|null>} Order IDs in drop-off order and the optimization
+   */
+  static async planBatchFor(order) {
+    if (!config.batching.enabled || order.status !== 'ready') return null;
+
+    const ready = await Order.findAll({
+      where: {
+        id: { [Op.ne]: order.id },
+        status: 'ready',
+        fulfillment_type: 'delivery',
+        driver_id: null,
+        delivery_location: { [Op.ne]: null },
+      },
+      include: [{ model: MerchantBranch, as: 'branch' }],
+    });
+    if (!ready.length) return null;
+
+    const busy = await this.findBusyOrderIds(ready.map((candidate) => candidate.id));
+    const plan = await DeliveryBatchService.planBatch(order, ready.filter((candidate) => !busy.has(candidate.id)));
+    if (!plan) return null;
+
+    const optimization = await DeliveryBatchService.saveOptimization(plan);
+    return { orderIds: plan.orderIds, optimization };
+  }
+
+  /**
+   * Sends the next offer of a dispatch, widening the radius when the current round
+   * has no one left to ask, and fails the dispatch once every round is used up
+   * @param {number} dispatchId - DeliveryDispatch ID
+   * @returns {Promise<Object|null>} The offer sent, or null
+   */
+  static async offerNext(dispatchId) {
+    const dispatch = await DeliveryDispatch.findByPk(dispatchId, { include: [orderInclude] });
+    if (!dispatch || dispatch.status !== 'searching') return null;
+
+    const { maxRounds, candidatesPerRound } = config.dispatch;
+    const previous = await DispatchOffer.findAll({
+      where: { dispatch_id: dispatch.id },
+      attributes: ['driver_id', 'round', 'status'],
+    });
+    if (previous.some((offer) => offer.status === 'pending')) return null;
+
+    for (let round = Math.max(dispatch.round, 1); round <= maxRounds; round += 1) {
+      const offeredInRound = previous.filter((offer) => offer.round === round).length;
+      if (offeredInRound >= candidatesPerRound) continue;
+
+      const radiusKm = this.radiusForRound(round);
+      const [candidate] = await this.rankCandidates(dispatch.order, {
+        radiusKm,
+        excludeDriverIds: previous.map((offer) => offer.driver_id),
+      });
+      if (candidate) return this.sendOffer(dispatch, candidate, { round, rank: offeredInRound + 1, radiusKm });
+    }
+
+    await this.endDispatch(dispatch, 'failed', 'NO_DRIVER_ACCEPTED');
+    return null;
+  }
+
+  static radiusForRound(round) {
+    const { initialRadiusKm, radiusStepKm } = config.dispatch;
+    return initialRadiusKm + (round - 1) * radiusStepKm;
+  }
+
+  /**
+   * Ranks the drivers who could take a delivery from the order's branch, best first.
+   * Drivers must be available, not already on a route or holding another offer,
+   * have reported their location recently and ride a vehicle fit for deliveries.
+   * @param {Object} order - Order with its branch
+   * @param {Object} options
+   * @param {number} options.radiusKm - Search radius around the pickup
+   * @param {number[]} [options.excludeDriverIds] - Drivers already asked
+   * @returns {Promise<Array>} Candidates with their score and its factors
+   */
+  static async rankCandidates(order, { radiusKm, excludeDriverIds = [] }) {
+    const { shortlistSize, staleLocationMinutes } = config.dispatch;
+    const [pickupLng, pickupLat] = order.branch.location.coordinates;
+
+    const holding = await DispatchOffer.findAll({ where: { status: 'pending' }, attributes: ['driver_id'] });
+    const excluded = [...new Set([...excludeDriverIds, ...holding.map((offer) => offer.driver_id)])];
+
+    const drivers = await Driver.findAll({
+      where: {
+        availability_status: 'available',
+        active_route_id: null,
+        last_location_update: { [Op.gte]: new Date(Date.now() - staleLocationMinutes * 60000) },
+        ...(excluded.length && { id: { [Op.notIn]: excluded } }),
+      },
+      attributes: ['id', 'user_id', 'current_location', 'vehicle_info', 'rating'],
+    });
+
+    const nearby = drivers
+      .map((driver) => {
+        const position = coordinatesOf(driver.current_location);
+        if (!position) return null;
+        const vehicle = DELIVERY_VEHICLE_SCORES[driver.vehicle_info?.type];
+        if (!vehicle) return null;
+        const distanceKm = mathUtils.calculateDistance(pickupLat, pickupLng, position.lat, position.lng);
+        return { driver, position, vehicle, distanceKm };
+      })
+      .filter((candidate) => candidate && candidate.distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, shortlistSize);
+
+    const candidates = await Promise.all(
+      nearby.map(async ({ driver, position, vehicle, distanceKm }) => {
+        const { etaSeconds, source } = await this.estimateEta(position, { lat: pickupLat, lng: pickupLng }, distanceKm);
+        const acceptance = await this.getAcceptanceRate(driver.id);
+        const factors = {
+          eta: this.etaScore(etaSeconds, radiusKm),
+          rating: driver.rating ? mathUtils.clamp(parseFloat(driver.rating) / 5, 0, 1) : NEW_DRIVER_FACTOR_SCORE,
+          acceptance: acceptance ?? NEW_DRIVER_FACTOR_SCORE,
+          vehicle,
+        };
+        return {
+          driver,
+          distance_km: distanceKm,
+          eta_seconds: etaSeconds,
+          score: this.combineScores(factors),
+          factors: { ...factors, eta_source: source },
+        };
+      })
+    );
+
+    return candidates.sort((a, b) => b.score - a.score || a.eta_seconds - b.eta_seconds);
+  }
+
+  /**
+   * Time for a driver to reach the pickup, from a driving route where the map
+   * service answers and from the straight-line distance otherwise
+   */
+  static async estimateEta(from, to, distanceKm) {
+    try {
+      const route = await Geolocation2Service.calculateRouteForDriver(`${from.lat},${from.lng}`, `${to.lat},${to.lng}`);
+      return { etaSeconds: route.duration.value, source: 'route' };
+    } catch (error) {
+      logger.warn('Falling back to estimated driver ETA', { error: error.message });
+      return { etaSeconds: Math.round((distanceKm / config.dispatch.averageSpeedKmh) * 3600), source: 'estimate' };
+    }
+  }
+
+  // Scores 1 for a driver at the pickup, falling to 0 at twice the time to cross the round's radius
+  static etaScore(etaSeconds, radiusKm) {
+    const limit = ((radiusKm / config.dispatch.averageSpeedKmh) * 3600) * 2;
+    return mathUtils.roundToDecimal(mathUtils.clamp(1 - etaSeconds / limit, 0, 1), 4);
+  }
+
+  static combineScores(factors) {
+    const { weights } = config.dispatch;
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    const weighted = Object.entries(weights).reduce((sum, [factor, weight]) => sum + factors[factor] * weight, 0);
+    return mathUtils.roundToDecimal(weighted / totalWeight, 4);
+  }
+
+  /**
+   * Share of a driver's recent answered offers that they accepted; withdrawn offers
+   * do not count against them
+   * @param {number} driverId - Driver ID
+   * @returns {Promise<number|null>} 0-1, or null without any history
+   */
+  static async getAcceptanceRate(driverId) {
+    const recent = await DispatchOffer.findAll({
+      where: { driver_id: driverId, status: { [Op.in]: ['accepted', 'declined', 'expired'] } },
+      attributes: ['status'],
+      order: [['created_at', 'DESC']],
+      limit: config.dispatch.acceptanceWindow,
+    });
+    if (!recent.length) return null;
+    return recent.filter((offer) => offer.status === 'accepted').length / recent.length;
+  }
+
+  static async sendOffer(dispatch, candidate, { round, rank, radiusKm }) {
+    const { offerTimeoutSeconds } = config.dispatch;
+    const { order } = dispatch;
+
+    let offer;
+    try {
+      offer = await DispatchOffer.create({
+        dispatch_id: dispatch.id,
+        order_id: order.id,
+        driver_id: candidate.driver.id,
+        round,
+        rank,
+        radius_km: radiusKm,
+        distance_km: candidate.distance_km,
+        eta_seconds: candidate.eta_seconds,
+        score: candidate.score,
+        factors: candidate.factors,
+        expires_at: new Date(Date.now() + offerTimeoutSeconds * 1000),
+      });
+    } catch (error) {
+      // Another offer went out for this dispatch in the meantime
+      if (error instanceof UniqueConstraintError) return null;
+      throw error;
+    }
+    await dispatch.update({ round, radius_km: radiusKm });
+
+    emitToDriver(candidate.driver.id, DISPATCH_SOCKET_EVENTS.OFFER, {
+      offer_id: offer.id,
+      order_id: order.id,
+      order_number: order.order_number,
+      pickup: {
+        name: order.branch.name,
+        address: order.branch.address,
+        distance_km: candidate.distance_km,
+        eta_seconds: candidate.eta_seconds,
+      },
+      dropoff: { address: order.delivery_location.formattedAddress || null },
+      order_count: dispatch.order_ids.length,
+      expires_at: offer.expires_at,
+      timeout_seconds: offerTimeoutSeconds,
+    });
+
+    // The periodic sweep picks the offer up if this process stops before the timer fires
+    setTimeout(() => {
+      this.expireOffer(offer.id).catch((error) => {
+        logger.error('Failed to expire dispatch offer', { offer_id: offer.id, error: error.message });
+      });
+    }, offerTimeoutSeconds * 1000).unref();
+
+    logger.info('Delivery offered to driver', {
+      dispatch_id: dispatch.id,
+      order_id: order.id,
+      driver_id: candidate.driver.id,
+      round,
+      rank,
+      score: candidate.score,
+    });
+    return offer;
+  }
+
+  /**
+   * Closes a pending offer with the given outcome. The update only applies while the
+   * offer is still pending, so an answer racing the timeout is settled exactly once.
+   * @returns {Promise<boolean>} Whether this call closed the offer
+   */
+  static async closeOffer(offerId, status, { decline_reason = null, transaction } = {}) {
+    const [closed] = await DispatchOffer.update(
+      { status, decline_reason, responded_at: new Date() },
+      { where: { id: offerId, status: 'pending' }, transaction }
+    );
+    return closed > 0;
+  }
+
+  static async findDriverOffer(driverId, offerId) {
+    const offer = await DispatchOffer.findOne({ where: { id: offerId, driver_id: driverId } });
+    if (!offer) throw new AppError('Offer not found', 404, 'OFFER_NOT_FOUND');
+    if (offer.status === 'pending' && offer.expires_at <= new Date()) {
+      await this.expireOffer(offer.id);
+      throw new AppError('Offer has expired', 410, 'OFFER_EXPIRED');
+    }
+    if (offer.status !== 'pending') {
+      throw new AppError(`Offer is already ${offer.status}`, 409, 'OFFER_CLOSED', { status: offer.status });
+    }
+    return offer;
+  }
+
+  /**
+   * Accepts an offer and assigns its orders to the driver on one route
+   * @param {number} driverId - Driver ID
+   * @param {number} offerId - DispatchOffer ID
+   * @returns {Promise<Object>} Assignment details
+   */
+  static async acceptOffer(driverId, offerId) {
+    const offer = await this.findDriverOffer(driverId, offerId);
+    const dispatch = await DeliveryDispatch.findByPk(offer.dispatch_id, {
+      include: [orderInclude, { model: RouteOptimization, as: 'optimization' }],
+    });
+    const { order } = dispatch;
+
+    const driver = await Driver.findByPk(driverId);
+    if (driver.active_route_id) {
+      // Took another job since the offer went out, so the search carries on
+      await this.closeOffer(offer.id, 'withdrawn');
+      await this.offerNext(dispatch.id);
+      throw new AppError('Finish your current delivery before accepting another', 409, 'DRIVER_BUSY');
+    }
+
+    // Route lookup is done up front to keep the map service out of the transaction
+    const orders = dispatch.order_ids.length > 1
+      ? await Order.findAll({
+        where: { id: dispatch.order_ids },
+        include: [{ model: MerchantBranch, as: 'branch' }, { model: Customer, as: 'customer' }],
+      })
+      : [order];
+    const trip = dispatch.optimization
+      ? this.planBatchTrip(dispatch.optimization, offer)
+      : await this.planSingleTrip(order);
+
+    await sequelize.transaction(async (t) => {
+      if (!(await this.closeOffer(offer.id, 'accepted', { transaction: t }))) {
+        throw new AppError('Offer is no longer open', 409, 'OFFER_CLOSED');
+      }
+
+      const current = await Order.findAll({
+        where: { id: dispatch.order_ids },
+        transaction: t,
+        lock: t.LOCK.UPDATE,
+      });
+      if (
+        current.length !== dispatch.order_ids.length ||
+        current.some((o) => o.driver_id || !DISPATCHABLE_ORDER_STATUSES.includes(o.status))
+      ) {
+        throw new AppError('Order no longer needs a driver', 409, 'ORDER_NOT_DISPATCHABLE');
+      }
+
+      const route = await Route.create(trip.route, { transaction: t });
+
+      // Assignment does not change the status; the orders go out for delivery at pickup
+      for (const o of current) {
+        const drop = trip.dropoffs.get(o.id);
+        await o.update({
+          driver_id: driver.id,
+          route_id: route.id,
+          optimized_route_position: dispatch.optimization ? drop.position : null,
+          estimated_delivery_time: drop.estimatedDeliveryTime,
+        }, { transaction: t });
+      }
+      await driver.update({ active_route_id: route.id }, { transaction: t });
+      await dispatch.update({
+        status: 'assigned',
+        driver_id: driver.id,
+        assigned_at: new Date(),
+        ended_at: new Date(),
+      }, { transaction: t });
+    }).catch(async (error) => {
+      if (error.errorCode === 'ORDER_NOT_DISPATCHABLE') {
+        await this.closeOffer(offer.id, 'withdrawn');
+        await this.endDispatch(dispatch, 'cancelled', 'ORDER_NOT_DISPATCHABLE');
+        if (orders.length > 1) await this.redispatchRemaining(dispatch);
+      }
+      throw error;
+    });
+
+    logger.info('Driver accepted delivery offer', {
+      dispatch_id: dispatch.id,
+      order_ids: dispatch.order_ids,
+      driver_id: driver.id,
+      round: offer.round,
+    });
+
+    const dropoff = order.delivery_location;
+    await NotificationService.sendThroughChannel({
+      user_id: driver.user_id,
+      order_id: order.id,
+      type: 'delivery_assignment',
+      message: orders.length > 1
+        ? `Deliver ${orders.length} orders, starting with pickup at ${order.branch.name}.`
+        : `Deliver order #${order.order_number} from ${order.branch.name} to ${dropoff.formattedAddress || `${dropoff.lat},${dropoff.lng}`}.`,
+      priority: 'HIGH',
+    });
+
+    for (const o of orders) {
+      await NotificationService.sendThroughChannel({
+        user_id: o.customer.user_id,
+        order_id: o.id,
+        type: 'driver_assigned',
+        message: `A driver has been assigned to your order #${o.order_number}.`,
+        priority: 'MEDIUM',
+      });
+      // The driver can have the code sent again from the door, so a failure here is not fatal
+      await DeliveryProofService.issue(o.id, driver.id).catch((error) => {
+        logger.error('Failed to issue delivery code', { order_id: o.id, driver_id: driver.id, error: error.message });
+      });
+    }
+
+    return {
+      dispatch_id: dispatch.id,
+      order_id: order.id,
+      order_ids: dispatch.order_ids,
+      driver_id: driver.id,
+      estimated_delivery_time: trip.dropoffs.get(order.id).estimatedDeliveryTime,
+      stops: dispatch.optimization ? dispatch.optimization.optimizedOrder : undefined,
+    };
+  }
+
+  // Route and ETA for a single order, straight from its branch
+  static async planSingleTrip(order) {
+    const [branchLongitude, branchLatitude] = order.branch.location.coordinates;
+    const dropoff = order.delivery_location;
+    const routeData = await Geolocation2Service.calculateRouteForDriver(
+      `${branchLatitude},${branchLongitude}`,
+      `${dropoff.lat},${dropoff.lng}`
+    );
+
+    return {
+      route: {
+        origin: { lat: branchLatitude, lng: branchLongitude },
+        destination: { lat: dropoff.lat, lng: dropoff.lng },
+        distance: routeData.distance.value,
+        duration: routeData.duration.value,
+        polyline: routeData.polyline,
+        steps: routeData.steps,
+        trafficModel: 'best_guess',
+      },
+      dropoffs: new Map([[order.id, {
+        position: 1,
+        estimatedDeliveryTime: new Date(Date.now() + routeData.duration.value * 1000),
+      }]]),
+    };
+  }
+
+  // Route and ETAs for a batch from its planned stops; the driver first has to reach the first pickup
+  static planBatchTrip(optimization, offer) {
+    const stops = optimization.optimizedOrder;
+    const startsAt = Date.now() + (offer.eta_seconds || 0) * 1000;
+    const dropoffs = new Map(stops
+      .filter((stop) => stop.type === 'dropoff')
+      .map((stop, index) => [stop.order_id, {
+        position: index + 1,
+        estimatedDeliveryTime: new Date(startsAt + stop.eta_offset_seconds * 1000),
+      }]));
+
+    return {
+      route: {
+        origin: stops[0].location,
+        destination: stops[stops.length - 1].location,
+        waypoints: stops.slice(1, -1).map((stop) => stop.location),
+        distance: Number(optimization.totalDistance),
+        duration: Number(optimization.totalDuration),
+        polyline: optimization.polyline,
+        trafficModel: 'best_guess',
+      },
+      dropoffs,
+    };
+  }
+
+  /**
+   * Declines an offer and passes the delivery to the next driver
+   * @param {number} driverId - Driver ID
+   * @param {number} offerId - DispatchOffer ID
+   * @param {string} [reason] - Why the driver declined
+   * @returns {Promise<Object>} The closed offer
+   */
+  static async declineOffer(driverId, offerId, reason = null) {
+    const offer = await this.findDriverOffer(driverId, offerId);
+    if (!(await this.closeOffer(offer.id, 'declined', { decline_reason: reason }))) {
+      throw new AppError('Offer is no longer open', 409, 'OFFER_CLOSED');
+    }
+    logger.info('Driver declined delivery offer', { offer_id: offer.id, driver_id: driverId, reason });
+
+    await this.offerNext(offer.dispatch_id);
+    return { offer_id: offer.id, status: 'declined' };
+  }
+
+  /**
+   * Times out an offer the driver did not answer and moves on to the next driver
+   * @param {number} offerId - DispatchOffer ID
+   * @returns {Promise<boolean>} Whether the offer was still pending
+   */
+  static async expireOffer(offerId) {
+    const offer = await DispatchOffer.findByPk(offerId);
+    if (!offer || !(await this.closeOffer(offer.id, 'expired'))) return false;
+
+    emitToDriver(offer.driver_id, DISPATCH_SOCKET_EVENTS.CLOSED, { offer_id: offer.id, status: 'expired' });
+    logger.info('Delivery offer timed out', { offer_id: offer.id, driver_id: offer.driver_id });
+
+    await this.offerNext(offer.dispatch_id);
+    return true;
+  }
+
+  /**
+   * Expires offers whose timer was lost, e.g. to a restart, and resumes searches
+   * left without an open offer
+   * @returns {Promise<number>} Offers expired
+   */
+  static async expireOverdueOffers() {
+    const overdue = await DispatchOffer.findAll({
+      where: { status: 'pending', expires_at: { [Op.lt]: new Date() } },
+      attributes: ['id'],
+    });
+
+    let expired = 0;
+    for (const { id } of overdue) {
+      if (await this.expireOffer(id)) expired += 1;
+    }
+
+    const stalled = await DeliveryDispatch.findAll({
+      where: {
+        status: 'searching',
+        updated_at: { [Op.lt]: new Date(Date.now() - config.dispatch.offerTimeoutSeconds * 1000) },
+      },
+      include: [{ model: DispatchOffer, as: 'offers', where: { status: 'pending' }, required: false, attributes: ['id'] }],
+    });
+    for (const dispatch of stalled.filter((d) => !d.offers.length)) {
+      await this.offerNext(dispatch.id);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Stops the search for an order, e.g. when it is cancelled or staff pick a driver
+   * themselves, and withdraws the open offer
+   * @param {number} orderId - Order ID
+   * @param {string} reason - Recorded as the dispatch's end reason
+   * @returns {Promise<boolean>} Whether a search was stopped
+   */
+  static async cancelForOrder(orderId, reason) {
+    const dispatch = await this.findSearchingDispatch(orderId);
+    if (!dispatch) return false;
+    await this.endDispatch(dispatch, 'cancelled', reason);
+    if (dispatch.order_ids.length > 1) await this.redispatchRemaining(dispatch, orderId);
+    return true;
+  }
+
+  // The other orders of a cancelled batch still need a driver, so they start over
+  static async redispatchRemaining(dispatch, excludeOrderId = null) {
+    for (const orderId of dispatch.order_ids.filter((id) => id !== excludeOrderId)) {
+      try {
+        await this.dispatchOrder(orderId, { requested_by: dispatch.requested_by });
+      } catch (error) {
+        logger.warn('Could not re-dispatch order from cancelled batch', {
+          dispatch_id: dispatch.id,
+          order_id: orderId,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  static async endDispatch(dispatch, status, reason) {
+    const pending = await DispatchOffer.findAll({ where: { dispatch_id: dispatch.id, status: 'pending' } });
+    for (const offer of pending) {
+      if (await this.closeOffer(offer.id, 'withdrawn')) {
+        emitToDriver(offer.driver_id, DISPATCH_SOCKET_EVENTS.CLOSED, { offer_id: offer.id, status: 'withdrawn' });
+      }
+    }
+
+    const [ended] = await DeliveryDispatch.update(
+      { status, end_reason: reason, ended_at: new Date() },
+      { where: { id: dispatch.id, status: 'searching' } }
+    );
+    if (!ended) return;
+
+    logger.warn('Dispatch ended without a driver', { dispatch_id: dispatch.id, order_id: dispatch.order_id, status, reason });
+    if (status === 'failed') {
+      // Branch staff can still assign a driver by hand
+      eventManager.io?.to(`branch:${dispatch.order.branch_id}`).emit('dispatchFailed', {
+        dispatch_id: dispatch.id,
+        order_id: dispatch.order_id,
+        order_number: dispatch.order.order_number,
+        rounds: dispatch.round,
+      });
+    }
+  }
+
+  /**
+   * Whether the scheduler should leave an order alone for now: a search is running,
+   * or the last one failed less than retryAfterMinutes ago
+   * @param {number} orderId - Order ID
+   * @returns {Promise<boolean>}
+   */
+  static async hasRecentDispatch(orderId) {
+    const busy = await this.findBusyOrderIds([orderId]);
+    return busy.has(orderId);
+  }
+
+  // Which of the given orders are in a running search, or in one that failed recently
+  static async findBusyOrderIds(orderIds) {
+    const dispatches = await DeliveryDispatch.findAll({
+      where: {
+        order_ids: { [Op.overlap]: orderIds },
+        [Op.or]: [
+          { status: 'searching' },
+          { status: 'failed', ended_at: { [Op.gte]: new Date(Date.now() - config.dispatch.retryAfterMinutes * 60000) } },
+        ],
+      },
+      attributes: ['order_ids'],
+    });
+    const busy = new Set(dispatches.flatMap((dispatch) => dispatch.order_ids));
+    return new Set(orderIds.filter((id) => busy.has(id)));
+  }
+
+  /**
+   * Gets a dispatch with every offer made so far
+   * @param {number} dispatchId - DeliveryDispatch ID
+   * @returns {Promise<Object>}
+   */
+  static async getDispatch(dispatchId) {
+    const dispatch = await DeliveryDispatch.findByPk(dispatchId, {
+      include: [{ model: DispatchOffer, as: 'offers' }],
+      order: [[{ model: DispatchOffer, as: 'offers' }, 'created_at', 'ASC']],
+    });
+    if (!dispatch) throw new AppError('Dispatch not found', 404, 'DISPATCH_NOT_FOUND');
+    return this.summarize(dispatch);
+  }
+
+  /**
+   * Lists the dispatches of an order, latest first
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Array>}
+   */
+  static async getOrderDispatches(orderId) {
+    const dispatches = await DeliveryDispatch.findAll({
+      where: { order_ids: { [Op.contains]: [orderId] } },
+      include: [{ model: DispatchOffer, as: 'offers' }],
+      order: [['created_at', 'DESC'], [{ model: DispatchOffer, as: 'offers' }, 'created_at', 'ASC']],
+    });
+    return dispatches.map((dispatch) => this.summarize(dispatch));
+  }
+
+  static summarize(dispatch) {
+    return {
+      dispatch_id: dispatch.id,
+      order_id: dispatch.order_id,
+      order_ids: dispatch.order_ids,
+      route_optimization_id: dispatch.route_optimization_id,
+      status: dispatch.status,
+      round: dispatch.round,
+      radius_km: parseFloat(dispatch.radius_km),
+      driver_id: dispatch.driver_id,
+      end_reason: dispatch.end_reason,
+      assigned_at: dispatch.assigned_at,
+      ended_at: dispatch.ended_at,
+      offers: (dispatch.offers || []).map((offer) => ({
+        offer_id: offer.id,
+        driver_id: offer.driver_id,
+        round: offer.round,
+        rank: offer.rank,
+        distance_km: parseFloat(offer.distance_km),
+        eta_seconds: offer.eta_seconds,
+        score: parseFloat(offer.score),
+        factors: offer.factors,
+        status: offer.status,
+        decline_reason: offer.decline_reason,
+        offered_at: offer.created_at,
+        expires_at: offer.expires_at,
+        responded_at: offer.responded_at,
+      })),
+    };
+  }
+
+  /**
+   * Lists the offers a driver has not answered yet
+   * @param {number} driverId - Driver ID
+   * @returns {Promise<Array>}
+   */
+  static async getPendingOffers(driverId) {
+    const offers = await DispatchOffer.findAll({
+      where: { driver_id: driverId, status: 'pending', expires_at: { [Op.gt]: new Date() } },
+      include: [{ model: Order, as: 'order', attributes: ['id', 'order_number', 'delivery_location'] }],
+      order: [['created_at', 'ASC']],
+    });
+    return offers.map((offer) => ({
+      offer_id: offer.id,
+      order_id: offer.order_id,
+      order_number: offer.order.order_number,
+      dropoff: { address: offer.order.delivery_location?.formattedAddress || null },
+      distance_km: parseFloat(offer.distance_km),
+      eta_seconds: offer.eta_seconds,
+      expires_at: offer.expires_at,
+    }));
+  }
+
+  /**
+   * Offer outcomes over a period, overall and per round, with how quickly drivers
+   * answered and how dispatches ended
+   * @param {Object} [filters]
+   * @param {string} [filters.from] - Start date (inclusive)
+   * @param {string} [filters.to] - End date (exclusive)
+   * @param {number} [filters.driver_id] - Restrict offers to one driver
+   * @returns {Promise<Object>}
+   */
+  static async getOfferAnalytics({ from, to, driver_id } = {}) {
+    const period = from || to
+      ? { created_at: { ...(from && { [Op.gte]: new Date(from) }), ...(to && { [Op.lt]: new Date(to) }) } }
+      : {};
+    const offerWhere = { ...period, ...(driver_id && { driver_id }) };
+
+    const byOutcome = await DispatchOffer.findAll({
+      where: offerWhere,
+      attributes: [
+        'round',
+        'status',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('AVG', sequelize.literal('EXTRACT(EPOCH FROM (responded_at - created_at))')), 'response_seconds'],
+      ],
+      group: ['round', 'status'],
+      raw: true,
+    });
+
+    const outcomes = { pending: 0, accepted: 0, declined: 0, expired: 0, withdrawn: 0 };
+    const rounds = {};
+    const responseTotals = { seconds: 0, count: 0 };
+    for (const row of byOutcome) {
+      const count = parseInt(row.count, 10);
+      outcomes[row.status] += count;
+      rounds[row.round] = rounds[row.round] || { offers: 0, accepted: 0 };
+      rounds[row.round].offers += count;
+      if (row.status === 'accepted') rounds[row.round].accepted += count;
+      if (['accepted', 'declined'].includes(row.status) && row.response_seconds !== null) {
+        responseTotals.seconds += parseFloat(row.response_seconds) * count;
+        responseTotals.count += count;
+      }
+    }
+
+    const answered = outcomes.accepted + outcomes.declined + outcomes.expired;
+    const declineReasons = await DispatchOffer.findAll({
+      where: { ...offerWhere, status: 'declined' },
+      attributes: ['decline_reason', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['decline_reason'],
+      raw: true,
+    });
+
+    const dispatches = driver_id ? null : await DeliveryDispatch.findAll({
+      where: period,
+      attributes: [
+        'status',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('AVG', sequelize.literal('EXTRACT(EPOCH FROM (assigned_at - created_at))')), 'time_to_assign_seconds'],
+      ],
+      group: ['status'],
+      raw: true,
+    });
+
+    return {
+      offers: {
+        total: Object.values(outcomes).reduce((sum, count) => sum + count, 0),
+        ...outcomes,
+        acceptance_rate: answered ? mathUtils.roundToDecimal(outcomes.accepted / answered, 4) : null,
+        average_response_seconds: responseTotals.count
+          ? mathUtils.roundToDecimal(responseTotals.seconds / responseTotals.count, 1)
+          : null,
+      },
+      rounds: Object.entries(rounds).map(([round, stats]) => ({ round: parseInt(round, 10), ...stats })),
+      decline_reasons: declineReasons.map((row) => ({ reason: row.decline_reason, count: parseInt(row.count, 10) })),
+      dispatches: dispatches && dispatches.map((row) => ({
+        status: row.status,
+        count: parseInt(row.count, 10),
+        average_time_to_assign_seconds: row.time_to_assign_seconds === null
+          ? null
+          : mathUtils.roundToDecimal(parseFloat(row.time_to_assign_seconds), 1),
+      })),
+    };
+  }
+}
+
+module.exports = DispatchService;
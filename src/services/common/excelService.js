@@ -2,6 +2,7 @@
 const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs-extra');
+const { Readable } = require('stream');
 const { logger } = require('@utils/logger');
 const { Order, Driver, Merchant } = require('@models');
 const AppError = require('@utils/AppError');
@@ -176,6 +177,155 @@ class ExcelService {
     return filePath;
   }
 
+  /**
+   * Reads the first sheet of an uploaded CSV or XLSX file into row objects keyed by
+   * header, lowercased with spaces turned into underscores. Cells are read as displayed text.
+   * @param {Buffer} buffer - File contents
+   * @param {string} format - 'csv' or 'xlsx'
+   * @returns {Promise<Array<Object>>} Rows with a row_number for error reporting
+   */
+  async parseSpreadsheet(buffer, format) {
+    const workbook = new ExcelJS.Workbook();
+    let sheet;
+    try {
+      if (format === 'csv') {
+        sheet = await workbook.csv.read(Readable.from(buffer));
+      } else if (format === 'xlsx') {
+        await workbook.xlsx.load(buffer);
+        sheet = workbook.worksheets[0];
+      } else {
+        throw new AppError('Only CSV or XLSX files are allowed', 400);
+      }
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError(`Failed to read ${format.toUpperCase()} file: ${error.message}`, 400);
+    }
+    if (!sheet || sheet.rowCount < 2) return [];
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, column) => {
+      headers[column] = cell.text.trim().toLowerCase().replace(/\s+/g, '_');
+    });
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const record = { row_number: rowNumber };
+      row.eachCell((cell, column) => {
+        if (headers[column]) record[headers[column]] = cell.text.trim();
+      });
+      rows.push(record);
+    });
+    return rows;
+  }
+
+  /**
+   * Writes a payment reconciliation run to an XLSX file: a summary sheet, the
+   * exceptions finance has to follow up, and the matched transactions
+   * @param {Object} run - ReconciliationRun
+   * @param {Array<Object>} items - The run's ReconciliationItems
+   * @returns {Promise<string>} Path of the generated file
+   */
+  async generateReconciliationReport(run, items) {
+    const workbook = new ExcelJS.Workbook();
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [
+      { header: 'Field', key: 'field', width: 25 },
+      { header: 'Value', key: 'value', width: 25 }
+    ];
+    summarySheet.addRows([
+      { field: 'Provider', value: run.provider },
+      { field: 'Settlement Date', value: run.settlement_date },
+      { field: 'Settlement File', value: run.file_name || 'N/A' },
+      { field: 'Reconciled At', value: run.completed_at ? new Date(run.completed_at).toISOString() : 'N/A' }
+    ]);
+    Object.entries(run.summary?.issues || {}).forEach(([issue, { count, amount }]) => {
+      summarySheet.addRow({ field: `${issue} (count)`, value: count });
+      summarySheet.addRow({ field: `${issue} (amount)`, value: amount });
+    });
+
+    const itemColumns = [
+      { header: 'Issue', key: 'issue', width: 22 },
+      { header: 'Reference', key: 'reference', width: 30 },
+      { header: 'Payment ID', key: 'payment_id', width: 12 },
+      { header: 'System Amount', key: 'system_amount', width: 15 },
+      { header: 'Settled Amount', key: 'settled_amount', width: 15 },
+      { header: 'Payment Status', key: 'payment_status', width: 15 },
+      { header: 'Settlement Rows', key: 'rows', width: 15 }
+    ];
+    const toRow = item => ({
+      issue: item.issue,
+      reference: item.reference || 'N/A',
+      payment_id: item.payment_id || 'N/A',
+      system_amount: item.system_amount !== null ? Number(item.system_amount) : 'N/A',
+      settled_amount: item.settled_amount !== null ? Number(item.settled_amount) : 'N/A',
+      payment_status: item.details?.payment_status || 'N/A',
+      rows: (item.details?.row_numbers || []).join(', ') || 'N/A'
+    });
+
+    const exceptionSheet = workbook.addWorksheet('Exceptions');
+    exceptionSheet.columns = itemColumns;
+    exceptionSheet.addRows(items.filter(item => item.issue !== 'matched').map(toRow));
+
+    const matchedSheet = workbook.addWorksheet('Matched');
+    matchedSheet.columns = itemColumns;
+    matchedSheet.addRows(items.filter(item => item.issue === 'matched').map(toRow));
+
+    const fileName = `reconciliation_${run.provider}_${run.settlement_date}_${Date.now()}.xlsx`;
+    const filePath = path.join(this.tempDir, fileName);
+    await workbook.xlsx.writeFile(filePath);
+    logger.info(`Reconciliation report generated: ${filePath}`);
+    return filePath;
+  }
+
+  /**
+   * Writes a merchant settlement statement to an XLSX file: a summary sheet with the
+   * balances and totals, and every booking on the merchant's account
+   * @param {Object} statement - From SettlementService.getStatement
+   * @returns {Promise<string>} Path of the generated file
+   */
+  async generateSettlementStatement(statement) {
+    const workbook = new ExcelJS.Workbook();
+    const day = date => new Date(date).toISOString().slice(0, 10);
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [
+      { header: 'Field', key: 'field', width: 25 },
+      { header: 'Value', key: 'value', width: 25 }
+    ];
+    summarySheet.addRows([
+      { field: 'Merchant', value: statement.business_name },
+      { field: 'Period', value: `${day(statement.from)} - ${day(statement.to)}` },
+      { field: 'Currency', value: statement.currency },
+      { field: 'Commission Rate (%)', value: statement.commission_rate },
+      { field: 'Opening Balance', value: statement.opening_balance },
+      ...Object.entries(statement.totals).map(([total, value]) => ({ field: total, value })),
+      { field: 'Closing Balance', value: statement.closing_balance }
+    ]);
+
+    const entrySheet = workbook.addWorksheet('Entries');
+    entrySheet.columns = [
+      { header: 'Date', key: 'date', width: 22 },
+      { header: 'Type', key: 'type', width: 16 },
+      { header: 'Reference', key: 'reference', width: 25 },
+      { header: 'Description', key: 'description', width: 35 },
+      { header: 'Debit', key: 'debit', width: 12 },
+      { header: 'Credit', key: 'credit', width: 12 }
+    ];
+    entrySheet.addRows(statement.lines.map(line => ({
+      ...line,
+      date: new Date(line.date).toISOString(),
+      description: line.description || 'N/A'
+    })));
+
+    const fileName = `settlement_${statement.merchant_id}_${day(statement.from)}_${Date.now()}.xlsx`;
+    const filePath = path.join(this.tempDir, fileName);
+    await workbook.xlsx.writeFile(filePath);
+    logger.info(`Settlement statement generated: ${filePath}`);
+    return filePath;
+  }
+
   calculateAverageDeliveryTime(orders) {
     if (!orders.length) return 'N/A';
     const validOrders = orders.filter(o => o.actual_delivery_time && o.created_at);
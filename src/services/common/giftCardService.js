@@ -0,0 +1,647 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, GiftCard, GiftCardTransaction, Merchant } = require('@models');
+const config = require('@config/config');
+const { LEDGER_ACCOUNTS, LEDGER_TRANSACTION_TYPES } = require('@config/constants/settlement');
+const {
+  GIFT_CARD_TRANSACTION_TYPES,
+  GIFT_CARD_DELIVERY_CHANNELS,
+  GIFT_CARD_CODE_ALPHABET,
+  GIFT_CARD_CODE_LENGTH,
+} = require('@config/constants/giftCard');
+const LedgerService = require('@services/common/ledgerService');
+const pdfService = require('@services/pdfService');
+const emailService = require('@services/common/emailService');
+const whatsappService = require('@services/common/whatsappService');
+const AppError = require('@utils/AppError');
+const { logger, logTransactionEvent } = require('@utils/logger');
+
+const { PLATFORM_CLEARING, MERCHANT_PAYABLE, GIFT_CARD_LIABILITY } = LEDGER_ACCOUNTS;
+const { GIFT_CARD_SALE, GIFT_CARD_ISSUE, GIFT_CARD_RELEASE } = LEDGER_TRANSACTION_TYPES;
+const { ISSUE, REDEMPTION, REFUND, EXPIRY, CANCELLATION } = GIFT_CARD_TRANSACTION_TYPES;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = value => Math.round(value * 100) / 100;
+const merchantAccount = merchantId => ({ account: MERCHANT_PAYABLE, owner_type: 'merchant', owner_id: merchantId });
+// What a merchant's unspent gift cards are still worth to their holders
+const giftCardAccount = merchantId => ({ account: GIFT_CARD_LIABILITY, owner_type: 'merchant', owner_id: merchantId });
+
+// Voucher layout for pdfService; values are JSON-escaped before they are filled in
+const VOUCHER_TEMPLATE = {
+  id: 'gift-card-voucher',
+  type: 'PDF',
+  content: JSON.stringify({
+    title: '{{merchant_name}} Gift Card',
+    subtitle: '{{value}}',
+    body: 'For: {{recipient_name}}\n\n{{message}}\n\nCode: {{code}}\nValid until: {{expires_at}}',
+    footer: 'Present this code when you pay, in the app or at the table. Partial use keeps the rest on the card.',
+  }),
+};
+
+/**
+ * Gift Card Service - Prepaid cards a merchant's customers can spend with that
+ * merchant. Cards are bought in the app or issued by the merchant, spent in part or
+ * in full as GIFT_CARD payments, and every balance change is a GiftCardTransaction
+ * mirrored in the merchant's gift_card_liability account.
+ */
+class GiftCardService {
+  static normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // The code as printed: groups of four, e.g. ABCD-EFGH-JKMN-PQRS
+  static formatCode(code) {
+    return code.match(/.{1,4}/g).join('-');
+  }
+
+  static generateCode() {
+    return Array.from(
+      { length: GIFT_CARD_CODE_LENGTH },
+      () => GIFT_CARD_CODE_ALPHABET[crypto.randomInt(GIFT_CARD_CODE_ALPHABET.length)]
+    ).join('');
+  }
+
+  /**
+   * The merchant's gift card settings over the platform defaults
+   * @returns {Object} { denominations, allow_custom, min_value, max_value, validity_days }
+   */
+  static settingsFor(merchant) {
+    const settings = merchant.gift_card_settings || {};
+    const denominations = settings.denominations || [];
+    return {
+      denominations,
+      allow_custom: settings.allow_custom ?? !denominations.length,
+      min_value: settings.min_value ?? config.giftCards.minimumValue,
+      max_value: settings.max_value ?? config.giftCards.maximumValue,
+      validity_days: settings.validity_days ?? config.giftCards.validityDays,
+    };
+  }
+
+  // What a buyer can choose from when buying one of the merchant's cards
+  static async getOffer(merchantId) {
+    const merchant = await this.getMerchant(merchantId);
+    return {
+      merchant_id: merchant.id,
+      merchant_name: merchant.business_name,
+      currency: merchant.currency,
+      ...this.settingsFor(merchant),
+    };
+  }
+
+  static async updateSettings(merchantId, changes) {
+    const merchant = await this.getMerchant(merchantId);
+    const settings = { ...this.settingsFor(merchant), ...changes };
+    const { denominations, allow_custom, min_value, max_value, validity_days } = settings;
+    const isPositive = value => typeof value === 'number' && value > 0;
+    if (!Array.isArray(denominations) || !denominations.every(isPositive)) {
+      throw new AppError('Denominations must be a list of positive amounts', 400, 'INVALID_GIFT_CARD_SETTINGS');
+    }
+    if (!isPositive(min_value) || !isPositive(max_value) || min_value > max_value) {
+      throw new AppError('min_value and max_value must be positive, with min_value no larger', 400, 'INVALID_GIFT_CARD_SETTINGS');
+    }
+    if (!Number.isInteger(validity_days) || validity_days <= 0) {
+      throw new AppError('validity_days must be a whole number of days', 400, 'INVALID_GIFT_CARD_SETTINGS');
+    }
+    if (!denominations.length && allow_custom === false) {
+      throw new AppError('Offer denominations or allow custom values', 400, 'INVALID_GIFT_CARD_SETTINGS');
+    }
+    await merchant.update({
+      gift_card_settings: {
+        denominations: [...new Set(denominations)].sort((a, b) => a - b),
+        allow_custom: Boolean(allow_custom),
+        min_value,
+        max_value,
+        validity_days,
+      },
+    });
+    return this.settingsFor(merchant);
+  }
+
+  // A value the merchant sells: one of its denominations or, if allowed, a custom amount in range
+  static validateValue(merchant, amount) {
+    const settings = this.settingsFor(merchant);
+    if (settings.denominations.includes(amount)) return;
+    if (!settings.allow_custom) {
+      throw new AppError('Choose one of the gift card values on offer', 400, 'INVALID_GIFT_CARD_VALUE', {
+        denominations: settings.denominations,
+      });
+    }
+    if (!(amount >= settings.min_value && amount <= settings.max_value)) {
+      throw new AppError('Gift card value is out of range', 400, 'INVALID_GIFT_CARD_VALUE', {
+        min_value: settings.min_value,
+        max_value: settings.max_value,
+        currency: merchant.currency,
+      });
+    }
+  }
+
+  static validateDelivery({ delivery_channel, recipient_email, recipient_phone }) {
+    if (!delivery_channel) return;
+    if (!GIFT_CARD_DELIVERY_CHANNELS.includes(delivery_channel)) {
+      throw new AppError(
+        `Delivery channel must be one of ${GIFT_CARD_DELIVERY_CHANNELS.join(', ')}`,
+        400,
+        'INVALID_DELIVERY_CHANNEL'
+      );
+    }
+    if (delivery_channel === 'email' && !recipient_email) {
+      throw new AppError('recipient_email is required for email delivery', 400, 'MISSING_RECIPIENT');
+    }
+    if (delivery_channel === 'whatsapp' && !recipient_phone) {
+      throw new AppError('recipient_phone is required for WhatsApp delivery', 400, 'MISSING_RECIPIENT');
+    }
+  }
+
+  static async getMerchant(merchantId, transaction) {
+    const merchant = await Merchant.findByPk(merchantId, {
+      attributes: ['id', 'business_name', 'currency', 'gift_card_settings'],
+      transaction,
+    });
+    if (!merchant) throw new AppError('Merchant not found', 404, 'MERCHANT_NOT_FOUND');
+    return merchant;
+  }
+
+  // 31^16 possible codes make a clash negligible; the unique index still guards against one
+  static async createCard(merchant, fields, transaction) {
+    return GiftCard.create({
+      ...fields,
+      merchant_id: merchant.id,
+      code: this.generateCode(),
+      currency: merchant.currency,
+    }, { transaction });
+  }
+
+  static recipientFields(data) {
+    return {
+      recipient_name: data.recipient_name || null,
+      recipient_email: data.recipient_email || null,
+      recipient_phone: data.recipient_phone || null,
+      message: data.message || null,
+      delivery_channel: data.delivery_channel || null,
+    };
+  }
+
+  /**
+   * Issues a card from the merchant, e.g. one sold over the counter or given away.
+   * It is active at once; its value is charged to the merchant's balance until spent.
+   * @param {number} merchantId - Merchant ID
+   * @param {number} userId - Merchant user issuing it
+   * @param {Object} data - { amount, recipient_name, recipient_email, recipient_phone, message, delivery_channel }
+   * @returns {Promise<Object>} The GiftCard
+   */
+  static async issueCard(merchantId, userId, data) {
+    const amount = roundAmount(Number(data.amount));
+    const merchant = await this.getMerchant(merchantId);
+    this.validateValue(merchant, amount);
+    this.validateDelivery(data);
+
+    const card = await sequelize.transaction(async (t) => {
+      const created = await this.createCard(merchant, {
+        ...this.recipientFields(data),
+        initial_value: amount,
+        issued_by: userId,
+      }, t);
+      await this.activate(created, merchant, {
+        type: GIFT_CARD_ISSUE,
+        reference: { reference_type: 'gift_card', reference_id: created.id },
+        funding: merchantAccount(merchant.id),
+        description: `Gift card #${created.id} issued by merchant`,
+      }, t);
+      return created;
+    });
+
+    await this.deliverQuietly(card);
+    return card;
+  }
+
+  /**
+   * Opens a card a customer is buying; it stays pending_payment until the payment settles
+   * @param {number} customerId - Buying customer
+   * @param {Object} data - { merchant_id, amount, recipient_name, recipient_email, recipient_phone, message, delivery_channel }
+   * @returns {Promise<Object>} The GiftCard
+   */
+  static async createPurchase(customerId, data) {
+    const amount = roundAmount(Number(data.amount));
+    const merchant = await this.getMerchant(data.merchant_id);
+    this.validateValue(merchant, amount);
+    this.validateDelivery(data);
+    return this.createCard(merchant, {
+      ...this.recipientFields(data),
+      initial_value: amount,
+      purchaser_customer_id: customerId,
+    });
+  }
+
+  /**
+   * Activates a bought card once its payment settles and sends it to the recipient.
+   * Safe to call again for the same payment, e.g. when a provider repeats its callback.
+   * @param {Object} payment - Completed or verified purchase Payment
+   * @returns {Promise<Object|null>} The GiftCard, or null if already active
+   */
+  static async activatePurchase(payment) {
+    const card = await sequelize.transaction(async (t) => {
+      const locked = await GiftCard.findByPk(payment.gift_card_id, { transaction: t, lock: t.LOCK.UPDATE });
+      if (locked.status !== 'pending_payment') return null;
+      const merchant = await this.getMerchant(locked.merchant_id, t);
+      await this.activate(locked, merchant, {
+        type: GIFT_CARD_SALE,
+        reference: { reference_type: 'payment', reference_id: payment.id },
+        funding: { account: PLATFORM_CLEARING },
+        payment_id: payment.id,
+        description: `Gift card #${locked.id} bought with payment #${payment.id}`,
+      }, t);
+      return locked;
+    });
+    if (card) await this.deliverQuietly(card);
+    return card;
+  }
+
+  // Loads the card's value and books it as owed to whoever ends up holding the card
+  static async activate(card, merchant, { type, reference, funding, payment_id = null, description }, transaction) {
+    const amount = roundAmount(Number(card.initial_value));
+    await card.update({
+      status: 'active',
+      expires_at: new Date(Date.now() + this.settingsFor(merchant).validity_days * DAY_MS),
+    }, { transaction });
+    await LedgerService.post({
+      type,
+      ...reference,
+      currency: card.currency,
+      description,
+      entries: [
+        { ...funding, direction: 'debit', amount },
+        { ...giftCardAccount(card.merchant_id), direction: 'credit', amount },
+      ],
+    }, transaction);
+    return this.applyMovement(card, { type: ISSUE, amount, payment_id, description }, transaction);
+  }
+
+  /**
+   * Adds to or takes from a locked card and records the movement with the balance it
+   * leaves. A card spent down to nothing is marked redeemed; money back reopens it.
+   * @param {Object} card - GiftCard instance, locked by the caller's transaction
+   * @param {Object} movement - { type, amount (signed), payment_id, refund_id, description }
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} The GiftCardTransaction
+   */
+  static async applyMovement(card, { type, amount, payment_id = null, refund_id = null, description }, transaction) {
+    const balance = roundAmount(Number(card.balance) + amount);
+    if (balance < 0) {
+      throw new AppError('Insufficient gift card balance', 400, 'INSUFFICIENT_GIFT_CARD_BALANCE', {
+        balance: Number(card.balance),
+        required: -amount,
+        currency: card.currency,
+      });
+    }
+    const changes = { balance };
+    if (card.status === 'active' && balance === 0 && type === REDEMPTION) changes.status = 'redeemed';
+    if (card.status === 'redeemed' && balance > 0) changes.status = 'active';
+    await card.update(changes, { transaction });
+    const movement = await GiftCardTransaction.create({
+      gift_card_id: card.id,
+      type,
+      amount,
+      balance_after: balance,
+      currency: card.currency,
+      payment_id,
+      refund_id,
+      description,
+    }, { transaction });
+
+    transaction.afterCommit(() => logTransactionEvent('Gift card balance changed', {
+      gift_card_id: card.id,
+      merchant_id: card.merchant_id,
+      type,
+      amount,
+      balance_after: balance,
+      payment_id,
+      refund_id,
+    }));
+    return movement;
+  }
+
+  static isExpired(card) {
+    return Boolean(card.expires_at) && new Date(card.expires_at).getTime() <= Date.now();
+  }
+
+  /**
+   * A card that can pay the merchant now, looked up by the code the customer entered
+   * @param {string} code - Code as entered, with or without separators
+   * @param {Object} [expected] - { merchant_id, currency } the card must match
+   * @returns {Promise<Object>} The GiftCard
+   */
+  static async findRedeemable(code, { merchant_id, currency } = {}, transaction) {
+    const card = await GiftCard.findOne({
+      where: { code: this.normalizeCode(code) },
+      transaction,
+      ...(transaction && { lock: transaction.LOCK.UPDATE }),
+    });
+    if (!card || card.status === 'pending_payment') {
+      throw new AppError('Gift card not found', 404, 'GIFT_CARD_NOT_FOUND');
+    }
+    if (card.status === 'expired' || (card.status === 'active' && this.isExpired(card))) {
+      throw new AppError('Gift card has expired', 400, 'GIFT_CARD_EXPIRED', { expires_at: card.expires_at });
+    }
+    if (card.status === 'cancelled') throw new AppError('Gift card has been cancelled', 400, 'GIFT_CARD_CANCELLED');
+    if (card.status === 'redeemed') throw new AppError('Gift card has been used up', 400, 'GIFT_CARD_USED_UP');
+    if (merchant_id && card.merchant_id !== Number(merchant_id)) {
+      throw new AppError('Gift card cannot be used with this merchant', 400, 'GIFT_CARD_NOT_ACCEPTED');
+    }
+    if (currency && card.currency !== currency) {
+      throw new AppError(`Gift card holds ${card.currency}, not ${currency}`, 400, 'GIFT_CARD_CURRENCY_MISMATCH');
+    }
+    return card;
+  }
+
+  /**
+   * Spends part or all of a card on a payment. The payment is booked in the ledger by
+   * SettlementService like any other, funded from the merchant's gift card liability.
+   * @param {Object} params - { code, amount, merchant_id, currency, payment_id, description }
+   * @param {Object} transaction - Sequelize transaction the payment is created in
+   * @returns {Promise<Object>} The GiftCardTransaction
+   */
+  static async redeem({ code, amount, merchant_id, currency, payment_id, description }, transaction) {
+    const card = await this.findRedeemable(code, { merchant_id, currency }, transaction);
+    return this.applyMovement(card, {
+      type: REDEMPTION,
+      amount: -roundAmount(amount),
+      payment_id,
+      description,
+    }, transaction);
+  }
+
+  /**
+   * Puts a refunded gift card payment back on the card. The ledger side is booked by
+   * SettlementService.recordRefund; if the card has since expired or been cancelled,
+   * the refunded value is written off to the merchant with it.
+   * @param {Object} refund - Refund instance
+   * @param {Object} payment - The refunded GIFT_CARD Payment
+   * @param {Object} transaction - The refund's settlement transaction
+   * @returns {Promise<Object|null>} The GiftCardTransaction, or null if already credited
+   */
+  static async creditRefund(refund, payment, transaction) {
+    const card = await GiftCard.findByPk(payment.gift_card_id, { transaction, lock: transaction.LOCK.UPDATE });
+    const credited = await GiftCardTransaction.findOne({ where: { refund_id: refund.id }, transaction });
+    if (credited) return null;
+
+    const movement = await this.applyMovement(card, {
+      type: REFUND,
+      amount: roundAmount(Number(refund.amount)),
+      payment_id: payment.id,
+      refund_id: refund.id,
+      description: `Refund on payment #${payment.id}`,
+    }, transaction);
+    if (['expired', 'cancelled'].includes(card.status)) {
+      await this.writeOff(card, card.status === 'expired' ? EXPIRY : CANCELLATION, transaction);
+    }
+    return movement;
+  }
+
+  /**
+   * Empties a card that can no longer be spent and hands what was left on it to the
+   * merchant, who keeps it once the liability is released
+   */
+  static async writeOff(card, type, transaction) {
+    const remaining = roundAmount(Number(card.balance));
+    if (remaining <= 0) return null;
+    const movement = await this.applyMovement(card, {
+      type,
+      amount: -remaining,
+      description: type === EXPIRY ? 'Expired unused' : 'Cancelled by merchant',
+    }, transaction);
+    await LedgerService.post({
+      type: GIFT_CARD_RELEASE,
+      reference_type: 'gift_card_transaction',
+      reference_id: movement.id,
+      currency: card.currency,
+      description: `Gift card #${card.id} ${type === EXPIRY ? 'expired' : 'cancelled'} with value left`,
+      entries: [
+        { ...giftCardAccount(card.merchant_id), direction: 'debit', amount: remaining },
+        { ...merchantAccount(card.merchant_id), direction: 'credit', amount: remaining },
+      ],
+    }, transaction);
+    return movement;
+  }
+
+  static async cancelCard(merchantId, cardId, userId) {
+    const card = await sequelize.transaction(async (t) => {
+      const locked = await GiftCard.findOne({
+        where: { id: cardId, merchant_id: merchantId },
+        transaction: t,
+        lock: t.LOCK.UPDATE,
+      });
+      if (!locked) throw new AppError('Gift card not found', 404, 'GIFT_CARD_NOT_FOUND');
+      if (!['active', 'redeemed'].includes(locked.status)) {
+        throw new AppError(`A ${locked.status} gift card cannot be cancelled`, 400, 'GIFT_CARD_NOT_CANCELLABLE');
+      }
+      await locked.update({ status: 'cancelled' }, { transaction: t });
+      await this.writeOff(locked, CANCELLATION, t);
+      return locked;
+    });
+    logTransactionEvent('Gift card cancelled', { gift_card_id: card.id, merchant_id: merchantId, cancelled_by: userId });
+    return card;
+  }
+
+  /**
+   * Expires active cards past their expiry date, writing off what was left on them
+   * @returns {Promise<number>} Number of cards expired
+   */
+  static async expireCards() {
+    const due = await GiftCard.findAll({
+      where: { status: 'active', expires_at: { [Op.lte]: new Date() } },
+      attributes: ['id'],
+    });
+    let expired = 0;
+    for (const { id } of due) {
+      try {
+        await sequelize.transaction(async (t) => {
+          const card = await GiftCard.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+          if (card.status !== 'active') return;
+          await card.update({ status: 'expired' }, { transaction: t });
+          await this.writeOff(card, EXPIRY, t);
+          expired += 1;
+        });
+      } catch (error) {
+        logger.error('Failed to expire gift card', { gift_card_id: id, error: error.message });
+      }
+    }
+    return expired;
+  }
+
+  // What a customer sees when checking a code: never who bought it or for whom
+  static summarize(card, merchant) {
+    return {
+      code: this.formatCode(card.code),
+      merchant_id: card.merchant_id,
+      merchant_name: merchant?.business_name,
+      status: card.status === 'active' && this.isExpired(card) ? 'expired' : card.status,
+      balance: Number(card.balance),
+      initial_value: Number(card.initial_value),
+      currency: card.currency,
+      expires_at: card.expires_at,
+    };
+  }
+
+  static async checkBalance(code) {
+    const card = await GiftCard.findOne({
+      where: { code: this.normalizeCode(code) },
+      include: [{ model: Merchant, as: 'merchant', attributes: ['id', 'business_name'] }],
+    });
+    if (!card || card.status === 'pending_payment') {
+      throw new AppError('Gift card not found', 404, 'GIFT_CARD_NOT_FOUND');
+    }
+    return this.summarize(card, card.merchant);
+  }
+
+  static async listPurchases(customerId) {
+    const cards = await GiftCard.findAll({
+      where: { purchaser_customer_id: customerId },
+      include: [{ model: Merchant, as: 'merchant', attributes: ['id', 'business_name'] }],
+      order: [['created_at', 'DESC']],
+    });
+    return cards.map(card => ({
+      id: card.id,
+      ...this.summarize(card, card.merchant),
+      recipient_name: card.recipient_name,
+      delivery_channel: card.delivery_channel,
+      delivered_at: card.delivered_at,
+    }));
+  }
+
+  static async listMerchantCards(merchantId, { status, page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const { rows, count } = await GiftCard.findAndCountAll({
+      where: { merchant_id: merchantId, status: status || { [Op.ne]: 'pending_payment' } },
+      order: [['created_at', 'DESC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+    });
+    return {
+      giftCards: rows.map(card => ({ ...card.toJSON(), code: this.formatCode(card.code) })),
+      total: count,
+      page: pageNumber,
+      totalPages: Math.ceil(count / pageSize),
+    };
+  }
+
+  static async getMerchantCard(merchantId, cardId) {
+    const card = await GiftCard.findOne({
+      where: { id: cardId, merchant_id: merchantId },
+      include: [{ model: GiftCardTransaction, as: 'transactions' }],
+      order: [[{ model: GiftCardTransaction, as: 'transactions' }, 'created_at', 'DESC']],
+    });
+    if (!card) throw new AppError('Gift card not found', 404, 'GIFT_CARD_NOT_FOUND');
+    return { ...card.toJSON(), code: this.formatCode(card.code) };
+  }
+
+  /**
+   * A card its purchaser or its merchant may manage
+   * @param {number} cardId - GiftCard ID
+   * @param {Object} owner - { customer_id } or { merchant_id }
+   */
+  static async getOwnedCard(cardId, { customer_id, merchant_id }) {
+    const where = { id: cardId };
+    if (customer_id) where.purchaser_customer_id = customer_id;
+    if (merchant_id) where.merchant_id = merchant_id;
+    const card = await GiftCard.findOne({ where });
+    if (!card || card.status === 'pending_payment') {
+      throw new AppError('Gift card not found', 404, 'GIFT_CARD_NOT_FOUND');
+    }
+    return card;
+  }
+
+  /**
+   * Renders the card as a printable PDF voucher. The caller removes the file once sent.
+   * @returns {Promise<string>} Path of the generated PDF
+   */
+  static async generateVoucher(card) {
+    const merchant = card.merchant || await this.getMerchant(card.merchant_id);
+    const values = {
+      merchant_name: merchant.business_name,
+      value: `${card.currency} ${Number(card.initial_value).toFixed(2)}`,
+      recipient_name: card.recipient_name || 'You',
+      message: card.message || '',
+      code: this.formatCode(card.code),
+      expires_at: card.expires_at ? new Date(card.expires_at).toISOString().slice(0, 10) : 'No expiry',
+    };
+    // The template is JSON, so each value is escaped the way JSON.parse expects it
+    const escaped = Object.fromEntries(
+      Object.entries(values).map(([key, value]) => [key, JSON.stringify(String(value)).slice(1, -1)])
+    );
+    return pdfService.generatePDF(VOUCHER_TEMPLATE, escaped);
+  }
+
+  /**
+   * Sends the card to its recipient: by email with the PDF voucher attached, or by
+   * WhatsApp with the code in the message
+   * @param {Object} card - Active GiftCard with a delivery channel
+   * @param {Object} [overrides] - { delivery_channel, recipient_email, recipient_phone } for a resend
+   * @returns {Promise<Object>} The GiftCard
+   */
+  static async deliver(card, overrides = {}) {
+    if (card.status !== 'active') {
+      throw new AppError(`A ${card.status} gift card cannot be sent`, 400, 'GIFT_CARD_NOT_ACTIVE');
+    }
+    const recipient = {
+      delivery_channel: overrides.delivery_channel || card.delivery_channel,
+      recipient_email: overrides.recipient_email || card.recipient_email,
+      recipient_phone: overrides.recipient_phone || card.recipient_phone,
+    };
+    if (!recipient.delivery_channel) {
+      throw new AppError('Choose how to send the gift card', 400, 'INVALID_DELIVERY_CHANNEL');
+    }
+    this.validateDelivery(recipient);
+
+    const merchant = await this.getMerchant(card.merchant_id);
+    const value = `${card.currency} ${Number(card.balance).toFixed(2)}`;
+    const code = this.formatCode(card.code);
+    const greeting = card.recipient_name ? `Hi ${card.recipient_name}, you` : 'You';
+    const text = [
+      `${greeting} have received a ${merchant.business_name} gift card worth ${value}.`,
+      card.message,
+      `Code: ${code}`,
+      card.expires_at && `Valid until ${new Date(card.expires_at).toISOString().slice(0, 10)}.`,
+    ].filter(Boolean).join('\n\n');
+
+    if (recipient.delivery_channel === 'email') {
+      const voucherPath = await this.generateVoucher(card);
+      try {
+        await emailService.sendCustomEmail({
+          to: recipient.recipient_email,
+          subject: `Your ${merchant.business_name} gift card`,
+          text,
+          attachments: [{ filename: `gift-card-${code}.pdf`, path: voucherPath }],
+        });
+      } finally {
+        await pdfService.cleanup(voucherPath);
+      }
+    } else {
+      await whatsappService.sendCustomMessage(recipient.recipient_phone, text);
+    }
+
+    await card.update({ ...recipient, delivered_at: new Date() });
+    logTransactionEvent('Gift card delivered', {
+      gift_card_id: card.id,
+      merchant_id: card.merchant_id,
+      delivery_channel: recipient.delivery_channel,
+    });
+    return card;
+  }
+
+  // Sends a newly active card if it has somewhere to go; it can be resent if this fails
+  static async deliverQuietly(card) {
+    if (!card.delivery_channel) return;
+    await this.deliver(card).catch(error =>
+      logger.error('Failed to deliver gift card', {
+        gift_card_id: card.id,
+        delivery_channel: card.delivery_channel,
+        error: error.message,
+      })
+    );
+  }
+}
+
+module.exports = GiftCardService;
@@ -0,0 +1,186 @@
+'use strict';
+
+const { Op, fn, col, UniqueConstraintError } = require('sequelize');
+const { LedgerTransaction, LedgerEntry } = require('@models');
+const { LEDGER_ACCOUNTS } = require('@config/constants/settlement');
+const AppError = require('@utils/AppError');
+const { logger } = require('@utils/logger');
+
+const roundAmount = value => Math.round(value * 100) / 100;
+
+// Accounts that grow with debits; every other account grows with credits
+const DEBIT_NORMAL_ACCOUNTS = [LEDGER_ACCOUNTS.PLATFORM_CLEARING, LEDGER_ACCOUNTS.DRIVER_INCENTIVES];
+
+/**
+ * Ledger Service - Double-entry bookkeeping. Every posting is a transaction whose
+ * debits and credits balance, booked at most once per type and reference.
+ */
+class LedgerService {
+  /**
+   * Books a balanced transaction. Posting the same type and reference again returns
+   * the existing transaction, so callers can retry freely.
+   * @param {Object} params
+   * @param {string} params.type - One of LEDGER_TRANSACTION_TYPES
+   * @param {string} params.reference_type - What is being booked, e.g. payment
+   * @param {number} params.reference_id - ID of the booked record
+   * @param {string} params.currency - Currency of every entry
+   * @param {string} [params.description]
+   * @param {Object} [params.metadata]
+   * @param {Date} [params.occurred_at]
+   * @param {Array} params.entries - [{ account, owner_type, owner_id, direction, amount }]
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Object>} The LedgerTransaction
+   */
+  static async post({ type, reference_type, reference_id, currency, description, metadata, occurred_at, entries }, transaction) {
+    const lines = entries
+      .map(entry => ({ ...entry, amount: roundAmount(entry.amount) }))
+      .filter(entry => entry.amount > 0);
+    const total = direction => roundAmount(
+      lines.filter(entry => entry.direction === direction).reduce((sum, entry) => sum + entry.amount, 0)
+    );
+    if (!lines.length || total('debit') !== total('credit')) {
+      throw new AppError('Ledger transaction does not balance', 500, 'LEDGER_UNBALANCED', {
+        type,
+        reference_type,
+        reference_id,
+        debits: total('debit'),
+        credits: total('credit'),
+      });
+    }
+
+    const where = { type, reference_type, reference_id };
+    const existing = await LedgerTransaction.findOne({ where, transaction });
+    if (existing) {
+      logger.info('Ledger transaction already posted', where);
+      return existing;
+    }
+
+    try {
+      const ledgerTransaction = await LedgerTransaction.create({
+        type,
+        reference_type,
+        reference_id,
+        currency,
+        description,
+        metadata,
+        occurred_at: occurred_at || new Date(),
+      }, { transaction });
+      await LedgerEntry.bulkCreate(lines.map(entry => ({
+        transaction_id: ledgerTransaction.id,
+        account: entry.account,
+        owner_type: entry.owner_type || null,
+        owner_id: entry.owner_id || null,
+        direction: entry.direction,
+        amount: entry.amount,
+        currency,
+      })), { transaction });
+
+      logger.info('Ledger transaction posted', { ...where, id: ledgerTransaction.id, amount: total('debit') });
+      return ledgerTransaction;
+    } catch (error) {
+      // Lost a race with a concurrent posting of the same reference
+      if (error instanceof UniqueConstraintError && !transaction) {
+        return LedgerTransaction.findOne({ where });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Finds the transaction booked for a reference, if any
+   */
+  static async findTransaction(type, reference_type, reference_id, transaction) {
+    return LedgerTransaction.findOne({ where: { type, reference_type, reference_id }, transaction });
+  }
+
+  /**
+   * Transactions of the given types whose metadata contains the given values
+   * @param {Object} params - { types, metadata }
+   * @returns {Promise<Array>} LedgerTransaction instances, oldest first
+   */
+  static async findTransactions({ types, metadata }, transaction) {
+    return LedgerTransaction.findAll({
+      where: { type: types, metadata: { [Op.contains]: metadata } },
+      order: [['id', 'ASC']],
+      transaction,
+    });
+  }
+
+  /**
+   * Balance of an account, positive in the account's normal direction
+   * @param {Object} params - { account, owner_type, owner_id, until }
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<number>}
+   */
+  static async getBalance({ account, owner_type, owner_id, until }, transaction) {
+    const where = { account };
+    if (owner_type) Object.assign(where, { owner_type, owner_id });
+    if (until) where.created_at = { [Op.lt]: until };
+
+    const totals = await LedgerEntry.findAll({
+      where,
+      attributes: ['direction', [fn('SUM', col('amount')), 'total']],
+      group: ['direction'],
+      raw: true,
+      transaction,
+    });
+    const sum = direction => Number(totals.find(row => row.direction === direction)?.total || 0);
+    const balance = DEBIT_NORMAL_ACCOUNTS.includes(account)
+      ? sum('debit') - sum('credit')
+      : sum('credit') - sum('debit');
+    return roundAmount(balance);
+  }
+
+  /**
+   * Balances of one owned account per owner and currency, e.g. what each merchant is owed
+   * @param {string} account - One of LEDGER_ACCOUNTS
+   * @param {string} owner_type - e.g. merchant
+   * @param {Object} [options] - { owner_id, transaction }; owner_id limits it to one owner
+   * @returns {Promise<Array>} [{ owner_id, currency, balance }]
+   */
+  static async getOwnerBalances(account, owner_type, { owner_id, transaction } = {}) {
+    const where = { account, owner_type };
+    if (owner_id) where.owner_id = owner_id;
+    const totals = await LedgerEntry.findAll({
+      where,
+      attributes: ['owner_id', 'currency', 'direction', [fn('SUM', col('amount')), 'total']],
+      group: ['owner_id', 'currency', 'direction'],
+      raw: true,
+      transaction,
+    });
+
+    const balances = new Map();
+    totals.forEach(row => {
+      const key = `${row.owner_id}:${row.currency}`;
+      const current = balances.get(key) || { owner_id: row.owner_id, currency: row.currency, balance: 0 };
+      const amount = Number(row.total);
+      current.balance = roundAmount(current.balance + (row.direction === 'credit' ? amount : -amount));
+      balances.set(key, current);
+    });
+    return [...balances.values()];
+  }
+
+  /**
+   * Entries of an account within a period, oldest first, with their transactions
+   * @param {Object} params - { account, owner_type, owner_id, from, to }
+   * @returns {Promise<Array>} LedgerEntry instances
+   */
+  static async getEntries({ account, owner_type, owner_id, from, to }, transaction) {
+    const where = { account };
+    if (owner_type) Object.assign(where, { owner_type, owner_id });
+    if (from || to) {
+      where.created_at = {
+        ...(from && { [Op.gte]: from }),
+        ...(to && { [Op.lt]: to }),
+      };
+    }
+    return LedgerEntry.findAll({
+      where,
+      include: [{ model: LedgerTransaction, as: 'transaction' }],
+      order: [['created_at', 'ASC'], ['id', 'ASC']],
+      transaction,
+    });
+  }
+}
+
+module.exports = LedgerService;
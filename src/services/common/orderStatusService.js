@@ -0,0 +1,172 @@
+'use strict';
+
+const { Order, InDiningOrder, OrderStatusHistory } = require('@models');
+const {
+  ORDER_STATUS_TRANSITIONS,
+} = require('@config/constants/orderStatusTransitions');
+const eventManager = require('@services/events/core/eventManager');
+const AppError = require('@utils/AppError');
+const { InvalidStatusTransitionError } = require('@utils/specificErrors');
+const { logger } = require('@utils/logger');
+
+const ORDER_TYPES = {
+  order: { model: Order, foreignKey: 'order_id', label: 'order' },
+  in_dining_order: {
+    model: InDiningOrder,
+    foreignKey: 'in_dining_order_id',
+    label: 'in-dining order',
+  },
+};
+
+/**
+ * Order Status Service - Single entry point for Order and InDiningOrder status changes
+ */
+class OrderStatusService {
+  /**
+   * Lists the statuses an order may move to next
+   * @param {string} orderType - 'order' or 'in_dining_order'
+   * @param {string} status - Current status
+   * @returns {string[]} Allowed target statuses
+   */
+  static getAllowedTransitions(orderType, status) {
+    return ORDER_STATUS_TRANSITIONS[orderType]?.[status] || [];
+  }
+
+  /**
+   * Throws unless the move from one status to another is allowed
+   * @param {string} orderType - 'order' or 'in_dining_order'
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Requested status
+   */
+  static assertTransition(orderType, fromStatus, toStatus) {
+    const allowed = this.getAllowedTransitions(orderType, fromStatus);
+    if (!allowed.includes(toStatus)) {
+      throw new InvalidStatusTransitionError(
+        ORDER_TYPES[orderType].label,
+        fromStatus,
+        toStatus,
+        allowed
+      );
+    }
+  }
+
+  /**
+   * Moves an order to a new status, records the change and emits order.updated.
+   * The update is conditional on the status read, so two concurrent callers
+   * cannot both apply the same transition.
+   * @param {Object} params
+   * @param {Object} params.order - Order or InDiningOrder instance
+   * @param {string} params.toStatus - Target status
+   * @param {string} [params.orderType='order'] - 'order' or 'in_dining_order'
+   * @param {Object} [params.actor] - { user_id, type } of whoever made the change
+   * @param {string} [params.reason] - Free-text reason
+   * @param {Object} [params.updates] - Extra fields to persist with the status
+   * @param {Object} [params.metadata] - Extra context stored on the history row
+   * @param {Object} [params.transaction] - Sequelize transaction
+   * @returns {Promise<Object>} The order with its new status
+   */
+  static async transition(params) {
+    const {
+      order,
+      toStatus,
+      orderType = 'order',
+      actor = {},
+      reason = null,
+      updates = {},
+      metadata = null,
+      transaction,
+    } = params;
+    const config = ORDER_TYPES[orderType];
+    if (!config) {
+      throw new AppError(
+        `Unknown order type: ${orderType}`,
+        500,
+        'INVALID_ORDER_TYPE'
+      );
+    }
+
+    // The status update and its history row must land together
+    if (!transaction) {
+      return config.model.sequelize.transaction(t =>
+        this.transition({ ...params, transaction: t })
+      );
+    }
+
+    const fromStatus = order.status;
+    this.assertTransition(orderType, fromStatus, toStatus);
+
+    const [updatedCount] = await config.model.update(
+      { ...updates, status: toStatus },
+      { where: { id: order.id, status: fromStatus }, transaction }
+    );
+    if (updatedCount === 0) {
+      throw new AppError(
+        `The ${config.label} status changed while processing this request`,
+        409,
+        'ORDER_STATUS_CONFLICT',
+        { order_id: order.id, expected_status: fromStatus }
+      );
+    }
+    Object.entries({ ...updates, status: toStatus }).forEach(([field, value]) =>
+      order.setDataValue(field, value)
+    );
+
+    const history = await OrderStatusHistory.create(
+      {
+        [config.foreignKey]: order.id,
+        from_status: fromStatus,
+        to_status: toStatus,
+        changed_by: actor.user_id || null,
+        actor_type: actor.type || 'system',
+        reason,
+        metadata,
+      },
+      { transaction }
+    );
+
+    const payload = {
+      orderType,
+      orderId: order.id,
+      orderNumber: order.order_number,
+      status: toStatus,
+      previousStatus: fromStatus,
+      changedBy: history.changed_by,
+      actorType: history.actor_type,
+      reason,
+      timestamp: history.created_at || new Date(),
+    };
+    transaction.afterCommit(() => eventManager.emit('order.updated', payload));
+
+    logger.info('Order status changed', {
+      orderType,
+      orderId: order.id,
+      from: fromStatus,
+      to: toStatus,
+      actor,
+    });
+    return order;
+  }
+
+  /**
+   * Returns the recorded status changes for an order, oldest first
+   * @param {number} orderId - Order or InDiningOrder ID
+   * @param {string} [orderType='order'] - 'order' or 'in_dining_order'
+   * @returns {Promise<Array>} OrderStatusHistory rows
+   */
+  static async getHistory(orderId, orderType = 'order') {
+    const config = ORDER_TYPES[orderType];
+    if (!config) {
+      throw new AppError(
+        `Unknown order type: ${orderType}`,
+        400,
+        'INVALID_ORDER_TYPE'
+      );
+    }
+    return OrderStatusHistory.findAll({
+      where: { [config.foreignKey]: orderId },
+      order: [['created_at', 'ASC']],
+    });
+  }
+}
+
+module.exports = OrderStatusService;
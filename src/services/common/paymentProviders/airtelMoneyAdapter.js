@@ -0,0 +1,144 @@
+'use strict';
+
+const { BaseProviderAdapter } = require('./baseProviderAdapter');
+
+// Airtel transaction status codes: TS success, TF failed, TA ambiguous, TIP in progress
+const STATUS_MAP = {
+  TS: 'completed',
+  TF: 'failed',
+  TA: 'processing',
+  TIP: 'processing',
+};
+
+/**
+ * Airtel Money Adapter - Collections, refunds and disbursements over the Airtel Africa Open API
+ */
+class AirtelMoneyAdapter extends BaseProviderAdapter {
+  async headers(currency) {
+    const token = await this.getAccessToken(async () => {
+      const data = await this.request({
+        method: 'post',
+        url: '/auth/oauth2/token',
+        data: {
+          client_id: this.settings.clientId,
+          client_secret: this.settings.clientSecret,
+          grant_type: 'client_credentials',
+        },
+      });
+      return { accessToken: data.access_token, expiresIn: data.expires_in };
+    });
+    return {
+      Authorization: `Bearer ${token}`,
+      'X-Country': this.settings.country,
+      'X-Currency': currency,
+    };
+  }
+
+  // Airtel expects the MSISDN without the country dialling code
+  msisdn(phoneNumber) {
+    const digits = String(phoneNumber).replace(/\D/g, '');
+    return digits.startsWith(this.settings.dialCode)
+      ? digits.slice(this.settings.dialCode.length)
+      : digits;
+  }
+
+  async initiateCollection({
+    reference,
+    amount,
+    currency,
+    phoneNumber,
+    description,
+  }) {
+    const data = await this.request({
+      method: 'post',
+      url: '/merchant/v1/payments/',
+      headers: await this.headers(currency),
+      data: {
+        reference: description || reference,
+        subscriber: {
+          country: this.settings.country,
+          currency,
+          msisdn: this.msisdn(phoneNumber),
+        },
+        transaction: {
+          amount,
+          country: this.settings.country,
+          currency,
+          id: reference,
+        },
+      },
+    });
+    return {
+      providerReference: reference,
+      status: data.status?.success === false ? 'failed' : 'processing',
+      raw: data,
+    };
+  }
+
+  async queryStatus({ reference, currency }) {
+    const data = await this.request({
+      method: 'get',
+      url: `/standard/v1/payments/${reference}`,
+      headers: await this.headers(currency),
+    });
+    const transaction = data.data?.transaction || {};
+    return {
+      providerReference: reference,
+      status: STATUS_MAP[transaction.status] || 'processing',
+      receipt: transaction.airtel_money_id,
+      raw: data,
+    };
+  }
+
+  // The refund API takes no amount; it reverses the whole transaction
+  get partialRefunds() {
+    return false;
+  }
+
+  // Refunds are addressed by the Airtel Money ID, not our transaction ID
+  async refund({ receipt, currency }) {
+    const data = await this.request({
+      method: 'post',
+      url: '/standard/v1/payments/refund',
+      headers: await this.headers(currency),
+      data: { transaction: { airtel_money_id: receipt } },
+    });
+    return {
+      providerReference: data.data?.transaction?.airtel_money_id,
+      status: STATUS_MAP[data.data?.transaction?.status] || 'processing',
+      raw: data,
+    };
+  }
+
+  async payout({ reference, amount, currency, phoneNumber }) {
+    const data = await this.request({
+      method: 'post',
+      url: '/standard/v1/disbursements/',
+      headers: await this.headers(currency),
+      data: {
+        payee: { msisdn: this.msisdn(phoneNumber) },
+        reference,
+        pin: this.settings.disbursementPin,
+        transaction: { amount, id: reference },
+      },
+    });
+    return {
+      providerReference: data.data?.transaction?.airtel_money_id || reference,
+      status: STATUS_MAP[data.data?.transaction?.status] || 'processing',
+      raw: data,
+    };
+  }
+
+  parseCallback(payload) {
+    const transaction = payload.transaction || {};
+    return {
+      reference: transaction.id,
+      providerReference: transaction.id,
+      status: STATUS_MAP[transaction.status_code] || 'processing',
+      receipt: transaction.airtel_money_id,
+      raw: payload,
+    };
+  }
+}
+
+module.exports = AirtelMoneyAdapter;
@@ -0,0 +1,159 @@
+'use strict';
+
+const axios = require('axios');
+const AppError = require('@utils/AppError');
+const { logger } = require('@utils/logger');
+
+// Normalized statuses every adapter reports, matching Payment.status values
+const PROVIDER_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+
+/**
+ * Base Provider Adapter - The contract every payment provider implements.
+ * Results are normalized to { providerReference, status, receipt, raw } so PaymentService
+ * never deals with provider payload shapes. providerReference identifies the request we
+ * made; receipt is the provider's own transaction ID once the money has moved.
+ */
+class BaseProviderAdapter {
+  /**
+   * @param {string} provider - Provider code from PAYMENT_CONSTANTS.PROVIDERS
+   * @param {Object} settings - Provider settings from config.payments
+   * @param {Object} options - { requestTimeoutMs, callbackBaseUrl }
+   */
+  constructor(provider, settings = {}, options = {}) {
+    this.provider = provider;
+    this.settings = settings;
+    this.callbackBaseUrl = options.callbackBaseUrl;
+    this.http = axios.create({
+      baseURL: settings.baseUrl,
+      timeout: options.requestTimeoutMs,
+    });
+    this.tokens = {};
+  }
+
+  /**
+   * Asks the customer's wallet to pay, usually via a USSD or STK prompt
+   * @param {Object} params - { reference, amount, currency, phoneNumber, description }
+   * @returns {Promise<Object>} { providerReference, status, raw }
+   */
+  async initiateCollection(_params) {
+    throw this.unsupported('collections');
+  }
+
+  /**
+   * Fetches the current state of a collection
+   * @param {Object} params - { reference, providerReference, currency }
+   * @returns {Promise<Object>} { providerReference, status, receipt, raw }
+   */
+  async queryStatus(_params) {
+    throw this.unsupported('status queries');
+  }
+
+  /**
+   * Whether refund() can return part of a collection. Providers that can only
+   * reverse a whole transaction say no, and PaymentService refunds less than the
+   * full amount to the wallet instead.
+   */
+  get partialRefunds() {
+    return true;
+  }
+
+  /**
+   * Returns money from a completed collection to the payer
+   * @param {Object} params - { reference, providerReference, receipt, amount, currency, phoneNumber, reason }
+   * @returns {Promise<Object>} { providerReference, status, raw }
+   */
+  async refund(_params) {
+    throw this.unsupported('refunds');
+  }
+
+  /**
+   * Sends money from the business wallet to a mobile-money account
+   * @param {Object} params - { reference, amount, currency, phoneNumber, description }
+   * @returns {Promise<Object>} { providerReference, status, raw }
+   */
+  async payout(_params) {
+    throw this.unsupported('payouts');
+  }
+
+  /**
+   * Reads an asynchronous provider callback
+   * @param {Object} payload - Request body posted by the provider
+   * @returns {Object} { reference, providerReference, status, receipt, raw }
+   */
+  parseCallback(_payload) {
+    throw this.unsupported('callbacks');
+  }
+
+  unsupported(operation) {
+    return new AppError(
+      `${this.provider} does not support ${operation}`,
+      501,
+      'PROVIDER_OPERATION_UNSUPPORTED',
+      { provider: this.provider }
+    );
+  }
+
+  callbackUrl() {
+    return this.callbackBaseUrl
+      ? `${this.callbackBaseUrl}/${this.provider}`
+      : undefined;
+  }
+
+  /**
+   * Returns a cached OAuth token, fetching a new one shortly before it expires
+   * @param {Function} fetchToken - Resolves to { accessToken, expiresIn } in seconds
+   * @param {string} [key='default'] - Cache slot, for providers with several APIs
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken(fetchToken, key = 'default') {
+    const cached = this.tokens[key];
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.accessToken;
+    }
+    const { accessToken, expiresIn } = await fetchToken();
+    this.tokens[key] = {
+      accessToken,
+      expiresAt: Date.now() + (Number(expiresIn) - 60) * 1000,
+    };
+    return accessToken;
+  }
+
+  /**
+   * Sends a request to the provider and turns transport failures into AppErrors.
+   * Timeouts get their own code because the provider may still have acted on the request.
+   * @param {Object} requestConfig - axios request config
+   * @returns {Promise<Object>} Response body
+   */
+  async request(requestConfig) {
+    try {
+      const response = await this.http.request(requestConfig);
+      return response.data;
+    } catch (error) {
+      const timedOut =
+        error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+      logger.error('Payment provider request failed', {
+        provider: this.provider,
+        url: requestConfig.url,
+        status: error.response?.status,
+        timedOut,
+        error: error.message,
+      });
+      if (timedOut) {
+        throw new AppError(
+          `${this.provider} did not respond in time`,
+          504,
+          'PROVIDER_TIMEOUT',
+          { provider: this.provider }
+        );
+      }
+      throw new AppError(
+        `${this.provider} rejected the request`,
+        502,
+        'PROVIDER_ERROR',
+        { provider: this.provider, provider_response: error.response?.data }
+      );
+    }
+  }
+}
+
+module.exports = { BaseProviderAdapter, PROVIDER_STATUSES };
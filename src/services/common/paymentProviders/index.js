@@ -0,0 +1,75 @@
+'use strict';
+
+const config = require('@config/config');
+const { PAYMENT_CONSTANTS } = require('@config/constants');
+const AppError = require('@utils/AppError');
+const AirtelMoneyAdapter = require('./airtelMoneyAdapter');
+const TnmMpambaAdapter = require('./tnmMpambaAdapter');
+const MtnMoneyAdapter = require('./mtnMoneyAdapter');
+const MpesaAdapter = require('./mpesaAdapter');
+const SandboxProviderAdapter = require('./sandboxProviderAdapter');
+const { PROVIDER_STATUSES } = require('./baseProviderAdapter');
+
+const { AIRTEL, TNM, MTN, MPESA } = PAYMENT_CONSTANTS.PROVIDERS.MOBILE_MONEY;
+
+// Provider code -> adapter class and its section in config.payments
+const ADAPTERS = {
+  [AIRTEL]: { Adapter: AirtelMoneyAdapter, settings: 'airtel' },
+  [TNM]: { Adapter: TnmMpambaAdapter, settings: 'tnm' },
+  [MTN]: { Adapter: MtnMoneyAdapter, settings: 'mtn' },
+  [MPESA]: { Adapter: MpesaAdapter, settings: 'mpesa' },
+};
+
+const instances = new Map();
+let callbackHandler = null;
+
+const isSandbox = () => config.payments.mode === 'sandbox';
+
+/**
+ * Returns the adapter for a mobile-money provider. In sandbox mode every
+ * provider is served by the simulated adapter.
+ * @param {string} provider - Provider code from PAYMENT_CONSTANTS.PROVIDERS.MOBILE_MONEY
+ * @returns {BaseProviderAdapter}
+ */
+const getProviderAdapter = provider => {
+  const entry = ADAPTERS[provider];
+  if (!entry) {
+    throw new AppError(
+      `Unsupported payment provider: ${provider}`,
+      400,
+      'UNSUPPORTED_PROVIDER',
+      { provider }
+    );
+  }
+  if (!instances.has(provider)) {
+    const options = {
+      requestTimeoutMs: config.payments.requestTimeoutMs,
+      callbackBaseUrl: config.payments.callbackBaseUrl,
+    };
+    const adapter = isSandbox()
+      ? new SandboxProviderAdapter(provider, config.payments.sandbox, {
+          ...options,
+          signingSecret: config.payments.webhooks.secrets[provider][0],
+          onCallback: payload =>
+            callbackHandler && callbackHandler(provider, payload),
+        })
+      : new entry.Adapter(provider, config.payments[entry.settings], options);
+    instances.set(provider, adapter);
+  }
+  return instances.get(provider);
+};
+
+/**
+ * Registers the function sandbox callbacks are delivered to when no callback URL is configured
+ * @param {Function} handler - (provider, payload) => Promise
+ */
+const setCallbackHandler = handler => {
+  callbackHandler = handler;
+};
+
+module.exports = {
+  getProviderAdapter,
+  setCallbackHandler,
+  isSandbox,
+  PROVIDER_STATUSES,
+};
@@ -0,0 +1,186 @@
+'use strict';
+
+const { BaseProviderAdapter } = require('./baseProviderAdapter');
+
+// Daraja reports a prompt the customer has not answered yet as this error code
+const STK_PENDING_ERROR = '500.001.1001';
+
+/**
+ * M-Pesa Adapter - STK push collections, reversals and B2C payouts over the Safaricom Daraja API
+ */
+class MpesaAdapter extends BaseProviderAdapter {
+  async headers() {
+    const token = await this.getAccessToken(async () => {
+      const data = await this.request({
+        method: 'get',
+        url: '/oauth/v1/generate',
+        params: { grant_type: 'client_credentials' },
+        auth: {
+          username: this.settings.consumerKey,
+          password: this.settings.consumerSecret,
+        },
+      });
+      return { accessToken: data.access_token, expiresIn: data.expires_in };
+    });
+    return { Authorization: `Bearer ${token}` };
+  }
+
+  // STK requests are signed with the shortcode, passkey and a yyyyMMddHHmmss timestamp
+  stkCredentials() {
+    const timestamp = new Date()
+      .toISOString()
+      .replace(/[^0-9]/g, '')
+      .slice(0, 14);
+    const password = Buffer.from(
+      `${this.settings.shortcode}${this.settings.passkey}${timestamp}`
+    ).toString('base64');
+    return {
+      BusinessShortCode: this.settings.shortcode,
+      Password: password,
+      Timestamp: timestamp,
+    };
+  }
+
+  msisdn(phoneNumber) {
+    return String(phoneNumber).replace(/\D/g, '');
+  }
+
+  resultStatus(resultCode) {
+    return String(resultCode) === '0' ? 'completed' : 'failed';
+  }
+
+  async initiateCollection({ reference, amount, phoneNumber, description }) {
+    const data = await this.request({
+      method: 'post',
+      url: '/mpesa/stkpush/v1/processrequest',
+      headers: await this.headers(),
+      data: {
+        ...this.stkCredentials(),
+        TransactionType: 'CustomerPayBillOnline',
+        Amount: Math.round(amount),
+        PartyA: this.msisdn(phoneNumber),
+        PartyB: this.settings.shortcode,
+        PhoneNumber: this.msisdn(phoneNumber),
+        CallBackURL: this.callbackUrl(),
+        AccountReference: reference,
+        TransactionDesc: description || reference,
+      },
+    });
+    return {
+      providerReference: data.CheckoutRequestID,
+      status: String(data.ResponseCode) === '0' ? 'processing' : 'failed',
+      raw: data,
+    };
+  }
+
+  async queryStatus({ providerReference }) {
+    try {
+      const data = await this.request({
+        method: 'post',
+        url: '/mpesa/stkpushquery/v1/query',
+        headers: await this.headers(),
+        data: {
+          ...this.stkCredentials(),
+          CheckoutRequestID: providerReference,
+        },
+      });
+      return {
+        providerReference,
+        status: this.resultStatus(data.ResultCode),
+        raw: data,
+      };
+    } catch (error) {
+      if (error.details?.provider_response?.errorCode === STK_PENDING_ERROR) {
+        return {
+          providerReference,
+          status: 'processing',
+          raw: error.details.provider_response,
+        };
+      }
+      throw error;
+    }
+  }
+
+  // A TransactionReversal always reverses the whole transaction
+  get partialRefunds() {
+    return false;
+  }
+
+  // Reversals are addressed by the M-Pesa receipt number from the STK callback
+  async refund({ reference, receipt, amount, reason }) {
+    const data = await this.request({
+      method: 'post',
+      url: '/mpesa/reversal/v1/request',
+      headers: await this.headers(),
+      data: {
+        Initiator: this.settings.initiatorName,
+        SecurityCredential: this.settings.securityCredential,
+        CommandID: 'TransactionReversal',
+        TransactionID: receipt,
+        Amount: amount,
+        ReceiverParty: this.settings.shortcode,
+        RecieverIdentifierType: '11',
+        ResultURL: this.callbackUrl(),
+        QueueTimeOutURL: this.callbackUrl(),
+        Remarks: reason || reference,
+        Occasion: reference,
+      },
+    });
+    return {
+      providerReference: data.ConversationID,
+      status: 'processing',
+      raw: data,
+    };
+  }
+
+  async payout({ reference, amount, phoneNumber, description }) {
+    const data = await this.request({
+      method: 'post',
+      url: '/mpesa/b2c/v1/paymentrequest',
+      headers: await this.headers(),
+      data: {
+        InitiatorName: this.settings.initiatorName,
+        SecurityCredential: this.settings.securityCredential,
+        CommandID: 'BusinessPayment',
+        Amount: Math.round(amount),
+        PartyA: this.settings.shortcode,
+        PartyB: this.msisdn(phoneNumber),
+        Remarks: description || reference,
+        QueueTimeOutURL: this.callbackUrl(),
+        ResultURL: this.callbackUrl(),
+        Occasion: reference,
+      },
+    });
+    return {
+      providerReference: data.ConversationID,
+      status: 'processing',
+      raw: data,
+    };
+  }
+
+  parseCallback(payload) {
+    // STK push results and async results (reversals, B2C) arrive in different envelopes
+    const stk = payload.Body?.stkCallback;
+    if (stk) {
+      const items = stk.CallbackMetadata?.Item || [];
+      const receipt = items.find(item => item.Name === 'MpesaReceiptNumber');
+      return {
+        reference: null,
+        providerReference: stk.CheckoutRequestID,
+        status: this.resultStatus(stk.ResultCode),
+        receipt: receipt?.Value,
+        raw: payload,
+      };
+    }
+    const result = payload.Result || {};
+    return {
+      reference: null,
+      providerReference: result.ConversationID,
+      status: this.resultStatus(result.ResultCode),
+      receipt: result.TransactionID,
+      raw: payload,
+    };
+  }
+}
+
+module.exports = MpesaAdapter;
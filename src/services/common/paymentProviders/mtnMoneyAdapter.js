@@ -0,0 +1,159 @@
+'use strict';
+
+const uuid = require('uuid').v4;
+const { BaseProviderAdapter } = require('./baseProviderAdapter');
+
+const STATUS_MAP = {
+  PENDING: 'processing',
+  SUCCESSFUL: 'completed',
+  FAILED: 'failed',
+  REJECTED: 'failed',
+  TIMEOUT: 'failed',
+};
+
+/**
+ * MTN Mobile Money Adapter - Request-to-pay collections and disbursement
+ * transfers and refunds over the MTN MoMo Open API
+ */
+class MtnMoneyAdapter extends BaseProviderAdapter {
+  async headers(product) {
+    const subscriptionKey =
+      product === 'collection'
+        ? this.settings.collectionSubscriptionKey
+        : this.settings.disbursementSubscriptionKey;
+    // Collection and disbursement are separate MoMo products with their own tokens
+    const token = await this.getAccessToken(async () => {
+      const data = await this.request({
+        method: 'post',
+        url: `/${product}/token/`,
+        auth: {
+          username: this.settings.apiUser,
+          password: this.settings.apiKey,
+        },
+        headers: { 'Ocp-Apim-Subscription-Key': subscriptionKey },
+      });
+      return { accessToken: data.access_token, expiresIn: data.expires_in };
+    }, product);
+    return {
+      Authorization: `Bearer ${token}`,
+      'Ocp-Apim-Subscription-Key': subscriptionKey,
+      'X-Target-Environment': this.settings.targetEnvironment,
+    };
+  }
+
+  party(phoneNumber) {
+    return {
+      partyIdType: 'MSISDN',
+      partyId: String(phoneNumber).replace(/\D/g, ''),
+    };
+  }
+
+  async initiateCollection({
+    reference,
+    amount,
+    currency,
+    phoneNumber,
+    description,
+  }) {
+    // MoMo identifies the request by the X-Reference-Id we generate
+    const referenceId = uuid();
+    await this.request({
+      method: 'post',
+      url: '/collection/v1_0/requesttopay',
+      headers: {
+        ...(await this.headers('collection')),
+        'X-Reference-Id': referenceId,
+        ...(this.callbackUrl() && { 'X-Callback-Url': this.callbackUrl() }),
+      },
+      data: {
+        amount: String(amount),
+        currency,
+        externalId: reference,
+        payer: this.party(phoneNumber),
+        payerMessage: description || reference,
+        payeeNote: reference,
+      },
+    });
+    return {
+      providerReference: referenceId,
+      status: 'processing',
+      raw: { referenceId },
+    };
+  }
+
+  async queryStatus({ providerReference }) {
+    const data = await this.request({
+      method: 'get',
+      url: `/collection/v1_0/requesttopay/${providerReference}`,
+      headers: await this.headers('collection'),
+    });
+    return {
+      providerReference,
+      status: STATUS_MAP[data.status] || 'processing',
+      receipt: data.financialTransactionId,
+      raw: data,
+    };
+  }
+
+  async refund({ reference, providerReference, amount, currency, reason }) {
+    const referenceId = uuid();
+    await this.request({
+      method: 'post',
+      url: '/disbursement/v1_0/refund',
+      headers: {
+        ...(await this.headers('disbursement')),
+        'X-Reference-Id': referenceId,
+      },
+      data: {
+        amount: String(amount),
+        currency,
+        externalId: reference,
+        payerMessage: reason || reference,
+        payeeNote: reference,
+        referenceIdToRefund: providerReference,
+      },
+    });
+    return {
+      providerReference: referenceId,
+      status: 'processing',
+      raw: { referenceId },
+    };
+  }
+
+  async payout({ reference, amount, currency, phoneNumber, description }) {
+    const referenceId = uuid();
+    await this.request({
+      method: 'post',
+      url: '/disbursement/v1_0/transfer',
+      headers: {
+        ...(await this.headers('disbursement')),
+        'X-Reference-Id': referenceId,
+      },
+      data: {
+        amount: String(amount),
+        currency,
+        externalId: reference,
+        payee: this.party(phoneNumber),
+        payerMessage: description || reference,
+        payeeNote: reference,
+      },
+    });
+    return {
+      providerReference: referenceId,
+      status: 'processing',
+      raw: { referenceId },
+    };
+  }
+
+  parseCallback(payload) {
+    return {
+      reference: payload.externalId,
+      providerReference: payload.referenceId,
+      status: STATUS_MAP[payload.status] || 'processing',
+      receipt: payload.financialTransactionId,
+      raw: payload,
+    };
+  }
+}
+
+module.exports = MtnMoneyAdapter;
@@ -0,0 +1,213 @@
+'use strict';
+
+const uuid = require('uuid').v4;
+const AppError = require('@utils/AppError');
+const { logger } = require('@utils/logger');
+const { signWebhookPayload } = require('@utils/webhookSignature');
+const { BaseProviderAdapter } = require('./baseProviderAdapter');
+
+/**
+ * Outcome of a sandbox request, picked by the last digit of the phone number:
+ *   1 - the customer declines, a failure callback follows
+ *   2 - the provider rejects the request outright
+ *   3 - the provider times out but still completes the payment later
+ *   4 - no callback ever arrives, the payment is left for the expiry job
+ *   anything else - a success callback follows
+ */
+const SCENARIOS = {
+  1: 'declined',
+  2: 'rejected',
+  3: 'timeout',
+  4: 'abandoned',
+};
+
+/**
+ * Sandbox Provider Adapter - Simulates a mobile-money provider in memory so the
+ * whole payment lifecycle can run locally. Callbacks are posted to the callback
+ * URL when one is configured, otherwise handed to the in-process callback handler.
+ */
+class SandboxProviderAdapter extends BaseProviderAdapter {
+  /**
+   * @param {string} provider - Provider code being simulated
+   * @param {Object} settings - config.payments.sandbox
+   * @param {Object} options - { requestTimeoutMs, callbackBaseUrl, signingSecret, onCallback }
+   */
+  constructor(provider, settings = {}, options = {}) {
+    super(provider, settings, options);
+    this.onCallback = options.onCallback;
+    this.signingSecret = options.signingSecret;
+    this.transactions = new Map();
+  }
+
+  scenario(phoneNumber) {
+    const lastDigit = String(phoneNumber || '').slice(-1);
+    return SCENARIOS[lastDigit] || 'success';
+  }
+
+  record(transaction) {
+    transaction.receipt = `SBR${Date.now()}${this.transactions.size}`;
+    this.transactions.set(transaction.providerReference, transaction);
+    return transaction;
+  }
+
+  find({ reference, providerReference }) {
+    const transaction =
+      this.transactions.get(providerReference) ||
+      [...this.transactions.values()].find(t => t.reference === reference);
+    if (!transaction) {
+      throw new AppError(
+        'Sandbox transaction not found',
+        404,
+        'PROVIDER_TRANSACTION_NOT_FOUND',
+        { provider: this.provider, reference, providerReference }
+      );
+    }
+    return transaction;
+  }
+
+  async initiateCollection({ reference, amount, currency, phoneNumber }) {
+    const scenario = this.scenario(phoneNumber);
+    const transaction = this.record({
+      reference,
+      providerReference: `SBX-${uuid()}`,
+      amount,
+      currency,
+      status: scenario === 'rejected' ? 'failed' : 'processing',
+    });
+    logger.info('Sandbox collection initiated', {
+      provider: this.provider,
+      reference,
+      scenario,
+    });
+
+    if (scenario === 'rejected') {
+      return { ...this.result(transaction), status: 'failed' };
+    }
+    if (scenario !== 'abandoned') {
+      this.scheduleCallback(
+        transaction,
+        scenario === 'declined' ? 'failed' : 'completed'
+      );
+    }
+    if (scenario === 'timeout') {
+      throw new AppError(
+        `${this.provider} did not respond in time`,
+        504,
+        'PROVIDER_TIMEOUT',
+        { provider: this.provider }
+      );
+    }
+    return this.result(transaction);
+  }
+
+  async queryStatus(params) {
+    return this.result(this.find(params));
+  }
+
+  async refund({ reference, providerReference, amount }) {
+    const original = this.find({ providerReference });
+    if (original.status !== 'completed') {
+      throw new AppError(
+        'Only completed sandbox transactions can be refunded',
+        502,
+        'PROVIDER_ERROR',
+        { provider: this.provider, providerReference }
+      );
+    }
+    const refund = this.record({
+      reference,
+      providerReference: `SBX-${uuid()}`,
+      amount: amount || original.amount,
+      currency: original.currency,
+      status: 'completed',
+    });
+    return this.result(refund);
+  }
+
+  async payout({ reference, amount, currency, phoneNumber }) {
+    const scenario = this.scenario(phoneNumber);
+    const payout = this.record({
+      reference,
+      providerReference: `SBX-${uuid()}`,
+      amount,
+      currency,
+      status: ['declined', 'rejected'].includes(scenario)
+        ? 'failed'
+        : 'completed',
+    });
+    return this.result(payout);
+  }
+
+  parseCallback(payload) {
+    return {
+      reference: payload.reference,
+      providerReference: payload.transaction_id,
+      status: payload.status,
+      receipt: payload.receipt,
+      raw: payload,
+    };
+  }
+
+  result(transaction) {
+    return {
+      providerReference: transaction.providerReference,
+      status: transaction.status,
+      receipt:
+        transaction.status === 'completed' ? transaction.receipt : undefined,
+      raw: { ...transaction, sandbox: true },
+    };
+  }
+
+  // Signs callbacks the way real providers do when a webhook secret is configured
+  signatureHeaders(payload, body) {
+    if (!this.signingSecret) return {};
+    const timestamp = Math.floor(Date.now() / 1000);
+    return {
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Event-Id': `${payload.transaction_id}:${payload.status}`,
+      'X-Webhook-Signature': signWebhookPayload(
+        this.signingSecret,
+        timestamp,
+        body
+      ),
+    };
+  }
+
+  scheduleCallback(transaction, status) {
+    const timer = setTimeout(async () => {
+      transaction.status = status;
+      const payload = {
+        reference: transaction.reference,
+        transaction_id: transaction.providerReference,
+        status,
+        receipt: status === 'completed' ? transaction.receipt : undefined,
+        amount: transaction.amount,
+        currency: transaction.currency,
+      };
+      try {
+        if (this.callbackUrl()) {
+          // Posted pre-serialised so the signed bytes are exactly the bytes sent
+          const body = JSON.stringify(payload);
+          await this.http.post(this.callbackUrl(), body, {
+            headers: {
+              'Content-Type': 'application/json',
+              ...this.signatureHeaders(payload, body),
+            },
+          });
+        } else if (this.onCallback) {
+          await this.onCallback(payload);
+        }
+      } catch (error) {
+        logger.error('Sandbox callback delivery failed', {
+          provider: this.provider,
+          reference: transaction.reference,
+          error: error.message,
+        });
+      }
+    }, this.settings.callbackDelayMs);
+    // A pending simulated callback should never keep the process alive
+    timer.unref();
+  }
+}
+
+module.exports = SandboxProviderAdapter;
@@ -0,0 +1,127 @@
+'use strict';
+
+const { BaseProviderAdapter } = require('./baseProviderAdapter');
+
+const STATUS_MAP = {
+  PENDING: 'processing',
+  PROCESSING: 'processing',
+  SUCCESS: 'completed',
+  SUCCESSFUL: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'failed',
+  EXPIRED: 'failed',
+};
+
+/**
+ * TNM Mpamba Adapter - Invoice collections, reversals and disbursements over the Mpamba merchant API
+ */
+class TnmMpambaAdapter extends BaseProviderAdapter {
+  async headers() {
+    const token = await this.getAccessToken(async () => {
+      const data = await this.request({
+        method: 'post',
+        url: '/api/v1/authenticate',
+        data: {
+          username: this.settings.username,
+          password: this.settings.password,
+        },
+      });
+      return {
+        accessToken: data.data?.token,
+        expiresIn: data.data?.expires_in,
+      };
+    });
+    return { Authorization: `Bearer ${token}` };
+  }
+
+  status(value) {
+    return STATUS_MAP[String(value).toUpperCase()] || 'processing';
+  }
+
+  async initiateCollection({ reference, amount, phoneNumber, description }) {
+    const data = await this.request({
+      method: 'post',
+      url: '/api/v1/invoices',
+      headers: await this.headers(),
+      data: {
+        merchant_code: this.settings.merchantCode,
+        invoice_number: reference,
+        amount,
+        msisdn: String(phoneNumber).replace(/\D/g, ''),
+        description: description || reference,
+        callback_url: this.callbackUrl(),
+      },
+    });
+    return {
+      providerReference: data.data?.transaction_id || reference,
+      status: data.success === false ? 'failed' : 'processing',
+      raw: data,
+    };
+  }
+
+  async queryStatus({ reference }) {
+    const data = await this.request({
+      method: 'get',
+      url: `/api/v1/invoices/${reference}`,
+      headers: await this.headers(),
+    });
+    return {
+      providerReference: data.data?.transaction_id || reference,
+      status: this.status(data.data?.status),
+      receipt: data.data?.receipt_number,
+      raw: data,
+    };
+  }
+
+  async refund({ reference, receipt, providerReference, amount, reason }) {
+    const data = await this.request({
+      method: 'post',
+      url: '/api/v1/reversals',
+      headers: await this.headers(),
+      data: {
+        merchant_code: this.settings.merchantCode,
+        transaction_id: receipt || providerReference,
+        amount,
+        reference,
+        reason,
+      },
+    });
+    return {
+      providerReference: data.data?.transaction_id,
+      status: this.status(data.data?.status),
+      raw: data,
+    };
+  }
+
+  async payout({ reference, amount, phoneNumber, description }) {
+    const data = await this.request({
+      method: 'post',
+      url: '/api/v1/disbursements',
+      headers: await this.headers(),
+      data: {
+        merchant_code: this.settings.merchantCode,
+        reference,
+        amount,
+        msisdn: String(phoneNumber).replace(/\D/g, ''),
+        description: description || reference,
+      },
+    });
+    return {
+      providerReference: data.data?.transaction_id || reference,
+      status: this.status(data.data?.status),
+      raw: data,
+    };
+  }
+
+  parseCallback(payload) {
+    return {
+      reference: payload.invoice_number,
+      providerReference: payload.transaction_id,
+      status: this.status(payload.status),
+      receipt: payload.receipt_number,
+      raw: payload,
+    };
+  }
+}
+
+module.exports = TnmMpambaAdapter;
@@ -1,10 +1,53 @@
 // src/services/paymentService.js
-const { Payment, Customer } = require('../../models');
+const {
+  Payment,
+  Customer,
+  Order,
+  OrderItems,
+  PaymentAllocation,
+  Refund,
+} = require('../../models');
 const { Op } = require('sequelize');
 const { PAYMENT_CONSTANTS } = require('../../config/constants');
+const {
+  PAYMENT_STATUS_TRANSITIONS,
+  REFUND_PAYMENT_STATUSES,
+  RISK_REVIEW_SOURCE,
+} = require('../../config/constants/paymentStatusTransitions');
 const AppError = require('../../utils/AppError');
 const RiskAssessmentService = require('./riskAssessmentService');
-const { logTransactionEvent } = require('../../utils/logger');
+const { logTransactionEvent, logger } = require('../../utils/logger');
+const config = require('../../config/config');
+const eventManager = require('../events/core/eventManager');
+const {
+  getProviderAdapter,
+  setCallbackHandler,
+} = require('./paymentProviders');
+const inventoryService = require('../merchant/products/inventoryService');
+const PromotionService = require('../customer/promotionService');
+const WalletService = require('../customer/walletService');
+const GiftCardService = require('./giftCardService');
+const SettlementService = require('./settlementService');
+const DriverPaymentService = require('../driver/driverPaymentService');
+const {
+  REFUND_DESTINATIONS,
+  WALLET_PAYMENT_METHOD,
+} = require('../../config/constants/wallet');
+const { RISK_DECISIONS } = require('../../config/constants/risk');
+const { GIFT_CARD_PAYMENT_METHOD } = require('../../config/constants/giftCard');
+
+// Payments still waiting on the provider to confirm or reject them
+const AWAITING_PROVIDER_STATUSES = ['pending', 'processing'];
+// Settled payments that still have captured money left to refund
+const REFUNDABLE_STATUSES = ['completed', 'verified', 'partially_refunded'];
+// Payments that took the customer's money, whether or not it has since been given back
+const CAPTURED_STATUSES = [...REFUNDABLE_STATUSES, 'refunded'];
+// Refunds that count against what a payment can still give back
+const COUNTED_REFUND_STATUSES = ['pending', 'approved', 'processed'];
+// Refund totals are kept to the cent; float noise below this is ignored
+const AMOUNT_TOLERANCE = 0.005;
+
+const roundAmount = value => Math.round(value * 100) / 100;
 
 class PaymentService {
   // Validate transaction limits for a customer
@@ -41,66 +84,633 @@ class PaymentService {
       provider,
       customer_id,
       order_id,
+      checkout_id,
+      in_dining_order_id,
       merchant_id,
+      driver_id,
+      wallet_id,
+      gift_card_id,
+      device_id,
       phone_number,
+      currency = 'MWK',
+      description,
     } = data;
+    // Resolve the adapter first so an unknown provider never leaves a payment row behind
+    const adapter = getProviderAdapter(provider);
     await this.validateTransactionLimits(customer_id, amount, 'MOBILE_MONEY');
     const payment = await Payment.create({
       amount,
       customer_id,
       order_id,
+      checkout_id,
+      in_dining_order_id,
       merchant_id,
+      driver_id,
+      wallet_id,
+      gift_card_id,
+      device_id,
       payment_method: 'MOBILE_MONEY',
       provider,
       status: 'pending',
       payment_details: {
         phone_number,
+        currency,
+        description,
         provider_specific: {}, // Will store provider-specific details
       },
     });
+    // Risky payments are held or declined before the customer is ever prompted
+    const decision = await this.screenPayment(payment);
+    if (decision === RISK_DECISIONS.DECLINE) {
+      throw new AppError('Payment declined', 402, 'PAYMENT_DECLINED', {
+        payment_id: payment.id,
+      });
+    }
+    if (decision === RISK_DECISIONS.REVIEW) return payment;
+    return this.requestCollection(adapter, payment, description);
+  }
+
+  // Ask the provider to collect a pending payment from the customer's wallet
+  async requestCollection(adapter, payment, description) {
+    // The reference is stored before the provider is called so an early callback can find the payment
+    const reference = `PAY-${payment.id}`;
+    await payment.update({
+      payment_details: { ...payment.payment_details, reference },
+    });
+    try {
+      const result = await adapter.initiateCollection({
+        reference,
+        amount: payment.amount,
+        currency: payment.payment_details.currency,
+        phoneNumber: payment.payment_details.phone_number,
+        description,
+      });
+      await payment.update({
+        status: result.status === 'failed' ? 'failed' : 'processing',
+        transaction_id: result.providerReference,
+        payment_details: {
+          ...payment.payment_details,
+          initiated_at: new Date(),
+          provider_specific: result.raw,
+        },
+      });
+    } catch (error) {
+      // After a timeout the provider may still have prompted the customer, so wait for the callback or expiry job
+      const timedOut = error.errorCode === 'PROVIDER_TIMEOUT';
+      await payment.update({
+        status: timedOut ? 'processing' : 'failed',
+        payment_details: {
+          ...payment.payment_details,
+          initiated_at: new Date(),
+          provider_timeout: timedOut,
+          failure_reason: timedOut ? undefined : error.message,
+        },
+      });
+      if (!timedOut) throw error;
+    }
+    logTransactionEvent('Mobile money collection requested', {
+      payment_id: payment.id,
+      provider: payment.provider,
+      reference,
+      status: payment.status,
+    });
+    return payment;
+  }
+
+  // Apply an asynchronous provider callback to its payment
+  async handleProviderCallback(provider, payload) {
+    const adapter = getProviderAdapter(provider);
+    const callback = adapter.parseCallback(payload);
+    // Refund results come back on the same callback URL as collections
+    const refund =
+      callback.providerReference &&
+      (await Refund.findOne({
+        where: {
+          provider_reference: callback.providerReference,
+          status: 'approved',
+        },
+        include: [
+          { model: Payment, as: 'payment', where: { provider }, attributes: ['id'] },
+        ],
+      }));
+    if (refund) return this.applyRefundResult(refund, callback);
+    const conditions = [
+      callback.providerReference && { transaction_id: callback.providerReference },
+      callback.reference && { payment_details: { reference: callback.reference } },
+    ].filter(Boolean);
+    const payment = conditions.length
+      ? await Payment.findOne({ where: { provider, [Op.or]: conditions } })
+      : null;
+    if (!payment) {
+      throw new AppError('Payment not found', 404, 'PAYMENT_NOT_FOUND', {
+        provider,
+        reference: callback.reference,
+        provider_reference: callback.providerReference,
+      });
+    }
+    return this.applyProviderResult(payment, callback, 'callback');
+  }
+
+  // Ask the provider for the latest state of a payment still waiting on it
+  async refreshPaymentStatus(paymentId) {
+    const payment = await Payment.findByPk(paymentId);
+    if (!payment) throw new AppError('Payment not found', 404);
+    if (
+      payment.payment_method !== 'MOBILE_MONEY' ||
+      !AWAITING_PROVIDER_STATUSES.includes(payment.status)
+    ) {
+      return payment;
+    }
+    const result = await getProviderAdapter(payment.provider).queryStatus({
+      reference: payment.payment_details?.reference,
+      providerReference: payment.transaction_id,
+      currency: payment.payment_details?.currency,
+    });
+    return this.applyProviderResult(payment, result, 'status_query');
+  }
+
+  // Record a provider result on the payment
+  async applyProviderResult(payment, result, source) {
+    return this.applyStatusUpdate(
+      payment,
+      result.status,
+      {
+        transaction_id: payment.transaction_id || result.providerReference,
+        payment_details: {
+          ...payment.payment_details,
+          provider_receipt:
+            result.receipt || payment.payment_details?.provider_receipt,
+          provider_specific: result.raw,
+          last_provider_update: { source, at: new Date() },
+        },
+      },
+      source
+    );
+  }
+
+  /**
+   * Move a payment to a status reported by a provider, webhook or job. Moves outside
+   * PAYMENT_STATUS_TRANSITIONS are stale or out of order and leave the payment as it is,
+   * as do moves the source is not entitled to make (see isPermittedUpdate).
+   * The update is conditional on the status read, so concurrent callbacks cannot both apply.
+   * @param {Object} payment - Payment instance
+   * @param {string} toStatus - Reported status
+   * @param {Object} [fields] - Other fields to persist with the status
+   * @param {string} source - What reported the status; checked for restricted moves
+   * @returns {Promise<Object>} The payment, updated or not
+   */
+  async applyStatusUpdate(payment, toStatus, fields = {}, source) {
+    const fromStatus = payment.status;
+    const allowed = PAYMENT_STATUS_TRANSITIONS[fromStatus] || [];
+    if (!allowed.includes(toStatus)) {
+      logger.warn('Ignoring stale payment status update', {
+        payment_id: payment.id,
+        status: fromStatus,
+        reported_status: toStatus,
+        source,
+      });
+      return payment;
+    }
+    if (!this.isPermittedUpdate(payment, toStatus, source)) {
+      logger.warn('Refusing payment status update from this source', {
+        payment_id: payment.id,
+        status: fromStatus,
+        reported_status: toStatus,
+        source,
+      });
+      return payment;
+    }
+
+    const changes = { ...fields, status: toStatus };
+    const [updatedCount] = await Payment.update(changes, {
+      where: { id: payment.id, status: fromStatus },
+    });
+    if (updatedCount === 0) {
+      logger.warn('Payment status changed while applying update', {
+        payment_id: payment.id,
+        expected_status: fromStatus,
+        reported_status: toStatus,
+        source,
+      });
+      return payment.reload();
+    }
+    Object.entries(changes).forEach(([field, value]) =>
+      payment.setDataValue(field, value)
+    );
+
+    logTransactionEvent('Payment status changed', {
+      payment_id: payment.id,
+      provider: payment.provider,
+      from: fromStatus,
+      to: toStatus,
+      source,
+    });
+    eventManager.emit('payment.updated', {
+      payment,
+      customerId: payment.customer_id,
+    });
+    if (toStatus === 'completed') {
+      // Posting is idempotent; a failure here must not undo the status change
+      await SettlementService.recordPayment(payment).catch(error =>
+        logger.error('Failed to record payment in the ledger', {
+          payment_id: payment.id,
+          error: error.message,
+        })
+      );
+      await this.creditWalletTopUp(payment);
+      await this.activateGiftCard(payment);
+    }
     return payment;
   }
 
+  /**
+   * Whether a source may make an allowed move. Refund statuses are only set by
+   * settleRefund; releasing a held payment or verifying one is the admin review's
+   * call; and a payment declined by the risk rules or a reviewer stays failed,
+   * whatever a provider reports afterwards.
+   */
+  isPermittedUpdate(payment, toStatus, source) {
+    if (REFUND_PAYMENT_STATUSES.includes(toStatus)) return false;
+    const reviewMove =
+      payment.status === 'pending_review' || toStatus === 'verified';
+    if (reviewMove !== (source === RISK_REVIEW_SOURCE)) return false;
+    const verification = payment.verification_details || {};
+    return !(
+      payment.status === 'failed' &&
+      (verification.declined_by_rules ||
+        verification.review?.decision === 'declined')
+    );
+  }
+
+  // Credit a settled top-up to its wallet; safe to repeat, so a failure is only logged
+  async creditWalletTopUp(payment) {
+    if (!payment.wallet_id) return;
+    await WalletService.creditTopUp(payment).catch(error =>
+      logger.error('Failed to credit wallet top-up', {
+        payment_id: payment.id,
+        wallet_id: payment.wallet_id,
+        error: error.message,
+      })
+    );
+  }
+
+  // Activate a bought gift card once paid; safe to repeat, so a failure is only logged
+  async activateGiftCard(payment) {
+    if (
+      !payment.gift_card_id ||
+      payment.payment_method === GIFT_CARD_PAYMENT_METHOD
+    ) {
+      return;
+    }
+    await GiftCardService.activatePurchase(payment).catch(error =>
+      logger.error('Failed to activate gift card', {
+        payment_id: payment.id,
+        gift_card_id: payment.gift_card_id,
+        error: error.message,
+      })
+    );
+  }
+
+  /**
+   * Fail mobile-money payments the provider never settled. Each is queried once more
+   * first, since a callback may have been lost rather than never sent. Card payments
+   * for a checkout are failed too once they have waited checkoutCardTimeoutMinutes,
+   * so the checkout is cancelled and its stock released.
+   * @returns {Promise<number>} Number of payments expired
+   */
+  async expireStalePayments() {
+    const cutoff = new Date(
+      Date.now() - config.payments.pendingTimeoutMinutes * 60 * 1000
+    );
+    const stale = await Payment.findAll({
+      where: {
+        payment_method: 'MOBILE_MONEY',
+        status: { [Op.in]: AWAITING_PROVIDER_STATUSES },
+        created_at: { [Op.lt]: cutoff },
+      },
+    });
+    let expired = 0;
+    for (let payment of stale) {
+      try {
+        payment = await this.refreshPaymentStatus(payment.id);
+        if (!AWAITING_PROVIDER_STATUSES.includes(payment.status)) continue;
+      } catch (error) {
+        logger.warn('Status query failed for stale payment', {
+          payment_id: payment.id,
+          error: error.message,
+        });
+      }
+      await this.applyProviderResult(
+        payment,
+        { status: 'failed', raw: { reason: 'Provider did not confirm payment in time' } },
+        'expiry'
+      );
+      expired += 1;
+    }
+
+    // Cards have no status query; a verification or bank webhook would have arrived by now
+    const cardCutoff = new Date(
+      Date.now() - config.payments.checkoutCardTimeoutMinutes * 60 * 1000
+    );
+    const staleCards = await Payment.findAll({
+      where: {
+        payment_method: 'BANK_CARD',
+        checkout_id: { [Op.ne]: null },
+        status: { [Op.in]: AWAITING_PROVIDER_STATUSES },
+        created_at: { [Op.lt]: cardCutoff },
+      },
+    });
+    for (const payment of staleCards) {
+      await this.applyProviderResult(
+        payment,
+        { status: 'failed', raw: { reason: 'Card payment was not completed in time' } },
+        'expiry'
+      );
+      expired += 1;
+    }
+    return expired;
+  }
+
+  /**
+   * Send money from the business wallet to a mobile-money account
+   * @param {Object} data - { provider, reference, amount, currency, phone_number, description }
+   * @returns {Promise<Object>} { providerReference, status, receipt, raw }
+   */
+  async initiatePayout(data) {
+    const { provider, reference, amount, currency = 'MWK', phone_number, description } = data;
+    const result = await getProviderAdapter(provider).payout({
+      reference,
+      amount,
+      currency,
+      phoneNumber: phone_number,
+      description,
+    });
+    logTransactionEvent('Mobile money payout requested', {
+      provider,
+      reference,
+      amount,
+      status: result.status,
+    });
+    return result;
+  }
+
   // Initiate a bank card payment
   async initiateBankCardPayment(data) {
     const {
       amount,
       customer_id,
       order_id,
+      checkout_id,
+      in_dining_order_id,
       merchant_id,
+      driver_id,
+      wallet_id,
+      gift_card_id,
+      device_id,
       bank_name,
       card_details,
+      currency = 'MWK',
     } = data;
     await this.validateTransactionLimits(customer_id, amount, 'BANK_CARD');
     const payment = await Payment.create({
       amount,
       customer_id,
       order_id,
+      checkout_id,
+      in_dining_order_id,
       merchant_id,
+      driver_id,
+      wallet_id,
+      gift_card_id,
+      device_id,
       payment_method: 'BANK_CARD',
       provider: bank_name,
       status: 'pending',
       payment_details: {
         card_details,
+        currency,
         provider_specific: {}, // Will store bank-specific details
       },
     });
     return payment;
   }
 
-  // Verify a bank payment
-  async verifyBankPayment(paymentId, bankReference) {
-    const payment = await Payment.findByPk(paymentId);
-    if (!payment) throw new AppError('Payment not found', 404);
-    return await payment.update({
-      status: 'verified',
-      bank_reference: bankReference,
-      payment_details: {
-        ...payment.payment_details,
-        verification_time: new Date(),
-        bank_reference: bankReference,
-      },
+  /**
+   * Top up a customer's wallet by mobile money or bank card. The wallet is credited
+   * once the provider settles the payment.
+   * @param {Object} data - { customer_id, amount, device_id, payment_method: { type, provider, phone_number, bank_name, card_details } }
+   * @returns {Promise<Object>} The top-up Payment
+   */
+  async initiateWalletTopUp(data) {
+    const { customer_id, payment_method: method = {} } = data;
+    const amount = roundAmount(Number(data.amount));
+    const wallet = await WalletService.validateTopUp(customer_id, amount);
+    const payment = {
+      amount,
+      customer_id,
+      wallet_id: wallet.id,
+      currency: wallet.currency,
+      device_id: data.device_id,
+    };
+    if (method.type === 'MOBILE_MONEY') {
+      return this.initiateMobileMoneyPayment({
+        ...payment,
+        provider: method.provider,
+        phone_number: method.phone_number,
+        description: 'Wallet top-up',
+      });
+    }
+    if (method.type === 'BANK_CARD') {
+      return this.initiateBankCardPayment({
+        ...payment,
+        bank_name: method.bank_name,
+        card_details: method.card_details,
+      });
+    }
+    throw new AppError(
+      'Wallets can be topped up by mobile money or bank card',
+      400,
+      'INVALID_TOP_UP_METHOD'
+    );
+  }
+
+  /**
+   * Buy a gift card for someone by mobile money or bank card. The card is activated
+   * and sent to the recipient once the provider settles the payment.
+   * @param {Object} data - { customer_id, merchant_id, amount, recipient_name, recipient_email, recipient_phone, message, delivery_channel, device_id, payment_method: { type, provider, phone_number, bank_name, card_details } }
+   * @returns {Promise<Object>} { giftCard, payment }
+   */
+  async initiateGiftCardPurchase(data) {
+    const { customer_id, payment_method: method = {} } = data;
+    if (!['MOBILE_MONEY', 'BANK_CARD'].includes(method.type)) {
+      throw new AppError(
+        'Gift cards can be bought by mobile money or bank card',
+        400,
+        'INVALID_PURCHASE_METHOD'
+      );
+    }
+    const giftCard = await GiftCardService.createPurchase(customer_id, data);
+    const payment = {
+      amount: Number(giftCard.initial_value),
+      customer_id,
+      gift_card_id: giftCard.id,
+      currency: giftCard.currency,
+      device_id: data.device_id,
+    };
+    const created =
+      method.type === 'MOBILE_MONEY'
+        ? await this.initiateMobileMoneyPayment({
+            ...payment,
+            provider: method.provider,
+            phone_number: method.phone_number,
+            description: 'Gift card',
+          })
+        : await this.initiateBankCardPayment({
+            ...payment,
+            bank_name: method.bank_name,
+            card_details: method.card_details,
+          });
+    return { giftCard, payment: created };
+  }
+
+  /**
+   * Pay part or all of a bill with a gift card. The payment completes at once and
+   * is booked in the ledger like any other, funded from the card's merchant.
+   * @param {Object} data - { code, amount, customer_id, merchant_id, currency, description, and the order_id, checkout_id or in_dining_order_id it pays for }
+   * @returns {Promise<Object>} The completed Payment
+   */
+  async payWithGiftCard(data) {
+    const { code, customer_id, merchant_id, currency, description } = data;
+    const amount = roundAmount(Number(data.amount));
+    const payment = await Payment.sequelize.transaction(async t => {
+      const card = await GiftCardService.findRedeemable(
+        code,
+        { merchant_id, currency },
+        t
+      );
+      const created = await Payment.create(
+        {
+          amount,
+          customer_id,
+          order_id: data.order_id,
+          checkout_id: data.checkout_id,
+          in_dining_order_id: data.in_dining_order_id,
+          merchant_id,
+          gift_card_id: card.id,
+          payment_method: GIFT_CARD_PAYMENT_METHOD,
+          provider: GIFT_CARD_PAYMENT_METHOD,
+          status: 'completed',
+          payment_details: { currency: card.currency },
+        },
+        { transaction: t }
+      );
+      await GiftCardService.redeem(
+        {
+          code,
+          amount,
+          merchant_id,
+          currency,
+          payment_id: created.id,
+          description,
+        },
+        t
+      );
+      return created;
+    });
+
+    logTransactionEvent('Gift card payment completed', {
+      payment_id: payment.id,
+      gift_card_id: payment.gift_card_id,
+      customer_id,
+      amount,
+    });
+    eventManager.emit('payment.updated', {
+      payment,
+      customerId: payment.customer_id,
+    });
+    await SettlementService.recordPayment(payment).catch(error =>
+      logger.error('Failed to record payment in the ledger', {
+        payment_id: payment.id,
+        error: error.message,
+      })
+    );
+    return payment;
+  }
+
+  /**
+   * Put a gift card payment back on the card, e.g. when the rest of the bill could
+   * not be paid. Nothing leaves the platform, so it needs no admin approval.
+   * @param {Object} payment - Completed GIFT_CARD Payment
+   * @param {string} reason - Why the payment is being returned
+   * @returns {Promise<Object>} The processed Refund
+   */
+  async reverseGiftCardPayment(payment, reason) {
+    return Payment.sequelize.transaction(async t => {
+      const refund = await Refund.create(
+        {
+          payment_id: payment.id,
+          amount: roundAmount(payment.amount - Number(payment.refunded_amount)),
+          currency: payment.payment_details?.currency,
+          status: 'approved',
+          restock: false,
+          reason,
+          processed_at: new Date(),
+        },
+        { transaction: t }
+      );
+      return this.settleRefund(refund.id, {}, t);
+    });
+  }
+
+  /**
+   * Pay out of the customer's wallet. The payment completes at once and is booked
+   * in the ledger like any other, funded from the wallet.
+   * @param {Object} data - { amount, customer_id, currency, description, and the order_id, checkout_id, in_dining_order_id, merchant_id or driver_id it pays for }
+   * @returns {Promise<Object>} The completed Payment
+   */
+  async payFromWallet(data) {
+    const { customer_id, currency, description } = data;
+    const amount = roundAmount(Number(data.amount));
+    const payment = await Payment.sequelize.transaction(async t => {
+      const created = await Payment.create(
+        {
+          amount,
+          customer_id,
+          order_id: data.order_id,
+          checkout_id: data.checkout_id,
+          in_dining_order_id: data.in_dining_order_id,
+          merchant_id: data.merchant_id,
+          driver_id: data.driver_id,
+          payment_method: WALLET_PAYMENT_METHOD,
+          provider: WALLET_PAYMENT_METHOD,
+          status: 'completed',
+          payment_details: { currency },
+        },
+        { transaction: t }
+      );
+      await WalletService.debit(
+        { customer_id, amount, currency, payment_id: created.id, description },
+        t
+      );
+      return created;
     });
+
+    logTransactionEvent('Wallet payment completed', {
+      payment_id: payment.id,
+      customer_id,
+      amount,
+    });
+    eventManager.emit('payment.updated', {
+      payment,
+      customerId: payment.customer_id,
+    });
+    await SettlementService.recordPayment(payment).catch(error =>
+      logger.error('Failed to record payment in the ledger', {
+        payment_id: payment.id,
+        error: error.message,
+      })
+    );
+    return payment;
   }
 
   // Verify a payment and handle risk assessment
@@ -109,41 +719,194 @@ class PaymentService {
       include: [{ model: Customer, as: 'customer' }],
     });
     if (!payment) throw new AppError('Payment not found', 404);
+    if (!AWAITING_PROVIDER_STATUSES.includes(payment.status)) {
+      throw new AppError(
+        `A ${payment.status} payment cannot be verified`,
+        409,
+        'PAYMENT_NOT_VERIFIABLE',
+        { status: payment.status }
+      );
+    }
     await payment.increment('verification_attempts');
-    const { score, riskFactors } =
-      await RiskAssessmentService.calculateRiskScore(payment, payment.customer);
-    await payment.update({
-      risk_score: score,
-      risk_factors: riskFactors,
-    });
+    const decision = await this.screenPayment(payment, payment.customer);
     logTransactionEvent('Payment verification attempt', {
       payment_id: paymentId,
-      risk_score: score,
+      risk_score: payment.risk_score,
       verification_attempt: payment.verification_attempts,
     });
-    if (await RiskAssessmentService.requiresDelayedCapture(score)) {
-      await payment.update({
-        status: 'pending_review',
-        verification_details: {
-          delayed_capture: true,
-          review_required: true,
-          verification_time: new Date(),
-        },
-      });
+    if (decision === RISK_DECISIONS.REVIEW) {
       return { status: 'pending_review', requiresManualReview: true };
     }
+    if (decision === RISK_DECISIONS.DECLINE) {
+      return { status: 'failed', declined: true };
+    }
     return this.processVerification(payment);
   }
 
-  // Process normal verification flow
-  async processVerification(payment) {
-    return await payment.update({
-      status: 'verified',
-      payment_details: {
-        ...payment.payment_details,
+  /**
+   * Score a payment against the risk rules. A payment scoring above the review
+   * threshold is held for an admin; one at the decline threshold is failed.
+   * @param {Object} payment - Pending Payment instance
+   * @param {Object} [customer] - The paying Customer, loaded when omitted
+   * @returns {Promise<string>} allow | review | decline
+   */
+  async screenPayment(payment, customer) {
+    const payer =
+      customer ||
+      (await RiskAssessmentService.getCustomer(payment.customer_id));
+    const { score, riskFactors } =
+      await RiskAssessmentService.calculateRiskScore(payment, payer);
+    const decision = RiskAssessmentService.decisionFor(score);
+    const changes = { risk_score: score, risk_factors: riskFactors };
+    if (decision === RISK_DECISIONS.REVIEW) {
+      changes.status = 'pending_review';
+      changes.verification_details = {
+        ...payment.verification_details,
+        delayed_capture: true,
+        review_required: true,
         verification_time: new Date(),
-      },
+      };
+    } else if (decision === RISK_DECISIONS.DECLINE) {
+      changes.status = 'failed';
+      changes.verification_details = {
+        ...payment.verification_details,
+        declined_by_rules: true,
+        verification_time: new Date(),
+      };
+    }
+    await payment.update(changes);
+
+    if (decision !== RISK_DECISIONS.ALLOW) {
+      logTransactionEvent(
+        decision === RISK_DECISIONS.REVIEW
+          ? 'Payment held for review'
+          : 'Payment declined by risk rules',
+        { payment_id: payment.id, risk_score: score }
+      );
+      eventManager.emit('payment.updated', {
+        payment,
+        customerId: payment.customer_id,
+      });
+    }
+    return decision;
+  }
+
+  /**
+   * Payments held by the risk rules, longest waiting first
+   * @param {Object} [query] - { page, limit }
+   * @returns {Promise<Object>} { payments, total, page, totalPages }
+   */
+  async getReviewQueue({ page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const { rows, count } = await Payment.findAndCountAll({
+      where: { status: 'pending_review' },
+      include: [
+        {
+          model: Customer,
+          as: 'customer',
+          attributes: ['id', 'phone_number', 'country'],
+        },
+      ],
+      order: [['updated_at', 'ASC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
     });
+    return {
+      payments: rows,
+      total: count,
+      page: pageNumber,
+      totalPages: Math.ceil(count / pageSize),
+    };
+  }
+
+  /**
+   * Approve or decline a payment held for review. An approved mobile-money payment
+   * that was held before collection is sent to the provider; any other goes on
+   * to verified. A declined payment fails.
+   * @param {number} paymentId - Payment ID
+   * @param {number} adminId - Reviewing admin
+   * @param {string} action - approve | decline
+   * @param {Object} [review] - { reason, notes }
+   * @returns {Promise<Object>} The payment
+   */
+  async reviewPayment(paymentId, adminId, action, { reason, notes } = {}) {
+    if (!['approve', 'decline'].includes(action)) {
+      throw new AppError(
+        'Review action must be approve or decline',
+        400,
+        'INVALID_REVIEW_ACTION'
+      );
+    }
+    const payment = await Payment.findByPk(paymentId);
+    if (!payment) throw new AppError('Payment not found', 404);
+    if (payment.status !== 'pending_review') {
+      throw new AppError(
+        'Payment is not awaiting review',
+        409,
+        'PAYMENT_NOT_IN_REVIEW',
+        { status: payment.status }
+      );
+    }
+
+    const heldBeforeCollection =
+      payment.payment_method === 'MOBILE_MONEY' &&
+      !payment.payment_details?.reference;
+    let toStatus = 'failed';
+    if (action === 'approve') {
+      toStatus = heldBeforeCollection ? 'pending' : 'verified';
+    }
+    const review = {
+      decision: action === 'approve' ? 'approved' : 'declined',
+      reviewed_by: adminId,
+      reason,
+      notes,
+      reviewed_at: new Date(),
+    };
+    await this.applyStatusUpdate(
+      payment,
+      toStatus,
+      { verification_details: { ...payment.verification_details, review } },
+      RISK_REVIEW_SOURCE
+    );
+    if (payment.status !== toStatus) {
+      throw new AppError(
+        'Payment was reviewed by someone else',
+        409,
+        'PAYMENT_NOT_IN_REVIEW',
+        { status: payment.status }
+      );
+    }
+    logTransactionEvent('Payment review decided', {
+      payment_id: payment.id,
+      decision: review.decision,
+      reviewed_by: adminId,
+      reason,
+    });
+
+    if (toStatus === 'pending') {
+      return this.requestCollection(
+        getProviderAdapter(payment.provider),
+        payment,
+        payment.payment_details?.description
+      );
+    }
+    return payment;
+  }
+
+  // Mark a payment the risk rules passed as verified
+  async processVerification(payment) {
+    return this.applyStatusUpdate(
+      payment,
+      'verified',
+      {
+        payment_details: {
+          ...payment.payment_details,
+          verification_time: new Date(),
+        },
+      },
+      RISK_REVIEW_SOURCE
+    );
   }
 
   // Get payment status by ID
@@ -153,92 +916,742 @@ class PaymentService {
     return payment;
   }
 
-  // Update payment status
-  async updatePaymentStatus(paymentId, status, transactionDetails = {}) {
+  // Update payment status; the move is checked like any other reported status
+  async updatePaymentStatus(paymentId, status, transactionDetails = {}, source) {
     const payment = await Payment.findByPk(paymentId);
     if (!payment) throw new AppError('Payment not found', 404);
-    const updatedPayment = await payment.update({
+    return this.applyStatusUpdate(
+      payment,
       status,
-      transaction_id: transactionDetails.transaction_id || payment.transaction_id,
-      bank_reference: transactionDetails.bank_reference || payment.bank_reference,
-      payment_details: {
-        ...payment.payment_details,
-        ...transactionDetails,
+      {
+        transaction_id: transactionDetails.transaction_id || payment.transaction_id,
+        bank_reference: transactionDetails.bank_reference || payment.bank_reference,
+        payment_details: {
+          ...payment.payment_details,
+          ...transactionDetails,
+        },
       },
-    });
-    return updatedPayment;
+      source
+    );
   }
 
   // Handle webhooks
   async handleWebhook(provider, webhookData) {
     const { payment_id, status, transaction_id } = webhookData;
     const payment = await Payment.findByPk(payment_id);
-    if (!payment) {
+    // A provider's webhook may only touch that provider's payments
+    if (!payment || payment.provider !== provider) {
       throw new AppError('Payment not found', 404);
     }
-    const updatedPayment = await payment.update({
-      status: status,
-      transaction_id: transaction_id || payment.transaction_id,
-      payment_details: {
-        ...payment.payment_details,
-        webhook_received: new Date(),
-        webhook_data: webhookData,
-      },
-    });
     logTransactionEvent('Webhook received', {
       provider,
       payment_id,
       status,
       webhook_data: webhookData,
     });
-    return updatedPayment;
+    return this.applyStatusUpdate(
+      payment,
+      status,
+      {
+        transaction_id: transaction_id || payment.transaction_id,
+        payment_details: {
+          ...payment.payment_details,
+          webhook_received: new Date(),
+          webhook_data: webhookData,
+        },
+      },
+      'webhook'
+    );
   }
 
-  // Initiate refund
-  async initiateRefund(paymentId, refundData) {
-    const payment = await Payment.findByPk(paymentId);
+  /**
+   * Requests a refund against a settled payment. A payment can be refunded several
+   * times, for an amount or for specific order items, as long as processed and
+   * outstanding refunds together never exceed what was captured. With destination
+   * 'wallet' the money is credited to the customer's wallet instead of going back
+   * through the provider; wallet payments are always refunded to the wallet.
+   * @param {number} paymentId - Payment ID
+   * @param {Object} refundData - { reason, requested_by, amount, notes, order_id, items: [{ menu_item_id, quantity }], restock, destination }
+   * @param {Object} [transaction] - Caller's transaction, e.g. an order cancellation
+   * @returns {Promise<Object>} The pending Refund
+   */
+  async initiateRefund(paymentId, refundData, transaction) {
+    if (!transaction) {
+      return Payment.sequelize.transaction(t =>
+        this.initiateRefund(paymentId, refundData, t)
+      );
+    }
+
+    // Locked so concurrent requests cannot both claim the same remaining amount
+    const payment = await Payment.findByPk(paymentId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
     if (!payment) throw new AppError('Payment not found', 404);
     if (payment.status === 'refunded') {
       throw new AppError('Payment already refunded', 400);
     }
-    await payment.update({
-      refund_status: 'pending',
-      refund_details: {
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      throw new AppError(
+        `A ${payment.status} payment cannot be refunded`,
+        400,
+        'PAYMENT_NOT_REFUNDABLE',
+        { status: payment.status }
+      );
+    }
+    if (payment.wallet_id) {
+      throw new AppError(
+        'Wallet top-ups cannot be refunded',
+        400,
+        'PAYMENT_NOT_REFUNDABLE',
+        { wallet_id: payment.wallet_id }
+      );
+    }
+    const isGiftCardPayment =
+      payment.payment_method === GIFT_CARD_PAYMENT_METHOD;
+    if (payment.gift_card_id && !isGiftCardPayment) {
+      throw new AppError(
+        'Gift card purchases cannot be refunded',
+        400,
+        'PAYMENT_NOT_REFUNDABLE',
+        { gift_card_id: payment.gift_card_id }
+      );
+    }
+    // Wallet payments go back to the wallet and gift card payments back on the card
+    let destination = refundData.destination || 'original';
+    if (payment.payment_method === WALLET_PAYMENT_METHOD) {
+      destination = 'wallet';
+    }
+    if (isGiftCardPayment) {
+      destination = 'original';
+    }
+    if (!REFUND_DESTINATIONS.includes(destination)) {
+      throw new AppError(
+        `Refund destination must be one of ${REFUND_DESTINATIONS.join(', ')}`,
+        400,
+        'INVALID_REFUND_DESTINATION'
+      );
+    }
+
+    const outstanding = { [Op.in]: ['pending', 'approved'] };
+    const pendingAmount =
+      (await Refund.sum('amount', {
+        where: { payment_id: payment.id, status: outstanding },
+        transaction,
+      })) || 0;
+    let refundable = roundAmount(
+      payment.amount - Number(payment.refunded_amount) - pendingAmount
+    );
+
+    const orderId = refundData.order_id || payment.order_id;
+    if (refundData.items?.length && !orderId) {
+      throw new AppError(
+        'order_id is required to refund items of a multi-merchant payment',
+        400,
+        'REFUND_ORDER_REQUIRED'
+      );
+    }
+    let order = null;
+    if (orderId) {
+      order = await Order.findByPk(orderId, { transaction });
+      const paidForOrder = await this.getOrderPaidAmount(
+        payment,
+        order,
+        transaction
+      );
+      if (paidForOrder === null) {
+        throw new AppError(
+          'Order was not paid with this payment',
+          400,
+          'REFUND_ORDER_MISMATCH',
+          { payment_id: payment.id, order_id: orderId }
+        );
+      }
+      // An order paid by several payments is refunded from each up to what it paid
+      const refundedForOrder = await this.getOrderRefundedAmount(
+        payment,
+        order,
+        transaction
+      );
+      refundable = Math.min(
+        refundable,
+        roundAmount(paidForOrder - refundedForOrder)
+      );
+    }
+
+    const items = refundData.items?.length
+      ? await this.priceRefundItems(order, refundData.items, transaction)
+      : null;
+    const itemsAmount = items
+      ? roundAmount(items.reduce((sum, item) => sum + item.amount, 0))
+      : null;
+    if (items && refundData.amount > itemsAmount) {
+      throw new AppError(
+        'Refund amount exceeds the value of the refunded items',
+        400,
+        'REFUND_EXCEEDS_ITEMS',
+        { items_amount: itemsAmount, requested: refundData.amount }
+      );
+    }
+
+    const amount = roundAmount(refundData.amount ?? itemsAmount ?? refundable);
+    if (amount <= 0 || amount > refundable + AMOUNT_TOLERANCE) {
+      throw new AppError(
+        'Refund exceeds the amount still refundable',
+        400,
+        'REFUND_EXCEEDS_CAPTURED',
+        {
+          captured: payment.amount,
+          refunded: Number(payment.refunded_amount),
+          pending: pendingAmount,
+          refundable: Math.max(refundable, 0),
+          requested: amount,
+        }
+      );
+    }
+    // Some providers can only reverse a whole collection, so less than that goes to the wallet
+    if (
+      destination === 'original' &&
+      amount < payment.amount - AMOUNT_TOLERANCE &&
+      !this.refundsPartially(payment)
+    ) {
+      if (refundData.destination === 'original') {
+        throw new AppError(
+          `${payment.provider} can only refund the whole payment; refund to the wallet instead`,
+          400,
+          'PARTIAL_REFUND_UNSUPPORTED',
+          { provider: payment.provider, captured: payment.amount, requested: amount }
+        );
+      }
+      destination = 'wallet';
+    }
+
+    const refund = await Refund.create(
+      {
+        payment_id: payment.id,
+        order_id: order ? order.id : null,
+        amount,
+        currency: payment.payment_details?.currency || order?.currency,
+        items,
+        destination,
+        restock: refundData.restock !== false,
         reason: refundData.reason,
-        requested_by: refundData.requested_by,
-        requested_at: new Date(),
-        amount: refundData.amount || payment.amount,
         notes: refundData.notes,
+        requested_by: refundData.requested_by,
       },
-    });
+      { transaction }
+    );
+    await payment.update({ refund_status: 'pending' }, { transaction });
+
     logTransactionEvent('Refund initiated', {
-      payment_id: paymentId,
-      ...refundData,
+      payment_id: payment.id,
+      refund_id: refund.id,
+      order_id: refund.order_id,
+      amount,
+      destination,
+      reason: refundData.reason,
+      requested_by: refundData.requested_by,
     });
-    return payment;
+    return refund;
   }
 
-  // Process refund
-  async processRefund(paymentId, adminId, action, notes) {
-    const payment = await Payment.findByPk(paymentId);
-    if (!payment) throw new AppError('Payment not found', 404);
-    if (payment.refund_status !== 'pending') {
+  // Whether part of a payment can go back through the provider it was collected by
+  refundsPartially(payment) {
+    return (
+      payment.payment_method !== 'MOBILE_MONEY' ||
+      getProviderAdapter(payment.provider).partialRefunds
+    );
+  }
+
+  /**
+   * What an order contributed to a payment: its allocation of a checkout payment,
+   * or the whole payment when it was paid directly. Null if the payment never covered it.
+   */
+  async getOrderPaidAmount(payment, order, transaction) {
+    if (!order) return null;
+    if (payment.order_id === order.id) return payment.amount;
+    const allocation = await PaymentAllocation.findOne({
+      where: { payment_id: payment.id, order_id: order.id },
+      transaction,
+    });
+    return allocation ? Number(allocation.amount) : null;
+  }
+
+  // What has been refunded, or is on its way back, from a payment for one order
+  async getOrderRefundedAmount(payment, order, transaction) {
+    const refunded = await Refund.sum('amount', {
+      where: {
+        payment_id: payment.id,
+        order_id: order.id,
+        status: { [Op.in]: COUNTED_REFUND_STATUSES },
+      },
+      transaction,
+    });
+    return Number(refunded) || 0;
+  }
+
+  /**
+   * Every captured payment that paid towards an order, with what it paid and what
+   * it can still give back for it. An order split over a gift card and another
+   * method has one of each.
+   * @param {Object} order - Order instance
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Array>} [{ payment, amount, refundable }]
+   */
+  async getOrderPayments(order, transaction) {
+    const captured = { [Op.in]: CAPTURED_STATUSES };
+    const allocations = await PaymentAllocation.findAll({
+      where: { order_id: order.id },
+      include: [{ model: Payment, as: 'payment', where: { status: captured } }],
+      transaction,
+    });
+    const direct = await Payment.findAll({
+      where: { order_id: order.id, status: captured },
+      transaction,
+    });
+
+    // Matches getOrderPaidAmount: a payment made against the order covers all of it
+    const paid = new Map(
+      allocations.map(allocation => [
+        allocation.payment.id,
+        { payment: allocation.payment, amount: Number(allocation.amount) },
+      ])
+    );
+    direct.forEach(payment =>
+      paid.set(payment.id, { payment, amount: Number(payment.amount) })
+    );
+
+    const payments = [];
+    for (const { payment, amount } of paid.values()) {
+      const refundable = REFUNDABLE_STATUSES.includes(payment.status)
+        ? roundAmount(
+            amount -
+              (await this.getOrderRefundedAmount(payment, order, transaction))
+          )
+        : 0;
+      payments.push({ payment, amount, refundable: Math.max(refundable, 0) });
+    }
+    return payments;
+  }
+
+  /**
+   * Prices refunded order items at what the customer paid for them, with the
+   * order's discount spread evenly over its items. Quantities already refunded
+   * or awaiting a refund cannot be refunded again.
+   * @param {Object} order - Order instance
+   * @param {Array} requested - [{ menu_item_id, quantity }]
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} [{ menu_item_id, quantity, unit_price, amount }]
+   */
+  async priceRefundItems(order, requested, transaction) {
+    const quantities = new Map();
+    requested.forEach(({ menu_item_id, quantity }) =>
+      quantities.set(
+        menu_item_id,
+        (quantities.get(menu_item_id) || 0) + quantity
+      )
+    );
+
+    const [orderItems, previousRefunds] = await Promise.all([
+      OrderItems.findAll({ where: { order_id: order.id }, transaction }),
+      Refund.findAll({
+        where: { order_id: order.id, status: { [Op.ne]: 'rejected' } },
+        attributes: ['items'],
+        transaction,
+      }),
+    ]);
+    const refundedQuantities = new Map();
+    previousRefunds
+      .flatMap(refund => refund.items || [])
+      .forEach(item =>
+        refundedQuantities.set(
+          item.menu_item_id,
+          (refundedQuantities.get(item.menu_item_id) || 0) + item.quantity
+        )
+      );
+    const unitPrices = new Map(
+      (order.items || []).map(line => [line.menu_item_id, line.unit_price])
+    );
+    const subtotal = Number(order.subtotal) || 0;
+    const discountRate =
+      subtotal > 0 ? Math.min(Number(order.total_discount) / subtotal, 1) : 0;
+
+    return [...quantities].map(([menuItemId, quantity]) => {
+      const orderItem = orderItems.find(
+        item => item.menu_item_id === menuItemId
+      );
+      if (!orderItem) {
+        throw new AppError(
+          'Item is not part of this order',
+          400,
+          'REFUND_ITEM_NOT_IN_ORDER',
+          { menu_item_id: menuItemId }
+        );
+      }
+      const refundableQuantity =
+        orderItem.quantity - (refundedQuantities.get(menuItemId) || 0);
+      if (quantity > refundableQuantity) {
+        throw new AppError(
+          'Refund quantity exceeds the quantity left to refund',
+          400,
+          'REFUND_QUANTITY_EXCEEDED',
+          { menu_item_id: menuItemId, refundable_quantity: refundableQuantity }
+        );
+      }
+      const unitPrice = Number(unitPrices.get(menuItemId)) || 0;
+      return {
+        menu_item_id: menuItemId,
+        quantity,
+        unit_price: unitPrice,
+        amount: roundAmount(unitPrice * quantity * (1 - discountRate)),
+      };
+    });
+  }
+
+  /**
+   * Approves or rejects a pending refund. Approved mobile-money refunds are sent back
+   * to the customer's wallet before the payment and order totals are updated.
+   * @param {number} paymentId - Payment ID
+   * @param {number} adminId - Approving admin
+   * @param {string} action - approve | reject
+   * @param {string} notes - Admin notes
+   * @param {number} [refundId] - Refund to process; the oldest pending one when omitted
+   * @returns {Promise<Object>} The Refund
+   */
+  async processRefund(paymentId, adminId, action, notes, refundId) {
+    if (!['approve', 'reject'].includes(action)) {
+      throw new AppError(
+        'Refund action must be approve or reject',
+        400,
+        'INVALID_REFUND_ACTION'
+      );
+    }
+    const refund = await Refund.findOne({
+      where: {
+        payment_id: paymentId,
+        status: 'pending',
+        ...(refundId && { id: refundId }),
+      },
+      order: [['created_at', 'ASC']],
+    });
+    if (!refund) {
       throw new AppError('Refund not in pending status', 400);
     }
-    const status = action === 'approve' ? 'approved' : 'rejected';
-    const updatedDetails = {
-      ...payment.refund_details,
+    const payment = await Payment.findByPk(paymentId);
+    const decision = {
       processed_by: adminId,
       processed_at: new Date(),
-      status,
       admin_notes: notes,
     };
-    await payment.update({
-      refund_status: status,
-      refund_details: updatedDetails,
-      status: status === 'approved' ? 'refunded' : payment.status,
+
+    if (action === 'reject') {
+      await refund.update({ ...decision, status: 'rejected' });
+      await payment.update({
+        refund_status: (await this.hasPendingRefunds(payment.id))
+          ? 'pending'
+          : 'rejected',
+      });
+      logTransactionEvent('Refund rejected', {
+        payment_id: payment.id,
+        refund_id: refund.id,
+        processed_by: adminId,
+      });
+      return refund;
+    }
+
+    const viaProvider =
+      payment.payment_method === 'MOBILE_MONEY' &&
+      refund.destination !== 'wallet';
+    if (
+      viaProvider &&
+      Number(refund.amount) < payment.amount - AMOUNT_TOLERANCE &&
+      !this.refundsPartially(payment)
+    ) {
+      throw new AppError(
+        `${payment.provider} can only refund the whole payment; reject this refund and request it to the wallet`,
+        400,
+        'PARTIAL_REFUND_UNSUPPORTED',
+        { refund_id: refund.id, provider: payment.provider }
+      );
+    }
+
+    // Claimed first so two admins approving at once cannot both pay it out
+    const [claimed] = await Refund.update(
+      { ...decision, status: 'approved' },
+      { where: { id: refund.id, status: 'pending' } }
+    );
+    if (!claimed) {
+      throw new AppError(
+        'Refund is already being processed',
+        409,
+        'REFUND_IN_PROGRESS',
+        { refund_id: refund.id }
+      );
+    }
+
+    const providerFields = {};
+    if (viaProvider) {
+      let result;
+      try {
+        result = await getProviderAdapter(payment.provider).refund({
+          reference: `REF-${payment.id}-${refund.id}`,
+          providerReference: payment.transaction_id,
+          receipt: payment.payment_details?.provider_receipt,
+          amount: Number(refund.amount),
+          currency: refund.currency,
+          phoneNumber: payment.payment_details?.phone_number,
+          reason: refund.reason,
+        });
+      } catch (error) {
+        // Nothing left the wallet, so the refund can be approved again later
+        await this.releaseRefund(refund.id);
+        throw error;
+      }
+      providerFields.provider_reference = result.providerReference;
+      providerFields.provider_status = result.status;
+
+      if (result.status === 'failed') {
+        await this.releaseRefund(refund.id, providerFields);
+        throw new AppError(
+          `${payment.provider} declined the refund`,
+          502,
+          'PROVIDER_REFUND_FAILED',
+          { refund_id: refund.id, provider_reference: result.providerReference }
+        );
+      }
+      if (result.status !== 'completed') {
+        // Booked once the provider's callback confirms the money went back
+        await Refund.update(providerFields, { where: { id: refund.id } });
+        logTransactionEvent('Refund sent to provider', {
+          payment_id: payment.id,
+          refund_id: refund.id,
+          ...providerFields,
+        });
+        return refund.reload();
+      }
+    }
+
+    try {
+      await Payment.sequelize.transaction(t =>
+        this.settleRefund(refund.id, providerFields, t)
+      );
+    } catch (error) {
+      // The money has moved; the refund stays approved and still counts against the payment
+      logger.error('Refund paid out but not recorded', {
+        payment_id: payment.id,
+        refund_id: refund.id,
+        ...providerFields,
+        error: error.message,
+      });
+      throw error;
+    }
+    return refund.reload();
+  }
+
+  // Puts an approved refund back to pending so it can be approved again
+  async releaseRefund(refundId, providerFields = {}) {
+    await Refund.update(
+      {
+        ...providerFields,
+        status: 'pending',
+        processed_by: null,
+        processed_at: null,
+      },
+      { where: { id: refundId, status: 'approved' } }
+    );
+  }
+
+  /**
+   * Settles or releases a refund the provider accepted but had not finished
+   * when it was approved, from the provider's refund callback
+   * @param {Object} refund - Approved Refund instance
+   * @param {Object} result - Parsed callback: { providerReference, status, raw }
+   * @returns {Promise<Object>} The refund
+   */
+  async applyRefundResult(refund, result) {
+    const providerFields = { provider_status: result.status };
+    if (result.status === 'completed') {
+      await Payment.sequelize.transaction(t =>
+        this.settleRefund(refund.id, providerFields, t)
+      );
+    } else if (result.status === 'failed') {
+      await this.releaseRefund(refund.id, providerFields);
+      logger.warn('Provider refund failed', {
+        refund_id: refund.id,
+        provider_reference: result.providerReference,
+      });
+    } else {
+      await Refund.update(providerFields, {
+        where: { id: refund.id, status: 'approved' },
+      });
+    }
+    return refund.reload();
+  }
+
+  /**
+   * Books an approved refund: adds it to the payment's and order's refunded totals,
+   * moves their statuses, puts refunded items back in stock, credits refunds to the
+   * wallet or gift card and, once the order is refunded in full, gives back its promotion usage
+   */
+  async settleRefund(refundId, providerFields, transaction) {
+    const refund = await Refund.findByPk(refundId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
     });
-    return payment;
+    // A repeated provider callback finds the refund already booked
+    if (refund.status === 'processed') return refund;
+    const payment = await Payment.findByPk(refund.payment_id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    const refundAmount = Number(refund.amount);
+    const refundedAmount = roundAmount(
+      Number(payment.refunded_amount) + refundAmount
+    );
+    if (refundedAmount > payment.amount + AMOUNT_TOLERANCE) {
+      throw new AppError(
+        'Refund exceeds the captured amount',
+        409,
+        'REFUND_EXCEEDS_CAPTURED',
+        { captured: payment.amount, refunded: Number(payment.refunded_amount) }
+      );
+    }
+    const fromStatus = payment.status;
+    const toStatus =
+      refundedAmount >= payment.amount - AMOUNT_TOLERANCE
+        ? 'refunded'
+        : 'partially_refunded';
+    if (!(PAYMENT_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+      throw new AppError(
+        `A ${fromStatus} payment cannot be refunded`,
+        409,
+        'PAYMENT_NOT_REFUNDABLE',
+        { status: fromStatus }
+      );
+    }
+
+    await refund.update(
+      { ...providerFields, status: 'processed' },
+      { transaction }
+    );
+    await payment.update(
+      {
+        refunded_amount: refundedAmount,
+        status: toStatus,
+        refund_status: (await this.hasPendingRefunds(payment.id, transaction))
+          ? 'pending'
+          : 'processed',
+      },
+      { transaction }
+    );
+
+    if (refund.order_id) {
+      await this.settleOrderRefund(refund, transaction);
+    }
+    if (refund.destination === 'wallet') {
+      await WalletService.creditRefund(refund, payment, transaction);
+    }
+    if (payment.payment_method === GIFT_CARD_PAYMENT_METHOD) {
+      await GiftCardService.creditRefund(refund, payment, transaction);
+    }
+    await SettlementService.recordRefund(refund, payment, transaction);
+
+    transaction.afterCommit(() => {
+      logTransactionEvent('Refund processed', {
+        payment_id: payment.id,
+        refund_id: refund.id,
+        order_id: refund.order_id,
+        amount: refundAmount,
+        from: fromStatus,
+        to: toStatus,
+      });
+      eventManager.emit('payment.updated', {
+        payment,
+        customerId: payment.customer_id,
+      });
+    });
+    return refund;
+  }
+
+  async settleOrderRefund(refund, transaction) {
+    const order = await Order.findByPk(refund.order_id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    // Fully refunded only once every payment that covered the order has given it back
+    const paidForOrder = roundAmount(
+      (await this.getOrderPayments(order, transaction)).reduce(
+        (total, paid) => total + paid.amount,
+        0
+      )
+    );
+    const refundedAmount = roundAmount(
+      Number(order.refunded_amount) + Number(refund.amount)
+    );
+    const fullyRefunded = refundedAmount >= paidForOrder - AMOUNT_TOLERANCE;
+    await order.update(
+      {
+        refunded_amount: refundedAmount,
+        payment_status: fullyRefunded ? 'refunded' : 'partially_refunded',
+      },
+      { transaction }
+    );
+
+    if (refund.restock) {
+      for (const item of refund.items || []) {
+        await inventoryService.processOrderStockAdjustment(
+          {
+            order_id: order.id,
+            menu_item_id: item.menu_item_id,
+            quantity: item.quantity,
+          },
+          'refund',
+          transaction
+        );
+      }
+    }
+    if (fullyRefunded) {
+      await PromotionService.reverseRedemptions({
+        orderId: order.id,
+        transaction,
+      });
+    }
+  }
+
+  async hasPendingRefunds(paymentId, transaction) {
+    const count = await Refund.count({
+      where: { payment_id: paymentId, status: 'pending' },
+      transaction,
+    });
+    return count > 0;
+  }
+
+  /**
+   * Lists a payment's refunds with the running refunded total
+   * @param {number} paymentId - Payment ID
+   * @returns {Promise<Object>} { payment_id, amount, refunded_amount, status, refunds }
+   */
+  async getRefunds(paymentId) {
+    const payment = await Payment.findByPk(paymentId, {
+      attributes: [
+        'id',
+        'amount',
+        'refunded_amount',
+        'status',
+        'refund_status',
+      ],
+      include: [{ model: Refund, as: 'refunds' }],
+      order: [[{ model: Refund, as: 'refunds' }, 'created_at', 'ASC']],
+    });
+    if (!payment) throw new AppError('Payment not found', 404);
+    return {
+      payment_id: payment.id,
+      amount: payment.amount,
+      refunded_amount: Number(payment.refunded_amount),
+      status: payment.status,
+      refund_status: payment.refund_status,
+      refunds: payment.refunds,
+    };
   }
 
   // Add tip to a payment
@@ -252,6 +1665,15 @@ class PaymentService {
       tip_amount: tipData.amount,
       tip_allocation: tipAllocation,
     });
+    if (REFUNDABLE_STATUSES.includes(payment.status)) {
+      await SettlementService.recordTip(payment);
+      if (payment.driver_id) {
+        await DriverPaymentService.recordTipEarnings(
+          payment,
+          payment.driver_id
+        );
+      }
+    }
     return payment;
   }
 
@@ -275,4 +1697,11 @@ class PaymentService {
   }
 }
 
-module.exports = new PaymentService();
\ No newline at end of file
+const paymentService = new PaymentService();
+
+// Sandbox callbacks without a callback URL are delivered straight to the service
+setCallbackHandler((provider, payload) =>
+  paymentService.handleProviderCallback(provider, payload)
+);
+
+module.exports = paymentService;
\ No newline at end of file
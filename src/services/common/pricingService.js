@@ -0,0 +1,164 @@
+'use strict';
+
+const { Merchant } = require('@models');
+const countryConfigs = require('@config/countryConfigs');
+const mathUtils = require('@utils/mathUtils');
+
+const DEFAULT_PRICING_RULES = {
+  currency: null,
+  taxInclusive: false,
+  defaultTaxRate: 0,
+  roundingDecimals: 2,
+};
+
+/**
+ * Pricing Service - Turns priced lines into the subtotal, tax, charges and total
+ * stored on orders, so carts, receipts and reports all read the same numbers
+ */
+class PricingService {
+  /**
+   * Looks up the tax and rounding rules for a currency
+   * @param {string} currency - ISO currency code
+   * @returns {Object} { currency, taxInclusive, defaultTaxRate, roundingDecimals }
+   */
+  static getPricingRules(currency) {
+    const country = Object.values(countryConfigs).find(
+      config => config.currency === currency
+    );
+    return { ...DEFAULT_PRICING_RULES, ...country?.pricing, currency };
+  }
+
+  /**
+   * Looks up the pricing rules for the currency a merchant trades in
+   * @param {number} merchantId - Merchant ID
+   * @param {Object} [options] - Query options (e.g., { transaction })
+   * @returns {Promise<Object>} Pricing rules
+   */
+  static async getMerchantPricingRules(merchantId, options = {}) {
+    const merchant = await Merchant.findByPk(merchantId, {
+      attributes: ['id', 'currency'],
+      ...options,
+    });
+    return this.getPricingRules(merchant?.currency);
+  }
+
+  /**
+   * Rounds an amount to the currency's precision
+   * @param {number} amount - Amount to round
+   * @param {Object} rules - Pricing rules
+   * @returns {number} Rounded amount
+   */
+  static round(amount, rules) {
+    return mathUtils.roundToDecimal(amount, rules.roundingDecimals);
+  }
+
+  /**
+   * Spreads an order-level discount over the lines in proportion to their totals.
+   * The last line takes the rounding remainder so the shares add up exactly.
+   * @param {Array} lines - Lines with line_total
+   * @param {number} discount - Rounded discount to spread
+   * @param {Object} rules - Pricing rules
+   * @returns {number[]} Discount share per line
+   */
+  static allocateDiscount(lines, discount, rules) {
+    const subtotal = lines.reduce((sum, line) => sum + line.line_total, 0);
+    if (!discount || !subtotal) return lines.map(() => 0);
+
+    let allocated = 0;
+    return lines.map((line, index) => {
+      if (index === lines.length - 1) {
+        return this.round(discount - allocated, rules);
+      }
+      const share = this.round((discount * line.line_total) / subtotal, rules);
+      allocated += share;
+      return share;
+    });
+  }
+
+  /**
+   * Prices a set of lines. Tax is worked out per line on the discounted amount,
+   * either extracted from inclusive prices or added on top of exclusive ones.
+   * Every component is rounded before the total is summed from them.
+   * @param {Object} params
+   * @param {Array} params.lines - { menu_item_id, quantity, unit_price, line_total, is_taxable, tax_rate }
+   * @param {Object} params.rules - Pricing rules from getPricingRules
+   * @param {number} [params.discount=0] - Promotion and coupon discount
+   * @param {number} [params.deliveryFee=0] - Delivery fee
+   * @param {number} [params.serviceChargeRate=0] - Service charge percentage
+   * @returns {Object} Price breakdown
+   */
+  static calculate({
+    lines,
+    rules,
+    discount = 0,
+    deliveryFee = 0,
+    serviceChargeRate = 0,
+  }) {
+    const subtotal = this.round(
+      lines.reduce((sum, line) => sum + line.line_total, 0),
+      rules
+    );
+    const totalDiscount = this.round(Math.min(discount, subtotal), rules);
+    const discountShares = this.allocateDiscount(lines, totalDiscount, rules);
+
+    let netAmount = 0;
+    const pricedLines = lines.map((line, index) => {
+      const discounted = line.line_total - discountShares[index];
+      const taxRate =
+        line.is_taxable === false
+          ? 0
+          : parseFloat(line.tax_rate ?? rules.defaultTaxRate) || 0;
+      const taxAmount = this.round(
+        rules.taxInclusive
+          ? discounted - discounted / (1 + taxRate / 100)
+          : (discounted * taxRate) / 100,
+        rules
+      );
+      netAmount += rules.taxInclusive ? discounted - taxAmount : discounted;
+
+      return {
+        menu_item_id: line.menu_item_id,
+        quantity: line.quantity,
+        unit_price: line.unit_price,
+        line_total: line.line_total,
+        discount: discountShares[index],
+        tax_rate: taxRate,
+        tax_amount: taxAmount,
+      };
+    });
+
+    const tax = this.round(
+      pricedLines.reduce((sum, line) => sum + line.tax_amount, 0),
+      rules
+    );
+    // Service charge is levied on the pre-tax amount
+    const serviceCharge = this.round(
+      (netAmount * (parseFloat(serviceChargeRate) || 0)) / 100,
+      rules
+    );
+    const delivery = this.round(deliveryFee || 0, rules);
+    const total = this.round(
+      subtotal -
+        totalDiscount +
+        (rules.taxInclusive ? 0 : tax) +
+        serviceCharge +
+        delivery,
+      rules
+    );
+
+    return {
+      currency: rules.currency,
+      tax_inclusive: rules.taxInclusive,
+      lines: pricedLines,
+      subtotal,
+      discount: totalDiscount,
+      tax,
+      service_charge_rate: parseFloat(serviceChargeRate) || 0,
+      service_charge: serviceCharge,
+      delivery_fee: delivery,
+      total,
+    };
+  }
+}
+
+module.exports = PricingService;
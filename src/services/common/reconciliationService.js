@@ -0,0 +1,372 @@
+'use strict';
+
+const path = require('path');
+const { Op } = require('sequelize');
+const {
+  Payment,
+  ReconciliationRun,
+  ReconciliationItem,
+  User,
+  Role,
+} = require('@models');
+const { PAYMENT_CONSTANTS } = require('@config/constants');
+const {
+  DEFAULT_SETTLEMENT_COLUMNS,
+  PROVIDER_SETTLEMENT_COLUMNS,
+  SETTLED_PAYMENT_STATUSES,
+  RECONCILIATION_ISSUES,
+  AMOUNT_TOLERANCE,
+} = require('@config/constants/reconciliation');
+const excelService = require('@services/common/excelService');
+const AdminNotificationService = require('@services/notifications/admin/adminNotificationService');
+const AppError = require('@utils/AppError');
+const { logger } = require('@utils/logger');
+
+const PROVIDERS = [
+  ...Object.values(PAYMENT_CONSTANTS.PROVIDERS.MOBILE_MONEY),
+  ...Object.values(PAYMENT_CONSTANTS.PROVIDERS.BANK_CARD),
+];
+
+// In-app notifications only, so no delivery channels are needed
+const adminNotificationService = new AdminNotificationService();
+
+const roundAmount = value => Math.round(value * 100) / 100;
+
+/**
+ * Reconciliation Service - Matches provider settlement files against Payment rows
+ * and records every missing, duplicated or mismatched transaction
+ */
+class ReconciliationService {
+  /**
+   * Stores a settlement file as a pending run for the reconciliation job
+   * @param {Object} params
+   * @param {Object} params.file - Multer file with buffer and originalname
+   * @param {string} params.provider - Provider code from PAYMENT_CONSTANTS.PROVIDERS
+   * @param {string} params.settlement_date - YYYY-MM-DD day the file covers
+   * @param {number} params.user_id - Uploading admin
+   * @returns {Promise<Object>} The pending ReconciliationRun
+   */
+  static async ingestSettlementFile({ file, provider, settlement_date, user_id }) {
+    if (!file) {
+      throw new AppError('Settlement file is required', 400, 'SETTLEMENT_FILE_REQUIRED');
+    }
+    if (!PROVIDERS.includes(provider)) {
+      throw new AppError(`Unsupported payment provider: ${provider}`, 400, 'UNSUPPORTED_PROVIDER');
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(settlement_date || '') || isNaN(Date.parse(settlement_date))) {
+      throw new AppError('settlement_date must be a YYYY-MM-DD date', 400, 'INVALID_SETTLEMENT_DATE');
+    }
+
+    const format = path.extname(file.originalname || '').slice(1).toLowerCase();
+    const rows = await excelService.parseSpreadsheet(file.buffer, format);
+    const { settlementRows, skipped, invalid } = this.normalizeRows(provider, rows);
+    if (invalid.length) {
+      throw new AppError('Settlement file has rows without a valid amount', 400, 'INVALID_SETTLEMENT_ROWS', {
+        row_numbers: invalid,
+      });
+    }
+    if (!settlementRows.length) {
+      throw new AppError('Settlement file has no transactions', 400, 'EMPTY_SETTLEMENT_FILE');
+    }
+
+    const run = await ReconciliationRun.create({
+      provider,
+      settlement_date,
+      file_name: file.originalname,
+      settlement_rows: settlementRows,
+      summary: { skipped_rows: skipped },
+      uploaded_by: user_id,
+    });
+    logger.info('Settlement file ingested', {
+      run_id: run.id,
+      provider,
+      settlement_date,
+      rows: settlementRows.length,
+      skipped,
+    });
+    return run;
+  }
+
+  /**
+   * Maps raw spreadsheet rows onto { row_number, reference, amount, currency, status, settled_at }.
+   * Rows without a reference (totals, blank lines) are skipped; rows with a reference but
+   * no readable amount are invalid.
+   */
+  static normalizeRows(provider, rows) {
+    const columns = { ...DEFAULT_SETTLEMENT_COLUMNS, ...PROVIDER_SETTLEMENT_COLUMNS[provider] };
+    const pick = (row, field) => {
+      const column = columns[field].find(name => row[name] !== undefined && row[name] !== '');
+      return column ? row[column] : null;
+    };
+
+    const settlementRows = [];
+    const invalid = [];
+    let skipped = 0;
+    rows.forEach(row => {
+      const reference = pick(row, 'reference');
+      if (!reference) {
+        skipped += 1;
+        return;
+      }
+      const amount = parseFloat(String(pick(row, 'amount')).replace(/[^0-9.-]/g, ''));
+      if (Number.isNaN(amount)) {
+        invalid.push(row.row_number);
+        return;
+      }
+      settlementRows.push({
+        row_number: row.row_number,
+        reference: String(reference),
+        amount: roundAmount(amount),
+        currency: pick(row, 'currency'),
+        status: pick(row, 'status'),
+        settled_at: pick(row, 'settled_at'),
+      });
+    });
+    return { settlementRows, skipped, invalid };
+  }
+
+  /**
+   * Matches a run's settlement rows against payments on transaction_id, bank_reference
+   * or provider receipt, replaces the run's items and notifies admins of the outcome.
+   * Completed runs can be reconciled again, e.g. after late callbacks.
+   * @param {number} runId - ReconciliationRun ID
+   * @returns {Promise<Object>} The completed run
+   */
+  static async reconcile(runId) {
+    const run = await ReconciliationRun.findByPk(runId);
+    if (!run) {
+      throw new AppError('Reconciliation run not found', 404, 'RECONCILIATION_NOT_FOUND');
+    }
+
+    const dayStart = new Date(`${run.settlement_date}T00:00:00Z`);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    const rowsByReference = new Map();
+    run.settlement_rows.forEach(row => {
+      rowsByReference.set(row.reference, [...(rowsByReference.get(row.reference) || []), row]);
+    });
+    const references = [...rowsByReference.keys()];
+
+    // Payments from the day are expected in the file; settled references may also point at older payments
+    const [expected, referenced] = await Promise.all([
+      Payment.findAll({
+        where: {
+          provider: run.provider,
+          status: { [Op.in]: SETTLED_PAYMENT_STATUSES },
+          created_at: { [Op.gte]: dayStart, [Op.lt]: dayEnd },
+        },
+      }),
+      Payment.findAll({
+        where: {
+          provider: run.provider,
+          [Op.or]: [
+            { transaction_id: { [Op.in]: references } },
+            { bank_reference: { [Op.in]: references } },
+            { payment_details: { provider_receipt: { [Op.in]: references } } },
+          ],
+        },
+      }),
+    ]);
+
+    const paymentsByReference = new Map();
+    [...expected, ...referenced].forEach(payment => {
+      [payment.transaction_id, payment.bank_reference, payment.payment_details?.provider_receipt]
+        .filter(Boolean)
+        .forEach(reference => paymentsByReference.set(reference, payment));
+    });
+
+    const items = [];
+    const settledPaymentIds = new Set();
+    rowsByReference.forEach((rows, reference) => {
+      const payment = paymentsByReference.get(reference);
+      const settledAmount = rows[0].amount;
+      const base = {
+        run_id: run.id,
+        payment_id: payment ? payment.id : null,
+        reference,
+        system_amount: payment ? payment.amount : null,
+        settled_amount: settledAmount,
+        details: {
+          row_numbers: rows.map(row => row.row_number),
+          payment_status: payment ? payment.status : null,
+        },
+      };
+
+      if (rows.length > 1) {
+        items.push({
+          ...base,
+          issue: 'duplicate',
+          settled_amount: roundAmount(rows.reduce((sum, row) => sum + row.amount, 0)),
+          details: { ...base.details, occurrences: rows.length },
+        });
+      }
+      if (!payment) {
+        items.push({ ...base, issue: 'missing_in_system' });
+        return;
+      }
+
+      settledPaymentIds.add(payment.id);
+      if (!SETTLED_PAYMENT_STATUSES.includes(payment.status)) {
+        items.push({ ...base, issue: 'status_mismatch' });
+      } else if (Math.abs(payment.amount - settledAmount) > AMOUNT_TOLERANCE) {
+        items.push({
+          ...base,
+          issue: 'amount_mismatch',
+          details: { ...base.details, difference: roundAmount(settledAmount - payment.amount) },
+        });
+      } else {
+        items.push({ ...base, issue: 'matched' });
+      }
+    });
+
+    expected
+      .filter(payment => !settledPaymentIds.has(payment.id))
+      .forEach(payment => items.push({
+        run_id: run.id,
+        payment_id: payment.id,
+        reference: payment.transaction_id || payment.bank_reference,
+        issue: 'missing_in_settlement',
+        system_amount: payment.amount,
+        settled_amount: null,
+        details: { payment_status: payment.status },
+      }));
+
+    const summary = this.summarize(run, items);
+    await ReconciliationRun.sequelize.transaction(async (t) => {
+      await ReconciliationItem.destroy({ where: { run_id: run.id }, transaction: t });
+      await ReconciliationItem.bulkCreate(items, { transaction: t });
+      await run.update({
+        status: 'completed',
+        summary,
+        error: null,
+        completed_at: new Date(),
+      }, { transaction: t });
+    });
+
+    logger.info('Payment reconciliation completed', {
+      run_id: run.id,
+      provider: run.provider,
+      settlement_date: run.settlement_date,
+      exceptions: summary.exceptions,
+    });
+    await this.notifyAdmins(run);
+    return run;
+  }
+
+  static summarize(run, items) {
+    const issues = Object.fromEntries(RECONCILIATION_ISSUES.map(issue => [issue, { count: 0, amount: 0 }]));
+    items.forEach(item => {
+      issues[item.issue].count += 1;
+      issues[item.issue].amount = roundAmount(
+        issues[item.issue].amount + Number(item.settled_amount ?? item.system_amount ?? 0)
+      );
+    });
+    return {
+      skipped_rows: run.summary?.skipped_rows || 0,
+      settlement_rows: run.settlement_rows.length,
+      settled_total: roundAmount(run.settlement_rows.reduce((sum, row) => sum + row.amount, 0)),
+      exceptions: items.filter(item => item.issue !== 'matched').length,
+      issues,
+    };
+  }
+
+  // A failed notification must not fail the reconciliation itself
+  static async notifyAdmins(run) {
+    const { issues, exceptions } = run.summary;
+    const message = `Payment reconciliation for ${run.provider} on ${run.settlement_date}: `
+      + `${issues.matched.count} matched, ${exceptions} exceptions `
+      + `(${issues.missing_in_settlement.count} missing from settlement, `
+      + `${issues.missing_in_system.count} unknown to us, ${issues.duplicate.count} duplicated, `
+      + `${issues.amount_mismatch.count} amount mismatches, ${issues.status_mismatch.count} status mismatches).`;
+    try {
+      const admins = await User.findAll({
+        attributes: ['id'],
+        include: [{ model: Role, as: 'role', where: { name: 'admin' }, attributes: [] }],
+      });
+      for (const admin of admins) {
+        await adminNotificationService.sendAdminNotification({
+          userId: admin.id,
+          type: 'PAYMENT_RECONCILIATION',
+          message,
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to notify admins of reconciliation', {
+        run_id: run.id,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Reconciles every settlement file still waiting; called by the daily job
+   * @returns {Promise<Object>} { completed, failed }
+   */
+  static async runPendingReconciliations() {
+    const runs = await ReconciliationRun.findAll({
+      where: { status: 'pending' },
+      attributes: ['id'],
+      order: [['settlement_date', 'ASC']],
+    });
+    const result = { completed: 0, failed: 0 };
+    for (const { id } of runs) {
+      try {
+        await this.reconcile(id);
+        result.completed += 1;
+      } catch (error) {
+        result.failed += 1;
+        await ReconciliationRun.update({ status: 'failed', error: error.message }, { where: { id } });
+        logger.error('Payment reconciliation failed', { run_id: id, error: error.message });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Lists reconciliation runs, newest settlement first, without their raw rows
+   * @param {Object} filters - { page, limit, provider, status }
+   * @returns {Promise<Object>} { runs, total, page, totalPages }
+   */
+  static async listRuns({ page = 1, limit = 20, provider, status } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const where = {};
+    if (provider) where.provider = provider;
+    if (status) where.status = status;
+
+    const { rows, count } = await ReconciliationRun.findAndCountAll({
+      where,
+      attributes: { exclude: ['settlement_rows'] },
+      order: [['settlement_date', 'DESC'], ['created_at', 'DESC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+    });
+    return { runs: rows, total: count, page: pageNumber, totalPages: Math.ceil(count / pageSize) };
+  }
+
+  /**
+   * Builds the downloadable XLSX report for a completed run
+   * @param {number} runId - ReconciliationRun ID
+   * @returns {Promise<Object>} { run, filePath }
+   */
+  static async generateReport(runId) {
+    const run = await ReconciliationRun.findByPk(runId, {
+      attributes: { exclude: ['settlement_rows'] },
+    });
+    if (!run) {
+      throw new AppError('Reconciliation run not found', 404, 'RECONCILIATION_NOT_FOUND');
+    }
+    if (run.status !== 'completed') {
+      throw new AppError('Reconciliation run has not completed', 409, 'RECONCILIATION_NOT_COMPLETED', {
+        status: run.status,
+      });
+    }
+    const items = await ReconciliationItem.findAll({
+      where: { run_id: run.id },
+      order: [['issue', 'ASC'], ['id', 'ASC']],
+    });
+    const filePath = await excelService.generateReconciliationReport(run, items);
+    return { run, filePath };
+  }
+}
+
+module.exports = ReconciliationService;
@@ -1,53 +1,253 @@
-const { Payment, Customer } = require('../../models');
+const { Op } = require('sequelize');
+const {
+  Payment,
+  Customer,
+  Device,
+  RiskRule,
+  RiskBlocklistEntry,
+} = require('../../models');
+const config = require('../../config/config');
+const countryConfigs = require('../../config/countryConfigs');
+const {
+  RISK_RULE_TYPES,
+  VELOCITY_SUBJECTS,
+  BLOCKLIST_TYPES,
+  RISK_DECISIONS,
+} = require('../../config/constants/risk');
+const AppError = require('../../utils/AppError');
 const { logTransactionEvent } = require('../../utils/logger');
 
-class RiskAssessmentService {
-  async calculateRiskScore(payment, customer) {
-    let riskFactors = [];
-    let score = 0;
+const MAX_SCORE = 100;
 
-    // Check transaction amount
-    if (payment.amount > 1000) {
-      score += 20;
-      riskFactors.push('high_amount');
-    }
+const isPositive = value => typeof value === 'number' && value > 0;
 
-    // Check customer history
-    const customerTransactions = await Payment.count({
-      where: { customer_id: customer.id, status: 'completed' }
-    });
-    if (customerTransactions < 3) {
-      score += 15;
-      riskFactors.push('new_customer');
-    }
+// Params each rule type needs, checked when a rule is saved
+const PARAM_CHECKS = {
+  amount: ({ above }) => isPositive(above),
+  velocity: ({ subject, window_minutes, max_count }) =>
+    VELOCITY_SUBJECTS.includes(subject) && isPositive(window_minutes) && Number.isInteger(max_count) && max_count >= 0,
+  customer_history: ({ min_completed }) => Number.isInteger(min_completed) && min_completed > 0,
+  new_device: ({ max_age_hours }) => isPositive(max_age_hours),
+  blocklist: () => true,
+};
 
-    // Check for rapid transactions
-    const recentTransactions = await Payment.count({
-      where: {
-        customer_id: customer.id,
-        created_at: {
-          [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000)
-        }
+/**
+ * Risk Assessment Service - Scores payments against the risk rules stored in the
+ * database. Each active rule scoped to the payment's country, currency and method
+ * adds its weight when it fires; the total decides whether the payment goes
+ * ahead, waits for an admin or is declined.
+ */
+class RiskAssessmentService {
+  /**
+   * @param {Object} payment - Payment instance
+   * @param {Object} customer - The paying Customer
+   * @returns {Promise<Object>} { score, riskFactors: [{ rule_id, name, type, weight, detail }] }
+   */
+  async calculateRiskScore(payment, customer) {
+    const rules = await this.getApplicableRules(payment, customer);
+    const riskFactors = [];
+    for (const rule of rules) {
+      const detail = await this.evaluateRule(rule, payment, customer);
+      if (detail) {
+        riskFactors.push({ rule_id: rule.id, name: rule.name, type: rule.type, weight: rule.weight, detail });
       }
-    });
-    if (recentTransactions > 5) {
-      score += 25;
-      riskFactors.push('rapid_transactions');
     }
+    const score = Math.min(riskFactors.reduce((sum, factor) => sum + factor.weight, 0), MAX_SCORE);
 
-    // Log risk assessment
     logTransactionEvent('Risk assessment completed', {
       payment_id: payment.id,
       risk_score: score,
-      risk_factors: riskFactors
+      risk_factors: riskFactors.map(factor => factor.name),
     });
 
     return { score, riskFactors };
   }
 
   async requiresDelayedCapture(riskScore) {
-    return riskScore > 50;
+    return riskScore > config.risk.reviewThreshold;
+  }
+
+  decisionFor(riskScore) {
+    if (riskScore >= config.risk.declineThreshold) return RISK_DECISIONS.DECLINE;
+    if (riskScore > config.risk.reviewThreshold) return RISK_DECISIONS.REVIEW;
+    return RISK_DECISIONS.ALLOW;
+  }
+
+  // Country code of the customer, whether stored as an ISO code or a country name
+  countryOf(customer) {
+    const country = String(customer?.country || '');
+    if (countryConfigs[country.toUpperCase()]) return country.toUpperCase();
+    return Object.keys(countryConfigs)
+      .find(code => countryConfigs[code].name.toLowerCase() === country.toLowerCase()) || null;
+  }
+
+  async getApplicableRules(payment, customer) {
+    const country = this.countryOf(customer);
+    const currency = payment.payment_details?.currency || (country && countryConfigs[country].currency);
+    const scope = (field, value) => ({ [Op.or]: [{ [field]: null }, ...(value ? [{ [field]: value }] : [])] });
+    return RiskRule.findAll({
+      where: {
+        active: true,
+        [Op.and]: [
+          scope('country', country),
+          scope('currency', currency),
+          scope('payment_method', payment.payment_method),
+        ],
+      },
+      order: [['id', 'ASC']],
+    });
+  }
+
+  /**
+   * Whether a rule fires for the payment
+   * @returns {Promise<Object|null>} What made it fire, or null
+   */
+  async evaluateRule(rule, payment, customer) {
+    const params = rule.params || {};
+    switch (rule.type) {
+      case 'amount':
+        return Number(payment.amount) > params.above ? { amount: Number(payment.amount), above: params.above } : null;
+      case 'customer_history': {
+        const completed = await Payment.count({
+          where: { customer_id: customer.id, status: { [Op.in]: ['completed', 'verified'] } },
+        });
+        return completed < params.min_completed ? { completed } : null;
+      }
+      case 'velocity':
+        return this.checkVelocity(payment, customer, params);
+      case 'new_device':
+        return this.checkNewDevice(payment, customer, params);
+      case 'blocklist':
+        return this.checkBlocklist(payment, customer);
+      default:
+        return null;
+    }
+  }
+
+  // Fires when more than max_count payments, this one included, came from the same subject within the window
+  async checkVelocity(payment, customer, { subject, window_minutes, max_count }) {
+    const where = {
+      id: { [Op.ne]: payment.id },
+      created_at: { [Op.gte]: new Date(Date.now() - window_minutes * 60 * 1000) },
+    };
+    if (subject === 'customer') {
+      where.customer_id = customer.id;
+    } else if (subject === 'phone_number') {
+      if (!payment.payment_details?.phone_number) return null;
+      where.payment_details = { phone_number: payment.payment_details.phone_number };
+    } else if (subject === 'device') {
+      if (!payment.device_id) return null;
+      where.device_id = payment.device_id;
+    } else {
+      return null;
+    }
+    const count = (await Payment.count({ where })) + 1;
+    return count > max_count ? { subject, count, window_minutes } : null;
+  }
+
+  // Fires for a device the customer has never used, or first used within max_age_hours
+  async checkNewDevice(payment, customer, { max_age_hours }) {
+    if (!payment.device_id || !customer.user_id) return null;
+    const device = await Device.findOne({
+      where: { user_id: customer.user_id, device_id: payment.device_id },
+      attributes: ['id', 'created_at'],
+    });
+    if (!device) return { device_id: payment.device_id, known: false };
+    const ageHours = (Date.now() - new Date(device.created_at).getTime()) / (60 * 60 * 1000);
+    return ageHours < max_age_hours ? { device_id: payment.device_id, first_seen: device.created_at } : null;
+  }
+
+  async checkBlocklist(payment, customer) {
+    const candidates = [
+      ['phone_number', payment.payment_details?.phone_number],
+      ['device_id', payment.device_id],
+      ['customer_id', customer.id && String(customer.id)],
+    ].filter(([, value]) => value);
+    const entry = await RiskBlocklistEntry.findOne({
+      where: {
+        [Op.or]: candidates.map(([type, value]) => ({ type, value })),
+        [Op.and]: [{ [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: new Date() } }] }],
+      },
+    });
+    return entry ? { type: entry.type, value: entry.value, entry_id: entry.id } : null;
+  }
+
+  async getCustomer(customerId) {
+    const customer = await Customer.findByPk(customerId, { attributes: ['id', 'user_id', 'country'] });
+    if (!customer) throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+    return customer;
+  }
+
+  // Rule administration
+
+  validateRule({ type, params = {}, weight }) {
+    if (!RISK_RULE_TYPES.includes(type)) {
+      throw new AppError(`Rule type must be one of ${RISK_RULE_TYPES.join(', ')}`, 400, 'INVALID_RISK_RULE');
+    }
+    if (!PARAM_CHECKS[type](params)) {
+      throw new AppError(`Invalid params for a ${type} rule`, 400, 'INVALID_RISK_RULE', { params });
+    }
+    if (!Number.isInteger(weight) || weight < 0 || weight > MAX_SCORE) {
+      throw new AppError(`Weight must be a whole number from 0 to ${MAX_SCORE}`, 400, 'INVALID_RISK_RULE');
+    }
+  }
+
+  async listRules({ active } = {}) {
+    const where = active === undefined ? {} : { active: String(active) === 'true' };
+    return RiskRule.findAll({ where, order: [['id', 'ASC']] });
+  }
+
+  async createRule(data) {
+    const rule = {
+      name: data.name,
+      type: data.type,
+      country: data.country || null,
+      currency: data.currency || null,
+      payment_method: data.payment_method || null,
+      params: data.params || {},
+      weight: data.weight,
+      active: data.active !== false,
+    };
+    this.validateRule(rule);
+    return RiskRule.create(rule);
+  }
+
+  async updateRule(ruleId, changes) {
+    const rule = await RiskRule.findByPk(ruleId);
+    if (!rule) throw new AppError('Risk rule not found', 404, 'RISK_RULE_NOT_FOUND');
+    const fields = ['name', 'country', 'currency', 'payment_method', 'params', 'weight', 'active'];
+    const updates = Object.fromEntries(fields.filter(field => changes[field] !== undefined).map(field => [field, changes[field]]));
+    this.validateRule({ type: rule.type, params: rule.params, weight: rule.weight, ...updates });
+    return rule.update(updates);
+  }
+
+  async listBlocklist({ type } = {}) {
+    return RiskBlocklistEntry.findAll({
+      where: type ? { type } : {},
+      order: [['created_at', 'DESC']],
+    });
+  }
+
+  async addToBlocklist({ type, value, reason, expires_at }, createdBy) {
+    if (!BLOCKLIST_TYPES.includes(type)) {
+      throw new AppError(`Blocklist type must be one of ${BLOCKLIST_TYPES.join(', ')}`, 400, 'INVALID_BLOCKLIST_ENTRY');
+    }
+    if (!value) throw new AppError('A value to block is required', 400, 'INVALID_BLOCKLIST_ENTRY');
+    const [entry, created] = await RiskBlocklistEntry.findOrCreate({
+      where: { type, value: String(value) },
+      defaults: { reason, expires_at: expires_at || null, created_by: createdBy },
+    });
+    if (!created) {
+      await entry.update({ reason: reason ?? entry.reason, expires_at: expires_at || null });
+    }
+    logTransactionEvent('Blocklist entry saved', { type, entry_id: entry.id, created_by: createdBy });
+    return entry;
+  }
+
+  async removeFromBlocklist(entryId) {
+    const removed = await RiskBlocklistEntry.destroy({ where: { id: entryId } });
+    if (!removed) throw new AppError('Blocklist entry not found', 404, 'BLOCKLIST_ENTRY_NOT_FOUND');
   }
 }
 
-module.exports = new RiskAssessmentService();
\ No newline at end of file
+module.exports = new RiskAssessmentService();
@@ -0,0 +1,695 @@
+'use strict';
+
+const {
+  sequelize,
+  Payment,
+  Order,
+  PaymentAllocation,
+  Merchant,
+  PayoutBatch,
+  MerchantPayout,
+  DriverPayout,
+} = require('@models');
+const { Op } = require('sequelize');
+const config = require('@config/config');
+const { PAYMENT_CONSTANTS } = require('@config/constants');
+const {
+  LEDGER_ACCOUNTS,
+  LEDGER_TRANSACTION_TYPES,
+  DEFAULT_COMMISSION_RATES,
+} = require('@config/constants/settlement');
+const { WALLET_PAYMENT_METHOD } = require('@config/constants/wallet');
+const { GIFT_CARD_PAYMENT_METHOD } = require('@config/constants/giftCard');
+const LedgerService = require('@services/common/ledgerService');
+const { getProviderAdapter } = require('@services/common/paymentProviders');
+const excelService = require('@services/common/excelService');
+const AppError = require('@utils/AppError');
+const { logger, logTransactionEvent } = require('@utils/logger');
+
+const {
+  PLATFORM_CLEARING,
+  MERCHANT_PAYABLE,
+  DRIVER_PAYABLE,
+  PLATFORM_COMMISSION,
+  DELIVERY_FEES,
+  TIPS_PAYABLE,
+  CUSTOMER_WALLET,
+  GIFT_CARD_LIABILITY,
+} = LEDGER_ACCOUNTS;
+const { PAYMENT, TIP, REFUND, CHARGEBACK, PAYOUT, PAYOUT_REVERSAL } = LEDGER_TRANSACTION_TYPES;
+const MOBILE_MONEY_PROVIDERS = Object.values(PAYMENT_CONSTANTS.PROVIDERS.MOBILE_MONEY);
+const SETTLED_STATUSES = ['completed', 'verified', 'partially_refunded', 'refunded'];
+
+const roundAmount = value => Math.round(value * 100) / 100;
+const merchantAccount = merchantId => ({ account: MERCHANT_PAYABLE, owner_type: 'merchant', owner_id: merchantId });
+const walletAccount = customerId => ({ account: CUSTOMER_WALLET, owner_type: 'customer', owner_id: customerId });
+const giftCardAccount = merchantId => ({ account: GIFT_CARD_LIABILITY, owner_type: 'merchant', owner_id: merchantId });
+// Who a payout can be sent to: the payout model, the account it is paid from and its provider reference prefix
+const PAYEES = {
+  merchant: { model: MerchantPayout, account: MERCHANT_PAYABLE, ownerField: 'merchant_id', referenceType: 'merchant_payout', prefix: 'MPO', label: 'Merchant' },
+  driver: { model: DriverPayout, account: DRIVER_PAYABLE, ownerField: 'driver_id', referenceType: 'driver_payout', prefix: 'DPO', label: 'Driver' },
+};
+const payeeAccount = (payeeType, payout) => ({
+  account: PAYEES[payeeType].account,
+  owner_type: payeeType,
+  owner_id: payout[PAYEES[payeeType].ownerField],
+});
+const sumOf = (items, field) => roundAmount(items.reduce((sum, item) => sum + item[field], 0));
+
+/**
+ * Settlement Service - Books customer payments, commission, delivery fees, tips,
+ * refunds and chargebacks into the ledger, pays merchants their balance in
+ * scheduled batches and builds their settlement statements
+ */
+class SettlementService {
+  /**
+   * Commission rate in percent: the merchant's own rate, else its business type's
+   */
+  static getCommissionRate(merchant) {
+    if (merchant?.commission_rate !== null && merchant?.commission_rate !== undefined) {
+      return Number(merchant.commission_rate);
+    }
+    const businessType = merchant?.business_type;
+    return config.settlement.commissionRates[businessType]
+      ?? DEFAULT_COMMISSION_RATES[businessType]
+      ?? config.settlement.defaultCommissionRate;
+  }
+
+  /**
+   * Splits a payment into what each order paid: the merchant's sales, the delivery
+   * fee and the commission on the merchandise. Tips are booked separately.
+   * @returns {Promise<Array>} [{ order_id, merchant_id, gross, delivery_fee, sales, commission_rate, commission }]
+   */
+  static async buildShares(payment, transaction) {
+    const tip = Number(payment.tip_amount) || 0;
+    let funded = [];
+    const allocations = await PaymentAllocation.findAll({
+      where: { payment_id: payment.id },
+      include: [{ model: Order, as: 'order' }],
+      transaction,
+    });
+    if (allocations.length) {
+      funded = allocations.map(allocation => ({
+        order: allocation.order,
+        merchant_id: allocation.merchant_id,
+        gross: Number(allocation.amount),
+      }));
+    } else if (payment.order_id) {
+      const order = await Order.findByPk(payment.order_id, { transaction });
+      funded = [{ order, merchant_id: order?.merchant_id || payment.merchant_id, gross: payment.amount - tip }];
+    } else if (payment.checkout_id) {
+      const orders = await Order.findAll({ where: { checkout_id: payment.checkout_id }, transaction });
+      // Part of an order may already be paid by another of the checkout's payments, e.g. a gift card
+      const covered = await PaymentAllocation.findAll({
+        where: { order_id: orders.map(order => order.id), payment_id: { [Op.ne]: payment.id } },
+        transaction,
+      });
+      funded = orders.map(order => ({
+        order,
+        merchant_id: order.merchant_id,
+        gross: roundAmount(covered
+          .filter(allocation => allocation.order_id === order.id)
+          .reduce((left, allocation) => left - Number(allocation.amount), Number(order.total_amount))),
+      }));
+    } else if (payment.merchant_id) {
+      funded = [{ order: null, merchant_id: payment.merchant_id, gross: payment.amount - tip }];
+    }
+    funded = funded.filter(share => share.merchant_id && share.gross > 0);
+    if (!funded.length) return [];
+
+    const merchants = await Merchant.findAll({
+      where: { id: [...new Set(funded.map(share => share.merchant_id))] },
+      attributes: ['id', 'business_type', 'commission_rate'],
+      transaction,
+    });
+    return funded.map(({ order, merchant_id, gross }) => {
+      // A payment covering only part of an order carries that part of its fee and food
+      const portion = order && Number(order.total_amount) > 0 ? Math.min(gross / Number(order.total_amount), 1) : 1;
+      const deliveryFee = order ? roundAmount(Math.min((Number(order.delivery_fee) || 0) * portion, gross)) : 0;
+      const sales = roundAmount(gross - deliveryFee);
+      // Commission is charged on the food, not on taxes and service charges
+      const merchandise = order && order.subtotal !== null && order.subtotal !== undefined
+        ? (Number(order.subtotal) - Number(order.total_discount || 0)) * portion
+        : sales;
+      const rate = this.getCommissionRate(merchants.find(merchant => merchant.id === merchant_id));
+      return {
+        order_id: order ? order.id : null,
+        merchant_id,
+        gross: roundAmount(gross),
+        delivery_fee: roundAmount(deliveryFee),
+        sales,
+        commission_rate: rate,
+        commission: roundAmount((Math.max(Math.min(sales, merchandise), 0) * rate) / 100),
+      };
+    });
+  }
+
+  static paymentCurrency(payment) {
+    return payment.payment_details?.currency || 'MWK';
+  }
+
+  /**
+   * Where a captured payment's money is held: the customer's wallet for wallet
+   * payments, the merchant's gift card liability for gift card payments, the
+   * provider clearing account for everything else
+   */
+  static fundingAccount(payment) {
+    if (payment.payment_method === WALLET_PAYMENT_METHOD) return walletAccount(payment.customer_id);
+    if (payment.payment_method === GIFT_CARD_PAYMENT_METHOD) return giftCardAccount(payment.merchant_id);
+    return { account: PLATFORM_CLEARING };
+  }
+
+  /**
+   * Books a captured payment: the money held with the provider, what each merchant
+   * is owed less commission, and the delivery fees. Payments without a merchant,
+   * such as rides, are not settled to merchants and are skipped.
+   * @param {Object} payment - Completed Payment instance
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Object|null>} The LedgerTransaction
+   */
+  static async recordPayment(payment, transaction) {
+    const existing = await LedgerService.findTransaction(PAYMENT, 'payment', payment.id, transaction);
+    if (existing) return existing;
+
+    const shares = await this.buildShares(payment, transaction);
+    if (!shares.length) return null;
+
+    const entries = [{ ...this.fundingAccount(payment), direction: 'debit', amount: sumOf(shares, 'gross') }];
+    shares.forEach(share => entries.push(
+      { ...merchantAccount(share.merchant_id), direction: 'credit', amount: share.sales },
+      { account: DELIVERY_FEES, direction: 'credit', amount: share.delivery_fee },
+      { ...merchantAccount(share.merchant_id), direction: 'debit', amount: share.commission },
+      { account: PLATFORM_COMMISSION, direction: 'credit', amount: share.commission }
+    ));
+
+    const posted = await LedgerService.post({
+      type: PAYMENT,
+      reference_type: 'payment',
+      reference_id: payment.id,
+      currency: this.paymentCurrency(payment),
+      description: `Payment #${payment.id}`,
+      metadata: { shares },
+      entries,
+    }, transaction);
+    await this.recordTip(payment, transaction);
+    return posted;
+  }
+
+  /**
+   * Books a payment's tip as owed on to the people it was left for
+   */
+  static async recordTip(payment, transaction) {
+    const tip = Number(payment.tip_amount) || 0;
+    if (tip <= 0) return null;
+    return LedgerService.post({
+      type: TIP,
+      reference_type: 'payment',
+      reference_id: payment.id,
+      currency: this.paymentCurrency(payment),
+      description: `Tip on payment #${payment.id}`,
+      metadata: { tip_allocation: payment.tip_allocation },
+      entries: [
+        { ...this.fundingAccount(payment), direction: 'debit', amount: tip },
+        { account: TIPS_PAYABLE, direction: 'credit', amount: tip },
+      ],
+    }, transaction);
+  }
+
+  /**
+   * Takes money back out of a captured payment, spread over what its orders still
+   * hold after earlier refunds and chargebacks. Commission on the returned sales goes
+   * back to the merchant; anything beyond what the orders still hold came out of the tip.
+   * @param {Object} params
+   * @param {string} params.type - refund | chargeback
+   * @param {Object} params.reference - { reference_type, reference_id }
+   * @param {Object} params.payment - Payment instance
+   * @param {number} params.amount - Amount returned to the customer
+   * @param {number} [params.orderId] - Only this order gives the money back
+   * @param {boolean} [params.itemsOnly] - Returned items only, so the delivery fee stays
+   * @param {boolean} [params.toWallet] - The money goes to the customer's wallet, not back to the provider
+   */
+  static async reverseCapture(
+    { type, reference, payment, amount, orderId, itemsOnly, toWallet, description, metadata },
+    transaction
+  ) {
+    const capture = await LedgerService.findTransaction(PAYMENT, 'payment', payment.id, transaction);
+    if (!capture) {
+      logger.warn('Payment has no ledger capture to reverse', { payment_id: payment.id, type, ...reference });
+      return null;
+    }
+
+    // What each captured share still holds once earlier reversals are taken out
+    const earlier = await LedgerService.findTransactions({
+      types: [REFUND, CHARGEBACK],
+      metadata: { payment_id: payment.id },
+    }, transaction);
+    const shares = (capture.metadata?.shares || []).map((share, index) => {
+      const reversed = earlier.flatMap(posted => posted.metadata.reversals || [])
+        .filter(reversal => reversal.share === index);
+      return {
+        ...share,
+        index,
+        gross: roundAmount(share.gross - sumOf(reversed, 'gross')),
+        delivery_fee: roundAmount(share.delivery_fee - sumOf(reversed, 'delivery_fee')),
+        sales: roundAmount(share.sales - sumOf(reversed, 'sales')),
+        commission: roundAmount(share.commission - sumOf(reversed, 'commission')),
+      };
+    }).filter(share => share.gross > 0);
+    const scoped = shares.filter(share => share.order_id === orderId);
+    const affected = orderId && scoped.length ? scoped : shares;
+    const heldGross = sumOf(affected, 'gross');
+    const applied = Math.min(amount, heldGross);
+
+    const returnedTo = toWallet ? walletAccount(payment.customer_id) : this.fundingAccount(payment);
+    const entries = [{ ...returnedTo, direction: 'credit', amount }];
+    const reversals = [];
+    let remaining = applied;
+    affected.forEach((share, position) => {
+      const portion = position === affected.length - 1
+        ? remaining
+        : roundAmount((applied * share.gross) / heldGross);
+      remaining = roundAmount(remaining - portion);
+      const salesPart = Math.min(
+        itemsOnly ? portion : roundAmount((share.sales * portion) / share.gross),
+        share.sales
+      );
+      const deliveryPart = roundAmount(portion - salesPart);
+      const commissionPart = share.sales > 0 ? roundAmount((share.commission * salesPart) / share.sales) : 0;
+      entries.push(
+        { ...merchantAccount(share.merchant_id), direction: 'debit', amount: salesPart },
+        { account: DELIVERY_FEES, direction: 'debit', amount: deliveryPart },
+        { account: PLATFORM_COMMISSION, direction: 'debit', amount: commissionPart },
+        { ...merchantAccount(share.merchant_id), direction: 'credit', amount: commissionPart }
+      );
+      reversals.push({
+        share: share.index,
+        order_id: share.order_id,
+        merchant_id: share.merchant_id,
+        gross: portion,
+        delivery_fee: deliveryPart,
+        sales: salesPart,
+        commission: commissionPart,
+      });
+    });
+    entries.push({ account: TIPS_PAYABLE, direction: 'debit', amount: roundAmount(amount - applied) });
+
+    return LedgerService.post({
+      type,
+      ...reference,
+      currency: capture.currency,
+      description,
+      metadata: { ...metadata, payment_id: payment.id, reversals },
+      entries,
+    }, transaction);
+  }
+
+  /**
+   * Books a processed refund against the payment's capture
+   * @param {Object} refund - Refund instance
+   * @param {Object} payment - Payment instance
+   * @param {Object} [transaction] - Sequelize transaction
+   */
+  static async recordRefund(refund, payment, transaction) {
+    return this.reverseCapture({
+      type: REFUND,
+      reference: { reference_type: 'refund', reference_id: refund.id },
+      payment,
+      amount: Number(refund.amount),
+      orderId: refund.order_id,
+      itemsOnly: Boolean(refund.items?.length),
+      toWallet: refund.destination === 'wallet',
+      description: `Refund #${refund.id} on payment #${payment.id}`,
+      metadata: { reason: refund.reason },
+    }, transaction);
+  }
+
+  /**
+   * Books a chargeback the provider has taken back, charged to the merchants the
+   * payment was settled to. A payment can be charged back once.
+   * @param {Object} params - { payment_id, amount, reason, recorded_by }
+   * @returns {Promise<Object>} The LedgerTransaction
+   */
+  static async recordChargeback({ payment_id, amount, reason, recorded_by }) {
+    const payment = await Payment.findByPk(payment_id);
+    if (!payment) throw new AppError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+    if (!SETTLED_STATUSES.includes(payment.status)) {
+      throw new AppError(`A ${payment.status} payment cannot be charged back`, 400, 'PAYMENT_NOT_SETTLED', {
+        status: payment.status,
+      });
+    }
+    if (await LedgerService.findTransaction(CHARGEBACK, 'payment', payment.id)) {
+      throw new AppError('Payment has already been charged back', 409, 'CHARGEBACK_EXISTS');
+    }
+
+    const chargeable = roundAmount(payment.amount - Number(payment.refunded_amount || 0));
+    const chargeback = roundAmount(amount ?? chargeable);
+    if (chargeback <= 0 || chargeback > chargeable) {
+      throw new AppError('Chargeback exceeds the amount not yet refunded', 400, 'INVALID_CHARGEBACK_AMOUNT', {
+        chargeable,
+        requested: chargeback,
+      });
+    }
+
+    const posted = await this.reverseCapture({
+      type: CHARGEBACK,
+      reference: { reference_type: 'payment', reference_id: payment.id },
+      payment,
+      amount: chargeback,
+      description: `Chargeback on payment #${payment.id}`,
+      metadata: { reason, recorded_by },
+    });
+    if (!posted) {
+      throw new AppError('Payment was never settled in the ledger', 409, 'PAYMENT_NOT_IN_LEDGER');
+    }
+    logTransactionEvent('Chargeback recorded', { payment_id: payment.id, amount: chargeback, reason, recorded_by });
+    return posted;
+  }
+
+  /**
+   * What the platform owes a merchant right now
+   */
+  static async getMerchantBalance(merchantId) {
+    const merchant = await Merchant.findByPk(merchantId, { attributes: ['id', 'currency', 'payout_settings'] });
+    if (!merchant) throw new AppError('Merchant not found', 404, 'MERCHANT_NOT_FOUND');
+    return {
+      merchant_id: merchant.id,
+      currency: merchant.currency,
+      balance: await LedgerService.getBalance(merchantAccount(merchant.id)),
+      minimum_payout: config.settlement.payouts.minimumAmount,
+      payout_settings: merchant.payout_settings,
+    };
+  }
+
+  /**
+   * Throws unless the provider is a supported mobile-money provider and the number looks like a phone number
+   */
+  static validatePayoutDestination({ provider, phone_number }) {
+    if (!MOBILE_MONEY_PROVIDERS.includes(provider)) {
+      throw new AppError(`Unsupported payout provider: ${provider}`, 400, 'UNSUPPORTED_PROVIDER', {
+        supported: MOBILE_MONEY_PROVIDERS,
+      });
+    }
+    if (!/^\+?\d{9,15}$/.test(phone_number || '')) {
+      throw new AppError('Payout phone number is not valid', 400, 'INVALID_PAYOUT_DESTINATION');
+    }
+  }
+
+  /**
+   * Sets where a merchant's payouts are sent
+   * @param {number} merchantId - Merchant ID
+   * @param {Object} settings - { provider, phone_number }
+   */
+  static async updatePayoutSettings(merchantId, { provider, phone_number }) {
+    this.validatePayoutDestination({ provider, phone_number });
+    const merchant = await Merchant.findByPk(merchantId);
+    if (!merchant) throw new AppError('Merchant not found', 404, 'MERCHANT_NOT_FOUND');
+    await merchant.update({ payout_settings: { provider, phone_number, updated_at: new Date() } });
+    logger.info('Merchant payout settings updated', { merchant_id: merchant.id, provider });
+    return merchant.payout_settings;
+  }
+
+  /**
+   * Overrides a merchant's commission rate; null falls back to its business type
+   */
+  static async setCommissionRate(merchantId, rate) {
+    if (rate !== null && (typeof rate !== 'number' || rate < 0 || rate > 100)) {
+      throw new AppError('Commission rate must be between 0 and 100', 400, 'INVALID_COMMISSION_RATE');
+    }
+    const merchant = await Merchant.findByPk(merchantId);
+    if (!merchant) throw new AppError('Merchant not found', 404, 'MERCHANT_NOT_FOUND');
+    await merchant.update({ commission_rate: rate });
+    return { merchant_id: merchant.id, commission_rate: this.getCommissionRate(merchant), overridden: rate !== null };
+  }
+
+  /**
+   * Pays every merchant whose balance has reached the minimum payout. Merchants
+   * without a payout destination are recorded as skipped and keep their balance.
+   * @param {Object} [options] - { triggered_by }
+   * @returns {Promise<Object>} The completed PayoutBatch
+   */
+  static async runPayoutBatch({ triggered_by } = {}) {
+    if (await PayoutBatch.count({ where: { status: 'processing' } })) {
+      throw new AppError('A payout batch is already running', 409, 'PAYOUT_BATCH_IN_PROGRESS');
+    }
+    await this.refreshProcessingPayouts();
+
+    const batch = await PayoutBatch.create({ period_end: new Date(), triggered_by });
+    try {
+      const due = (await LedgerService.getOwnerBalances(MERCHANT_PAYABLE, 'merchant'))
+        .filter(({ balance }) => balance >= config.settlement.payouts.minimumAmount);
+      const merchants = await Merchant.findAll({
+        where: { id: due.map(({ owner_id }) => owner_id) },
+        attributes: ['id', 'payout_settings'],
+      });
+
+      for (const { owner_id, currency, balance } of due) {
+        const settings = merchants.find(merchant => merchant.id === owner_id)?.payout_settings;
+        const payout = await MerchantPayout.create({
+          batch_id: batch.id,
+          merchant_id: owner_id,
+          amount: balance,
+          currency,
+          provider: settings?.provider,
+          destination: settings?.phone_number,
+          status: settings ? 'pending' : 'skipped',
+          error: settings ? null : 'No payout destination configured',
+        });
+        if (settings) await this.sendPayout(payout);
+      }
+
+      const payouts = await MerchantPayout.findAll({ where: { batch_id: batch.id } });
+      const summary = {};
+      payouts.forEach(payout => {
+        const entry = summary[payout.status] || { count: 0, amount: 0 };
+        entry.count += 1;
+        entry.amount = roundAmount(entry.amount + Number(payout.amount));
+        summary[payout.status] = entry;
+      });
+      const attempted = payouts.filter(payout => payout.status !== 'skipped');
+      await batch.update({
+        status: attempted.length && attempted.every(payout => payout.status === 'failed') ? 'failed' : 'completed',
+        total_amount: roundAmount((summary.completed?.amount || 0) + (summary.processing?.amount || 0)),
+        summary,
+        completed_at: new Date(),
+      });
+      logger.info('Merchant payout batch finished', { batch_id: batch.id, summary });
+      return batch;
+    } catch (error) {
+      await batch.update({ status: 'failed', summary: { error: error.message }, completed_at: new Date() });
+      throw error;
+    }
+  }
+
+  /**
+   * Takes the payout out of the payee's balance, then asks the provider to send it.
+   * A timed-out request stays processing until the provider reports its outcome.
+   * @param {Object} payout - MerchantPayout or DriverPayout instance
+   * @param {string} [payeeType='merchant'] - merchant | driver
+   */
+  static async sendPayout(payout, payeeType = 'merchant') {
+    const { referenceType, prefix, label, ownerField } = PAYEES[payeeType];
+    const amount = Number(payout.amount);
+    await sequelize.transaction(async (t) => {
+      await LedgerService.post({
+        type: PAYOUT,
+        reference_type: referenceType,
+        reference_id: payout.id,
+        currency: payout.currency,
+        description: `Payout #${payout.id}`,
+        entries: [
+          { ...payeeAccount(payeeType, payout), direction: 'debit', amount },
+          { account: PLATFORM_CLEARING, direction: 'credit', amount },
+        ],
+      }, t);
+      await payout.update({ status: 'processing' }, { transaction: t });
+    });
+
+    try {
+      const result = await getProviderAdapter(payout.provider).payout({
+        reference: `${prefix}-${payout.id}`,
+        amount,
+        currency: payout.currency,
+        phoneNumber: payout.destination,
+        description: `${label} payout #${payout.id}`,
+      });
+      logTransactionEvent(`${label} payout requested`, {
+        payout_id: payout.id,
+        [ownerField]: payout[ownerField],
+        provider: payout.provider,
+        amount,
+        status: result.status,
+      });
+      return this.applyPayoutResult(payout, result, payeeType);
+    } catch (error) {
+      if (error.errorCode === 'PROVIDER_TIMEOUT') {
+        await payout.update({ error: error.message });
+        return payout;
+      }
+      return this.failPayout(payout, error.message, payeeType);
+    }
+  }
+
+  static async applyPayoutResult(payout, result, payeeType = 'merchant') {
+    if (result.status === 'completed') {
+      return payout.update({
+        status: 'completed',
+        provider_reference: result.providerReference,
+        error: null,
+        completed_at: new Date(),
+      });
+    }
+    if (result.status === 'failed') {
+      await payout.update({ provider_reference: result.providerReference });
+      return this.failPayout(payout, 'Provider rejected the payout', payeeType);
+    }
+    return payout.update({ provider_reference: result.providerReference });
+  }
+
+  // The money never left, so it goes back on the payee's balance
+  static async failPayout(payout, reason, payeeType = 'merchant') {
+    const { referenceType, label, ownerField } = PAYEES[payeeType];
+    const amount = Number(payout.amount);
+    await sequelize.transaction(async (t) => {
+      await LedgerService.post({
+        type: PAYOUT_REVERSAL,
+        reference_type: referenceType,
+        reference_id: payout.id,
+        currency: payout.currency,
+        description: `Failed payout #${payout.id}`,
+        entries: [
+          { account: PLATFORM_CLEARING, direction: 'debit', amount },
+          { ...payeeAccount(payeeType, payout), direction: 'credit', amount },
+        ],
+      }, t);
+      await payout.update({ status: 'failed', error: reason }, { transaction: t });
+    });
+    logger.warn(`${label} payout failed`, { payout_id: payout.id, [ownerField]: payout[ownerField], reason });
+    return payout;
+  }
+
+  /**
+   * Asks providers for the outcome of merchant and driver payouts still processing
+   * @returns {Promise<number>} Number of payouts that reached a final status
+   */
+  static async refreshProcessingPayouts() {
+    let settled = 0;
+    for (const [payeeType, { model, prefix }] of Object.entries(PAYEES)) {
+      const payouts = await model.findAll({ where: { status: 'processing' } });
+      for (const payout of payouts) {
+        try {
+          const result = await getProviderAdapter(payout.provider).queryStatus({
+            reference: `${prefix}-${payout.id}`,
+            providerReference: payout.provider_reference,
+          });
+          await this.applyPayoutResult(payout, result, payeeType);
+          if (payout.status !== 'processing') settled += 1;
+        } catch (error) {
+          logger.error('Failed to refresh payout', { payee: payeeType, payout_id: payout.id, error: error.message });
+        }
+      }
+    }
+    return settled;
+  }
+
+  static async listPayouts(merchantId, { page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const { rows, count } = await MerchantPayout.findAndCountAll({
+      where: { merchant_id: merchantId },
+      order: [['created_at', 'DESC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+    });
+    return { payouts: rows, total: count, page: pageNumber, totalPages: Math.ceil(count / pageSize) };
+  }
+
+  static async listPayoutBatches({ page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const { rows, count } = await PayoutBatch.findAndCountAll({
+      order: [['created_at', 'DESC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+    });
+    return { batches: rows, total: count, page: pageNumber, totalPages: Math.ceil(count / pageSize) };
+  }
+
+  /**
+   * Parses a YYYY-MM-DD period; defaults to the current month so far. `to` is inclusive.
+   */
+  static parsePeriod({ from, to } = {}) {
+    const now = new Date();
+    const start = from ? new Date(`${from}T00:00:00Z`) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const end = to ? new Date(new Date(`${to}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000) : now;
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+      throw new AppError('Statement period must be valid YYYY-MM-DD dates with from before to', 400, 'INVALID_PERIOD');
+    }
+    return { from: start, to: end };
+  }
+
+  /**
+   * Settlement statement for a period: opening balance, every booking on the
+   * merchant's account, totals per kind and the closing balance
+   * @param {number} merchantId - Merchant ID
+   * @param {Object} period - { from, to } as YYYY-MM-DD
+   * @returns {Promise<Object>}
+   */
+  static async getStatement(merchantId, period) {
+    const merchant = await Merchant.findByPk(merchantId, {
+      attributes: ['id', 'business_name', 'currency', 'business_type', 'commission_rate'],
+    });
+    if (!merchant) throw new AppError('Merchant not found', 404, 'MERCHANT_NOT_FOUND');
+    const { from, to } = this.parsePeriod(period);
+    const account = merchantAccount(merchant.id);
+
+    const [openingBalance, closingBalance, entries] = await Promise.all([
+      LedgerService.getBalance({ ...account, until: from }),
+      LedgerService.getBalance({ ...account, until: to }),
+      LedgerService.getEntries({ ...account, from, to }),
+    ]);
+
+    const totals = { sales: 0, commission: 0, refunds: 0, chargebacks: 0, payouts: 0 };
+    const lines = entries.map(entry => {
+      const amount = Number(entry.amount);
+      const signed = entry.direction === 'credit' ? amount : -amount;
+      const { type } = entry.transaction;
+      if (type === PAYMENT) totals[signed > 0 ? 'sales' : 'commission'] += amount;
+      else if (type === REFUND) totals.refunds -= signed;
+      else if (type === CHARGEBACK) totals.chargebacks -= signed;
+      else if (type === PAYOUT || type === PAYOUT_REVERSAL) totals.payouts -= signed;
+      return {
+        date: entry.created_at,
+        type,
+        reference: `${entry.transaction.reference_type} #${entry.transaction.reference_id}`,
+        description: entry.transaction.description,
+        debit: entry.direction === 'debit' ? amount : 0,
+        credit: entry.direction === 'credit' ? amount : 0,
+      };
+    });
+
+    return {
+      merchant_id: merchant.id,
+      business_name: merchant.business_name,
+      currency: merchant.currency,
+      commission_rate: this.getCommissionRate(merchant),
+      from,
+      to,
+      opening_balance: openingBalance,
+      closing_balance: closingBalance,
+      totals: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, roundAmount(value)])),
+      lines,
+    };
+  }
+
+  /**
+   * Writes a statement to an XLSX file for download
+   * @returns {Promise<Object>} { statement, filePath }
+   */
+  static async generateStatementFile(merchantId, period) {
+    const statement = await this.getStatement(merchantId, period);
+    const filePath = await excelService.generateSettlementStatement(statement);
+    return { statement, filePath };
+  }
+}
+
+module.exports = SettlementService;
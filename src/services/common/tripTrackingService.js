@@ -0,0 +1,277 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { TripLocationPing, TripTrail, Order, Ride, Route } = require('@models');
+const { TRIP_TYPES, ACTIVE_TRIP_STATUSES, FINISHED_TRIP_STATUSES } = require('@config/constants/tripTracking');
+const config = require('@config/config');
+const { encodePolyline, decodePolyline, distanceMeters, simplifyPath } = require('@utils/polyline');
+const mathUtils = require('@utils/mathUtils');
+const AppError = require('@utils/AppError');
+const { logger } = require('@utils/logger');
+
+// Last ping stored per driver, for throttling without a read per ping
+const lastStored = new Map();
+
+const optionalNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Driver locations arrive either as { lat, lng } or as GeoJSON points
+const readPing = (location, recordedAt) => {
+  if (!location) return null;
+  const [lng, lat] = Array.isArray(location.coordinates)
+    ? location.coordinates.map(optionalNumber)
+    : [optionalNumber(location.lng), optionalNumber(location.lat)];
+  if (lat === null || lng === null || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+  const at = new Date(recordedAt || location.timestamp || Date.now());
+  return {
+    lat,
+    lng,
+    accuracy_meters: optionalNumber(location.accuracy),
+    speed_kmh: optionalNumber(location.speed_kmh ?? location.speed),
+    heading: optionalNumber(location.heading),
+    recorded_at: Number.isNaN(at.getTime()) ? new Date() : at,
+  };
+};
+
+/**
+ * Trip Tracking Service - Keeps the trail a driver leaves on each delivery and ride.
+ * Pings are throttled as they arrive and stored per trip; once a trip is over its
+ * pings are simplified into an encoded polyline, which outlives the raw pings.
+ */
+class TripTrackingService {
+  /**
+   * Stores a driver's location against every trip they are on, unless it adds
+   * nothing over the last ping stored or looks like GPS noise
+   * @param {number} driverId - Driver ID
+   * @param {Object} location - { lat, lng } or a GeoJSON point, optionally with accuracy, speed, heading, timestamp
+   * @param {Object} [options] - { recordedAt }
+   * @returns {Promise<number>} Pings stored
+   */
+  static async recordPing(driverId, location, { recordedAt } = {}) {
+    const ping = readPing(location, recordedAt);
+    if (!ping || !this.shouldStore(lastStored.get(driverId), ping)) return 0;
+
+    const [orders, rides] = await Promise.all([
+      Order.findAll({ where: { driver_id: driverId, status: ACTIVE_TRIP_STATUSES.order }, attributes: ['id'] }),
+      Ride.findAll({ where: { driverId, status: ACTIVE_TRIP_STATUSES.ride }, attributes: ['id'] }),
+    ]);
+    const trips = [
+      ...orders.map((order) => ({ trip_type: 'order', trip_id: order.id })),
+      ...rides.map((ride) => ({ trip_type: 'ride', trip_id: ride.id })),
+    ];
+    if (!trips.length) return 0;
+
+    await TripLocationPing.bulkCreate(trips.map((trip) => ({ ...trip, driver_id: driverId, ...ping })));
+    lastStored.set(driverId, ping);
+    return trips.length;
+  }
+
+  static shouldStore(last, ping) {
+    const { minIntervalSeconds, maxIntervalSeconds, minDistanceMeters, maxAccuracyMeters, maxSpeedKmh } = config.tripTracking;
+    if (ping.accuracy_meters !== null && ping.accuracy_meters > maxAccuracyMeters) return false;
+    if (!last) return true;
+
+    const seconds = (ping.recorded_at - last.recorded_at) / 1000;
+    if (seconds <= 0) return false; // Out of order or repeated
+    const meters = distanceMeters([last.lat, last.lng], [ping.lat, ping.lng]);
+    if ((meters / seconds) * 3.6 > maxSpeedKmh) return false;
+    if (seconds < minIntervalSeconds) return false;
+    return meters >= minDistanceMeters || seconds >= maxIntervalSeconds;
+  }
+
+  /**
+   * Gets a trip's trail for replay, from the raw pings while they are kept and
+   * from the compressed trail afterwards
+   * @param {string} tripType - 'order' or 'ride'
+   * @param {number} tripId - Order or Ride ID
+   * @returns {Promise<Object>} GeoJSON feature, encoded polyline and driven vs planned distance
+   */
+  static async getTrail(tripType, tripId) {
+    if (!TRIP_TYPES.includes(tripType)) {
+      throw new AppError(`Trip type must be one of: ${TRIP_TYPES.join(', ')}`, 400, 'INVALID_TRIP_TYPE');
+    }
+
+    const trail = await TripTrail.findOne({ where: { trip_type: tripType, trip_id: tripId } });
+    if (trail) {
+      const startedAt = new Date(trail.started_at).getTime();
+      const points = decodePolyline(trail.polyline).map(([lat, lng], i) => [lat, lng, startedAt + (trail.time_offsets[i] || 0) * 1000]);
+      return this.present(tripType, tripId, {
+        source: 'trail',
+        driverId: trail.driver_id,
+        points,
+        polyline: trail.polyline,
+        rawPointCount: trail.raw_point_count,
+        drivenMeters: parseFloat(trail.driven_distance_meters),
+        plannedMeters: trail.planned_distance_meters === null ? null : parseFloat(trail.planned_distance_meters),
+      });
+    }
+
+    const pings = await this.getPings(tripType, tripId);
+    if (!pings.length) throw new AppError('No trail has been recorded for this trip', 404, 'TRAIL_NOT_FOUND');
+    const built = this.buildTrail(pings);
+    return this.present(tripType, tripId, {
+      source: 'pings',
+      driverId: pings[pings.length - 1].driver_id,
+      points: pings.map((ping) => [parseFloat(ping.lat), parseFloat(ping.lng), new Date(ping.recorded_at).getTime()]),
+      polyline: built.polyline,
+      rawPointCount: pings.length,
+      drivenMeters: built.drivenMeters,
+      plannedMeters: await this.getPlannedDistance(tripType, tripId),
+    });
+  }
+
+  static present(tripType, tripId, { source, driverId, points, polyline, rawPointCount, drivenMeters, plannedMeters }) {
+    const deviation = plannedMeters ? mathUtils.roundToDecimal(((drivenMeters - plannedMeters) / plannedMeters) * 100, 1) : null;
+    return {
+      trip_type: tripType,
+      trip_id: Number(tripId),
+      driver_id: driverId,
+      source,
+      started_at: new Date(points[0][2]),
+      ended_at: new Date(points[points.length - 1][2]),
+      point_count: points.length,
+      raw_point_count: rawPointCount,
+      driven_distance_meters: mathUtils.roundToDecimal(drivenMeters, 2),
+      planned_distance_meters: plannedMeters,
+      distance_deviation_percent: deviation,
+      polyline,
+      geojson: {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: points.map(([lat, lng]) => [lng, lat]) },
+        properties: { timestamps: points.map(([, , at]) => new Date(at).toISOString()) },
+      },
+    };
+  }
+
+  static async getPings(tripType, tripId, options = {}) {
+    return TripLocationPing.findAll({
+      where: { trip_type: tripType, trip_id: tripId },
+      attributes: ['driver_id', 'lat', 'lng', 'recorded_at'],
+      order: [['recorded_at', 'ASC'], ['id', 'ASC']],
+      ...options,
+    });
+  }
+
+  /**
+   * Measures and simplifies stored pings
+   * @param {Object[]} pings - In recorded order
+   * @returns {Object} { drivenMeters, polyline, timeOffsets, points, startedAt, endedAt }
+   */
+  static buildTrail(pings) {
+    const points = pings.map((ping) => [parseFloat(ping.lat), parseFloat(ping.lng), new Date(ping.recorded_at).getTime()]);
+    let drivenMeters = 0;
+    for (let i = 1; i < points.length; i += 1) drivenMeters += distanceMeters(points[i - 1], points[i]);
+
+    const simplified = simplifyPath(points, config.tripTracking.simplifyToleranceMeters);
+    const startedAt = points[0][2];
+    return {
+      drivenMeters,
+      polyline: encodePolyline(simplified),
+      timeOffsets: simplified.map(([, , at]) => Math.round((at - startedAt) / 1000)),
+      points: simplified,
+      startedAt: new Date(startedAt),
+      endedAt: new Date(points[points.length - 1][2]),
+    };
+  }
+
+  // The route the trip was expected to follow, in metres
+  static async getPlannedDistance(tripType, tripId) {
+    let route = null;
+    if (tripType === 'order') {
+      const order = await Order.findByPk(tripId, { attributes: ['id', 'route_id'] });
+      route = order?.route_id ? await Route.findByPk(order.route_id) : null;
+    } else {
+      const ride = await Ride.findByPk(tripId, { attributes: ['id', 'routeId'] });
+      route = ride?.routeId ? await Route.findByPk(ride.routeId) : await Route.findOne({ where: { rideId: tripId } });
+    }
+    const distance = parseFloat(route?.distance);
+    return Number.isFinite(distance) && distance > 0 ? distance : null;
+  }
+
+  /**
+   * Stores the simplified trail of a trip from its pings
+   * @param {string} tripType - 'order' or 'ride'
+   * @param {number} tripId - Order or Ride ID
+   * @returns {Promise<Object|null>} TripTrail, or null when the trip has no pings
+   */
+  static async compressTrip(tripType, tripId) {
+    const pings = await this.getPings(tripType, tripId);
+    if (!pings.length) return null;
+
+    const built = this.buildTrail(pings);
+    const values = {
+      trip_type: tripType,
+      trip_id: tripId,
+      driver_id: pings[pings.length - 1].driver_id,
+      polyline: built.polyline,
+      time_offsets: built.timeOffsets,
+      point_count: built.points.length,
+      raw_point_count: pings.length,
+      driven_distance_meters: mathUtils.roundToDecimal(built.drivenMeters, 2),
+      planned_distance_meters: await this.getPlannedDistance(tripType, tripId),
+      started_at: built.startedAt,
+      ended_at: built.endedAt,
+    };
+    const [trail] = await TripTrail.upsert(values, { conflictFields: ['trip_type', 'trip_id'] });
+    return trail;
+  }
+
+  /**
+   * Compresses the trails of trips that have finished since the last sweep
+   * @returns {Promise<number>} Trails stored
+   */
+  static async compressFinishedTrips() {
+    let compressed = 0;
+    for (const tripType of TRIP_TYPES) {
+      const pending = await this.findUncompressedTripIds(tripType);
+      if (!pending.length) continue;
+
+      const finished = tripType === 'order'
+        ? await Order.findAll({ where: { id: pending, status: FINISHED_TRIP_STATUSES.order }, attributes: ['id'] })
+        : await Ride.findAll({ where: { id: pending, status: FINISHED_TRIP_STATUSES.ride }, attributes: ['id'] });
+      for (const { id } of finished) {
+        if (await this.compressTrip(tripType, id)) compressed += 1;
+      }
+    }
+    return compressed;
+  }
+
+  // Trips with pings but no trail yet, optionally only those with pings before a date
+  static async findUncompressedTripIds(tripType, before = null) {
+    const rows = await TripLocationPing.findAll({
+      where: { trip_type: tripType, ...(before ? { recorded_at: { [Op.lt]: before } } : {}) },
+      attributes: ['trip_id'],
+      group: ['trip_id'],
+      raw: true,
+    });
+    if (!rows.length) return [];
+
+    const ids = rows.map((row) => row.trip_id);
+    const trails = await TripTrail.findAll({ where: { trip_type: tripType, trip_id: ids }, attributes: ['trip_id'], raw: true });
+    const done = new Set(trails.map((trail) => trail.trip_id));
+    return ids.filter((id) => !done.has(id));
+  }
+
+  /**
+   * Deletes raw pings older than the retention period. Trips that would lose
+   * pings without having a trail yet are compressed first, finished or not.
+   * @returns {Promise<number>} Pings deleted
+   */
+  static async purgeExpiredPings() {
+    const cutoff = new Date(Date.now() - config.tripTracking.rawRetentionDays * 86400000);
+    for (const tripType of TRIP_TYPES) {
+      for (const tripId of await this.findUncompressedTripIds(tripType, cutoff)) {
+        await this.compressTrip(tripType, tripId);
+      }
+    }
+
+    const deleted = await TripLocationPing.destroy({ where: { recorded_at: { [Op.lt]: cutoff } } });
+    if (deleted) logger.info('Expired trip pings purged', { deleted, cutoff });
+    return deleted;
+  }
+}
+
+module.exports = TripTrackingService;
@@ -1,64 +1,129 @@
 // src/services/webhookService.js
-const { Payment } = require('../../models');
-const { PAYMENT_CONSTANTS } = require('../../config/constants');
-const notificationService = require('./notificationService');
-const eventManager = require('./eventManager');
+const { Payment, WebhookEvent } = require('../../models');
+const AppError = require('../../utils/AppError');
+const config = require('../../config/config');
+const { logger } = require('../../utils/logger');
+const paymentService = require('./paymentService');
+const NotificationService = require('../notifications/core/notificationService');
 
 class WebhookService {
+  /**
+   * Runs a webhook handler at most once per provider event. Deliveries of an
+   * already processed event are acknowledged without touching the payment again;
+   * failed events, and events whose handler never finished within the claim
+   * timeout, are retried when the provider redelivers them.
+   * @param {Object} webhook - { provider, eventId, verified } from the signature middleware
+   * @param {Object} payload - Request body
+   * @param {Function} handler - Resolves to the payment the event applied to
+   * @returns {Promise<Object>} { duplicate, payment_id, status }
+   */
+  async processEvent(webhook, payload, handler) {
+    const { provider, eventId, verified } = webhook;
+    const [event, created] = await WebhookEvent.findOrCreate({
+      where: { provider, event_id: eventId },
+      defaults: { payload, signature_verified: verified, claimed_at: new Date() },
+    });
+
+    if (!created) {
+      if (event.status === 'processed') {
+        logger.info('Duplicate webhook ignored', { provider, event_id: eventId });
+        return { duplicate: true, ...event.result };
+      }
+      if (event.status === 'received' && !this.isClaimAbandoned(event)) {
+        throw new AppError('Webhook event is still being processed', 409, 'WEBHOOK_IN_PROGRESS', {
+          event_id: eventId,
+        });
+      }
+      // Claim the event so concurrent redeliveries do not both retry it
+      const { status: previousStatus, claimed_at: previousClaim, attempts } = event;
+      const claimedAt = new Date();
+      const [claimed] = await WebhookEvent.update(
+        { status: 'received', claimed_at: claimedAt, attempts: attempts + 1, payload, error: null },
+        { where: { id: event.id, status: previousStatus, claimed_at: previousClaim } }
+      );
+      if (!claimed) {
+        throw new AppError('Webhook event is still being processed', 409, 'WEBHOOK_IN_PROGRESS', {
+          event_id: eventId,
+        });
+      }
+      if (previousStatus === 'received') {
+        logger.warn('Retrying abandoned webhook event', { provider, event_id: eventId, claimed_at: previousClaim });
+      }
+      event.set({ status: 'received', claimed_at: claimedAt, attempts: attempts + 1 });
+    }
+
+    try {
+      const payment = await handler();
+      const result = { payment_id: payment.id, status: payment.status };
+      await event.update({
+        status: 'processed',
+        payment_id: payment.id,
+        result,
+        processed_at: new Date(),
+      });
+      return { duplicate: false, ...result };
+    } catch (error) {
+      // If even this fails, the claim times out and the next redelivery retries the event
+      await event.update({ status: 'failed', error: error.message }).catch(updateError =>
+        logger.error('Failed to mark webhook event failed', { provider, event_id: eventId, error: updateError.message })
+      );
+      throw error;
+    }
+  }
+
+  // A claim left in place past the timeout belongs to a handler that crashed
+  isClaimAbandoned(event) {
+    const claimedAt = new Date(event.claimed_at || event.updated_at).getTime();
+    return Date.now() - claimedAt > config.payments.webhooks.claimTimeoutSeconds * 1000;
+  }
+
   async handleMobileMoneyWebhook(data) {
-    const { transaction_id, status, payment_id } = data;
-    
+    const { status, payment_id } = data;
+
     const payment = await Payment.findOne({
       where: { transaction_id: payment_id }
     });
 
     if (!payment) {
-      throw new Error('Payment not found');
+      throw new AppError('Payment not found', 404);
     }
 
-    const updatedPayment = await payment.update({
-      status: this.mapProviderStatus(status),
-      payment_details: {
-        ...payment.payment_details,
-        webhook_data: data
-      }
-    });
-
-    // Emit event for real-time updates
-    eventManager.emit('payment.updated', {
-      payment: updatedPayment,
-      customerId: payment.customer_id
-    });
-
-    // Send notification
-    await this.sendPaymentNotification(updatedPayment);
+    return this.applyWebhookStatus(payment, status, data, 'mobile_money_webhook');
   }
 
   async handleBankWebhook(data) {
-    const { bank_reference, status, payment_id } = data;
-    
+    const { bank_reference, status } = data;
+
     const payment = await Payment.findOne({
       where: { bank_reference }
     });
 
     if (!payment) {
-      throw new Error('Payment not found');
+      throw new AppError('Payment not found', 404);
     }
 
-    const updatedPayment = await payment.update({
-      status: this.mapProviderStatus(status),
-      payment_details: {
-        ...payment.payment_details,
-        webhook_data: data
-      }
-    });
+    return this.applyWebhookStatus(payment, status, data, 'bank_webhook');
+  }
 
-    eventManager.emit('payment.updated', {
-      payment: updatedPayment,
-      customerId: payment.customer_id
-    });
+  // Status rules live in PaymentService, so a stale webhook leaves the payment untouched
+  async applyWebhookStatus(payment, providerStatus, data, source) {
+    const previousStatus = payment.status;
+    const updatedPayment = await paymentService.applyStatusUpdate(
+      payment,
+      this.mapProviderStatus(providerStatus),
+      {
+        payment_details: {
+          ...payment.payment_details,
+          webhook_data: data
+        }
+      },
+      source
+    );
 
-    await this.sendPaymentNotification(updatedPayment);
+    if (updatedPayment.status !== previousStatus) {
+      await this.sendPaymentNotification(updatedPayment);
+    }
+    return updatedPayment;
   }
 
   mapProviderStatus(providerStatus) {
@@ -73,21 +138,15 @@ class WebhookService {
   }
 
   async sendPaymentNotification(payment) {
-    const notificationData = {
+    const customer = await payment.getCustomer();
+    await NotificationService.sendThroughChannel({
+      user_id: customer.user_id,
       type: 'PAYMENT_UPDATE',
-      recipient: {
-        customer_id: payment.customer_id
-      },
-      data: {
-        payment_id: payment.id,
-        status: payment.status,
-        amount: payment.amount,
-        payment_method: payment.payment_method
-      }
-    };
-
-    await notificationService.sendNotification(notificationData);
+      message: `Your payment of ${payment.amount} is now ${payment.status}.`,
+      priority: 'MEDIUM',
+      channel: customer.preferences?.notification_channel || 'EMAIL',
+    });
   }
 }
 
-module.exports = new WebhookService();
\ No newline at end of file
+module.exports = new WebhookService();
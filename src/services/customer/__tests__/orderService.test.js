@@ -0,0 +1,435 @@
+'use strict';
+
+jest.mock('@models', () => ({
+  Order: { findAll: jest.fn(), sequelize: { transaction: jest.fn() } },
+  OrderItems: {},
+  Checkout: { create: jest.fn(), update: jest.fn(), findByPk: jest.fn() },
+  Cart: {},
+  CartItem: {},
+  MenuInventory: {},
+  ProductDiscount: {},
+  Payment: { sum: jest.fn(), findAll: jest.fn() },
+  PaymentAllocation: { create: jest.fn(), bulkCreate: jest.fn() },
+  Customer: { findByPk: jest.fn() },
+  Merchant: {},
+  Address: {},
+  MerchantBranch: { findOne: jest.fn() },
+  Driver: {},
+  Notification: {},
+}));
+jest.mock('@utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('@services/notifications/core/notificationService', () => ({
+  sendThroughChannel: jest.fn(),
+}));
+jest.mock('@services/common/paymentService', () => ({
+  initiateBankCardPayment: jest.fn(),
+  payWithGiftCard: jest.fn(),
+  initiateRefund: jest.fn(),
+}));
+jest.mock('@services/customer/promotionService', () => ({
+  evaluateCart: jest.fn(),
+}));
+jest.mock('@services/customer/cartService', () => ({}));
+jest.mock('@services/common/pricingService', () => ({
+  round: amount => Math.round(amount * 100) / 100,
+  getMerchantPricingRules: jest.fn(),
+}));
+jest.mock('@services/customer/deliveryFeeService', () => ({}));
+jest.mock('@services/customer/orderSchedulingService', () => ({}));
+jest.mock('@services/common/orderStatusService', () => ({
+  transition: jest.fn(),
+}));
+jest.mock('@services/merchant/products/inventoryService', () => ({}));
+jest.mock('@services/common/giftCardService', () => ({
+  findRedeemable: jest.fn(),
+}));
+jest.mock('@services/common/dispatchService', () => ({}));
+jest.mock('@services/events/core/eventManager', () => ({ on: jest.fn() }));
+
+const {
+  Order,
+  Checkout,
+  Payment,
+  PaymentAllocation,
+  Customer,
+  MerchantBranch,
+} = require('@models');
+const paymentService = require('@services/common/paymentService');
+const PromotionService = require('@services/customer/promotionService');
+const PricingService = require('@services/common/pricingService');
+const OrderStatusService = require('@services/common/orderStatusService');
+const GiftCardService = require('@services/common/giftCardService');
+const OrderService = require('@services/customer/orderService');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const makeRecord = fields => ({
+  ...fields,
+  update: jest.fn(async function update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }),
+  reload: jest.fn(async function reload() {
+    return this;
+  }),
+  setDataValue(field, value) {
+    this[field] = value;
+  },
+});
+
+const makeGroup = (merchantId, total) => ({
+  merchant_id: merchantId,
+  branch: { id: merchantId * 10 },
+  lines: [],
+  cartItems: [],
+  pricingRules: { currency: 'MWK' },
+  total,
+});
+
+describe('OrderService checkout', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    Order.sequelize.transaction.mockImplementation(work => work(transaction));
+  });
+
+  describe('groupCartByMerchant', () => {
+    beforeEach(() => {
+      PricingService.getMerchantPricingRules.mockResolvedValue({
+        currency: 'MWK',
+      });
+      MerchantBranch.findOne.mockImplementation(async ({ where }) => ({
+        id: where.id,
+      }));
+    });
+
+    it('puts the lines of each merchant in one group served by their branch', async () => {
+      const lines = [
+        { merchant_id: 1, branch_id: 11 },
+        { merchant_id: 2, branch_id: 21 },
+        { merchant_id: 1, branch_id: 11 },
+      ];
+
+      const groups = await OrderService.groupCartByMerchant(
+        ['a', 'b', 'c'],
+        lines,
+        { lat: 0, lng: 0 }
+      );
+
+      expect(groups).toHaveLength(2);
+      expect(groups[0]).toMatchObject({
+        merchant_id: 1,
+        lines: [lines[0], lines[2]],
+        cartItems: ['a', 'c'],
+        branch: { id: 11 },
+      });
+      expect(groups[1]).toMatchObject({
+        merchant_id: 2,
+        cartItems: ['b'],
+        branch: { id: 21 },
+      });
+    });
+
+    it('uses the nearest branch when the items name none', async () => {
+      jest
+        .spyOn(OrderService, 'findNearestMerchantBranch')
+        .mockResolvedValue({ id: 12 });
+
+      const [group] = await OrderService.groupCartByMerchant(
+        ['a'],
+        [{ merchant_id: 1 }],
+        { lat: -13.9, lng: 33.7 }
+      );
+
+      expect(OrderService.findNearestMerchantBranch).toHaveBeenCalledWith(
+        -13.9,
+        33.7,
+        1
+      );
+      expect(group.branch).toEqual({ id: 12 });
+    });
+
+    it('refuses items of one merchant from two branches', async () => {
+      await expect(
+        OrderService.groupCartByMerchant(
+          ['a', 'b'],
+          [
+            { merchant_id: 1, branch_id: 11 },
+            { merchant_id: 1, branch_id: 12 },
+          ],
+          { lat: 0, lng: 0 }
+        )
+      ).rejects.toMatchObject({ errorCode: 'MULTIPLE_BRANCHES' });
+    });
+  });
+
+  describe('checkout', () => {
+    let payment;
+
+    const setUpCart = groups => {
+      jest
+        .spyOn(OrderService, 'findCustomerByUser')
+        .mockResolvedValue({ id: 5 });
+      jest.spyOn(OrderService, 'loadCheckoutContext').mockResolvedValue({
+        cart: makeRecord({ id: 8, coupon_code: null }),
+        customer: { id: 5 },
+        destination: { lat: 0, lng: 0 },
+        lines: [],
+        groups,
+        currency: 'MWK',
+      });
+      jest
+        .spyOn(OrderService, 'priceMerchantGroup')
+        .mockImplementation(async ({ group }) => ({
+          group,
+          schedule: null,
+          applied_promotions: [],
+          breakdown: {
+            subtotal: group.total,
+            discount: 0,
+            delivery_fee: 0,
+            total: group.total,
+          },
+        }));
+      jest
+        .spyOn(OrderService, 'createChildOrder')
+        .mockImplementation(async ({ priced }) =>
+          makeRecord({
+            id: 100 + priced.group.merchant_id,
+            merchant_id: priced.group.merchant_id,
+            branch_id: priced.group.branch.id,
+            total_amount: priced.breakdown.total.toFixed(2),
+            status: 'pending',
+          })
+        );
+    };
+
+    beforeEach(() => {
+      PromotionService.evaluateCart.mockResolvedValue({
+        applied_promotions: [],
+      });
+      Checkout.create.mockImplementation(async data =>
+        makeRecord({ id: 30, status: 'pending', ...data })
+      );
+      payment = makeRecord({ id: 40, status: 'pending' });
+      paymentService.initiateBankCardPayment.mockImplementation(async data =>
+        Object.assign(payment, { amount: data.amount })
+      );
+      Payment.sum.mockResolvedValue(0);
+    });
+
+    const checkout = (fields = {}) =>
+      OrderService.checkout({
+        user_id: 3,
+        cart_id: 8,
+        payment_method: 'BANK_CARD',
+        payment_details: { bank_name: 'NBM' },
+        ...fields,
+      });
+
+    it('creates one checkout with a child order per merchant and splits the payment between them', async () => {
+      setUpCart([makeGroup(1, 60), makeGroup(2, 40)]);
+
+      const result = await checkout();
+
+      expect(Checkout.create).toHaveBeenCalledWith(
+        expect.objectContaining({ customer_id: 5, total_amount: 100 }),
+        { transaction }
+      );
+      expect(paymentService.initiateBankCardPayment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          checkout_id: 30,
+          order_id: null,
+          merchant_id: null,
+          amount: 100,
+        })
+      );
+      expect(PaymentAllocation.bulkCreate).toHaveBeenCalledWith([
+        expect.objectContaining({
+          payment_id: 40,
+          order_id: 101,
+          merchant_id: 1,
+          amount: 60,
+        }),
+        expect.objectContaining({
+          payment_id: 40,
+          order_id: 102,
+          merchant_id: 2,
+          amount: 40,
+        }),
+      ]);
+      expect(result).toMatchObject({
+        checkout_id: 30,
+        status: 'pending',
+        total_amount: 100,
+        payment_id: 40,
+      });
+      expect(result.orders.map(order => order.order_id)).toEqual([101, 102]);
+    });
+
+    it('ties the payment of a single-merchant checkout to its order', async () => {
+      setUpCart([makeGroup(1, 60)]);
+
+      await checkout();
+
+      expect(paymentService.initiateBankCardPayment).toHaveBeenCalledWith(
+        expect.objectContaining({ order_id: 101, merchant_id: 1, amount: 60 })
+      );
+    });
+
+    it('takes a gift card off the share of its own merchant', async () => {
+      setUpCart([makeGroup(1, 60), makeGroup(2, 40)]);
+      GiftCardService.findRedeemable.mockResolvedValue({
+        merchant_id: 1,
+        balance: '25.00',
+      });
+      paymentService.payWithGiftCard.mockResolvedValue({ id: 41, amount: 25 });
+
+      await checkout({ gift_card_code: 'GIFT-1' });
+
+      expect(paymentService.payWithGiftCard).toHaveBeenCalledWith(
+        expect.objectContaining({ order_id: 101, merchant_id: 1, amount: 25 })
+      );
+      expect(PaymentAllocation.create).toHaveBeenCalledWith(
+        expect.objectContaining({ payment_id: 41, order_id: 101, amount: 25 })
+      );
+      expect(paymentService.initiateBankCardPayment).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 75 })
+      );
+      expect(
+        PaymentAllocation.bulkCreate.mock.calls[0][0].map(
+          allocation => allocation.amount
+        )
+      ).toEqual([35, 40]);
+    });
+
+    it('leaves an order the gift card paid in full out of the card payment', async () => {
+      setUpCart([makeGroup(1, 60), makeGroup(2, 40)]);
+      GiftCardService.findRedeemable.mockResolvedValue({
+        merchant_id: 1,
+        balance: '80.00',
+      });
+      paymentService.payWithGiftCard.mockResolvedValue({ id: 41, amount: 60 });
+
+      await checkout({ gift_card_code: 'GIFT-1' });
+
+      expect(PaymentAllocation.bulkCreate).toHaveBeenCalledWith([
+        expect.objectContaining({ order_id: 102, amount: 40 }),
+      ]);
+    });
+
+    it('refuses a gift card none of the merchants accept', async () => {
+      setUpCart([makeGroup(1, 60)]);
+      GiftCardService.findRedeemable.mockResolvedValue({
+        merchant_id: 9,
+        balance: '25.00',
+      });
+
+      await expect(
+        checkout({ gift_card_code: 'GIFT-9' })
+      ).rejects.toMatchObject({ errorCode: 'GIFT_CARD_NOT_ACCEPTED' });
+      expect(Checkout.create).not.toHaveBeenCalled();
+    });
+
+    it('cancels the checkout when the payment fails straight away', async () => {
+      setUpCart([makeGroup(1, 60), makeGroup(2, 40)]);
+      payment.reload.mockImplementation(async function reload() {
+        this.status = 'failed';
+        return this;
+      });
+      jest.spyOn(OrderService, 'cancelUnpaidCheckout').mockResolvedValue(true);
+
+      await expect(checkout()).rejects.toMatchObject({
+        statusCode: 402,
+        errorCode: 'PAYMENT_FAILED',
+      });
+      expect(OrderService.cancelUnpaidCheckout).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 30 }),
+        expect.any(String)
+      );
+    });
+
+    it('only takes the payment methods a checkout can settle', async () => {
+      await expect(checkout({ payment_method: 'CASH' })).rejects.toMatchObject({
+        errorCode: 'INVALID_PAYMENT_METHOD',
+      });
+    });
+  });
+
+  describe('confirmCheckout', () => {
+    const checkout = () =>
+      makeRecord({
+        id: 30,
+        customer_id: 5,
+        total_amount: '100.00',
+        status: 'pending',
+      });
+
+    beforeEach(() => {
+      Checkout.update.mockResolvedValue([1]);
+      Customer.findByPk.mockResolvedValue({ user_id: 3 });
+    });
+
+    it('waits until the payments cover the total', async () => {
+      Payment.sum.mockResolvedValue(60);
+
+      expect(await OrderService.confirmCheckout(checkout())).toBe(false);
+      expect(Checkout.update).not.toHaveBeenCalled();
+    });
+
+    it('confirms the pending orders and refunds the share of one cancelled meanwhile', async () => {
+      Payment.sum.mockResolvedValue(100);
+      const now = makeRecord({ id: 101, status: 'pending' });
+      const later = makeRecord({
+        id: 102,
+        status: 'pending',
+        scheduled_for: new Date('2026-10-20T12:00:00Z'),
+      });
+      const cancelled = makeRecord({
+        id: 103,
+        order_number: 'ORD-103',
+        status: 'cancelled',
+      });
+      Order.findAll.mockResolvedValue([now, later, cancelled]);
+      jest
+        .spyOn(OrderService, 'findRefundablePayments')
+        .mockResolvedValue([{ payment: { id: 40 }, refundable: 20 }]);
+      const paid = checkout();
+
+      expect(await OrderService.confirmCheckout(paid)).toBe(true);
+
+      expect(OrderStatusService.transition).toHaveBeenCalledTimes(2);
+      expect(OrderStatusService.transition).toHaveBeenCalledWith(
+        expect.objectContaining({
+          order: now,
+          toStatus: 'confirmed',
+          updates: { payment_status: 'paid' },
+        })
+      );
+      expect(OrderStatusService.transition).toHaveBeenCalledWith(
+        expect.objectContaining({ order: later, toStatus: 'scheduled' })
+      );
+      expect(OrderService.findRefundablePayments).toHaveBeenCalledWith(
+        cancelled,
+        transaction
+      );
+      expect(paymentService.initiateRefund).toHaveBeenCalledWith(
+        40,
+        expect.objectContaining({ order_id: 103, amount: 20 }),
+        transaction
+      );
+      expect(paid.status).toBe('paid');
+    });
+
+    it('confirms a checkout only once', async () => {
+      Payment.sum.mockResolvedValue(100);
+      Checkout.update.mockResolvedValue([0]);
+
+      expect(await OrderService.confirmCheckout(checkout())).toBe(false);
+      expect(Order.findAll).not.toHaveBeenCalled();
+      expect(OrderStatusService.transition).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,222 @@
+'use strict';
+
+jest.mock('@models', () => ({
+  sequelize: { transaction: jest.fn() },
+  Wallet: { findOne: jest.fn(), findOrCreate: jest.fn() },
+  WalletTransaction: { create: jest.fn(), findOne: jest.fn() },
+  Customer: { findByPk: jest.fn() },
+}));
+jest.mock('@config/config', () => ({
+  wallet: { minimumTopUp: 500, maximumBalance: 10000 },
+}));
+jest.mock('@utils/logger', () => ({ logTransactionEvent: jest.fn() }));
+jest.mock('@services/common/ledgerService', () => ({ post: jest.fn() }));
+
+const { sequelize, Wallet, WalletTransaction, Customer } = require('@models');
+const { LEDGER_ACCOUNTS } = require('@config/constants/settlement');
+const LedgerService = require('@services/common/ledgerService');
+const WalletService = require('@services/customer/walletService');
+
+const transaction = {
+  LOCK: { UPDATE: 'UPDATE' },
+  afterCommit: callback => callback(),
+};
+
+// Wallets and their movements held in memory
+let wallets;
+let movements;
+const matches = (row, where) =>
+  Object.entries(where).every(([field, value]) => row[field] === value);
+
+const openWallet = (fields = {}) => {
+  const wallet = {
+    id: wallets.length + 1,
+    customer_id: 5,
+    balance: '0.00',
+    currency: 'MWK',
+    status: 'active',
+    ...fields,
+    update: jest.fn(async function update(changes) {
+      Object.assign(this, changes);
+      return this;
+    }),
+  };
+  wallets.push(wallet);
+  return wallet;
+};
+
+const topUp = (fields = {}) => ({
+  id: 70,
+  wallet_id: 1,
+  amount: 1000,
+  provider: 'Airtel',
+  ...fields,
+});
+
+describe('WalletService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    wallets = [];
+    movements = [];
+    sequelize.transaction.mockImplementation(work => work(transaction));
+    Wallet.findOne.mockImplementation(
+      async ({ where }) => wallets.find(row => matches(row, where)) || null
+    );
+    Wallet.findOrCreate.mockImplementation(async ({ where, defaults }) => [
+      openWallet({ ...where, ...defaults }),
+      true,
+    ]);
+    WalletTransaction.create.mockImplementation(async data => {
+      const movement = { id: movements.length + 1, ...data };
+      movements.push(movement);
+      return movement;
+    });
+    WalletTransaction.findOne.mockImplementation(
+      async ({ where }) => movements.find(row => matches(row, where)) || null
+    );
+  });
+
+  it('opens a wallet in the currency of the customer country', async () => {
+    Customer.findByPk.mockResolvedValue({ id: 5, country: 'Tanzania' });
+
+    const wallet = await WalletService.getOrCreateWallet(5);
+
+    expect(wallet).toMatchObject({ customer_id: 5, currency: 'TZS' });
+  });
+
+  it('keeps the balance equal to its movements, each recording the balance it left', async () => {
+    const wallet = openWallet();
+
+    await WalletService.creditTopUp(topUp());
+    await WalletService.debit(
+      { customer_id: 5, amount: 250.4, currency: 'MWK', payment_id: 71 },
+      transaction
+    );
+    await WalletService.creditRefund(
+      { id: 9, amount: '100.00' },
+      { id: 71, customer_id: 5 },
+      transaction
+    );
+
+    expect(
+      movements.map(({ type, amount, balance_after }) => ({
+        type,
+        amount,
+        balance_after,
+      }))
+    ).toEqual([
+      { type: 'top_up', amount: 1000, balance_after: 1000 },
+      { type: 'payment', amount: -250.4, balance_after: 749.6 },
+      { type: 'refund', amount: 100, balance_after: 849.6 },
+    ]);
+    expect(wallet.balance).toBe(849.6);
+  });
+
+  it('refuses a payment larger than the balance without moving anything', async () => {
+    const wallet = openWallet({ balance: '100.00' });
+
+    await expect(
+      WalletService.debit({ customer_id: 5, amount: 100.01 }, transaction)
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      errorCode: 'INSUFFICIENT_WALLET_BALANCE',
+      details: { balance: 100, required: 100.01 },
+    });
+    expect(wallet.update).not.toHaveBeenCalled();
+    expect(movements).toHaveLength(0);
+  });
+
+  it('refuses payments from a frozen wallet or in another currency', async () => {
+    const wallet = openWallet({ balance: '100.00', status: 'frozen' });
+
+    await expect(
+      WalletService.debit({ customer_id: 5, amount: 10 }, transaction)
+    ).rejects.toMatchObject({ statusCode: 403, errorCode: 'WALLET_FROZEN' });
+
+    wallet.status = 'active';
+    await expect(
+      WalletService.debit(
+        { customer_id: 5, amount: 10, currency: 'TZS' },
+        transaction
+      )
+    ).rejects.toMatchObject({ errorCode: 'WALLET_CURRENCY_MISMATCH' });
+    expect(movements).toHaveLength(0);
+  });
+
+  it('credits a top-up once and books it from clearing into the wallet', async () => {
+    const wallet = openWallet();
+
+    const credited = await WalletService.creditTopUp(topUp());
+    const repeated = await WalletService.creditTopUp(topUp());
+
+    expect(credited).toMatchObject({ type: 'top_up', payment_id: 70 });
+    expect(repeated).toBeNull();
+    expect(wallet.balance).toBe(1000);
+    expect(LedgerService.post).toHaveBeenCalledTimes(1);
+    expect(LedgerService.post).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'wallet_top_up',
+        reference_type: 'payment',
+        reference_id: 70,
+        entries: [
+          {
+            account: LEDGER_ACCOUNTS.PLATFORM_CLEARING,
+            direction: 'debit',
+            amount: 1000,
+          },
+          {
+            account: LEDGER_ACCOUNTS.CUSTOMER_WALLET,
+            owner_type: 'customer',
+            owner_id: 5,
+            direction: 'credit',
+            amount: 1000,
+          },
+        ],
+      }),
+      transaction
+    );
+  });
+
+  it('credits a refund once and only in the wallet currency', async () => {
+    const wallet = openWallet();
+    const payment = { id: 71, customer_id: 5 };
+
+    await WalletService.creditRefund(
+      { id: 9, amount: '40.00' },
+      payment,
+      transaction
+    );
+    const repeated = await WalletService.creditRefund(
+      { id: 9, amount: '40.00' },
+      payment,
+      transaction
+    );
+    expect(repeated).toBeNull();
+    expect(wallet.balance).toBe(40);
+
+    await expect(
+      WalletService.creditRefund(
+        { id: 10, amount: '5.00', currency: 'TZS' },
+        payment,
+        transaction
+      )
+    ).rejects.toMatchObject({ errorCode: 'WALLET_CURRENCY_MISMATCH' });
+    expect(movements).toHaveLength(1);
+  });
+
+  it('keeps top-ups between the minimum and the maximum balance', async () => {
+    const wallet = openWallet({ balance: '9600.00' });
+
+    await expect(WalletService.validateTopUp(5, 499)).rejects.toMatchObject({
+      errorCode: 'TOP_UP_BELOW_MINIMUM',
+      details: { minimum: 500, currency: 'MWK' },
+    });
+    await expect(WalletService.validateTopUp(5, 500)).rejects.toMatchObject({
+      errorCode: 'WALLET_LIMIT_EXCEEDED',
+      details: { maximum: 10000, balance: 9600 },
+    });
+
+    wallet.balance = '9500.00';
+    await expect(WalletService.validateTopUp(5, 500)).resolves.toBe(wallet);
+  });
+});
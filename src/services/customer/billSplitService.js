@@ -0,0 +1,496 @@
+'use strict';
+
+const {
+  BillSplit,
+  BillSplitShare,
+  InDiningOrder,
+  Customer,
+  MerchantBranch,
+  Table,
+  UserConnections,
+} = require('@models');
+const { Op } = require('sequelize');
+const PaymentService = require('@services/common/paymentService');
+const PricingService = require('@services/common/pricingService');
+const OrderStatusService = require('@services/common/orderStatusService');
+const eventManager = require('@services/events/core/eventManager');
+const {
+  BILL_SPLIT_MODES,
+  BILL_SHARE_SETTLED_PAYMENT_STATUSES,
+  BILL_SHARE_FAILED_PAYMENT_STATUSES,
+  BILL_PAYABLE_ORDER_STATUSES,
+} = require('@config/constants/billSplit');
+const { WALLET_PAYMENT_METHOD } = require('@config/constants/wallet');
+const { GIFT_CARD_PAYMENT_METHOD } = require('@config/constants/giftCard');
+const { logger, logTransactionEvent } = require('@utils/logger');
+const AppError = require('@utils/AppError');
+
+// Claimed quantities are compared with this tolerance so halves and thirds of a dish add up
+const QUANTITY_TOLERANCE = 1e-6;
+
+const orderInclude = { model: InDiningOrder, as: 'order', include: [{ model: MerchantBranch, as: 'branch' }] };
+const splitIncludes = [{ model: BillSplitShare, as: 'shares' }, orderInclude];
+
+class BillSplitService {
+  constructor() {
+    eventManager.on('payment.updated', this.handlePaymentUpdated.bind(this));
+  }
+
+  /**
+   * Splits an in-dining bill into shares, one per participant, and starts paying the
+   * shares whose payer chose a method. The order owner always takes part; everyone
+   * else must be an accepted friend of theirs.
+   * @param {number} orderId - InDiningOrder ID
+   * @param {Object} params
+   * @param {string} [params.mode='even'] - 'even', 'custom' or 'items'
+   * @param {Array} params.participants - { user_id, amount?, items?, payment_method? }
+   * @param {number} [params.requested_by] - User who asked for the bill
+   * @param {number} [params.staff_id] - Staff member who split it at the table
+   * @returns {Promise<Object>} Split progress, as broadcast to the branch
+   */
+  async createSplit(orderId, { mode = 'even', participants = [], requested_by = null, staff_id = null }) {
+    if (!BILL_SPLIT_MODES.includes(mode)) {
+      throw new AppError(`Split mode must be one of ${BILL_SPLIT_MODES.join(', ')}`, 400, 'INVALID_SPLIT_MODE');
+    }
+
+    const order = await InDiningOrder.findByPk(orderId, {
+      include: [
+        { model: Customer, as: 'customer' },
+        { model: MerchantBranch, as: 'branch' },
+      ],
+    });
+    if (!order) throw new AppError('In-dining order not found', 404, 'ORDER_NOT_FOUND');
+    if (order.status === 'cancelled') throw new AppError('Order has been cancelled', 400, 'ORDER_CANCELLED');
+    if (await this.getOpenSplit(order.id)) {
+      throw new AppError('The bill is already being settled', 409, 'BILL_SPLIT_OPEN');
+    }
+    if (!BILL_PAYABLE_ORDER_STATUSES.includes(order.payment_status)) {
+      throw new AppError('Bill already processed', 400, 'BILL_ALREADY_PAID');
+    }
+
+    const payers = await this.resolveParticipants(order, participants);
+    const amounts = this.calculateShares(order, mode, payers);
+
+    const split = await BillSplit.sequelize.transaction(async (t) => {
+      const created = await BillSplit.create({
+        in_dining_order_id: order.id,
+        mode,
+        total_amount: order.total_amount,
+        currency: order.currency,
+        requested_by,
+        staff_id,
+      }, { transaction: t });
+      const shares = await BillSplitShare.bulkCreate(payers.map((payer, index) => ({
+        bill_split_id: created.id,
+        customer_id: payer.customer.id,
+        amount: amounts[index],
+        items: mode === 'items' ? payer.items : null,
+      })), { transaction: t, returning: true });
+      await order.update({ payment_status: 'processing' }, { transaction: t });
+      created.shares = shares;
+      return created;
+    });
+
+    logTransactionEvent('Bill split', {
+      bill_split_id: split.id,
+      in_dining_order_id: order.id,
+      mode,
+      shares: amounts,
+      requested_by,
+      staff_id,
+    });
+
+    // A payer whose provider turns the request down can retry their share on its own
+    for (const [index, share] of split.shares.entries()) {
+      const { customer, payment_method: method } = payers[index];
+      if (!method) continue;
+      await this.initiateSharePayment(share, order, customer, method).catch(error =>
+        logger.warn('Bill share payment could not be started', {
+          bill_share_id: share.id,
+          error: error.message,
+        })
+      );
+    }
+
+    return this.refreshSplit(split.id);
+  }
+
+  /**
+   * Starts (or retries) the payment of one share by the participant it belongs to
+   * @param {number} shareId - BillSplitShare ID
+   * @param {number} userId - Paying user
+   * @param {Object} paymentMethod - { type, provider, phone_number, bank_name, card_details, code }
+   * @returns {Promise<Object>} The share
+   */
+  async payShare(shareId, userId, paymentMethod) {
+    const share = await BillSplitShare.findByPk(shareId, {
+      include: [
+        { model: Customer, as: 'customer' },
+        { model: BillSplit, as: 'split', include: [orderInclude] },
+      ],
+    });
+    if (!share) throw new AppError('Bill share not found', 404, 'BILL_SHARE_NOT_FOUND');
+    if (share.customer.user_id !== userId) throw new AppError('Unauthorized', 403, 'UNAUTHORIZED');
+    if (share.split.status !== 'open') throw new AppError('This bill is no longer open', 400, 'BILL_SPLIT_CLOSED');
+    if (share.status === 'paid') throw new AppError('Share already paid', 400, 'BILL_SHARE_PAID');
+    if (share.status === 'processing') {
+      throw new AppError('A payment for this share is already in progress', 409, 'BILL_SHARE_PAYMENT_IN_PROGRESS');
+    }
+
+    try {
+      await this.initiateSharePayment(share, share.split.order, share.customer, paymentMethod);
+    } finally {
+      await this.refreshSplit(share.bill_split_id);
+    }
+    return share;
+  }
+
+  /**
+   * Cancels a split nobody has started paying, so the bill can be split again
+   * @param {number} orderId - InDiningOrder ID
+   * @returns {Promise<Object>} Progress of the cancelled split
+   */
+  async cancelSplit(orderId) {
+    const split = await this.getOpenSplit(orderId);
+    if (!split) throw new AppError('No open bill split for this order', 404, 'BILL_SPLIT_NOT_FOUND');
+    if (split.shares.some(share => ['processing', 'paid'].includes(share.status))) {
+      throw new AppError('Shares of this bill have already been paid', 409, 'BILL_SPLIT_IN_PROGRESS');
+    }
+
+    await BillSplit.sequelize.transaction(async (t) => {
+      await split.update({ status: 'cancelled' }, { transaction: t });
+      await InDiningOrder.update(
+        { payment_status: 'pending' },
+        { where: { id: orderId }, transaction: t }
+      );
+    });
+    logTransactionEvent('Bill split cancelled', { bill_split_id: split.id, in_dining_order_id: orderId });
+    return this.refreshSplit(split.id);
+  }
+
+  async getOpenSplit(orderId, transaction = null) {
+    return BillSplit.findOne({
+      where: { in_dining_order_id: orderId, status: 'open' },
+      include: [{ model: BillSplitShare, as: 'shares' }],
+      transaction,
+    });
+  }
+
+  /**
+   * Latest split of an order with its settlement progress
+   * @param {number} orderId - InDiningOrder ID
+   * @returns {Promise<Object|null>} Progress, or null if the bill was never split
+   */
+  async getOrderSplit(orderId) {
+    const split = await BillSplit.findOne({
+      where: { in_dining_order_id: orderId },
+      include: splitIncludes,
+      order: [['created_at', 'DESC']],
+    });
+    return split ? this.progressOf(split) : null;
+  }
+
+  // Looks up each participant's customer and checks they may share the owner's bill
+  async resolveParticipants(order, participants) {
+    const ownerUserId = order.customer.user_id;
+    const entries = participants.map(entry => ({ ...entry, user_id: Number(entry.user_id) }));
+    if (!entries.some(entry => entry.user_id === ownerUserId)) {
+      entries.unshift({ user_id: ownerUserId });
+    }
+
+    entries.forEach((entry) => {
+      if (entry.payment_method) this.assertPaymentMethod(entry.payment_method);
+    });
+
+    const userIds = entries.map(entry => entry.user_id);
+    if (new Set(userIds).size !== userIds.length) {
+      throw new AppError('Each participant can only hold one share', 400, 'DUPLICATE_PARTICIPANT');
+    }
+
+    const others = userIds.filter(id => id !== ownerUserId);
+    if (others.length) {
+      const connections = await UserConnections.findAll({
+        where: {
+          status: 'accepted',
+          [Op.or]: [
+            { user_id: ownerUserId, friend_id: others },
+            { friend_id: ownerUserId, user_id: others },
+          ],
+        },
+        attributes: ['user_id', 'friend_id'],
+      });
+      const friends = new Set(connections.map(c => (c.user_id === ownerUserId ? c.friend_id : c.user_id)));
+      const strangers = others.filter(id => !friends.has(id));
+      if (strangers.length) {
+        throw new AppError('Bills can only be split with friends', 403, 'NOT_A_FRIEND', { user_ids: strangers });
+      }
+    }
+
+    const customers = await Customer.findAll({ where: { user_id: userIds } });
+    return entries.map((entry) => {
+      const customer = customers.find(c => c.user_id === entry.user_id);
+      if (!customer) {
+        throw new AppError(`Customer with user ID ${entry.user_id} not found`, 404, 'CUSTOMER_NOT_FOUND');
+      }
+      return { ...entry, customer };
+    });
+  }
+
+  /**
+   * Works out what each participant owes. Even and item splits spread the order total
+   * in proportion to each share, so tax, service charge and rounding are shared too
+   * and the shares always add up to the total.
+   * @param {Object} order - InDiningOrder instance
+   * @param {string} mode - Split mode
+   * @param {Array} participants - Resolved participants
+   * @returns {number[]} Amount per participant
+   */
+  calculateShares(order, mode, participants) {
+    const rules = PricingService.getPricingRules(order.currency);
+    const total = PricingService.round(Number(order.total_amount), rules);
+    if (!(total > 0)) throw new AppError('There is nothing to pay on this order', 400, 'NOTHING_TO_PAY');
+
+    if (mode === 'custom') {
+      const amounts = participants.map(p => PricingService.round(Number(p.amount), rules));
+      if (amounts.some(amount => !(amount > 0))) {
+        throw new AppError('Every share needs a positive amount', 400, 'INVALID_SHARE_AMOUNT');
+      }
+      const sum = PricingService.round(amounts.reduce((acc, amount) => acc + amount, 0), rules);
+      if (sum !== total) {
+        throw new AppError('Shares must add up to the bill total', 400, 'SPLIT_TOTAL_MISMATCH', { total, sum });
+      }
+      return amounts;
+    }
+
+    const weights = mode === 'items'
+      ? this.claimedValues(order, participants)
+      : participants.map(() => 1);
+    return PricingService.allocateDiscount(weights.map(weight => ({ line_total: weight })), total, rules);
+  }
+
+  // Value of what each participant claimed, priced from the lines the order was charged for
+  claimedValues(order, participants) {
+    const breakdown = order.price_breakdown;
+    if (!breakdown?.lines?.length) {
+      throw new AppError('Item prices are not available for this order', 400, 'ITEM_PRICES_UNAVAILABLE');
+    }
+
+    const unclaimed = new Map(breakdown.lines.map(line => [String(line.menu_item_id), line.quantity]));
+    const values = participants.map((participant) => {
+      if (!Array.isArray(participant.items) || !participant.items.length) {
+        throw new AppError('Every participant must claim at least one item', 400, 'NO_ITEMS_CLAIMED', {
+          user_id: participant.user_id,
+        });
+      }
+      return participant.items.reduce((value, claim) => {
+        const key = String(claim.menu_item_id);
+        const line = breakdown.lines.find(l => String(l.menu_item_id) === key);
+        if (!line) {
+          throw new AppError('Claimed item is not on this order', 400, 'ITEM_NOT_ON_ORDER', { menu_item_id: claim.menu_item_id });
+        }
+        const quantity = Number(claim.quantity);
+        if (!(quantity > 0)) throw new AppError('Claimed quantity must be positive', 400, 'INVALID_CLAIM_QUANTITY');
+        const left = unclaimed.get(key) - quantity;
+        if (left < -QUANTITY_TOLERANCE) {
+          throw new AppError('More of an item was claimed than was ordered', 400, 'ITEM_OVERCLAIMED', { menu_item_id: claim.menu_item_id });
+        }
+        unclaimed.set(key, left);
+
+        const charged = line.line_total - line.discount + (breakdown.tax_inclusive ? 0 : line.tax_amount);
+        return value + (charged * quantity) / line.quantity;
+      }, 0);
+    });
+
+    const leftover = [...unclaimed].filter(([, quantity]) => quantity > QUANTITY_TOLERANCE).map(([id]) => id);
+    if (leftover.length) {
+      throw new AppError('Every item must be claimed before the bill is split', 400, 'ITEMS_NOT_CLAIMED', { menu_item_ids: leftover });
+    }
+    return values;
+  }
+
+  assertPaymentMethod(method = {}) {
+    if (!['MOBILE_MONEY', 'BANK_CARD', WALLET_PAYMENT_METHOD, GIFT_CARD_PAYMENT_METHOD].includes(method.type)) {
+      throw new AppError('Invalid payment method. Must be MOBILE_MONEY, BANK_CARD, WALLET or GIFT_CARD', 400, 'INVALID_PAYMENT_TYPE');
+    }
+    if (method.type === GIFT_CARD_PAYMENT_METHOD && !method.code) {
+      throw new AppError('A gift card code is required', 400, 'GIFT_CARD_CODE_REQUIRED');
+    }
+  }
+
+  // Requests the share's payment from its payer with the method they chose
+  async initiateSharePayment(share, order, customer, method) {
+    this.assertPaymentMethod(method);
+
+    const details = {
+      amount: Number(share.amount),
+      customer_id: customer.id,
+      in_dining_order_id: order.id,
+      merchant_id: order.branch.merchant_id,
+    };
+    await share.update({ status: 'processing' });
+    let payment;
+    try {
+      if (method.type === WALLET_PAYMENT_METHOD) {
+        payment = await PaymentService.payFromWallet({
+          ...details,
+          currency: order.currency,
+          description: `Share of bill ${order.order_number}`,
+        });
+      } else if (method.type === GIFT_CARD_PAYMENT_METHOD) {
+        // The card must cover the whole share; part of a card's balance may be left on it
+        payment = await PaymentService.payWithGiftCard({
+          ...details,
+          code: method.code,
+          currency: order.currency,
+          description: `Share of bill ${order.order_number}`,
+        });
+      } else if (method.type === 'MOBILE_MONEY') {
+        payment = await PaymentService.initiateMobileMoneyPayment({
+          ...details,
+          provider: method.provider,
+          phone_number: method.phone_number || customer.phone_number,
+          currency: order.currency,
+          description: `Share of bill ${order.order_number}`,
+        });
+      } else {
+        payment = await PaymentService.initiateBankCardPayment({
+          ...details,
+          bank_name: method.bank_name || method.provider,
+          card_details: method.card_details,
+          currency: order.currency,
+        });
+      }
+    } catch (error) {
+      await share.update({ status: 'failed' });
+      throw error;
+    }
+
+    await share.update({ payment_id: payment.id });
+    // The provider may already have answered while the share was being linked
+    return this.applyPaymentStatus(share, await payment.reload());
+  }
+
+  handlePaymentUpdated({ payment }) {
+    if (!payment?.in_dining_order_id) return;
+    BillSplitShare.findOne({ where: { payment_id: payment.id } })
+      .then(share => share && this.applyPaymentStatus(share, payment))
+      .catch(error =>
+        logger.error('Failed to update bill share from payment', {
+          payment_id: payment.id,
+          error: error.message,
+        })
+      );
+  }
+
+  /**
+   * Moves a share to paid or failed once its payment gets there, and settles the bill
+   * when it was the last share outstanding
+   * @param {Object} share - BillSplitShare instance
+   * @param {Object} payment - The share's payment
+   * @returns {Promise<Object>} The share
+   */
+  async applyPaymentStatus(share, payment) {
+    let status = null;
+    if (BILL_SHARE_SETTLED_PAYMENT_STATUSES.includes(payment.status)) status = 'paid';
+    if (BILL_SHARE_FAILED_PAYMENT_STATUSES.includes(payment.status)) status = 'failed';
+    if (!status) return share;
+
+    // Only the share's latest payment counts, and a paid share stays paid
+    const [updatedCount] = await BillSplitShare.update(
+      { status, paid_at: status === 'paid' ? new Date() : null },
+      { where: { id: share.id, payment_id: payment.id, status: 'processing' } }
+    );
+    if (updatedCount === 0) return share;
+    await share.reload();
+
+    logTransactionEvent('Bill share payment updated', {
+      bill_share_id: share.id,
+      bill_split_id: share.bill_split_id,
+      payment_id: payment.id,
+      status,
+    });
+    await this.refreshSplit(share.bill_split_id);
+    return share;
+  }
+
+  /**
+   * Settles the split if every share is paid and tells the branch how far along it is
+   * @param {number} splitId - BillSplit ID
+   * @returns {Promise<Object>} Split progress
+   */
+  async refreshSplit(splitId) {
+    const split = await BillSplit.findByPk(splitId, { include: splitIncludes });
+    if (split.status === 'open' && split.shares.every(share => share.status === 'paid')) {
+      const [settledCount] = await BillSplit.update(
+        { status: 'settled', settled_at: new Date() },
+        { where: { id: split.id, status: 'open' } }
+      );
+      if (settledCount) {
+        await split.reload({ include: splitIncludes });
+        await this.settleOrder(split);
+      }
+    }
+
+    const progress = this.progressOf(split);
+    eventManager.io?.to(`branch:${split.order.branch_id}`).emit('billSplitProgress', {
+      ...progress,
+      tableId: split.order.table_id,
+      timestamp: new Date(),
+    });
+    return progress;
+  }
+
+  // Marks the order paid and, if it had been served, closes it and frees the table
+  async settleOrder(split) {
+    const { order } = split;
+    await InDiningOrder.sequelize.transaction(async (t) => {
+      await order.update({ payment_status: 'completed' }, { transaction: t });
+      if (order.status === 'served') {
+        await OrderStatusService.transition({
+          order,
+          orderType: 'in_dining_order',
+          toStatus: 'closed',
+          actor: { type: 'system' },
+          reason: 'Bill settled',
+          transaction: t,
+        });
+        await Table.update({ status: 'available' }, { where: { id: order.table_id }, transaction: t });
+      }
+    });
+    logTransactionEvent('Bill settled', {
+      bill_split_id: split.id,
+      in_dining_order_id: order.id,
+      total_amount: split.total_amount,
+    });
+  }
+
+  progressOf(split) {
+    const rules = PricingService.getPricingRules(split.currency);
+    const total = Number(split.total_amount);
+    const paid = split.shares.filter(share => share.status === 'paid');
+    const paidAmount = PricingService.round(paid.reduce((sum, share) => sum + Number(share.amount), 0), rules);
+    return {
+      splitId: split.id,
+      orderId: split.in_dining_order_id,
+      mode: split.mode,
+      status: split.status,
+      currency: split.currency,
+      totalAmount: total,
+      paidAmount,
+      outstandingAmount: PricingService.round(total - paidAmount, rules),
+      sharesPaid: paid.length,
+      sharesTotal: split.shares.length,
+      shares: split.shares.map(share => ({
+        id: share.id,
+        customerId: share.customer_id,
+        amount: Number(share.amount),
+        items: share.items,
+        status: share.status,
+        paymentId: share.payment_id,
+        paidAt: share.paid_at,
+      })),
+    };
+  }
+}
+
+module.exports = new BillSplitService();
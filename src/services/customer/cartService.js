@@ -1,10 +1,33 @@
 'use strict';
 
-const { Op } = require('sequelize');
-const { Cart, CartItem, MenuInventory, ProductDiscount } = require('@models');
+const { Cart, CartItem, Customer, MenuInventory, ProductDiscount } = require('@models');
+const PromotionService = require('@services/customer/promotionService');
+const PricingService = require('@services/common/pricingService');
 const { logger } = require('@utils/logger');
 const AppError = require('@utils/AppError');
 
+const COUPON_ERRORS = {
+  NOT_FOUND: 'COUPON_NOT_FOUND',
+  INACTIVE: 'COUPON_INACTIVE',
+  NOT_STARTED: 'COUPON_NOT_STARTED',
+  EXPIRED: 'COUPON_EXPIRED',
+  EXHAUSTED: 'COUPON_EXHAUSTED',
+  WRONG_MERCHANT: 'COUPON_WRONG_MERCHANT',
+  MINIMUM_SPEND_NOT_MET: 'COUPON_MINIMUM_SPEND_NOT_MET',
+  CUSTOMER_NOT_ELIGIBLE: 'COUPON_CUSTOMER_NOT_ELIGIBLE',
+  NOT_APPLICABLE: 'COUPON_NOT_APPLICABLE',
+};
+
+// Maps PromotionService rejection reasons to coupon errors
+const REJECTION_ERRORS = {
+  INVALID_CODE: { statusCode: 404, errorCode: COUPON_ERRORS.NOT_FOUND, message: 'Coupon code not found' },
+  PROMOTION_EXHAUSTED: { statusCode: 409, errorCode: COUPON_ERRORS.EXHAUSTED, message: 'Coupon usage limit has been reached' },
+  WRONG_MERCHANT: { statusCode: 400, errorCode: COUPON_ERRORS.WRONG_MERCHANT, message: 'Coupon is not valid for the merchants in your cart' },
+  MINIMUM_SPEND_NOT_MET: { statusCode: 400, errorCode: COUPON_ERRORS.MINIMUM_SPEND_NOT_MET, message: 'Cart does not meet the minimum spend for this coupon' },
+  CUSTOMER_NOT_ELIGIBLE: { statusCode: 403, errorCode: COUPON_ERRORS.CUSTOMER_NOT_ELIGIBLE, message: 'You are not eligible for this coupon' },
+  DEFAULT: { statusCode: 400, errorCode: COUPON_ERRORS.NOT_APPLICABLE, message: 'Coupon does not apply to the items in your cart' },
+};
+
 /**
  * Cart Service - Handles shopping cart operations for customers
  */
@@ -146,95 +169,191 @@ class CartService {
   /**
    * Retrieves the customer's cart with detailed contents
    * @param {number} customerId - The customer's ID
-   * @param {string} [couponCode] - Optional coupon code to apply
+   * @param {string} [couponCode] - Optional coupon code to preview; defaults to the code attached to the cart
    * @returns {Promise<Object>} Cart details
    */
   static async getCart(customerId, couponCode = null) {
     try {
-      const cart = await Cart.findOne({
-        where: { customer_id: customerId },
-        include: [
-          {
-            model: CartItem,
-            as: 'items',
-            where: { saved_for_later: false },
-            include: [
-              {
-                model: MenuInventory,
-                as: 'menuItem',
-                include: [{ model: ProductDiscount, as: 'discounts' }],
-              },
-            ],
-          },
-        ],
-      });
+      const cart = await this.findCartWithItems(customerId);
 
       if (!cart) {
         logger.info('No cart found, returning empty cart', { customerId });
         return { id: null, items: [], subtotal: 0, total: 0, tax: 0, delivery_fee: 0 };
       }
 
-      // Calculate subtotal
-      const subtotal = cart.items.reduce((sum, item) => {
-        return sum + item.unit_price * item.quantity;
-      }, 0);
-
-      // Apply coupon if provided
-      let discount = 0;
-      if (couponCode) {
-        const coupon = await ProductDiscount.findOne({
-          where: {
-            coupon_code: couponCode,
-            is_active: true,
-            [Op.or]: [
-              { end_date: null },
-              { end_date: { [Op.gte]: new Date() } },
-            ],
-            [Op.or]: [
-              { start_date: null },
-              { start_date: { [Op.lte]: new Date() } },
-            ],
-          },
-        });
-        if (coupon) {
-          if (coupon.type === 'percentage') {
-            discount = subtotal * (coupon.value / 100);
-          } else if (coupon.type === 'flat') {
-            discount = Math.min(coupon.value, subtotal);
-          }
-        }
+      // Drop an attached coupon once it has expired
+      if (cart.coupon_code && cart.coupon_expires_at && new Date(cart.coupon_expires_at) < new Date()) {
+        logger.info('Attached coupon expired, removing from cart', { customerId, couponCode: cart.coupon_code });
+        await this.detachCoupon(cart);
       }
 
-      // Placeholder for tax and delivery fee (customize as needed)
-      const tax = subtotal * 0.1; // 10% tax example
-      const delivery_fee = 5.0; // Flat $5 delivery fee example
-
-      const total = Math.max(subtotal - discount + tax + delivery_fee, 0);
-
-      logger.info('Cart retrieved', { customerId, itemCount: cart.items.length, total });
-      return {
-        id: cart.id,
-        items: cart.items.map(item => ({
-          id: item.id,
-          menu_item_id: item.menu_item_id,
-          name: item.menuItem.name,
-          quantity: item.quantity,
-          customizations: item.customizations,
-          unit_price: item.unit_price,
-          subtotal: item.unit_price * item.quantity,
-        })),
-        subtotal,
-        discount,
-        tax,
-        delivery_fee,
-        total,
-      };
+      const summary = await this.summarizeCart(cart, customerId, couponCode || cart.coupon_code);
+      logger.info('Cart retrieved', { customerId, itemCount: cart.items.length, total: summary.total });
+      return summary;
     } catch (error) {
       logger.error('Error retrieving cart', { error: error.message });
       throw error instanceof AppError ? error : new AppError('Failed to retrieve cart', 500);
     }
   }
 
+  /**
+   * Validates a coupon against the cart and attaches it until checkout or expiry
+   * @param {number} customerId - The customer's ID
+   * @param {string} code - ProductPromotion code or ProductDiscount coupon code
+   * @returns {Promise<Object>} Cart details with the discount breakdown
+   */
+  static async applyCoupon(customerId, code) {
+    try {
+      const cart = await this.findCartWithItems(customerId);
+      if (!cart || cart.items.length === 0) {
+        throw new AppError('Cart is empty', 400, 'CART_EMPTY');
+      }
+
+      const match = await PromotionService.findByCode(code);
+      if (!match) {
+        throw new AppError('Coupon code not found', 404, COUPON_ERRORS.NOT_FOUND);
+      }
+
+      const { record } = match;
+      const now = new Date();
+      if (!record.is_active) {
+        throw new AppError('Coupon is no longer active', 400, COUPON_ERRORS.INACTIVE);
+      }
+      if (record.start_date && new Date(record.start_date) > now) {
+        throw new AppError('Coupon is not valid yet', 400, COUPON_ERRORS.NOT_STARTED, {
+          starts_at: record.start_date,
+        });
+      }
+      if (record.end_date && new Date(record.end_date) < now) {
+        throw new AppError('Coupon has expired', 400, COUPON_ERRORS.EXPIRED, { expired_at: record.end_date });
+      }
+      if (match.source === 'promotion' && record.usage_limit !== null && record.usage_count >= record.usage_limit) {
+        throw new AppError('Coupon usage limit has been reached', 409, COUPON_ERRORS.EXHAUSTED);
+      }
+      if (!cart.items.some(item => item.menuItem.merchant_id === record.merchant_id)) {
+        throw new AppError('Coupon is not valid for the merchants in your cart', 400, COUPON_ERRORS.WRONG_MERCHANT);
+      }
+
+      const summary = await this.summarizeCart(cart, customerId, code);
+      if (summary.coupon_error) {
+        const { statusCode, errorCode, message } = REJECTION_ERRORS[summary.coupon_error] || REJECTION_ERRORS.DEFAULT;
+        const details =
+          summary.coupon_error === 'MINIMUM_SPEND_NOT_MET'
+            ? { minimum_spend: parseFloat(record.min_purchase_amount ?? record.min_order_amount), subtotal: summary.subtotal }
+            : null;
+        throw new AppError(message, statusCode, errorCode, details);
+      }
+
+      await cart.update({ coupon_code: code, coupon_applied_at: now, coupon_expires_at: record.end_date || null });
+      logger.info('Coupon applied to cart', { customerId, code, discount: summary.discount });
+      return { ...summary, coupon_code: code, coupon_expires_at: cart.coupon_expires_at };
+    } catch (error) {
+      logger.error('Error applying coupon', { error: error.message });
+      throw error instanceof AppError ? error : new AppError('Failed to apply coupon', 500);
+    }
+  }
+
+  /**
+   * Removes the coupon attached to the customer's cart
+   * @param {number} customerId - The customer's ID
+   * @returns {Promise<Object>} Updated cart
+   */
+  static async removeCoupon(customerId) {
+    try {
+      const cart = await Cart.findOne({ where: { customer_id: customerId } });
+      if (!cart) {
+        throw new AppError('Cart not found', 404);
+      }
+
+      await this.detachCoupon(cart);
+      logger.info('Coupon removed from cart', { customerId });
+      return await this.getCart(customerId);
+    } catch (error) {
+      logger.error('Error removing coupon', { error: error.message });
+      throw error instanceof AppError ? error : new AppError('Failed to remove coupon', 500);
+    }
+  }
+
+  /**
+   * Loads the customer's cart with active items and their menu entries
+   * @param {number} customerId - The customer's ID
+   * @returns {Promise<Object|null>} Cart instance
+   */
+  static async findCartWithItems(customerId) {
+    return Cart.findOne({
+      where: { customer_id: customerId },
+      include: [
+        {
+          model: CartItem,
+          as: 'items',
+          where: { saved_for_later: false },
+          include: [
+            {
+              model: MenuInventory,
+              as: 'menuItem',
+              include: [{ model: ProductDiscount, as: 'discounts' }],
+            },
+          ],
+        },
+      ],
+    });
+  }
+
+  /**
+   * Clears coupon fields on a cart
+   * @param {Object} cart - Cart instance
+   * @param {Object} [options] - Query options (e.g., { transaction })
+   * @returns {Promise<void>}
+   */
+  static async detachCoupon(cart, options = {}) {
+    await cart.update({ coupon_code: null, coupon_applied_at: null, coupon_expires_at: null }, options);
+  }
+
+  /**
+   * Prices the cart, applying automatic promotions and the given coupon
+   * @param {Object} cart - Cart instance with items loaded
+   * @param {number} customerId - The customer's ID
+   * @param {string|null} couponCode - Coupon to evaluate
+   * @returns {Promise<Object>} Cart summary with itemized discounts
+   */
+  static async summarizeCart(cart, customerId, couponCode) {
+    const customer = await Customer.findByPk(customerId);
+    const lines = PromotionService.buildCartLines(cart.items);
+    const pricing = await PromotionService.evaluateCart({ customer, lines, promotionCode: couponCode });
+    const couponRejection = couponCode
+      ? pricing.rejected_promotions.find(entry => entry.code === couponCode)
+      : null;
+
+    const rules = lines.length
+      ? await PricingService.getMerchantPricingRules(lines[0].merchant_id)
+      : PricingService.getPricingRules(null);
+    const breakdown = PricingService.calculate({ lines, rules, discount: pricing.total_discount });
+
+    return {
+      id: cart.id,
+      items: cart.items.map(item => ({
+        id: item.id,
+        menu_item_id: item.menu_item_id,
+        name: item.menuItem.name,
+        quantity: item.quantity,
+        customizations: item.customizations,
+        unit_price: item.unit_price,
+        subtotal: item.unit_price * item.quantity,
+      })),
+      subtotal: breakdown.subtotal,
+      discount: breakdown.discount,
+      discounts: pricing.applied_promotions,
+      coupon_code: couponRejection ? null : couponCode,
+      coupon_error: couponRejection ? couponRejection.reason : null,
+      currency: breakdown.currency,
+      tax: breakdown.tax,
+      tax_inclusive: breakdown.tax_inclusive,
+      delivery_fee: breakdown.delivery_fee,
+      total: breakdown.total,
+      price_breakdown: breakdown,
+    };
+  }
+
   /**
    * Clears the customer's cart
    * @param {number} customerId - The customer's ID
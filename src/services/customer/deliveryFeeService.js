@@ -0,0 +1,256 @@
+'use strict';
+
+const { Merchant, Geofence } = require('@models');
+const {
+  DEFAULT_DELIVERY_SETTINGS,
+  DELIVERY_FEE_TYPES,
+} = require('@config/constants/deliveryFees');
+const PricingService = require('@services/common/pricingService');
+const geolocation3Service = require('@services/geoLocation/geolocation3Service');
+const AppError = require('@utils/AppError');
+const mathUtils = require('@utils/mathUtils');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Delivery Fee Service - Prices delivery from a merchant branch to an address
+ * using the merchant's delivery_settings
+ */
+class DeliveryFeeService {
+  /**
+   * Merges a merchant's delivery settings over the defaults
+   * @param {Object} merchant - Merchant instance
+   * @returns {Object} Delivery settings
+   */
+  static getDeliverySettings(merchant) {
+    return {
+      ...DEFAULT_DELIVERY_SETTINGS,
+      ...(merchant?.delivery_settings || {}),
+    };
+  }
+
+  /**
+   * Throws unless the delivery settings can be used to price a delivery
+   * @param {Object} settings - Delivery settings merged over the defaults
+   */
+  static validateSettings(settings) {
+    const invalid = message =>
+      new AppError(message, 400, 'INVALID_DELIVERY_SETTINGS');
+
+    if (!DELIVERY_FEE_TYPES.includes(settings.fee_type)) {
+      throw invalid(`Fee type must be one of ${DELIVERY_FEE_TYPES.join(', ')}`);
+    }
+    if (!(settings.flat_fee >= 0) || !(settings.distance_base_fee >= 0)) {
+      throw invalid('Delivery fees cannot be negative');
+    }
+    if (
+      !Array.isArray(settings.distance_tiers) ||
+      settings.distance_tiers.some(
+        tier => !(tier.up_to_km > 0) || !(tier.per_km >= 0)
+      )
+    ) {
+      throw invalid('Distance tiers need a positive up_to_km and a per_km fee');
+    }
+    if (settings.fee_type === 'distance' && !settings.distance_tiers.length) {
+      throw invalid('Distance pricing needs at least one tier');
+    }
+    if (
+      !Array.isArray(settings.zones) ||
+      settings.zones.some(zone => !zone.geofence_id || !(zone.fee >= 0))
+    ) {
+      throw invalid('Zones need a geofence_id and a fee');
+    }
+    if (settings.fee_type === 'zone' && !settings.zones.length) {
+      throw invalid('Zone pricing needs at least one zone');
+    }
+    if (
+      settings.free_delivery_min_order !== null &&
+      !(settings.free_delivery_min_order >= 0)
+    ) {
+      throw invalid('Free delivery minimum order cannot be negative');
+    }
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (
+      !Array.isArray(settings.peak_hours) ||
+      settings.peak_hours.some(
+        window =>
+          !timePattern.test(window.start) ||
+          !timePattern.test(window.end) ||
+          !((window.surcharge_amount || 0) >= 0) ||
+          !((window.surcharge_percentage || 0) >= 0)
+      )
+    ) {
+      throw invalid(
+        'Peak hours need HH:mm start and end times and non-negative surcharges'
+      );
+    }
+  }
+
+  /**
+   * Charges each km at the rate of the band it falls in
+   * @param {number} distanceKm - Distance from branch to drop-off
+   * @param {Object} settings - Delivery settings
+   * @returns {number} Unrounded fee
+   */
+  static calculateDistanceFee(distanceKm, settings) {
+    const tiers = [...settings.distance_tiers].sort(
+      (a, b) => a.up_to_km - b.up_to_km
+    );
+    const maxDistance = tiers[tiers.length - 1].up_to_km;
+    if (distanceKm > maxDistance) {
+      throw new AppError(
+        'Delivery address is outside the merchant delivery range',
+        400,
+        'OUTSIDE_DELIVERY_AREA',
+        { distance_km: distanceKm, max_distance_km: maxDistance }
+      );
+    }
+
+    let fee = settings.distance_base_fee || 0;
+    let lowerBound = 0;
+    for (const tier of tiers) {
+      const kmInTier = Math.min(distanceKm, tier.up_to_km) - lowerBound;
+      if (kmInTier <= 0) break;
+      fee += kmInTier * tier.per_km;
+      lowerBound = tier.up_to_km;
+    }
+    return fee;
+  }
+
+  /**
+   * Finds the first configured zone whose geofence contains the point
+   * @param {Object} point - { lat, lng }
+   * @param {Object} settings - Delivery settings
+   * @returns {Promise<Object>} Matching zone entry
+   */
+  static async findZone(point, settings) {
+    const geofences = await Geofence.scope('active').findAll({
+      where: { id: settings.zones.map(zone => zone.geofence_id) },
+    });
+    const zone = settings.zones.find(entry => {
+      const geofence = geofences.find(g => g.id === entry.geofence_id);
+      return (
+        geofence &&
+        geolocation3Service._isPointInPolygon(point, geofence.coordinates)
+      );
+    });
+    if (!zone) {
+      throw new AppError(
+        'Delivery address is outside the merchant delivery zones',
+        400,
+        'OUTSIDE_DELIVERY_AREA'
+      );
+    }
+    return zone;
+  }
+
+  /**
+   * Finds the peak-hour window, if any, covering a moment in the merchant's time zone.
+   * Windows whose end is before their start run past midnight.
+   * @param {Object} settings - Delivery settings
+   * @param {string} timeZone - IANA time zone
+   * @param {Date} at - Moment to check
+   * @returns {Object|null} Matching peak-hour window
+   */
+  static findPeakWindow(settings, timeZone, at) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(at);
+    const part = type => parts.find(p => p.type === type).value;
+    const day = WEEKDAYS.indexOf(part('weekday'));
+    const time = `${part('hour')}:${part('minute')}`;
+
+    return (
+      settings.peak_hours.find(window => {
+        if (Array.isArray(window.days) && !window.days.includes(day)) {
+          return false;
+        }
+        return window.start <= window.end
+          ? time >= window.start && time < window.end
+          : time >= window.start || time < window.end;
+      }) || null
+    );
+  }
+
+  /**
+   * Quotes the delivery fee for an order
+   * @param {Object} params
+   * @param {number} params.merchantId - Merchant ID
+   * @param {Object} params.branch - MerchantBranch instance with location
+   * @param {Object} params.destination - { lat, lng } of the drop-off
+   * @param {number} params.orderAmount - Order value after discounts
+   * @param {Object} params.rules - Pricing rules for rounding
+   * @param {Date} [params.at] - When the delivery is priced
+   * @param {Object} [params.transaction] - Sequelize transaction
+   * @returns {Promise<Object>} Fee with the inputs that produced it
+   */
+  static async quote({
+    merchantId,
+    branch,
+    destination,
+    orderAmount,
+    rules,
+    at = new Date(),
+    transaction,
+  }) {
+    const merchant = await Merchant.findByPk(merchantId, {
+      attributes: ['id', 'delivery_settings', 'time_zone'],
+      transaction,
+    });
+    const settings = this.getDeliverySettings(merchant);
+
+    const [branchLng, branchLat] = branch.location.coordinates;
+    const distanceKm = mathUtils.calculateDistance(
+      branchLat,
+      branchLng,
+      destination.lat,
+      destination.lng
+    );
+
+    let baseFee = settings.flat_fee || 0;
+    let zoneId = null;
+    if (settings.fee_type === 'distance') {
+      baseFee = this.calculateDistanceFee(distanceKm, settings);
+    } else if (settings.fee_type === 'zone') {
+      const zone = await this.findZone(destination, settings);
+      baseFee = zone.fee;
+      zoneId = zone.geofence_id;
+    }
+
+    const freeDelivery =
+      settings.free_delivery_min_order !== null &&
+      orderAmount >= settings.free_delivery_min_order;
+    if (freeDelivery) baseFee = 0;
+
+    // Peak surcharges still apply to free deliveries
+    const peakWindow = this.findPeakWindow(
+      settings,
+      merchant?.time_zone || 'UTC',
+      at
+    );
+    const peakSurcharge = peakWindow
+      ? (peakWindow.surcharge_amount || 0) +
+        (baseFee * (peakWindow.surcharge_percentage || 0)) / 100
+      : 0;
+
+    const roundedBase = PricingService.round(baseFee, rules);
+    const roundedSurcharge = PricingService.round(peakSurcharge, rules);
+    return {
+      fee: PricingService.round(roundedBase + roundedSurcharge, rules),
+      currency: rules.currency,
+      fee_type: settings.fee_type,
+      base_fee: roundedBase,
+      peak_surcharge: roundedSurcharge,
+      free_delivery_applied: freeDelivery,
+      distance_km: distanceKm,
+      zone_id: zoneId,
+      quoted_at: at,
+    };
+  }
+}
+
+module.exports = DeliveryFeeService;
@@ -14,8 +14,12 @@ const {
 } = require('@models');
 const { Op } = require('sequelize');
 const PaymentService = require('@services/common/paymentService');
+const OrderStatusService = require('@services/common/orderStatusService');
+const PricingService = require('@services/common/pricingService');
 const NotificationService = require('@services/notifications/core/notificationService');
 const FriendService = require('@services/customer/friendService');
+const BillSplitService = require('@services/customer/billSplitService');
+const GiftCardService = require('@services/common/giftCardService');
 const { logger } = require('@utils/logger');
 const AppError = require('@utils/AppError');
 
@@ -60,8 +64,7 @@ class InDiningOrderService {
       }));
 
       const createdItems = await OrderItems.bulkCreate(newItems, { transaction: t });
-      const totalAmount = await this.calculateTotalAmount(orderId, t);
-      await order.update({ total_amount: totalAmount }, { transaction: t });
+      await this.applyPricing(order, t);
 
       await this.sendNotification(order, 'Item added to your order', t);
       this.io.to(`order:${orderId}`).emit('orderUpdated', { orderId, items: createdItems });
@@ -100,11 +103,10 @@ class InDiningOrderService {
         await order.update({ notes: updates.notes }, { transaction: t });
       }
 
-      const totalAmount = await this.calculateTotalAmount(orderId, t);
-      await order.update({ total_amount: totalAmount }, { transaction: t });
+      const pricing = await this.applyPricing(order, t);
 
       await this.sendNotification(order, 'Order updated', t);
-      this.io.to(`order:${orderId}`).emit('orderUpdated', { orderId, total_amount: totalAmount });
+      this.io.to(`order:${orderId}`).emit('orderUpdated', { orderId, total_amount: pricing.total });
       return order;
     }).catch((err) => {
       logger.error('Error in updateOrder:', err);
@@ -112,15 +114,28 @@ class InDiningOrderService {
     });
   }
 
-  async closeOrder(orderId, customerId) {
+  // actor defaults to the customer; a merchant closing the table passes its own
+  async closeOrder(orderId, customerId, actor) {
     const order = await InDiningOrder.findByPk(orderId, {
       include: [{ model: MerchantBranch, as: 'branch' }],
     });
     if (!order) throw new AppError('In-dining order not found', 404);
     if (order.customer_id !== customerId) throw new AppError('Unauthorized', 403);
     if (order.status === 'closed') throw new AppError('Order already closed', 400);
+    // The table is held until everyone sharing the bill has paid
+    if (await BillSplitService.getOpenSplit(orderId)) {
+      throw new AppError('The bill is still being settled', 409, 'BILL_SPLIT_OPEN');
+    }
 
-    await order.update({ status: 'closed' });
+    const customer = actor
+      ? null
+      : await Customer.findByPk(customerId, { attributes: ['user_id'] });
+    await OrderStatusService.transition({
+      order,
+      orderType: 'in_dining_order',
+      toStatus: 'closed',
+      actor: actor || { user_id: customer?.user_id, type: 'customer' },
+    });
     await Table.update({ status: 'available' }, { where: { id: order.table_id } });
 
     await this.sendNotification(order, 'Order closed - please proceed to payment');
@@ -153,30 +168,42 @@ class InDiningOrderService {
     if (order.customer_id !== customerId) throw new AppError('Unauthorized', 403);
     if (order.payment_status !== 'unpaid') throw new AppError('Order already paid', 400);
 
-    const paymentMethod = paymentData.payment_method;
     const merchantId = order.branch.merchant_id;
 
-    let payment;
-    if (paymentMethod === 'MOBILE_MONEY') {
-      payment = await PaymentService.initiateMobileMoneyPayment({
-        amount: order.total_amount,
-        provider: paymentData.provider,
-        customer_id: customerId,
-        order_id: orderId,
-        merchant_id: merchantId,
-        phone_number: paymentData.phone_number,
-      });
-    } else if (paymentMethod === 'BANK_CARD') {
-      payment = await PaymentService.initiateBankCardPayment({
-        amount: order.total_amount,
+    // A gift card pays what it can towards the bill; the rest goes on the chosen method
+    const card = paymentData.gift_card_code
+      ? await GiftCardService.findRedeemable(paymentData.gift_card_code, { merchant_id: merchantId, currency: order.currency })
+      : null;
+    const rules = PricingService.getPricingRules(order.currency);
+    const cardAmount = card ? Math.min(Number(card.balance), Number(order.total_amount)) : 0;
+    const amount = PricingService.round(Number(order.total_amount) - cardAmount, rules);
+    if (paymentData.tip_amount && !(amount > 0)) {
+      throw new AppError('Tips cannot be paid with a gift card', 400, 'TIP_NEEDS_PAYMENT_METHOD');
+    }
+
+    let giftCardPayment = null;
+    if (card) {
+      giftCardPayment = await PaymentService.payWithGiftCard({
+        code: paymentData.gift_card_code,
+        amount: cardAmount,
         customer_id: customerId,
-        order_id: orderId,
+        in_dining_order_id: orderId,
         merchant_id: merchantId,
-        bank_name: paymentData.bank_name,
-        card_details: paymentData.card_details,
+        currency: order.currency,
+        description: `In-dining order ${order.order_number}`,
       });
-    } else {
-      throw new AppError('Unsupported payment method', 400);
+    }
+
+    let payment = giftCardPayment;
+    if (amount > 0) {
+      try {
+        payment = await this.chargeBill(order, customerId, amount, paymentData);
+      } catch (error) {
+        if (giftCardPayment) {
+          await PaymentService.reverseGiftCardPayment(giftCardPayment, `Bill for ${order.order_number} was not paid`);
+        }
+        throw error;
+      }
     }
 
     if (paymentData.tip_amount) {
@@ -190,6 +217,32 @@ class InDiningOrderService {
     return payment;
   }
 
+  // Charges what is left of the bill with the method the customer chose
+  async chargeBill(order, customerId, amount, paymentData) {
+    const merchantId = order.branch.merchant_id;
+    if (paymentData.payment_method === 'MOBILE_MONEY') {
+      return PaymentService.initiateMobileMoneyPayment({
+        amount,
+        provider: paymentData.provider,
+        customer_id: customerId,
+        order_id: order.id,
+        merchant_id: merchantId,
+        phone_number: paymentData.phone_number,
+      });
+    }
+    if (paymentData.payment_method === 'BANK_CARD') {
+      return PaymentService.initiateBankCardPayment({
+        amount,
+        customer_id: customerId,
+        order_id: order.id,
+        merchant_id: merchantId,
+        bank_name: paymentData.bank_name,
+        card_details: paymentData.card_details,
+      });
+    }
+    throw new AppError('Unsupported payment method', 400);
+  }
+
   async addTip(orderId, customerId, tipData) {
     const order = await InDiningOrder.findByPk(orderId, {
       include: [{ model: Payment, as: 'payment' }],
@@ -286,13 +339,45 @@ class InDiningOrderService {
     return connection;
   }
 
-  async calculateTotalAmount(orderId, transaction = null) {
+  async applyPricing(order, transaction = null) {
     const items = await OrderItems.findAll({
-      where: { order_id: orderId },
+      where: { order_id: order.id },
       include: [{ model: MenuInventory, as: 'menuItem' }],
       transaction,
     });
-    return items.reduce((total, item) => total + item.menuItem.calculateFinalPrice() * item.quantity, 0);
+    const branch = await MerchantBranch.findByPk(order.branch_id, {
+      attributes: ['id', 'service_charge_rate'],
+      transaction,
+    });
+
+    const lines = items.map((item) => {
+      const unitPrice = parseFloat(item.menuItem.calculateFinalPrice());
+      return {
+        menu_item_id: item.menu_item_id,
+        quantity: item.quantity,
+        unit_price: unitPrice,
+        line_total: unitPrice * item.quantity,
+        is_taxable: item.menuItem.is_taxable,
+        tax_rate: item.menuItem.tax_rate,
+      };
+    });
+    const pricing = PricingService.calculate({
+      lines,
+      rules: PricingService.getPricingRules(order.currency),
+      serviceChargeRate: branch?.service_charge_rate || 0,
+    });
+
+    await order.update(
+      {
+        subtotal: pricing.subtotal,
+        tax_total: pricing.tax,
+        service_charge: pricing.service_charge,
+        total_amount: pricing.total,
+        price_breakdown: pricing,
+      },
+      { transaction }
+    );
+    return pricing;
   }
 
   async sendNotification(order, message, transaction = null) {
@@ -0,0 +1,225 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Order, Merchant, MerchantBranch } = require('@models');
+const { ORDER_SCHEDULING } = require('@config/constants/orderScheduling');
+const Geolocation2Service = require('@services/geoLocation/geolocation2Service');
+const AppError = require('@utils/AppError');
+const { logger } = require('@utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Order Scheduling Service - Validates requested fulfillment times for pre-orders
+ * and works out when they are released to the merchant and to driver assignment
+ */
+class OrderSchedulingService {
+  /**
+   * Returns the weekday and HH:mm time of a moment in a time zone
+   * @param {Date} date - Moment to convert
+   * @param {string} timeZone - IANA time zone
+   * @returns {Object} { day: 'monday', time: '12:30' }
+   */
+  static getLocalTime(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      weekday: 'long',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date);
+    const part = type => parts.find(p => p.type === type).value;
+    return {
+      day: part('weekday').toLowerCase(),
+      time: `${part('hour')}:${part('minute')}`,
+    };
+  }
+
+  /**
+   * Throws unless the branch is open at the requested time. Branch operating_hours
+   * take precedence; merchant business_hours apply when the branch has none.
+   * @param {Date} requested - Requested fulfillment time
+   * @param {Object} branch - MerchantBranch with operating_hours
+   * @param {Object} merchant - Merchant with business_hours and time_zone
+   */
+  static assertWithinOpeningHours(requested, branch, merchant) {
+    const { day, time } = this.getLocalTime(
+      requested,
+      merchant?.time_zone || 'UTC'
+    );
+    const branchHours = branch.operating_hours || {};
+    const usesBranchHours = Object.keys(branchHours).length > 0;
+    const hours = usesBranchHours ? branchHours[day] : merchant?.business_hours;
+
+    if (usesBranchHours && !hours) {
+      throw new AppError(
+        `The merchant is closed on ${day}`,
+        400,
+        'OUTSIDE_BUSINESS_HOURS',
+        { day }
+      );
+    }
+    if (!hours?.open || !hours?.close) return;
+
+    const isOpen =
+      hours.open <= hours.close
+        ? time >= hours.open && time <= hours.close
+        : time >= hours.open || time <= hours.close;
+    if (!isOpen) {
+      throw new AppError(
+        `The merchant is only open from ${hours.open} to ${hours.close}`,
+        400,
+        'OUTSIDE_BUSINESS_HOURS',
+        { day, opens: hours.open, closes: hours.close }
+      );
+    }
+  }
+
+  /**
+   * Estimates driving time from the branch to the drop-off
+   * @param {Object} branch - MerchantBranch with location
+   * @param {Object} destination - { lat, lng }
+   * @returns {Promise<number>} Minutes
+   */
+  static async estimateRouteMinutes(branch, destination) {
+    const [lng, lat] = branch.location.coordinates;
+    try {
+      const route = await Geolocation2Service.calculateRouteForDriver(
+        `${lat},${lng}`,
+        `${destination.lat},${destination.lng}`
+      );
+      return Math.ceil(route.duration.value / 60);
+    } catch (error) {
+      logger.warn('Falling back to default route duration for scheduling', {
+        branch_id: branch.id,
+        error: error.message,
+      });
+      return ORDER_SCHEDULING.DEFAULT_ROUTE_MINUTES;
+    }
+  }
+
+  /**
+   * Validates a requested fulfillment time and derives the release times.
+   * The merchant gets the order once preparation, travel and a buffer still fit
+   * before the requested time; deliveries go to driver assignment when only
+   * travel and the buffer remain.
+   * @param {Object} params
+   * @param {string|Date} params.scheduledFor - Requested delivery or pickup time
+   * @param {string} params.fulfillmentType - 'delivery' or 'pickup'
+   * @param {Object} params.branch - MerchantBranch fulfilling the order
+   * @param {Object} [params.destination] - { lat, lng } for deliveries
+   * @param {Array} params.cartItems - CartItem instances with menuItem included
+   * @param {Date} [params.now] - Current time
+   * @returns {Promise<Object>} { scheduled_for, release_at, dispatch_at, lead_minutes }
+   */
+  static async planSchedule({
+    scheduledFor,
+    fulfillmentType,
+    branch,
+    destination,
+    cartItems,
+    now = new Date(),
+  }) {
+    const requested = new Date(scheduledFor);
+    if (Number.isNaN(requested.getTime())) {
+      throw new AppError(
+        'Scheduled time is not a valid date',
+        400,
+        'INVALID_SCHEDULED_TIME'
+      );
+    }
+    const latest = new Date(
+      now.getTime() + ORDER_SCHEDULING.MAX_ADVANCE_DAYS * 24 * 60 * MINUTE_MS
+    );
+    if (requested > latest) {
+      throw new AppError(
+        `Orders can be scheduled at most ${ORDER_SCHEDULING.MAX_ADVANCE_DAYS} days ahead`,
+        400,
+        'SCHEDULED_TIME_TOO_FAR',
+        { latest_time: latest }
+      );
+    }
+
+    const merchant = await Merchant.findByPk(branch.merchant_id, {
+      attributes: ['id', 'business_hours', 'time_zone'],
+    });
+    this.assertWithinOpeningHours(requested, branch, merchant);
+
+    const preparationMinutes = Math.max(
+      ...cartItems.map(
+        item =>
+          item.menuItem.preparation_time_minutes ??
+          ORDER_SCHEDULING.DEFAULT_PREPARATION_MINUTES
+      )
+    );
+    const routeMinutes =
+      fulfillmentType === 'delivery'
+        ? await this.estimateRouteMinutes(branch, destination)
+        : 0;
+    const handoffMinutes =
+      routeMinutes + ORDER_SCHEDULING.RELEASE_BUFFER_MINUTES;
+    const leadMinutes = preparationMinutes + handoffMinutes;
+
+    const releaseAt = new Date(requested.getTime() - leadMinutes * MINUTE_MS);
+    if (releaseAt < now) {
+      throw new AppError(
+        `Scheduled orders need at least ${leadMinutes} minutes to prepare and deliver`,
+        400,
+        'SCHEDULED_TIME_TOO_SOON',
+        { earliest_time: new Date(now.getTime() + leadMinutes * MINUTE_MS) }
+      );
+    }
+
+    return {
+      scheduled_for: requested,
+      release_at: releaseAt,
+      dispatch_at:
+        fulfillmentType === 'delivery'
+          ? new Date(requested.getTime() - handoffMinutes * MINUTE_MS)
+          : null,
+      lead_minutes: leadMinutes,
+    };
+  }
+
+  /**
+   * Throws when the branch already has as many orders as it can take in the
+   * requested slot. Locks the branch row so concurrent checkouts queue up.
+   * @param {Object} branch - MerchantBranch with routing_preferences
+   * @param {Date} scheduledFor - Requested fulfillment time
+   * @param {Object} transaction - Sequelize transaction
+   */
+  static async assertSlotCapacity(branch, scheduledFor, transaction) {
+    const capacity = branch.routing_preferences?.max_order_capacity;
+    if (!capacity) return;
+
+    await MerchantBranch.findByPk(branch.id, {
+      attributes: ['id'],
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    const slotMs = ORDER_SCHEDULING.SLOT_MINUTES * MINUTE_MS;
+    const slotStart = new Date(
+      Math.floor(scheduledFor.getTime() / slotMs) * slotMs
+    );
+    const slotEnd = new Date(slotStart.getTime() + slotMs);
+    const booked = await Order.count({
+      where: {
+        branch_id: branch.id,
+        scheduled_for: { [Op.gte]: slotStart, [Op.lt]: slotEnd },
+        status: { [Op.ne]: 'cancelled' },
+      },
+      transaction,
+    });
+    if (booked >= capacity) {
+      throw new AppError(
+        'The merchant is fully booked at that time',
+        409,
+        'SCHEDULE_SLOT_FULL',
+        { slot_start: slotStart, slot_end: slotEnd }
+      );
+    }
+  }
+}
+
+module.exports = OrderSchedulingService;
@@ -1,102 +1,685 @@
 // src/services/customer/orderService.js
 const { Op } = require('sequelize');
 const uuid = require('uuid').v4;
-const { Order, Cart, CartItem, Payment, Customer, Address, MerchantBranch, Driver, Route, Notification } = require('@models');
+const { Order, OrderItems, Checkout, Cart, CartItem, MenuInventory, ProductDiscount, Payment, PaymentAllocation, Customer, Merchant, Address, MerchantBranch, Driver, Notification } = require('@models');
+const { DEFAULT_CANCELLATION_POLICY } = require('@config/constants/orderCancellation');
+const { WALLET_PAYMENT_METHOD } = require('@config/constants/wallet');
+const { GIFT_CARD_PAYMENT_METHOD } = require('@config/constants/giftCard');
 const AppError = require('@utils/AppError');
 const mathUtils = require('@utils/mathUtils');
 const { logger } = require('@utils/logger');
 const NotificationService = require('@services/notifications/core/notificationService');
 const paymentService = require('@services/common/paymentService');
-const Geolocation2Service = require('@services/geoLocation/geolocation2Service');
+const PromotionService = require('@services/customer/promotionService');
+const CartService = require('@services/customer/cartService');
+const PricingService = require('@services/common/pricingService');
+const DeliveryFeeService = require('@services/customer/deliveryFeeService');
+const OrderSchedulingService = require('@services/customer/orderSchedulingService');
+const OrderStatusService = require('@services/common/orderStatusService');
+const inventoryService = require('@services/merchant/products/inventoryService');
+const GiftCardService = require('@services/common/giftCardService');
+const DispatchService = require('@services/common/dispatchService');
+const eventManager = require('@services/events/core/eventManager');
+
+const BRANCH_ATTRIBUTES = ['id', 'merchant_id', 'name', 'location', 'delivery_radius', 'operating_hours', 'routing_preferences'];
+const ORDER_HISTORY_PAGE_SIZE = 10;
+const ORDER_HISTORY_MAX_PAGE_SIZE = 50;
+// Methods that can pay what a gift card leaves of a checkout
+const CHECKOUT_PAYMENT_METHODS = [WALLET_PAYMENT_METHOD, 'MOBILE_MONEY', 'BANK_CARD'];
+// Payment statuses that count towards a checkout's total, and those after which it cannot be paid
+const CHECKOUT_SETTLED_PAYMENT_STATUSES = ['completed', 'verified'];
+const CHECKOUT_FAILED_PAYMENT_STATUSES = ['failed', 'cancelled'];
+const ORDER_DETAIL_INCLUDES = [
+  { model: Merchant, as: 'merchant', attributes: ['id', 'business_name', 'logo_url'] },
+  { model: MerchantBranch, as: 'branch', attributes: ['id', 'name'] },
+  { model: MenuInventory, as: 'orderedItems', attributes: ['id', 'name', 'images'], through: { attributes: ['quantity', 'customization'] } },
+  { model: Payment, as: 'payments', attributes: ['id', 'amount', 'payment_method', 'provider', 'status', 'refund_status', 'created_at'] },
+  {
+    model: PaymentAllocation,
+    as: 'paymentAllocations',
+    attributes: ['id', 'amount'],
+    include: [{ model: Payment, as: 'payment', attributes: ['id', 'payment_method', 'provider', 'status', 'refund_status', 'created_at'] }],
+  },
+];
 
 class OrderService {
-  static async checkout({ customer_id, payment_method, cart_id }) {
+  /**
+   * Loads the cart and splits it into one group per merchant, each fulfilled by a single branch.
+   * The whole checkout is paid at once, so every merchant must trade in the same currency.
+   */
+  static async loadCheckoutContext(customer_id, cart_id) {
     const cart = await Cart.findByPk(cart_id, {
-      include: [{ model: CartItem, include: ['MenuInventory'] }],
+      include: [{
+        model: CartItem,
+        as: 'items',
+        where: { saved_for_later: false },
+        required: false,
+        include: [{ model: MenuInventory, as: 'menuItem' }],
+      }],
     });
     if (!cart || cart.customer_id !== customer_id) {
       throw new AppError('Invalid cart or customer', 400, 'INVALID_CART');
     }
+    if (cart.items.length === 0) {
+      throw new AppError('Cart is empty', 400, 'CART_EMPTY');
+    }
 
-    const customer = await Customer.findByPk(customer_id, { include: [Address] });
-    const defaultAddress = customer.Addresses.find(addr => addr.id === customer.default_address_id);
+    const customer = await Customer.findByPk(customer_id, { include: [{ model: Address, as: 'defaultAddress' }] });
+    const defaultAddress = customer.defaultAddress;
     if (!defaultAddress) {
       throw new AppError('Customer address not found', 400, 'ADDRESS_NOT_FOUND');
     }
+    const destination = { lat: parseFloat(defaultAddress.latitude), lng: parseFloat(defaultAddress.longitude) };
+
+    const lines = PromotionService.buildCartLines(cart.items);
+    const groups = await this.groupCartByMerchant(cart.items, lines, destination);
+
+    const currencies = [...new Set(groups.map(group => group.pricingRules.currency))];
+    if (currencies.length > 1) {
+      throw new AppError(
+        'Items priced in different currencies must be checked out separately',
+        400,
+        'MIXED_CURRENCIES',
+        { currencies }
+      );
+    }
+    return { cart, customer, destination, lines, groups, currency: currencies[0] };
+  }
+
+  /**
+   * Groups cart lines by merchant and picks the branch that fulfils each group:
+   * the branch the items were added from, or the merchant's nearest branch
+   */
+  static async groupCartByMerchant(cartItems, lines, destination) {
+    const byMerchant = new Map();
+    lines.forEach((line, index) => {
+      if (!byMerchant.has(line.merchant_id)) {
+        byMerchant.set(line.merchant_id, { merchant_id: line.merchant_id, lines: [], cartItems: [] });
+      }
+      byMerchant.get(line.merchant_id).lines.push(line);
+      byMerchant.get(line.merchant_id).cartItems.push(cartItems[index]);
+    });
 
-    const total_amount = mathUtils.roundToDecimal(
-      mathUtils.sumArray(cart.CartItems.map(item => item.quantity * item.MenuInventory.price)),
-      2
+    const groups = [];
+    for (const group of byMerchant.values()) {
+      const branchIds = [...new Set(group.lines.map(line => line.branch_id).filter(Boolean))];
+      if (branchIds.length > 1) {
+        throw new AppError(
+          'Items from one merchant must come from the same branch',
+          400,
+          'MULTIPLE_BRANCHES',
+          { merchant_id: group.merchant_id, branch_ids: branchIds }
+        );
+      }
+
+      const branch = branchIds.length
+        ? await MerchantBranch.findOne({ where: { id: branchIds[0], is_active: true }, attributes: BRANCH_ATTRIBUTES })
+        : await this.findNearestMerchantBranch(destination.lat, destination.lng, group.merchant_id);
+      if (!branch) {
+        throw new AppError('No merchant available', 404, 'MERCHANT_UNAVAILABLE', { merchant_id: group.merchant_id });
+      }
+
+      const pricingRules = await PricingService.getMerchantPricingRules(group.merchant_id);
+      groups.push({ ...group, branch, pricingRules });
+    }
+    return groups;
+  }
+
+  /**
+   * Picks out the promotions a merchant funds and the discount they add up to
+   */
+  static splitPromotions(pricing, group) {
+    const applied = pricing.applied_promotions.filter(entry => entry.merchant_id === group.merchant_id);
+    const discount = PricingService.round(
+      applied.reduce((sum, entry) => sum + entry.discount_amount, 0),
+      group.pricingRules
     );
+    return { applied_promotions: applied, discount };
+  }
 
-    const merchantBranch = await this.findNearestMerchantBranch(defaultAddress.latitude, defaultAddress.longitude);
-    if (!merchantBranch) {
-      throw new AppError('No merchant available', 404, 'MERCHANT_UNAVAILABLE');
+  static async getDeliveryQuote({ user_id, cart_id, promotion_code, scheduled_for }) {
+    const at = scheduled_for ? new Date(scheduled_for) : new Date();
+    if (Number.isNaN(at.getTime())) {
+      throw new AppError('Scheduled time is not a valid date', 400, 'INVALID_SCHEDULED_TIME');
     }
 
-    const order_number = `ORD-${uuid().split('-')[0]}`;
+    const customerRecord = await this.findCustomerByUser(user_id);
+
+    const { cart, customer, destination, lines, groups, currency } =
+      await this.loadCheckoutContext(customerRecord.id, cart_id);
+    const pricing = await PromotionService.evaluateCart({
+      customer,
+      lines,
+      promotionCode: promotion_code || cart.coupon_code,
+    });
+
+    // Every merchant delivers separately, so each is quoted on its own share of the cart
+    const quotes = [];
+    for (const group of groups) {
+      const subtotal = group.lines.reduce((sum, line) => sum + line.line_total, 0);
+      const quote = await DeliveryFeeService.quote({
+        merchantId: group.merchant_id,
+        branch: group.branch,
+        destination,
+        orderAmount: subtotal - this.splitPromotions(pricing, group).discount,
+        rules: group.pricingRules,
+        at,
+      });
+      quotes.push({ merchant_id: group.merchant_id, branch_id: group.branch.id, ...quote });
+    }
+
+    return {
+      currency,
+      delivery_fee: PricingService.round(
+        quotes.reduce((sum, quote) => sum + quote.fee, 0),
+        groups[0].pricingRules
+      ),
+      quotes,
+    };
+  }
+
+  /**
+   * Prices one merchant's share of the checkout: its promotions, delivery fee and taxes.
+   * The fee is priced once here and stored, so later settings changes never alter it.
+   */
+  static async priceMerchantGroup({ group, pricing, destination, isDelivery, schedule, transaction }) {
+    const { applied_promotions, discount } = this.splitPromotions(pricing, group);
+    if (schedule) {
+      await OrderSchedulingService.assertSlotCapacity(group.branch, schedule.scheduled_for, transaction);
+    }
+
+    const subtotal = group.lines.reduce((sum, line) => sum + line.line_total, 0);
+    const delivery = isDelivery
+      ? await DeliveryFeeService.quote({
+        merchantId: group.merchant_id,
+        branch: group.branch,
+        destination,
+        orderAmount: subtotal - discount,
+        rules: group.pricingRules,
+        at: schedule?.scheduled_for,
+        transaction,
+      })
+      : null;
+
+    const breakdown = {
+      ...PricingService.calculate({
+        lines: group.lines,
+        rules: group.pricingRules,
+        discount,
+        deliveryFee: delivery ? delivery.fee : 0,
+      }),
+      delivery,
+    };
+    return { group, schedule, applied_promotions, breakdown };
+  }
+
+  /**
+   * Creates one merchant's child order with its items, stock reservations and redemptions
+   */
+  static async createChildOrder({ checkout, customer, destination, fulfillment_type, priced, transaction }) {
+    const { group, schedule, applied_promotions, breakdown } = priced;
+    const isDelivery = fulfillment_type === 'delivery';
+
     const order = await Order.create({
-      customer_id,
-      merchant_id: merchantBranch.merchant_id,
-      total_amount,
-      order_number,
+      checkout_id: checkout.id,
+      customer_id: customer.id,
+      merchant_id: group.merchant_id,
+      branch_id: group.branch.id,
+      items: group.lines,
+      subtotal: breakdown.subtotal,
+      tax_total: breakdown.tax,
+      service_charge: breakdown.service_charge,
+      delivery_fee: breakdown.delivery_fee,
+      total_amount: breakdown.total,
+      total_discount: breakdown.discount,
+      price_breakdown: breakdown,
+      applied_promotions,
+      fulfillment_type,
+      delivery_location: isDelivery ? destination : null,
+      scheduled_for: schedule?.scheduled_for || null,
+      release_at: schedule?.release_at || null,
+      dispatch_at: schedule?.dispatch_at || null,
+      order_number: `ORD-${uuid().split('-')[0]}`,
       status: 'pending',
       payment_status: 'unpaid',
-      currency: customer.country === 'Malawi' ? 'MWK' : 'USD',
-    });
+      currency: checkout.currency,
+    }, { transaction });
 
-    const orderItems = cart.CartItems.map(item => ({
+    const orderItems = group.lines.map((line, index) => ({
       order_id: order.id,
-      menu_inventory_id: item.menu_inventory_id,
-      quantity: item.quantity,
-      price: item.MenuInventory.price,
+      menu_item_id: line.menu_item_id,
+      quantity: line.quantity,
+      customization: group.cartItems[index].customizations || null,
     }));
-    await OrderItem.bulkCreate(orderItems);
+    await OrderItems.bulkCreate(orderItems, { transaction });
+    for (const item of orderItems) {
+      await inventoryService.processOrderStockAdjustment(item, 'reserve', transaction);
+    }
 
-    logger.info('Order created', { order_id: order.id, order_number, customer_id });
+    await PromotionService.redeemPromotions({
+      order,
+      customerId: customer.id,
+      appliedPromotions: applied_promotions,
+      transaction,
+    });
+    return order;
+  }
 
-    const payment = await paymentService.processPayment({
-      order_id: order.id,
-      customer_id,
-      merchant_id: merchantBranch.merchant_id,
-      amount: total_amount,
-      payment_method,
+  /**
+   * Cancels child orders whose checkout was never paid, putting back the stock
+   * they reserved and the promotion usage they redeemed
+   */
+  static async releaseUnpaidOrders(orders, reason, transaction) {
+    const actor = { type: 'system' };
+    for (const order of orders) {
+      await OrderStatusService.transition({ order, toStatus: 'cancelled', actor, reason, transaction });
+
+      const orderItems = await OrderItems.findAll({ where: { order_id: order.id }, transaction });
+      for (const item of orderItems) {
+        await inventoryService.processOrderStockAdjustment(item, 'cancel', transaction);
+      }
+      await PromotionService.reverseRedemptions({ orderId: order.id, transaction });
+    }
+  }
+
+  // Charges what is left of a checkout with the method the customer chose
+  static async chargeCheckout(customer, payment_method, payment_details, request) {
+    if (payment_method === WALLET_PAYMENT_METHOD) {
+      return paymentService.payFromWallet(request);
+    }
+    if (payment_method === 'MOBILE_MONEY') {
+      return paymentService.initiateMobileMoneyPayment({
+        ...request,
+        provider: payment_details.provider,
+        phone_number: payment_details.phone_number || customer.phone_number,
+      });
+    }
+    return paymentService.initiateBankCardPayment({
+      ...request,
+      bank_name: payment_details.bank_name || payment_details.provider,
+      card_details: payment_details.card_details,
     });
+  }
 
-    if (payment.status === 'completed') {
-      await order.update({ payment_status: 'paid', status: 'confirmed' });
-      logger.info('Order confirmed', { order_id: order.id, payment_status: 'paid' });
+  /**
+   * Marks a checkout paid once its payments cover the total, and confirms its
+   * child orders. Only the first call for a checkout confirms it.
+   * @param {Object} checkout - Checkout instance
+   * @returns {Promise<boolean>} Whether this call confirmed the checkout
+   */
+  static async confirmCheckout(checkout) {
+    const paid = await Payment.sum('amount', {
+      where: { checkout_id: checkout.id, status: { [Op.in]: CHECKOUT_SETTLED_PAYMENT_STATUSES } },
+    });
+    if (mathUtils.roundToDecimal(Number(paid) || 0, 2) < Number(checkout.total_amount)) return false;
+
+    const actor = { type: 'system' };
+    const orders = await Order.sequelize.transaction(async (t) => {
+      const [updatedCount] = await Checkout.update(
+        { status: 'paid' },
+        { where: { id: checkout.id, status: 'pending' }, transaction: t }
+      );
+      if (updatedCount === 0) return null;
 
+      const childOrders = await Order.findAll({ where: { checkout_id: checkout.id }, order: [['id', 'ASC']], transaction: t });
+      const payable = childOrders.filter(order => order.status === 'pending');
+      const cancelled = childOrders.filter(order => order.status === 'cancelled');
+      // Scheduled orders wait for the release job before the merchant sees them
+      for (const order of payable) {
+        await OrderStatusService.transition({
+          order,
+          toStatus: order.scheduled_for ? 'scheduled' : 'confirmed',
+          actor,
+          reason: 'Payment completed',
+          updates: { payment_status: 'paid' },
+          transaction: t,
+        });
+      }
+
+      // An order cancelled while the payment was with the provider gets its share back
+      for (const order of cancelled) {
+        for (const { payment, refundable } of await this.findRefundablePayments(order, t)) {
+          await paymentService.initiateRefund(payment.id, {
+            reason: `Order #${order.order_number} was cancelled before its payment settled`,
+            requested_by: null,
+            order_id: order.id,
+            amount: refundable,
+          }, t);
+        }
+      }
+      return payable;
+    });
+    if (!orders) return false;
+    checkout.setDataValue('status', 'paid');
+    logger.info('Checkout paid', { checkout_id: checkout.id, paid_amount: Number(paid) });
+
+    const customer = await Customer.findByPk(checkout.customer_id);
+    for (const order of orders) {
       await NotificationService.sendThroughChannel({
         user_id: customer.user_id,
         order_id: order.id,
         type: 'order_confirmation',
-        message: `Your order #${order_number} has been confirmed!`,
+        message: order.scheduled_for
+          ? `Your order #${order.order_number} is scheduled for ${order.scheduled_for.toISOString()}.`
+          : `Your order #${order.order_number} has been confirmed!`,
         priority: 'MEDIUM',
         channel: customer.preferences?.notification_channel || 'EMAIL',
       });
-    } else {
-      throw new AppError('Payment failed', 402, 'PAYMENT_FAILED');
     }
+    return true;
+  }
+
+  /**
+   * Gives up on a checkout that could not be paid: its orders are cancelled and
+   * whatever a gift card paid goes back on the card. Only the first call does this.
+   * @param {Object} checkout - Checkout instance
+   * @param {string} reason - Recorded on the cancelled orders and the gift card refund
+   * @returns {Promise<boolean>} Whether this call cancelled the checkout
+   */
+  static async cancelUnpaidCheckout(checkout, reason) {
+    const cancelled = await Order.sequelize.transaction(async (t) => {
+      const [updatedCount] = await Checkout.update(
+        { status: 'payment_failed' },
+        { where: { id: checkout.id, status: 'pending' }, transaction: t }
+      );
+      if (updatedCount === 0) return false;
+
+      const orders = await Order.findAll({ where: { checkout_id: checkout.id, status: 'pending' }, transaction: t });
+      await this.releaseUnpaidOrders(orders, reason, t);
+      return true;
+    });
+    if (!cancelled) return false;
+    checkout.setDataValue('status', 'payment_failed');
+
+    const giftCardPayments = await Payment.findAll({
+      where: { checkout_id: checkout.id, payment_method: GIFT_CARD_PAYMENT_METHOD, status: 'completed' },
+    });
+    for (const payment of giftCardPayments) {
+      await paymentService.reverseGiftCardPayment(payment, reason);
+      await PaymentAllocation.destroy({ where: { payment_id: payment.id } });
+    }
+    logger.info('Checkout payment failed', { checkout_id: checkout.id, reason });
+    return true;
+  }
 
-    return { order_id: order.id, order_number, status: order.status, total_amount };
+  static handlePaymentUpdated({ payment }) {
+    if (!payment?.checkout_id) return;
+    this.applyCheckoutPayment(payment).catch(error =>
+      logger.error('Failed to update checkout from payment', {
+        payment_id: payment.id,
+        checkout_id: payment.checkout_id,
+        error: error.message,
+      })
+    );
   }
 
-  static async findNearestMerchantBranch(latitude, longitude) {
+  /**
+   * Confirms or cancels a checkout when one of its payments settles or fails
+   * after checkout has returned. A payment that settles after its checkout was
+   * given up on is refunded, since the orders it paid for are gone.
+   * @param {Object} payment - The checkout's payment
+   */
+  static async applyCheckoutPayment(payment) {
+    const checkout = await Checkout.findByPk(payment.checkout_id);
+    if (!checkout) return;
+
+    if (CHECKOUT_FAILED_PAYMENT_STATUSES.includes(payment.status)) {
+      await this.cancelUnpaidCheckout(checkout, `Checkout ${checkout.checkout_number} was not paid`);
+      return;
+    }
+    if (!CHECKOUT_SETTLED_PAYMENT_STATUSES.includes(payment.status)) return;
+    if (await this.confirmCheckout(checkout)) return;
+
+    if (checkout.status === 'payment_failed' && payment.payment_method !== GIFT_CARD_PAYMENT_METHOD) {
+      logger.warn('Payment settled after its checkout was cancelled', {
+        payment_id: payment.id,
+        checkout_id: checkout.id,
+      });
+      await paymentService.initiateRefund(payment.id, {
+        reason: `Checkout ${checkout.checkout_number} was cancelled before the payment settled`,
+        requested_by: null,
+      });
+    }
+  }
+
+  /**
+   * Checks out the cart as one parent checkout with a child order per merchant.
+   * The customer pays once; the payment is allocated to the child orders, which
+   * then move through their statuses independently. A mobile money or card payment
+   * may still be with the provider when this returns; the checkout and its orders
+   * stay pending until it settles.
+   */
+  static async checkout({ user_id, payment_method, payment_details = {}, cart_id, promotion_code, gift_card_code, scheduled_for, fulfillment_type = 'delivery' }) {
+    if (payment_method && !CHECKOUT_PAYMENT_METHODS.includes(payment_method)) {
+      throw new AppError(`Payment method must be one of ${CHECKOUT_PAYMENT_METHODS.join(', ')}`, 400, 'INVALID_PAYMENT_METHOD');
+    }
+    const { id: customer_id } = await this.findCustomerByUser(user_id);
+    const { cart, customer, destination, lines, groups, currency } =
+      await this.loadCheckoutContext(customer_id, cart_id);
+
+    // A gift card pays towards its own merchant's order; the rest goes on the chosen method
+    const giftCard = gift_card_code ? await GiftCardService.findRedeemable(gift_card_code) : null;
+    if (giftCard && !groups.some(group => group.merchant_id === giftCard.merchant_id)) {
+      throw new AppError('Gift card cannot be used with any merchant in this cart', 400, 'GIFT_CARD_NOT_ACCEPTED');
+    }
+
+    const isDelivery = fulfillment_type === 'delivery';
+    // Each merchant prepares on its own clock, so every child order gets its own release times
+    const schedules = new Map();
+    if (scheduled_for) {
+      for (const group of groups) {
+        schedules.set(group.merchant_id, await OrderSchedulingService.planSchedule({
+          scheduledFor: scheduled_for,
+          fulfillmentType: fulfillment_type,
+          branch: group.branch,
+          destination,
+          cartItems: group.cartItems,
+        }));
+      }
+    }
+
+    const checkout_number = `CHK-${uuid().split('-')[0]}`;
+    const { checkout, orders } = await Order.sequelize.transaction(async (t) => {
+      const pricing = await PromotionService.evaluateCart({
+        customer,
+        lines,
+        promotionCode: promotion_code || cart.coupon_code,
+        transaction: t,
+      });
+
+      const pricedGroups = [];
+      for (const group of groups) {
+        pricedGroups.push(await this.priceMerchantGroup({
+          group,
+          pricing,
+          destination,
+          isDelivery,
+          schedule: schedules.get(group.merchant_id) || null,
+          transaction: t,
+        }));
+      }
+      const sum = field => PricingService.round(
+        pricedGroups.reduce((total, priced) => total + priced.breakdown[field], 0),
+        groups[0].pricingRules
+      );
+
+      const newCheckout = await Checkout.create({
+        checkout_number,
+        customer_id,
+        cart_id: cart.id,
+        currency: currency || (customer.country === 'Malawi' ? 'MWK' : 'USD'),
+        subtotal: sum('subtotal'),
+        total_discount: sum('discount'),
+        delivery_fee: sum('delivery_fee'),
+        total_amount: sum('total'),
+        applied_promotions: pricing.applied_promotions,
+      }, { transaction: t });
+
+      const childOrders = [];
+      for (const priced of pricedGroups) {
+        childOrders.push(await this.createChildOrder({
+          checkout: newCheckout,
+          customer,
+          destination,
+          fulfillment_type,
+          priced,
+          transaction: t,
+        }));
+      }
+
+      // The coupon has been consumed by this checkout
+      await cart.update({ coupon_code: null, coupon_applied_at: null, coupon_expires_at: null }, { transaction: t });
+
+      return { checkout: newCheckout, orders: childOrders };
+    });
+
+    logger.info('Checkout created', {
+      checkout_id: checkout.id,
+      checkout_number,
+      customer_id,
+      order_ids: orders.map(order => order.id),
+    });
+
+    // Anything already paid goes back if the rest of the checkout cannot be paid
+    const failCheckout = async (error) => {
+      await this.cancelUnpaidCheckout(checkout, `Checkout ${checkout_number} was not paid`);
+      throw error;
+    };
+
+    let giftCardPayment = null;
+    const cardOrder = giftCard && orders.find(order => order.merchant_id === giftCard.merchant_id);
+    if (cardOrder) {
+      giftCardPayment = await paymentService.payWithGiftCard({
+        code: gift_card_code,
+        amount: Math.min(Number(giftCard.balance), Number(cardOrder.total_amount)),
+        customer_id,
+        merchant_id: cardOrder.merchant_id,
+        order_id: cardOrder.id,
+        checkout_id: checkout.id,
+        currency: checkout.currency,
+        description: `Checkout ${checkout_number}`,
+      }).catch(failCheckout);
+      await PaymentAllocation.create({
+        payment_id: giftCardPayment.id,
+        order_id: cardOrder.id,
+        merchant_id: cardOrder.merchant_id,
+        amount: giftCardPayment.amount,
+        currency: checkout.currency,
+      });
+    }
+    const giftCardAmount = giftCardPayment ? giftCardPayment.amount : 0;
+    const remaining = mathUtils.roundToDecimal(Number(checkout.total_amount) - giftCardAmount, 2);
+
+    let payment = null;
+    if (remaining > 0) {
+      if (!payment_method) {
+        await failCheckout(new AppError('A payment method is needed for what the gift card does not cover', 400, 'PAYMENT_METHOD_REQUIRED', {
+          remaining,
+        }));
+      }
+      // A single-merchant checkout keeps the payment tied to its only order and merchant
+      const singleOrder = orders.length === 1 ? orders[0] : null;
+      payment = await this.chargeCheckout(customer, payment_method, payment_details || {}, {
+        checkout_id: checkout.id,
+        order_id: singleOrder ? singleOrder.id : null,
+        customer_id,
+        merchant_id: singleOrder ? singleOrder.merchant_id : null,
+        amount: remaining,
+        currency: checkout.currency,
+        description: `Checkout ${checkout_number}`,
+      }).catch(failCheckout);
+
+      const allocations = orders.map(order => ({
+        payment_id: payment.id,
+        order_id: order.id,
+        merchant_id: order.merchant_id,
+        amount: mathUtils.roundToDecimal(Number(order.total_amount) - (order === cardOrder ? giftCardAmount : 0), 2),
+        currency: checkout.currency,
+      }));
+      await PaymentAllocation.bulkCreate(allocations.filter(allocation => allocation.amount > 0));
+
+      // The provider may already have answered while the allocations were written
+      await payment.reload();
+      if (CHECKOUT_FAILED_PAYMENT_STATUSES.includes(payment.status)) {
+        await failCheckout(new AppError('Payment failed', 402, 'PAYMENT_FAILED', {
+          checkout_id: checkout.id,
+          payment_id: payment.id,
+        }));
+      }
+    }
+
+    // Mobile money and card payments usually settle later, through the provider's
+    // callback or webhook, which confirms the orders then
+    await this.confirmCheckout(checkout);
+    await Promise.all([checkout.reload(), ...orders.map(order => order.reload())]);
+
+    return {
+      checkout_id: checkout.id,
+      checkout_number,
+      status: checkout.status,
+      currency: checkout.currency,
+      total_amount: Number(checkout.total_amount),
+      total_discount: Number(checkout.total_discount),
+      delivery_fee: Number(checkout.delivery_fee),
+      applied_promotions: checkout.applied_promotions,
+      payment_id: payment ? payment.id : null,
+      payment_status: payment ? payment.status : null,
+      gift_card_payment: giftCardPayment
+        ? { payment_id: giftCardPayment.id, amount: giftCardPayment.amount }
+        : null,
+      orders: orders.map(order => ({
+        order_id: order.id,
+        order_number: order.order_number,
+        merchant_id: order.merchant_id,
+        branch_id: order.branch_id,
+        status: order.status,
+        fulfillment_type: order.fulfillment_type,
+        scheduled_for: order.scheduled_for,
+        total_amount: order.total_amount,
+        total_discount: order.total_discount,
+        applied_promotions: order.applied_promotions,
+        price_breakdown: order.price_breakdown,
+      })),
+    };
+  }
+
+  static async getCheckout(checkout_id, user_id) {
+    const checkout = await Checkout.findByPk(checkout_id, {
+      include: [
+        { model: Customer, as: 'customer', attributes: ['id', 'user_id'] },
+        {
+          model: Order,
+          as: 'orders',
+          attributes: ['id', 'order_number', 'merchant_id', 'branch_id', 'status', 'payment_status', 'fulfillment_type', 'scheduled_for', 'total_amount'],
+          include: [{ model: PaymentAllocation, as: 'paymentAllocations', attributes: ['payment_id', 'amount', 'currency'] }],
+        },
+        { model: Payment, as: 'payments', attributes: ['id', 'amount', 'payment_method', 'status', 'refund_status'] },
+      ],
+      order: [[{ model: Order, as: 'orders' }, 'id', 'ASC']],
+    });
+    if (!checkout) throw new AppError('Checkout not found', 404, 'CHECKOUT_NOT_FOUND');
+    if (checkout.customer.user_id !== user_id) throw new AppError('Unauthorized', 403, 'UNAUTHORIZED');
+
+    const { customer, ...details } = checkout.toJSON();
+    return details;
+  }
+
+  static async findNearestMerchantBranch(latitude, longitude, merchant_id) {
     const branches = await MerchantBranch.findAll({
-      where: { status: 'active' },
-      attributes: ['id', 'merchant_id', 'latitude', 'longitude', 'delivery_radius'],
+      where: { is_active: true, ...(merchant_id && { merchant_id }) },
+      attributes: BRANCH_ATTRIBUTES,
     });
 
     let nearestBranch = null;
     let minDistance = Infinity;
 
     for (const branch of branches) {
+      const [branchLongitude, branchLatitude] = branch.location.coordinates;
       const distance = mathUtils.calculateDistance(
         latitude,
         longitude,
-        branch.latitude,
-        branch.longitude
+        branchLatitude,
+        branchLongitude
       );
       if (distance < branch.delivery_radius && distance < minDistance) {
         minDistance = distance;
@@ -107,18 +690,22 @@ class OrderService {
     return nearestBranch;
   }
 
-  static async notifyMerchant(order_id) {
-    const order = await Order.findByPk(order_id, { include: [MerchantBranch] });
+  static async notifyMerchant(order_id, actor = {}) {
+    const order = await Order.findByPk(order_id, {
+      include: [{ model: MerchantBranch, as: 'branch' }, { model: Merchant, as: 'merchant' }],
+    });
     if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
 
-    await order.update({ status: 'preparing' });
+    await OrderStatusService.transition({ order, toStatus: 'preparing', actor });
     logger.info('Order assigned to merchant', { order_id, merchant_id: order.merchant_id });
 
     await NotificationService.sendThroughChannel({
-      user_id: order.MerchantBranch.merchant.user_id,
+      user_id: order.merchant.user_id,
       order_id,
       type: 'new_order',
-      message: `New order #${order.order_number} received at ${order.MerchantBranch.name}.`,
+      message: order.scheduled_for
+        ? `Scheduled order #${order.order_number} received at ${order.branch.name}, due ${order.scheduled_for.toISOString()}.`
+        : `New order #${order.order_number} received at ${order.branch.name}.`,
       priority: 'HIGH',
       channel: 'WHATSAPP',
     });
@@ -126,11 +713,13 @@ class OrderService {
     return { order_id, merchant_id: order.merchant_id, status: order.status };
   }
 
-  static async confirmOrderReady(order_id) {
-    const order = await Order.findByPk(order_id);
+  static async confirmOrderReady(order_id, actor = {}) {
+    const order = await Order.findByPk(order_id, {
+      include: [{ model: Customer, as: 'customer', attributes: ['id', 'user_id'] }],
+    });
     if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
 
-    await order.update({ status: 'ready' });
+    await OrderStatusService.transition({ order, toStatus: 'ready', actor });
     logger.info('Order marked as ready', { order_id });
 
     await NotificationService.sendThroughChannel({
@@ -144,96 +733,18 @@ class OrderService {
     return { order_id, status: order.status };
   }
 
-  static async assignDriver(order_id) {
-    const order = await Order.findByPk(order_id, {
-      include: [MerchantBranch, { model: Address, as: 'delivery_address' }],
-    });
-    if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
-
-    const driver = await this.findNearestAvailableDriver(
-      order.MerchantBranch.latitude,
-      order.MerchantBranch.longitude
-    );
-    if (!driver) throw new AppError('No drivers available', 404, 'DRIVER_UNAVAILABLE');
-
-    const origin = `${order.MerchantBranch.latitude},${order.MerchantBranch.longitude}`;
-    const destination = `${order.delivery_address.latitude},${order.delivery_address.longitude}`;
-    const routeData = await Geolocation2Service.calculateRouteForDriver(origin, destination);
-
-    const route = await Route.create({
-      origin: { lat: order.MerchantBranch.latitude, lng: order.MerchantBranch.longitude },
-      destination: { lat: order.delivery_address.latitude, lng: order.delivery_address.longitude },
-      distance: routeData.distance.value,
-      duration: routeData.duration.value,
-      polyline: routeData.polyline,
-      steps: routeData.steps,
-      trafficModel: 'best_guess',
-    });
-
-    const estimatedDeliveryTime = new Date(Date.now() + routeData.duration.value * 1000);
-
-    await order.update({
-      driver_id: driver.id,
-      routeId: route.id,
-      status: 'out_for_delivery',
-      estimated_delivery_time: estimatedDeliveryTime,
-    });
-
-    await driver.update({ activeRouteId: route.id });
-
-    await NotificationService.sendThroughChannel({
-      user_id: driver.user_id,
-      order_id,
-      type: 'delivery_assignment',
-      message: `Deliver order #${order.order_number} from ${order.MerchantBranch.name} to ${order.delivery_address.formattedAddress}.`,
-      priority: 'HIGH',
-    });
-
-    await NotificationService.sendThroughChannel({
-      user_id: order.customer.user_id,
-      order_id,
-      type: 'out_for_delivery',
-      message: `Your order #${order.order_number} is out for delivery!`,
-      priority: 'MEDIUM',
-    });
-
-    return {
-      order_id,
-      driver_id: driver.id,
-      estimated_delivery_time: estimatedDeliveryTime,
-    };
+  // The driver is assigned once one of them accepts the dispatch engine's offer
+  static async assignDriver(order_id, options = {}) {
+    return DispatchService.dispatchOrder(order_id, options);
   }
 
-  static async findNearestAvailableDriver(latitude, longitude) {
-    const drivers = await Driver.findAll({
-      where: { availability_status: 'available' },
-      attributes: ['id', 'user_id', 'current_latitude', 'current_longitude'],
+  static async confirmPickup(order_id, actor = {}) {
+    const order = await Order.findByPk(order_id, {
+      include: [{ model: Customer, as: 'customer', attributes: ['id', 'user_id'] }],
     });
-
-    let nearestDriver = null;
-    let minDistance = Infinity;
-
-    for (const driver of drivers) {
-      const distance = mathUtils.calculateDistance(
-        latitude,
-        longitude,
-        driver.current_latitude,
-        driver.current_longitude
-      );
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearestDriver = driver;
-      }
-    }
-
-    return nearestDriver;
-  }
-
-  static async confirmPickup(order_id) {
-    const order = await Order.findByPk(order_id);
     if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
 
-    await order.update({ status: 'out_for_delivery' });
+    await OrderStatusService.transition({ order, toStatus: 'out_for_delivery', actor });
     logger.info('Order picked up', { order_id, driver_id: order.driver_id });
 
     await NotificationService.sendThroughChannel({
@@ -247,11 +758,18 @@ class OrderService {
     return { order_id, status: order.status };
   }
 
-  static async confirmDelivery(order_id) {
-    const order = await Order.findByPk(order_id);
+  static async confirmDelivery(order_id, actor = {}) {
+    const order = await Order.findByPk(order_id, {
+      include: [{ model: Customer, as: 'customer', attributes: ['id', 'user_id'] }],
+    });
     if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
 
-    await order.update({ status: 'completed', actual_delivery_time: new Date() });
+    await OrderStatusService.transition({
+      order,
+      toStatus: 'completed',
+      actor,
+      updates: { actual_delivery_time: new Date() },
+    });
     logger.info('Order delivered', { order_id, actual_delivery_time: order.actual_delivery_time });
 
     await NotificationService.sendThroughChannel({
@@ -269,7 +787,9 @@ class OrderService {
   }
 
   static async requestFeedback(order_id) {
-    const order = await Order.findByPk(order_id);
+    const order = await Order.findByPk(order_id, {
+      include: [{ model: Customer, as: 'customer', attributes: ['id', 'user_id'] }],
+    });
     if (!order || order.status !== 'completed') {
       throw new AppError('Order not completed', 400, 'ORDER_NOT_COMPLETED');
     }
@@ -305,6 +825,260 @@ class OrderService {
     return feedback;
   }
 
+  static getCancellationPolicy(merchant) {
+    return { ...DEFAULT_CANCELLATION_POLICY, ...(merchant?.cancellation_policy || {}) };
+  }
+
+  /**
+   * Works out whether the customer may cancel and how much of the payment comes back.
+   * Fees only apply in the policy's fee statuses once the grace period has passed.
+   */
+  static calculateCancellationTerms(order, policy, now = new Date()) {
+    const cancellableStatuses = [...policy.free_statuses, ...policy.fee_statuses];
+    if (!policy.allow_customer_cancellation || !cancellableStatuses.includes(order.status)) {
+      return { cancellable: false, cancellation_fee: 0, refund_amount: 0 };
+    }
+
+    const paidAmount = ['paid', 'partially_refunded'].includes(order.payment_status)
+      ? Number(order.total_amount) - Number(order.refunded_amount || 0)
+      : 0;
+    const minutesSincePlaced = (now - new Date(order.created_at)) / 60000;
+    const chargeable = policy.fee_statuses.includes(order.status)
+      && minutesSincePlaced > (policy.grace_period_minutes || 0);
+
+    let cancellationFee = 0;
+    if (chargeable) {
+      const percentageFee = (paidAmount * (policy.fee_percentage || 0)) / 100;
+      cancellationFee = Math.min(Math.max(percentageFee, policy.min_fee || 0), paidAmount);
+    }
+    const rules = PricingService.getPricingRules(order.currency);
+    cancellationFee = PricingService.round(cancellationFee, rules);
+
+    return {
+      cancellable: true,
+      cancellation_fee: cancellationFee,
+      refund_amount: PricingService.round(paidAmount - cancellationFee, rules),
+    };
+  }
+
+  /**
+   * Payments that covered an order and can still give some of it back. Gift card
+   * payments come first, so a refund goes back on the card before anything is
+   * returned through a provider.
+   */
+  static async findRefundablePayments(order, transaction) {
+    const payments = await paymentService.getOrderPayments(order, transaction);
+    const isGiftCard = ({ payment }) => payment.payment_method === GIFT_CARD_PAYMENT_METHOD;
+    return payments
+      .filter(paid => paid.refundable > 0)
+      .sort((a, b) => isGiftCard(b) - isGiftCard(a));
+  }
+
+  static async cancelOrder(order_id, user_id, reason = null) {
+    const order = await Order.findByPk(order_id, {
+      include: [
+        { model: Customer, as: 'customer' },
+        { model: Merchant, as: 'merchant' },
+        { model: Driver, as: 'driver' },
+      ],
+    });
+    if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    if (order.customer.user_id !== user_id) throw new AppError('Unauthorized', 403, 'UNAUTHORIZED');
+
+    const unpaid = order.payment_status === 'unpaid';
+    // A checkout's orders are confirmed together once the provider answers for its payment
+    if (unpaid && order.checkout_id) {
+      const checkout = await Checkout.findByPk(order.checkout_id, { attributes: ['id', 'status'] });
+      if (checkout?.status === 'pending') {
+        throw new AppError(
+          'Order cannot be cancelled while its payment is being processed',
+          409,
+          'PAYMENT_IN_PROGRESS',
+          { checkout_id: checkout.id }
+        );
+      }
+    }
+
+    const policy = this.getCancellationPolicy(order.merchant);
+    const terms = this.calculateCancellationTerms(order, policy);
+    if (!terms.cancellable) {
+      throw new AppError(
+        `Order can no longer be cancelled once it is ${order.status}`,
+        400,
+        'ORDER_NOT_CANCELLABLE',
+        { status: order.status }
+      );
+    }
+
+    const actor = { user_id, type: 'customer' };
+    const refunds = await Order.sequelize.transaction(async (t) => {
+      await OrderStatusService.transition({
+        order,
+        toStatus: 'cancelled',
+        actor,
+        reason,
+        metadata: terms,
+        transaction: t,
+      });
+
+      const orderItems = await OrderItems.findAll({ where: { order_id: order.id }, transaction: t });
+      for (const item of orderItems) {
+        await inventoryService.processOrderStockAdjustment(item, 'cancel', t);
+      }
+      // A paid order gets its promotions back once it is refunded in full
+      if (unpaid) {
+        await PromotionService.reverseRedemptions({ orderId: order.id, transaction: t });
+      }
+
+      if (order.driver) {
+        await order.driver.update({
+          active_route_id: null,
+          ...(order.driver.availability_status === 'busy' && { availability_status: 'available' }),
+        }, { transaction: t });
+      }
+
+      t.afterCommit(() => eventManager.emit('order.cancelled', {
+        orderId: order.id,
+        orderNumber: order.order_number,
+        customerId: order.customer_id,
+        merchantId: order.merchant_id,
+        driverId: order.driver_id,
+        reason,
+        ...terms,
+      }));
+
+      if (terms.refund_amount <= 0) return [];
+
+      const payments = await this.findRefundablePayments(order, t);
+      if (!payments.length) {
+        logger.warn('Paid order has no settled payment to refund', { order_id: order.id });
+        return [];
+      }
+
+      // Last step, so a failed refund request rolls the cancellation back
+      const requested = [];
+      let outstanding = terms.refund_amount;
+      for (const { payment, refundable } of payments) {
+        const amount = mathUtils.roundToDecimal(Math.min(outstanding, refundable), 2);
+        if (amount <= 0) break;
+        requested.push(await paymentService.initiateRefund(payment.id, {
+          reason: reason || 'Order cancelled by customer',
+          requested_by: user_id,
+          order_id: order.id,
+          amount,
+          notes: `Order #${order.order_number} cancellation fee: ${terms.cancellation_fee}`,
+        }, t));
+        outstanding = mathUtils.roundToDecimal(outstanding - amount, 2);
+      }
+      if (outstanding > 0) {
+        logger.warn('Order payments do not cover the cancellation refund', { order_id: order.id, outstanding });
+      }
+      return requested;
+    });
+    logger.info('Order cancelled by customer', { order_id: order.id, ...terms });
+
+    await NotificationService.sendThroughChannel({
+      user_id: order.customer.user_id,
+      order_id: order.id,
+      type: 'order_cancelled',
+      message: terms.refund_amount > 0
+        ? `Your order #${order.order_number} has been cancelled. A refund of ${order.currency} ${terms.refund_amount} is on its way.`
+        : `Your order #${order.order_number} has been cancelled.`,
+      priority: 'MEDIUM',
+    });
+
+    await NotificationService.sendThroughChannel({
+      user_id: order.merchant.user_id,
+      order_id: order.id,
+      type: 'order_cancelled',
+      message: `Order #${order.order_number} was cancelled by the customer.`,
+      priority: 'HIGH',
+      channel: 'WHATSAPP',
+    });
+
+    if (order.driver) {
+      await NotificationService.sendThroughChannel({
+        user_id: order.driver.user_id,
+        order_id: order.id,
+        type: 'order_cancelled',
+        message: `Order #${order.order_number} was cancelled. You no longer need to deliver it.`,
+        priority: 'HIGH',
+      });
+    }
+
+    return {
+      order_id: order.id,
+      status: order.status,
+      cancellation_fee: terms.cancellation_fee,
+      refund_amount: terms.refund_amount,
+      refund_status: refunds.length ? refunds[0].status : null,
+      refunds: refunds.map(refund => ({
+        refund_id: refund.id,
+        payment_id: refund.payment_id,
+        amount: Number(refund.amount),
+        status: refund.status,
+      })),
+    };
+  }
+
+  static async releaseScheduledOrders(now = new Date()) {
+    const dueOrders = await Order.findAll({
+      where: { status: 'scheduled', release_at: { [Op.lte]: now } },
+      attributes: ['id'],
+      order: [['release_at', 'ASC']],
+    });
+
+    const actor = { type: 'system' };
+    let released = 0;
+    for (const { id } of dueOrders) {
+      try {
+        const order = await Order.findByPk(id);
+        await OrderStatusService.transition({ order, toStatus: 'confirmed', actor, reason: 'Scheduled release' });
+        await this.notifyMerchant(id, actor);
+        released += 1;
+      } catch (error) {
+        logger.error('Failed to release scheduled order', { order_id: id, error: error.message });
+      }
+    }
+    return released;
+  }
+
+  static async dispatchScheduledOrders(now = new Date()) {
+    const dueOrders = await Order.findAll({
+      where: {
+        status: { [Op.in]: ['preparing', 'ready'] },
+        fulfillment_type: 'delivery',
+        driver_id: null,
+        dispatch_at: { [Op.lte]: now },
+      },
+      attributes: ['id'],
+      order: [['dispatch_at', 'ASC']],
+    });
+
+    let dispatched = 0;
+    for (const { id } of dueOrders) {
+      if (await DispatchService.hasRecentDispatch(id)) continue;
+      try {
+        await this.assignDriver(id);
+        dispatched += 1;
+      } catch (error) {
+        // Left for the next run when no driver is free yet
+        logger.warn('Failed to dispatch scheduled order', { order_id: id, error: error.message });
+      }
+    }
+    return dispatched;
+  }
+
+  static async getOrderHistory(order_id, user_id) {
+    const customer = await this.findCustomerByUser(user_id);
+    const order = await Order.findByPk(order_id, { attributes: ['id', 'order_number', 'status', 'customer_id'] });
+    if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    if (order.customer_id !== customer.id) throw new AppError('Unauthorized', 403, 'UNAUTHORIZED');
+
+    const history = await OrderStatusService.getHistory(order_id);
+    return { order_id: order.id, order_number: order.order_number, status: order.status, history };
+  }
+
   static async getOrderStatus(order_id) {
     const order = await Order.findByPk(order_id, {
       attributes: ['id', 'order_number', 'status', 'estimated_delivery_time', 'actual_delivery_time'],
@@ -312,6 +1086,186 @@ class OrderService {
     if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
     return order;
   }
+
+  static async findCustomerByUser(user_id) {
+    const customer = await Customer.findOne({ where: { user_id }, attributes: ['id', 'user_id'] });
+    if (!customer) throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+    return customer;
+  }
+
+  /**
+   * Shapes an order loaded with ORDER_DETAIL_INCLUDES for the customer. Checkout orders
+   * report their share of the checkout payment rather than the whole amount paid.
+   */
+  static formatOrderDetails(order) {
+    const linePrices = new Map((order.items || []).map(line => [line.menu_item_id, line.unit_price]));
+    const payments = new Map();
+    (order.payments || []).forEach(payment => payments.set(payment.id, { payment, amount: payment.amount }));
+    (order.paymentAllocations || []).forEach(allocation => {
+      if (allocation.payment) payments.set(allocation.payment.id, { payment: allocation.payment, amount: Number(allocation.amount) });
+    });
+
+    return {
+      order_id: order.id,
+      order_number: order.order_number,
+      checkout_id: order.checkout_id,
+      status: order.status,
+      payment_status: order.payment_status,
+      fulfillment_type: order.fulfillment_type,
+      currency: order.currency,
+      subtotal: order.subtotal,
+      total_discount: order.total_discount,
+      tax_total: order.tax_total,
+      service_charge: order.service_charge,
+      delivery_fee: order.delivery_fee,
+      total_amount: order.total_amount,
+      refunded_amount: Number(order.refunded_amount || 0),
+      scheduled_for: order.scheduled_for,
+      actual_delivery_time: order.actual_delivery_time,
+      created_at: order.created_at,
+      merchant: order.merchant,
+      branch: order.branch,
+      items: (order.orderedItems || []).map(item => ({
+        menu_item_id: item.id,
+        name: item.name,
+        images: item.images,
+        quantity: item.OrderItems.quantity,
+        customization: item.OrderItems.customization,
+        unit_price: linePrices.get(item.id) ?? null,
+      })),
+      payments: [...payments.values()].map(({ payment, amount }) => ({
+        payment_id: payment.id,
+        payment_method: payment.payment_method,
+        provider: payment.provider,
+        status: payment.status,
+        refund_status: payment.refund_status,
+        amount,
+        paid_at: payment.created_at,
+      })),
+    };
+  }
+
+  static async listCustomerOrders(user_id, { page = 1, limit = ORDER_HISTORY_PAGE_SIZE, status } = {}) {
+    const customer = await this.findCustomerByUser(user_id);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || ORDER_HISTORY_PAGE_SIZE, 1), ORDER_HISTORY_MAX_PAGE_SIZE);
+    const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+
+    const { count, rows } = await Order.findAndCountAll({
+      where: { customer_id: customer.id, ...(status && { status }) },
+      include: ORDER_DETAIL_INCLUDES,
+      distinct: true,
+      order: [['created_at', 'DESC']],
+      limit: pageSize,
+      offset: (currentPage - 1) * pageSize,
+    });
+
+    return {
+      orders: rows.map(order => this.formatOrderDetails(order)),
+      total: count,
+      page: currentPage,
+      totalPages: Math.ceil(count / pageSize),
+    };
+  }
+
+  static async getCustomerOrder(order_id, user_id) {
+    const customer = await this.findCustomerByUser(user_id);
+    const order = await Order.findByPk(order_id, { include: ORDER_DETAIL_INCLUDES });
+    if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    if (order.customer_id !== customer.id) throw new AppError('Unauthorized', 403, 'UNAUTHORIZED');
+    return this.formatOrderDetails(order);
+  }
+
+  /**
+   * Replaces the customer's cart with the items of a past order at today's prices.
+   * Items that are gone, unpublished or out of stock are left out; items whose price
+   * or available quantity moved are added and reported as changed.
+   */
+  static async reorder(order_id, user_id) {
+    const customer = await this.findCustomerByUser(user_id);
+    const order = await Order.findByPk(order_id, {
+      attributes: ['id', 'order_number', 'customer_id', 'items'],
+    });
+    if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    if (order.customer_id !== customer.id) throw new AppError('Unauthorized', 403, 'UNAUTHORIZED');
+
+    const orderItems = await OrderItems.findAll({ where: { order_id: order.id } });
+    const menuItems = await MenuInventory.findAll({
+      where: { id: orderItems.map(item => item.menu_item_id) },
+      include: [{ model: ProductDiscount, as: 'discounts' }],
+    });
+    const linePrices = new Map((order.items || []).map(line => [line.menu_item_id, line.unit_price]));
+
+    const added = [];
+    const changed = [];
+    const unavailable = [];
+    for (const orderItem of orderItems) {
+      const menuItem = menuItems.find(item => item.id === orderItem.menu_item_id);
+      let reason = null;
+      if (!menuItem) reason = 'ITEM_REMOVED';
+      else if (!menuItem.is_published) reason = 'ITEM_UNPUBLISHED';
+      else if (menuItem.availability_status !== 'in-stock' || menuItem.quantity === 0) reason = 'OUT_OF_STOCK';
+      if (reason) {
+        unavailable.push({ menu_item_id: orderItem.menu_item_id, name: menuItem?.name || null, reason });
+        continue;
+      }
+
+      const quantity = menuItem.quantity ? Math.min(orderItem.quantity, menuItem.quantity) : orderItem.quantity;
+      const previousPrice = linePrices.has(menuItem.id) ? parseFloat(linePrices.get(menuItem.id)) : null;
+      const currentPrice = parseFloat(menuItem.calculateFinalPrice());
+      const entry = {
+        menu_item_id: menuItem.id,
+        name: menuItem.name,
+        quantity,
+        customizations: orderItem.customization || {},
+        unit_price: currentPrice,
+      };
+      added.push(entry);
+
+      const priceChanged = previousPrice !== null && previousPrice !== currentPrice;
+      if (priceChanged || quantity !== orderItem.quantity) {
+        changed.push({
+          menu_item_id: menuItem.id,
+          name: menuItem.name,
+          previous_unit_price: previousPrice,
+          unit_price: currentPrice,
+          previous_quantity: orderItem.quantity,
+          quantity,
+        });
+      }
+    }
+    if (added.length === 0) {
+      throw new AppError('None of the items in this order are available', 400, 'REORDER_UNAVAILABLE', { unavailable });
+    }
+
+    await Cart.sequelize.transaction(async (t) => {
+      const [cart] = await Cart.findOrCreate({
+        where: { customer_id: customer.id },
+        defaults: { customer_id: customer.id },
+        transaction: t,
+      });
+      // Items saved for later stay put; everything else is replaced by the reorder
+      await CartItem.destroy({ where: { cart_id: cart.id, saved_for_later: false }, transaction: t });
+      await CartItem.bulkCreate(added.map(({ name, ...item }) => ({ cart_id: cart.id, ...item })), { transaction: t });
+    });
+    logger.info('Cart rebuilt from past order', {
+      order_id: order.id,
+      customer_id: customer.id,
+      added: added.length,
+      changed: changed.length,
+      unavailable: unavailable.length,
+    });
+
+    return {
+      order_id: order.id,
+      order_number: order.order_number,
+      cart: await CartService.getCart(customer.id),
+      changed,
+      unavailable,
+    };
+  }
 }
 
+// Mobile money and card payments settle after checkout returns
+eventManager.on('payment.updated', OrderService.handlePaymentUpdated.bind(OrderService));
+
 module.exports = OrderService;
\ No newline at end of file
@@ -0,0 +1,585 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  ProductPromotion,
+  PromotionRule,
+  PromotionRedemption,
+  ProductDiscount,
+  MenuInventory,
+  Order,
+} = require('@models');
+const AppError = require('@utils/AppError');
+const mathUtils = require('@utils/mathUtils');
+const { logger } = require('@utils/logger');
+
+// Completed orders needed before a customer counts as "loyalty"
+const LOYALTY_ORDER_THRESHOLD = 10;
+
+/**
+ * Promotion Service - Resolves and applies merchant promotions to a cart
+ */
+class PromotionService {
+  /**
+   * Classifies a customer as new, returning or loyalty from completed orders
+   * @param {number} customerId - The customer's ID
+   * @param {Object} [options] - Query options (e.g., { transaction })
+   * @returns {Promise<string>} 'new', 'returning' or 'loyalty'
+   */
+  static async getCustomerType(customerId, options = {}) {
+    const completedOrders = await Order.count({
+      where: { customer_id: customerId, status: 'completed' },
+      transaction: options.transaction,
+    });
+    if (completedOrders === 0) return 'new';
+    if (completedOrders >= LOYALTY_ORDER_THRESHOLD) return 'loyalty';
+    return 'returning';
+  }
+
+  /**
+   * Fetches active promotions for the given merchants: all automatic
+   * promotions plus the one matching the supplied code
+   * @param {number[]} merchantIds - Merchants represented in the cart
+   * @param {string} [code] - Promotion code entered by the customer
+   * @param {Object} [options] - Query options (e.g., { transaction })
+   * @returns {Promise<Array>} Promotions with rules and targeted items
+   */
+  static async resolveEligiblePromotions(
+    merchantIds,
+    code = null,
+    options = {}
+  ) {
+    const now = new Date();
+    const codeFilter = code ? [{ code: null }, { code }] : [{ code: null }];
+
+    return ProductPromotion.findAll({
+      where: {
+        merchant_id: { [Op.in]: merchantIds },
+        is_active: true,
+        [Op.and]: [
+          {
+            [Op.or]: [{ start_date: null }, { start_date: { [Op.lte]: now } }],
+          },
+          { [Op.or]: [{ end_date: null }, { end_date: { [Op.gte]: now } }] },
+          { [Op.or]: codeFilter },
+        ],
+      },
+      include: [
+        { model: PromotionRule, as: 'rules' },
+        {
+          model: MenuInventory,
+          as: 'promotionItems',
+          attributes: ['id'],
+          through: { attributes: [] },
+        },
+      ],
+      transaction: options.transaction,
+    });
+  }
+
+  /**
+   * Checks a single promotion rule against the cart context
+   * @param {Object} rule - PromotionRule instance
+   * @param {Object} context - { lines, customerType, loyaltyPoints, now }
+   * @returns {{ passed: boolean, lines: Array }} Result and the lines still eligible
+   */
+  static evaluateRule(rule, context) {
+    const conditions = rule.conditions || {};
+    const { lines } = context;
+
+    switch (rule.rule_type) {
+      case 'product_quantity': {
+        const scoped = conditions.menu_item_id
+          ? lines.filter(line => line.menu_item_id === conditions.menu_item_id)
+          : lines;
+        const quantity = scoped.reduce((sum, line) => sum + line.quantity, 0);
+        const required =
+          conditions.min_quantity ||
+          (conditions.buy_quantity || 1) + (conditions.get_quantity || 0);
+        return { passed: quantity >= required, lines: scoped };
+      }
+      case 'category': {
+        const categoryIds = conditions.category_ids || [];
+        const scoped = lines.filter(line =>
+          categoryIds.includes(line.category_id)
+        );
+        return { passed: scoped.length > 0, lines: scoped };
+      }
+      case 'customer_type': {
+        const types = conditions.types || [];
+        return { passed: types.includes(context.customerType), lines };
+      }
+      case 'time_based': {
+        const { now } = context;
+        if (conditions.days && !conditions.days.includes(now.getDay())) {
+          return { passed: false, lines };
+        }
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const toMinutes = time => {
+          const [hours, mins] = time.split(':').map(Number);
+          return hours * 60 + mins;
+        };
+        if (
+          conditions.start_time &&
+          minutes < toMinutes(conditions.start_time)
+        ) {
+          return { passed: false, lines };
+        }
+        if (conditions.end_time && minutes > toMinutes(conditions.end_time)) {
+          return { passed: false, lines };
+        }
+        return { passed: true, lines };
+      }
+      case 'loyalty_points':
+        return {
+          passed: context.loyaltyPoints >= (conditions.min_points || 0),
+          lines,
+        };
+      default:
+        return { passed: false, lines };
+    }
+  }
+
+  /**
+   * Computes the discount a promotion yields on its eligible lines
+   * @param {Object} promotion - ProductPromotion instance
+   * @param {Array} lines - Eligible cart lines
+   * @param {Object} [ruleConditions] - Merged product_quantity conditions
+   * @returns {number} Discount amount
+   */
+  static calculateDiscount(promotion, lines, ruleConditions = {}) {
+    const value = parseFloat(promotion.value) || 0;
+    const eligibleTotal = lines.reduce((sum, line) => sum + line.line_total, 0);
+
+    switch (promotion.type) {
+      case 'percentage':
+      case 'loyalty':
+      case 'flash_sale':
+        return eligibleTotal * (Math.min(value, 100) / 100);
+      case 'fixed_amount':
+        return Math.min(value, eligibleTotal);
+      case 'buy_x_get_y': {
+        const buy = ruleConditions.buy_quantity || 1;
+        const get = ruleConditions.get_quantity || 1;
+        // Expand to single units, most expensive first, so the free units are the cheapest in each group
+        const units = lines
+          .flatMap(line => Array(line.quantity).fill(line.unit_price))
+          .sort((a, b) => b - a);
+        let discount = 0;
+        for (let i = 0; i + buy + get <= units.length; i += buy + get) {
+          discount += units
+            .slice(i + buy, i + buy + get)
+            .reduce((sum, price) => sum + price, 0);
+        }
+        return discount;
+      }
+      case 'bundle': {
+        // value is the bundle price; every targeted item must be present at least once
+        const bundleItemIds = promotion.promotionItems.map(item => item.id);
+        if (bundleItemIds.length === 0) return 0;
+        const bundleLines = bundleItemIds.map(id =>
+          lines.find(line => line.menu_item_id === id)
+        );
+        if (bundleLines.some(line => !line)) return 0;
+        const bundles = Math.min(...bundleLines.map(line => line.quantity));
+        const regularPrice = bundleLines.reduce(
+          (sum, line) => sum + line.unit_price,
+          0
+        );
+        return Math.max(regularPrice - value, 0) * bundles;
+      }
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Evaluates all eligible promotions against a set of cart lines
+   * @param {Object} params
+   * @param {Object} params.customer - Customer instance
+   * @param {Array} params.lines - [{ menu_item_id, merchant_id, category_id, quantity, unit_price, line_total }]
+   * @param {string} [params.promotionCode] - Code entered by the customer
+   * @param {Object} [params.transaction] - Sequelize transaction
+   * @returns {Promise<Object>} { subtotal, total_discount, applied_promotions, rejected_promotions }
+   */
+  static async evaluateCart({
+    customer,
+    lines,
+    promotionCode = null,
+    transaction,
+  }) {
+    const subtotal = mathUtils.roundToDecimal(
+      lines.reduce((sum, line) => sum + line.line_total, 0),
+      2
+    );
+    const merchantIds = [...new Set(lines.map(line => line.merchant_id))];
+    const promotions = await this.resolveEligiblePromotions(
+      merchantIds,
+      promotionCode,
+      {
+        transaction,
+      }
+    );
+
+    const context = {
+      customerType: await this.getCustomerType(customer.id, { transaction }),
+      loyaltyPoints: customer.preferences?.loyalty_points || 0,
+      now: new Date(),
+    };
+
+    const applied = [];
+    const rejected = [];
+    let remaining = subtotal;
+
+    for (const promotion of promotions) {
+      const rejection = reason =>
+        rejected.push({
+          promotion_id: promotion.id,
+          code: promotion.code,
+          reason,
+        });
+
+      if (
+        promotion.usage_limit !== null &&
+        promotion.usage_count >= promotion.usage_limit
+      ) {
+        rejection('PROMOTION_EXHAUSTED');
+        continue;
+      }
+      if (
+        promotion.customer_eligibility !== 'all' &&
+        promotion.customer_eligibility !== context.customerType
+      ) {
+        rejection('CUSTOMER_NOT_ELIGIBLE');
+        continue;
+      }
+
+      let eligibleLines = lines.filter(
+        line => line.merchant_id === promotion.merchant_id
+      );
+      const targetedIds = promotion.promotionItems.map(item => item.id);
+      if (targetedIds.length > 0 && promotion.type !== 'bundle') {
+        eligibleLines = eligibleLines.filter(line =>
+          targetedIds.includes(line.menu_item_id)
+        );
+      }
+      if (eligibleLines.length === 0) {
+        rejection('NO_ELIGIBLE_ITEMS');
+        continue;
+      }
+
+      const merchantSubtotal = eligibleLines.reduce(
+        (sum, line) => sum + line.line_total,
+        0
+      );
+      if (merchantSubtotal < (parseFloat(promotion.min_purchase_amount) || 0)) {
+        rejection('MINIMUM_SPEND_NOT_MET');
+        continue;
+      }
+
+      const rules = [...promotion.rules].sort(
+        (a, b) => a.priority - b.priority
+      );
+      let quantityConditions = {};
+      let failedRule = null;
+      for (const rule of rules) {
+        const result = this.evaluateRule(rule, {
+          ...context,
+          lines: eligibleLines,
+        });
+        if (!result.passed) {
+          failedRule = rule;
+          break;
+        }
+        eligibleLines = result.lines;
+        if (rule.rule_type === 'product_quantity') {
+          quantityConditions = { ...quantityConditions, ...rule.conditions };
+        }
+      }
+      if (failedRule) {
+        rejection(`RULE_FAILED_${failedRule.rule_type.toUpperCase()}`);
+        continue;
+      }
+
+      const discount = mathUtils.roundToDecimal(
+        Math.min(
+          this.calculateDiscount(promotion, eligibleLines, quantityConditions),
+          remaining
+        ),
+        2
+      );
+      if (discount <= 0) {
+        rejection('NO_DISCOUNT');
+        continue;
+      }
+
+      remaining = mathUtils.roundToDecimal(remaining - discount, 2);
+      applied.push({
+        promotion_id: promotion.id,
+        merchant_id: promotion.merchant_id,
+        name: promotion.name,
+        type: promotion.type,
+        code: promotion.code,
+        discount_amount: discount,
+        menu_item_ids: eligibleLines.map(line => line.menu_item_id),
+      });
+    }
+
+    const codeHandled =
+      !promotionCode ||
+      applied.some(entry => entry.code === promotionCode) ||
+      rejected.some(entry => entry.code === promotionCode);
+    if (!codeHandled) {
+      const coupon = await this.evaluateDiscountCoupon({
+        code: promotionCode,
+        lines,
+        customerType: context.customerType,
+        transaction,
+      });
+      if (coupon.applied) {
+        const discount = mathUtils.roundToDecimal(
+          Math.min(coupon.applied.discount_amount, remaining),
+          2
+        );
+        remaining = mathUtils.roundToDecimal(remaining - discount, 2);
+        applied.push({ ...coupon.applied, discount_amount: discount });
+      } else {
+        rejected.push(coupon.rejected);
+      }
+    }
+
+    return {
+      subtotal,
+      total_discount: mathUtils.roundToDecimal(subtotal - remaining, 2),
+      applied_promotions: applied,
+      rejected_promotions: rejected,
+    };
+  }
+
+  /**
+   * Evaluates a per-item ProductDiscount coupon against the cart lines
+   * @param {Object} params
+   * @param {string} params.code - Coupon code entered by the customer
+   * @param {Array} params.lines - Cart lines
+   * @param {string} params.customerType - 'new', 'returning' or 'loyalty'
+   * @param {Object} [params.transaction] - Sequelize transaction
+   * @returns {Promise<Object>} { applied } on success, { rejected } otherwise
+   */
+  static async evaluateDiscountCoupon({
+    code,
+    lines,
+    customerType,
+    transaction,
+  }) {
+    const now = new Date();
+    const rejected = reason => ({
+      rejected: { promotion_id: null, code, reason },
+    });
+
+    const discount = await ProductDiscount.findOne({
+      where: {
+        coupon_code: code,
+        is_active: true,
+        [Op.and]: [
+          {
+            [Op.or]: [{ start_date: null }, { start_date: { [Op.lte]: now } }],
+          },
+          { [Op.or]: [{ end_date: null }, { end_date: { [Op.gte]: now } }] },
+        ],
+      },
+      transaction,
+    });
+    if (!discount) return rejected('INVALID_CODE');
+
+    const merchantLines = lines.filter(
+      line => line.merchant_id === discount.merchant_id
+    );
+    if (merchantLines.length === 0) return rejected('WRONG_MERCHANT');
+
+    const line = merchantLines.find(
+      entry => entry.menu_item_id === discount.menu_item_id
+    );
+    if (!line) return rejected('NO_ELIGIBLE_ITEMS');
+
+    if (
+      discount.customer_type !== 'all' &&
+      discount.customer_type !== customerType
+    ) {
+      return rejected('CUSTOMER_NOT_ELIGIBLE');
+    }
+
+    const merchantSubtotal = merchantLines.reduce(
+      (sum, entry) => sum + entry.line_total,
+      0
+    );
+    if (merchantSubtotal < (parseFloat(discount.min_order_amount) || 0)) {
+      return rejected('MINIMUM_SPEND_NOT_MET');
+    }
+    if (discount.min_quantity && line.quantity < discount.min_quantity) {
+      return rejected('RULE_FAILED_PRODUCT_QUANTITY');
+    }
+
+    const units = discount.max_quantity
+      ? Math.min(line.quantity, discount.max_quantity)
+      : line.quantity;
+    const value = parseFloat(discount.value);
+    const amount =
+      discount.type === 'percentage'
+        ? line.unit_price * units * (Math.min(value, 100) / 100)
+        : Math.min(value, line.unit_price) * units;
+
+    return {
+      applied: {
+        promotion_id: null,
+        discount_id: discount.id,
+        merchant_id: discount.merchant_id,
+        name: discount.name,
+        type: discount.type,
+        code,
+        discount_amount: mathUtils.roundToDecimal(amount, 2),
+        menu_item_ids: [line.menu_item_id],
+      },
+    };
+  }
+
+  /**
+   * Looks up a code without date or usage filters so callers can explain
+   * exactly why it cannot be used
+   * @param {string} code - Promotion or coupon code
+   * @returns {Promise<Object|null>} { source: 'promotion'|'discount', record }
+   */
+  static async findByCode(code) {
+    const promotion = await ProductPromotion.findOne({ where: { code } });
+    if (promotion) return { source: 'promotion', record: promotion };
+
+    const discount = await ProductDiscount.findOne({
+      where: { coupon_code: code },
+    });
+    if (discount) return { source: 'discount', record: discount };
+
+    return null;
+  }
+
+  /**
+   * Records redemptions and consumes promotion usage atomically.
+   * Must run inside the checkout transaction so a lost race rolls back the order.
+   * @param {Object} params
+   * @param {Object} params.order - Newly created Order instance
+   * @param {number} params.customerId - The customer's ID
+   * @param {Array} params.appliedPromotions - Output of evaluateCart().applied_promotions
+   * @param {Object} params.transaction - Sequelize transaction
+   * @returns {Promise<Array>} Created PromotionRedemption rows
+   */
+  static async redeemPromotions({
+    order,
+    customerId,
+    appliedPromotions,
+    transaction,
+  }) {
+    const redemptions = [];
+
+    for (const applied of appliedPromotions) {
+      // ProductDiscount coupons carry no usage counters or redemption rows
+      if (!applied.promotion_id) continue;
+
+      const [updatedCount] = await ProductPromotion.update(
+        { usage_count: sequelize.literal('usage_count + 1') },
+        {
+          where: {
+            id: applied.promotion_id,
+            [Op.or]: [
+              { usage_limit: null },
+              { usage_count: { [Op.lt]: sequelize.col('usage_limit') } },
+            ],
+          },
+          transaction,
+        }
+      );
+      if (updatedCount === 0) {
+        throw new AppError(
+          `Promotion "${applied.name}" has reached its usage limit`,
+          409,
+          'PROMOTION_EXHAUSTED',
+          { promotion_id: applied.promotion_id }
+        );
+      }
+
+      redemptions.push(
+        await PromotionRedemption.create(
+          {
+            promotion_id: applied.promotion_id,
+            order_id: order.id,
+            customer_id: customerId,
+            discount_amount: applied.discount_amount,
+            promotion_code: applied.code,
+          },
+          { transaction }
+        )
+      );
+    }
+
+    logger.info('Promotions redeemed', {
+      order_id: order.id,
+      customer_id: customerId,
+      promotion_ids: redemptions.map(redemption => redemption.promotion_id),
+    });
+    return redemptions;
+  }
+
+  /**
+   * Gives back the promotion usage an order consumed, once the order has been
+   * refunded in full or its checkout was never paid. Redemptions are kept and
+   * marked reversed for reporting.
+   * @param {Object} params
+   * @param {number} params.orderId - The refunded or unpaid order's ID
+   * @param {Object} params.transaction - Sequelize transaction
+   * @returns {Promise<number>} Number of redemptions reversed
+   */
+  static async reverseRedemptions({ orderId, transaction }) {
+    const redemptions = await PromotionRedemption.findAll({
+      where: { order_id: orderId, reversed_at: null },
+      transaction,
+    });
+
+    for (const redemption of redemptions) {
+      await ProductPromotion.update(
+        { usage_count: sequelize.literal('GREATEST(usage_count - 1, 0)') },
+        { where: { id: redemption.promotion_id }, transaction }
+      );
+      await redemption.update({ reversed_at: new Date() }, { transaction });
+    }
+
+    if (redemptions.length) {
+      logger.info('Promotion redemptions reversed', {
+        order_id: orderId,
+        promotion_ids: redemptions.map(redemption => redemption.promotion_id),
+      });
+    }
+    return redemptions.length;
+  }
+
+  /**
+   * Builds promotion lines from cart items
+   * @param {Array} cartItems - CartItem instances with menuItem included
+   * @returns {Array} Lines consumable by evaluateCart()
+   */
+  static buildCartLines(cartItems) {
+    return cartItems.map(item => {
+      const unitPrice = parseFloat(item.unit_price ?? item.menuItem.price);
+      return {
+        menu_item_id: item.menu_item_id,
+        merchant_id: item.menuItem.merchant_id,
+        branch_id: item.menuItem.branch_id,
+        category_id: item.menuItem.category_id,
+        quantity: item.quantity,
+        unit_price: unitPrice,
+        line_total: mathUtils.roundToDecimal(unitPrice * item.quantity, 2),
+        is_taxable: item.menuItem.is_taxable,
+        tax_rate: item.menuItem.tax_rate,
+      };
+    });
+  }
+}
+
+module.exports = PromotionService;
@@ -1,8 +1,9 @@
 'use strict';
 
-const { Booking, Table, Staff, InDiningOrder, Customer, Notification } = require('@models');
+const { Booking, Table, Staff, InDiningOrder, Customer, Notification, MerchantBranch, User } = require('@models');
 const { NotificationService } = require('@services/notifications/core/notificationService');
 const PaymentService = require('@services/common/paymentService');
+const BillSplitService = require('@services/customer/billSplitService');
 const { logApiEvent, logTransactionEvent } = require('@utils/logger');
 const AppError = require('@utils/AppError');
 const { Op } = require('sequelize');
@@ -11,6 +12,7 @@ class QuickLinkService {
   constructor() {
     this.notificationService = NotificationService;
     this.paymentService = PaymentService;
+    this.billSplitService = BillSplitService;
   }
 
   async checkIn(userId, bookingId) {
@@ -105,53 +107,39 @@ class QuickLinkService {
     return { notification };
   }
 
-  async requestBill(userId, inDiningOrderId, paymentMethod, splitWith = []) {
+  /**
+   * Asks for the bill. Without anyone to split with the requester gets a single share
+   * for the whole bill; otherwise each participant pays their own share.
+   * @param {number} userId - Order owner
+   * @param {number} inDiningOrderId - InDiningOrder ID
+   * @param {Object} paymentMethod - The requester's payment method
+   * @param {Array} [splitWith] - User IDs, or { user_id, amount?, items?, payment_method? }
+   * @param {Object} [options] - { mode, amount, items } for the requester's share, and staff_id
+   * @returns {Promise<Object>} { split } with the split's progress
+   */
+  async requestBill(userId, inDiningOrderId, paymentMethod, splitWith = [], options = {}) {
     const order = await InDiningOrder.findOne({
       where: { id: inDiningOrderId },
       include: [
         { model: Customer, as: 'customer' },
         { model: Table, as: 'table' },
+        { model: MerchantBranch, as: 'branch' },
       ],
     });
     if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
     if (order.customer.user_id !== userId) throw new AppError('Unauthorized', 403, 'UNAUTHORIZED');
-    if (order.payment_status !== 'unpaid') throw new AppError('Bill already processed', 400, 'BILL_ALREADY_PAID');
-
-    const customer = await Customer.findOne({ where: { user_id: userId } });
-    const phoneNumber = customer.phone_number;
-
-    let payment;
-    if (splitWith.length > 0) {
-      const totalParticipants = splitWith.length + 1;
-      const splitAmount = order.total_amount / totalParticipants;
-
-      payment = await Promise.all(
-        [userId, ...splitWith].map(async (uid) => {
-          const splitCustomer = await Customer.findOne({ where: { user_id: uid } });
-          if (!splitCustomer) throw new AppError(`Customer with user ID ${uid} not found`, 404, 'CUSTOMER_NOT_FOUND');
-
-          return this.paymentService.initiateMobileMoneyPayment({
-            amount: splitAmount,
-            provider: paymentMethod.provider,
-            customer_id: splitCustomer.id,
-            order_id: inDiningOrderId,
-            merchant_id: order.branch.merchant_id,
-            phone_number: splitCustomer.phone_number,
-          });
-        })
-      );
-    } else {
-      payment = await this.paymentService.initiateMobileMoneyPayment({
-        amount: order.total_amount,
-        provider: paymentMethod.provider,
-        customer_id: customer.id,
-        order_id: inDiningOrderId,
-        merchant_id: order.branch.merchant_id,
-        phone_number,
-      });
-    }
 
-    await order.update({ payment_status: 'pending' });
+    const { mode = 'even', amount, items, staff_id = null } = options;
+    const participants = [
+      { user_id: userId, amount, items, payment_method: paymentMethod },
+      ...splitWith.map(entry => (typeof entry === 'object' ? entry : { user_id: entry })),
+    ];
+    const split = await this.billSplitService.createSplit(inDiningOrderId, {
+      mode,
+      participants,
+      requested_by: userId,
+      staff_id,
+    });
 
     const staff = await Staff.findAll({
       where: { merchant_id: order.branch.merchant_id },
@@ -161,13 +149,36 @@ class QuickLinkService {
 
     await this.notificationService.sendThroughChannel('WHATSAPP', {
       notification: { templateName: 'staff_bill_request' },
-      content: `Bill requested for table ${order.table.table_number} (Order: ${order.order_number})`,
+      content: `Bill requested for table ${order.table.table_number} (Order: ${order.order_number}), split ${split.sharesTotal} ways`,
       recipient: staffPhones.length > 0 ? staffPhones[0] : process.env.DEFAULT_STAFF_PHONE,
     });
 
-    logTransactionEvent('Bill requested', { userId, inDiningOrderId, paymentMethod, splitWith });
+    logTransactionEvent('Bill requested', { userId, inDiningOrderId, mode, splitId: split.splitId, shares: split.sharesTotal });
+
+    return { split };
+  }
+
+  async payBillShare(userId, shareId, paymentMethod) {
+    const share = await this.billSplitService.payShare(shareId, userId, paymentMethod);
+    logTransactionEvent('Bill share payment requested', { userId, shareId, status: share.status });
+    return { share };
+  }
 
-    return { payment };
+  async getBill(userId, inDiningOrderId) {
+    const order = await InDiningOrder.findByPk(inDiningOrderId, {
+      include: [{ model: Customer, as: 'customer' }],
+    });
+    if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+
+    const split = await this.billSplitService.getOrderSplit(inDiningOrderId);
+    if (order.customer.user_id !== userId) {
+      // Friends sharing the bill may follow it too
+      const customer = await Customer.findOne({ where: { user_id: userId }, attributes: ['id'] });
+      if (!customer || !split?.shares.some(share => share.customerId === customer.id)) {
+        throw new AppError('Unauthorized', 403, 'UNAUTHORIZED');
+      }
+    }
+    return { split };
   }
 
   async getCheckInCount(staffId, startDate) {
@@ -1,27 +1,111 @@
 'use strict';
-const { Customer, Driver, Ride } = require('@models');
+const { sequelize, Customer, Driver, Ride, RideFareQuote } = require('@models');
 const PaymentService = require('@services/common/paymentService');
+const RidePricingService = require('@services/customer/ridePricingService');
+const WalletService = require('@services/customer/walletService');
 const Geolocation1Service = require('@services/geoLocation/Geolocation1Service');
 const Geolocation2Service = require('@services/geoLocation/Geolocation2Service');
 const LocationDetectionService = require('@services/geoLocation/LocationDetectionService');
 const AppError = require('@utils/AppError');
 const { logger } = require('@utils/logger');
 const { RIDE_TYPES } = require('@config/constants/rideTypes');
+const { WALLET_PAYMENT_METHOD } = require('@config/constants/wallet');
 
 const RideBookingService = {
-  requestRide: async (userId, { pickup, dropoff, rideType, scheduleTime }) => {
-    logger.info('Requesting ride for user', { userId, rideType });
+  requestRide: async (userId, { pickup, dropoff, rideType, scheduleTime, quoteId }) => {
+    logger.info('Requesting ride for user', { userId, rideType, quoteId });
+    const customer = await RideBookingService.findCustomer(userId);
+
+    // A quoted ride keeps the fare, addresses and time it was quoted for
+    let quote;
+    if (quoteId) {
+      quote = await RidePricingService.getOpenQuote(quoteId, customer.id);
+    } else {
+      const { countryCode, pickupLocation, dropoffLocation } = await RideBookingService.resolveRide(customer, {
+        pickup,
+        dropoff,
+        rideType,
+      });
+      quote = await RidePricingService.createQuote(
+        customer,
+        { pickupLocation, dropoffLocation, rideType, scheduledTime: scheduleTime },
+        countryCode
+      );
+    }
+
+    const driver = await Driver.findOne({
+      where: { availability_status: 'available' },
+      order: [['last_location_update', 'DESC']],
+    });
+    if (!driver) {
+      logger.warn('No available drivers found', { userId });
+      throw new AppError('No available drivers at this time', 503);
+    }
+
+    const rideData = {
+      customerId: customer.id,
+      driverId: driver.id,
+      pickupLocation: quote.pickup_location,
+      dropoffLocation: quote.dropoff_location,
+      rideType: quote.ride_type,
+      status: quote.scheduled_time ? 'SCHEDULED' : 'PENDING',
+      scheduledTime: quote.scheduled_time || null,
+    };
+
+    logger.info('Ride model check', { hasCreate: typeof Ride.create === 'function' });
+    if (typeof Ride.create !== 'function') {
+      logger.error('Ride.create is not a function', { Ride });
+      throw new AppError('Internal server error: Ride model misconfigured', 500);
+    }
+
+    const ride = await sequelize.transaction(async (transaction) => {
+      const created = await Ride.create(rideData, { transaction });
+      await RidePricingService.claimQuote(quote, created, { transaction });
+      return created;
+    });
+    logger.info('Ride requested', {
+      rideId: ride.id,
+      customerId: customer.id,
+      driverId: driver.id,
+      quoteId: quote.id,
+      fare: quote.fare,
+      surgeMultiplier: quote.surge_multiplier,
+    });
+    return { ride, fare: RidePricingService.present(quote) };
+  },
+
+  quoteRide: async (userId, { pickup, dropoff, rideType, scheduleTime }) => {
+    logger.info('Quoting ride for user', { userId, rideType });
+    const customer = await RideBookingService.findCustomer(userId);
+    const { countryCode, pickupLocation, dropoffLocation } = await RideBookingService.resolveRide(customer, {
+      pickup,
+      dropoff,
+      rideType,
+    });
+    const quote = await RidePricingService.createQuote(
+      customer,
+      { pickupLocation, dropoffLocation, rideType, scheduledTime: scheduleTime },
+      countryCode
+    );
+    return RidePricingService.present(quote);
+  },
+
+  findCustomer: async (userId) => {
     const customer = await Customer.findOne({ where: { user_id: userId } });
     if (!customer) {
       logger.error('Customer not found for user', { userId });
       throw new AppError('Customer profile not found', 404);
     }
+    return customer;
+  },
+
+  resolveRide: async (customer, { pickup, dropoff, rideType }) => {
     if (!RIDE_TYPES.some(t => t.type === rideType)) {
       logger.error('Invalid ride type provided', { rideType });
       throw new AppError('Invalid ride type', 400);
     }
     const countryCode = customer.country ? customer.country.toUpperCase() : 'MWI';
-    logger.info('Using country code', { userId, countryCode });
+    logger.info('Using country code', { customerId: customer.id, countryCode });
 
     let pickupResult, dropoffResult;
     try {
@@ -62,34 +146,11 @@ const RideBookingService = {
       }
     }
 
-    const driver = await Driver.findOne({
-      where: { availability_status: 'available' },
-      order: [['last_location_update', 'DESC']],
-    });
-    if (!driver) {
-      logger.warn('No available drivers found', { userId });
-      throw new AppError('No available drivers at this time', 503);
-    }
-
-    const rideData = {
-      customerId: customer.id,
-      driverId: driver.id,
+    return {
+      countryCode,
       pickupLocation: { address: pickupResult.formattedAddress, coordinates: pickupResult.location },
       dropoffLocation: { address: dropoffResult.formattedAddress, coordinates: dropoffResult.location },
-      rideType,
-      status: scheduleTime ? 'SCHEDULED' : 'PENDING',
-      scheduledTime: scheduleTime || null,
     };
-
-    logger.info('Ride model check', { hasCreate: typeof Ride.create === 'function' });
-    if (typeof Ride.create !== 'function') {
-      logger.error('Ride.create is not a function', { Ride });
-      throw new AppError('Internal server error: Ride model misconfigured', 500);
-    }
-
-    const ride = await Ride.create(rideData);
-    logger.info('Ride requested', { rideId: ride.id, customerId: customer.id, driverId: driver.id });
-    return ride;
   },
 
   processPayment: async (rideId, paymentDetails) => {
@@ -113,11 +174,18 @@ const RideBookingService = {
     const paymentData = {
       amount: fare,
       customer_id: ride.customerId,
+      driver_id: ride.driverId,
       order_id: null,
       merchant_id: null,
       ...paymentDetails,
     };
-    const payment = await PaymentService.initiateBankCardPayment(paymentData);
+    const payment = paymentDetails.payment_method === WALLET_PAYMENT_METHOD
+      ? await PaymentService.payFromWallet({
+        ...paymentData,
+        currency: WalletService.currencyFor(ride.customer),
+        description: `Ride #${ride.id}`,
+      })
+      : await PaymentService.initiateBankCardPayment(paymentData);
     ride.paymentId = payment.id;
     ride.status = 'PAYMENT_CONFIRMED';
     await ride.save();
@@ -145,14 +213,18 @@ const RideBookingService = {
 
   calculateFare: async (ride) => {
     logger.info('Calculating fare for ride', { rideId: ride.id });
+    const quote = await RideFareQuote.findOne({ where: { ride_id: ride.id } });
+    if (quote) {
+      logger.info('Using quoted fare', { rideId: ride.id, quoteId: quote.id, fare: quote.fare });
+      return parseFloat(quote.fare);
+    }
+
+    // Rides booked before fares were quoted
     const route = await Geolocation2Service.calculateRouteForDriver(
       ride.pickupLocation.address,
       ride.dropoffLocation.address
     );
-    const baseFare = RIDE_TYPES.find(t => t.type === ride.rideType)?.baseFare || 5.0;
-    const distanceFare = (route.distance.value / 1000) * 1.5;
-    const timeFare = (route.duration.value / 3600) * 10;
-    const totalFare = baseFare + distanceFare + timeFare;
+    const { total: totalFare } = RidePricingService.fareComponents(ride.rideType, route.distance.value, route.duration.value);
     logger.info('Fare calculated', { rideId: ride.id, totalFare });
     return totalFare;
   },
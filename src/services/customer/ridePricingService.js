@@ -0,0 +1,262 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Driver, DriverAvailability, Geofence, Ride, RideFareQuote } = require('@models');
+const config = require('@config/config');
+const countryConfigs = require('@config/countryConfigs');
+const { RIDE_TYPES } = require('@config/constants/rideTypes');
+const Geolocation2Service = require('@services/geoLocation/geolocation2Service');
+const geolocation3Service = require('@services/geoLocation/geolocation3Service');
+const WalletService = require('@services/customer/walletService');
+const mathUtils = require('@utils/mathUtils');
+const AppError = require('@utils/AppError');
+const { logger } = require('@utils/logger');
+
+// Per-km and per-hour rates on top of the ride type's base fare
+const PER_KM_RATE = 1.5;
+const PER_HOUR_RATE = 10;
+
+// Ride pickups are { lat, lng }; driver locations are either that or GeoJSON points
+const coordinatesOf = (location) => {
+  if (!location) return null;
+  if (Array.isArray(location.coordinates)) {
+    const [lng, lat] = location.coordinates;
+    return { lat, lng };
+  }
+  const lat = parseFloat(location.lat);
+  const lng = parseFloat(location.lng);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+const inZone = (zone, location) => {
+  const point = coordinatesOf(location);
+  return Boolean(point) && geolocation3Service._isPointInPolygon(point, zone.coordinates);
+};
+
+const asParam = (point) => `${point.lat},${point.lng}`;
+
+/**
+ * Ride Pricing Service - Prices rides from the ride type's base fare and the route,
+ * multiplied up while the geofence the pickup falls in has more open requests than
+ * online drivers. Customers are quoted first; the quote fixes the fare, and tells
+ * them about any surge, for as long as it is locked.
+ */
+class RidePricingService {
+  /**
+   * Fare of a ride before any surge
+   * @param {string} rideType - One of RIDE_TYPES
+   * @param {number} distanceMeters - Route distance
+   * @param {number} durationSeconds - Route duration
+   * @returns {Object} { baseFare, distanceFare, timeFare, total }, unrounded
+   */
+  static fareComponents(rideType, distanceMeters, durationSeconds) {
+    const baseFare = RIDE_TYPES.find((t) => t.type === rideType)?.baseFare || 5.0;
+    const distanceFare = (distanceMeters / 1000) * PER_KM_RATE;
+    const timeFare = (durationSeconds / 3600) * PER_HOUR_RATE;
+    return { baseFare, distanceFare, timeFare, total: baseFare + distanceFare + timeFare };
+  }
+
+  /**
+   * Highest multiplier allowed in a country; the environment overrides the country config
+   * @param {string} countryCode - ISO 3166-1 alpha-3 code
+   * @returns {number}
+   */
+  static maxMultiplierFor(countryCode) {
+    const code = String(countryCode || '').toUpperCase();
+    const { maxMultipliers, defaultMaxMultiplier } = config.surgePricing;
+    const cap = maxMultipliers[code] ?? countryConfigs[code]?.pricing?.maxSurgeMultiplier ?? defaultMaxMultiplier;
+    return Math.max(cap, 1);
+  }
+
+  /**
+   * Multiplier for a zone's demand against its supply. Below minOpenRequests, or while
+   * requests per driver stay within the threshold, there is no surge; a zone with
+   * no drivers online surges to the cap.
+   * @param {number} demand - Open ride requests
+   * @param {number} supply - Online drivers
+   * @param {number} cap - Highest multiplier allowed
+   * @returns {number}
+   */
+  static multiplierFor(demand, supply, cap) {
+    const { demandRatioThreshold, multiplierPerRatio, multiplierStep, minOpenRequests } = config.surgePricing;
+    if (demand < minOpenRequests) return 1;
+    if (!supply) return cap;
+
+    const excess = demand / supply - demandRatioThreshold;
+    if (excess <= 0) return 1;
+    const stepped = Math.round((1 + excess * multiplierPerRatio) / multiplierStep) * multiplierStep;
+    return mathUtils.roundToDecimal(Math.min(Math.max(stepped, 1), cap), 2);
+  }
+
+  /**
+   * The smallest active geofence containing a point, so a busy neighbourhood
+   * inside a wider city zone is priced on its own numbers
+   * @param {Object} point - { lat, lng }
+   * @returns {Promise<Object|null>} Geofence
+   */
+  static async findZone(point) {
+    const geofences = await Geofence.scope('active').findAll();
+    const containing = geofences.filter((geofence) => inZone(geofence, point));
+    if (!containing.length) return null;
+    return containing.sort((a, b) => (parseFloat(a.area) || Infinity) - (parseFloat(b.area) || Infinity))[0];
+  }
+
+  /**
+   * Live surge for rides picked up at a point
+   * @param {Object} point - { lat, lng }
+   * @param {string} countryCode - Customer's country, for the cap
+   * @returns {Promise<Object>} { multiplier, zone, demand, supply, cap }
+   */
+  static async getSurge(point, countryCode) {
+    const cap = this.maxMultiplierFor(countryCode);
+    const zone = config.surgePricing.enabled ? await this.findZone(point) : null;
+    if (!zone) return { multiplier: 1, zone: null, demand: null, supply: null, cap };
+
+    const since = new Date(Date.now() - config.surgePricing.demandWindowMinutes * 60000);
+    const [requests, availability] = await Promise.all([
+      Ride.findAll({
+        where: { status: 'PENDING', created_at: { [Op.gte]: since } },
+        attributes: ['id', 'pickupLocation'],
+      }),
+      DriverAvailability.findAll({
+        where: { isOnline: true, status: 'available' },
+        attributes: ['id', 'driver_id'],
+        include: [{ model: Driver, as: 'driver', attributes: ['id', 'current_location'] }],
+      }),
+    ]);
+    const demand = requests.filter((ride) => inZone(zone, ride.pickupLocation?.coordinates)).length;
+    const supply = new Set(
+      availability.filter((entry) => inZone(zone, entry.driver?.current_location)).map((entry) => entry.driver_id)
+    ).size;
+
+    return { multiplier: this.multiplierFor(demand, supply, cap), zone, demand, supply, cap };
+  }
+
+  /**
+   * Quotes a ride and locks the fare for quoteLockMinutes. Scheduled rides are not
+   * surged, since today's demand says nothing about the time they are booked for.
+   * @param {Object} customer - Customer being quoted
+   * @param {Object} ride - { pickupLocation, dropoffLocation, rideType, scheduledTime }; locations as { address, coordinates }
+   * @param {string} countryCode - Customer's country
+   * @returns {Promise<Object>} RideFareQuote
+   */
+  static async createQuote(customer, { pickupLocation, dropoffLocation, rideType, scheduledTime }, countryCode) {
+    const route = await Geolocation2Service.calculateRouteForDriver(
+      asParam(pickupLocation.coordinates),
+      asParam(dropoffLocation.coordinates)
+    );
+    const components = this.fareComponents(rideType, route.distance.value, route.duration.value);
+    const surge = scheduledTime
+      ? { multiplier: 1, zone: null, demand: null, supply: null }
+      : await this.getSurge(pickupLocation.coordinates, countryCode);
+
+    const quote = await RideFareQuote.create({
+      customer_id: customer.id,
+      ride_type: rideType,
+      pickup_location: pickupLocation,
+      dropoff_location: dropoffLocation,
+      scheduled_time: scheduledTime || null,
+      distance_meters: route.distance.value,
+      duration_seconds: route.duration.value,
+      base_fare: mathUtils.roundToDecimal(components.baseFare, 2),
+      distance_fare: mathUtils.roundToDecimal(components.distanceFare, 2),
+      time_fare: mathUtils.roundToDecimal(components.timeFare, 2),
+      surge_multiplier: surge.multiplier,
+      surge_geofence_id: surge.zone?.id || null,
+      surge_demand: surge.demand,
+      surge_supply: surge.supply,
+      fare: mathUtils.roundToDecimal(components.total * surge.multiplier, 2),
+      currency: WalletService.currencyFor(customer),
+      expires_at: new Date(Date.now() + config.surgePricing.quoteLockMinutes * 60000),
+    });
+    quote.surgeZone = surge.zone;
+
+    logger.info('Ride fare quoted', {
+      quote_id: quote.id,
+      customer_id: customer.id,
+      fare: quote.fare,
+      surge_multiplier: surge.multiplier,
+      zone_id: quote.surge_geofence_id,
+      demand: surge.demand,
+      supply: surge.supply,
+    });
+    return quote;
+  }
+
+  /**
+   * A customer's quote that can still be booked
+   * @param {number} quoteId - RideFareQuote ID
+   * @param {number} customerId - Customer booking
+   * @returns {Promise<Object>} RideFareQuote with its surge zone
+   */
+  static async getOpenQuote(quoteId, customerId) {
+    const quote = await RideFareQuote.findOne({
+      where: { id: quoteId, customer_id: customerId },
+      include: [{ model: Geofence, as: 'surgeZone', attributes: ['id', 'name'] }],
+    });
+    if (!quote) throw new AppError('Fare quote not found', 404, 'FARE_QUOTE_NOT_FOUND');
+    if (quote.ride_id) throw new AppError('This fare quote has already been booked', 400, 'FARE_QUOTE_USED');
+    if (new Date(quote.expires_at) <= new Date()) {
+      throw new AppError('This fare quote has expired; request a new one', 400, 'FARE_QUOTE_EXPIRED', {
+        expired_at: quote.expires_at,
+      });
+    }
+    return quote;
+  }
+
+  /**
+   * Books a ride at a quote's fare. Only the first ride to claim a quote gets it.
+   * @param {Object} quote - From createQuote or getOpenQuote
+   * @param {Object} ride - Ride just created
+   * @param {Object} [options] - { transaction }
+   */
+  static async claimQuote(quote, ride, { transaction } = {}) {
+    const [claimed] = await RideFareQuote.update(
+      { ride_id: ride.id },
+      { where: { id: quote.id, ride_id: null }, transaction }
+    );
+    if (!claimed) throw new AppError('This fare quote has already been booked', 400, 'FARE_QUOTE_USED');
+    quote.ride_id = ride.id;
+  }
+
+  /**
+   * What the customer is shown for a quote, with the surge spelled out
+   * @param {Object} quote - RideFareQuote
+   * @returns {Object}
+   */
+  static present(quote) {
+    const multiplier = parseFloat(quote.surge_multiplier);
+    const beforeSurge = parseFloat(quote.base_fare) + parseFloat(quote.distance_fare) + parseFloat(quote.time_fare);
+    const fare = parseFloat(quote.fare);
+    const active = multiplier > 1;
+    const zoneName = quote.surgeZone?.name || null;
+
+    return {
+      quote_id: quote.id,
+      ride_id: quote.ride_id,
+      ride_type: quote.ride_type,
+      currency: quote.currency,
+      fare,
+      distance_meters: quote.distance_meters,
+      duration_seconds: quote.duration_seconds,
+      breakdown: {
+        base_fare: parseFloat(quote.base_fare),
+        distance_fare: parseFloat(quote.distance_fare),
+        time_fare: parseFloat(quote.time_fare),
+        fare_before_surge: mathUtils.roundToDecimal(beforeSurge, 2),
+      },
+      surge: {
+        active,
+        multiplier,
+        amount: active ? mathUtils.roundToDecimal(fare - beforeSurge, 2) : 0,
+        zone: zoneName,
+        message: active
+          ? `Demand is high${zoneName ? ` in ${zoneName}` : ''}, so fares are ${multiplier}x the usual price right now.`
+          : null,
+      },
+      locked_until: quote.expires_at,
+    };
+  }
+}
+
+module.exports = RidePricingService;
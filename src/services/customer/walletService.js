@@ -0,0 +1,272 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { sequelize, Wallet, WalletTransaction, Customer } = require('@models');
+const config = require('@config/config');
+const countryConfigs = require('@config/countryConfigs');
+const { LEDGER_ACCOUNTS, LEDGER_TRANSACTION_TYPES } = require('@config/constants/settlement');
+const { WALLET_TRANSACTION_TYPES } = require('@config/constants/wallet');
+const LedgerService = require('@services/common/ledgerService');
+const AppError = require('@utils/AppError');
+const { logTransactionEvent } = require('@utils/logger');
+
+const { PLATFORM_CLEARING, CUSTOMER_WALLET } = LEDGER_ACCOUNTS;
+const { TOP_UP, PAYMENT, REFUND } = WALLET_TRANSACTION_TYPES;
+const DEFAULT_COUNTRY = 'MWI';
+
+const roundAmount = value => Math.round(value * 100) / 100;
+// What the platform owes a customer from their wallet
+const walletAccount = customerId => ({ account: CUSTOMER_WALLET, owner_type: 'customer', owner_id: customerId });
+
+/**
+ * Wallet Service - Keeps each customer's stored-value balance. Every change is a
+ * WalletTransaction carrying the balance it left, made under a lock on the wallet,
+ * and mirrored in the ledger's customer_wallet account.
+ */
+class WalletService {
+  /**
+   * Currency of the customer's country, by ISO code or by name
+   */
+  static currencyFor(customer) {
+    const country = String(customer?.country || DEFAULT_COUNTRY);
+    const match = countryConfigs[country.toUpperCase()]
+      || Object.values(countryConfigs).find(entry => entry.name.toLowerCase() === country.toLowerCase());
+    return (match || countryConfigs[DEFAULT_COUNTRY]).currency;
+  }
+
+  /**
+   * The customer's wallet, opened in their country's currency the first time it is needed
+   * @param {number} customerId - Customer ID
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Object>} Wallet instance
+   */
+  static async getOrCreateWallet(customerId, transaction) {
+    const existing = await Wallet.findOne({ where: { customer_id: customerId }, transaction });
+    if (existing) return existing;
+
+    const customer = await Customer.findByPk(customerId, { attributes: ['id', 'country'], transaction });
+    if (!customer) throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+    const [wallet] = await Wallet.findOrCreate({
+      where: { customer_id: customerId },
+      defaults: { currency: this.currencyFor(customer) },
+      transaction,
+    });
+    return wallet;
+  }
+
+  static async getBalance(customerId) {
+    const wallet = await this.getOrCreateWallet(customerId);
+    return {
+      wallet_id: wallet.id,
+      currency: wallet.currency,
+      balance: Number(wallet.balance),
+      status: wallet.status,
+    };
+  }
+
+  /**
+   * Checks a top-up before the customer is asked to pay it
+   * @returns {Promise<Object>} The wallet being topped up
+   */
+  static async validateTopUp(customerId, amount) {
+    const wallet = await this.getOrCreateWallet(customerId);
+    if (wallet.status !== 'active') throw new AppError('Wallet is frozen', 403, 'WALLET_FROZEN');
+    if (!(amount >= config.wallet.minimumTopUp)) {
+      throw new AppError('Top-up is below the minimum', 400, 'TOP_UP_BELOW_MINIMUM', {
+        minimum: config.wallet.minimumTopUp,
+        currency: wallet.currency,
+      });
+    }
+    if (Number(wallet.balance) + amount > config.wallet.maximumBalance) {
+      throw new AppError('Top-up would take the wallet over its maximum balance', 400, 'WALLET_LIMIT_EXCEEDED', {
+        maximum: config.wallet.maximumBalance,
+        balance: Number(wallet.balance),
+      });
+    }
+    return wallet;
+  }
+
+  /**
+   * Adds to or takes from a locked wallet and records the movement with the balance it leaves
+   * @param {Object} wallet - Wallet instance, locked by the caller's transaction
+   * @param {Object} movement - { type, amount (signed), payment_id, refund_id, description }
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} The WalletTransaction
+   */
+  static async applyMovement(wallet, { type, amount, payment_id = null, refund_id = null, description }, transaction) {
+    const balance = roundAmount(Number(wallet.balance) + amount);
+    if (balance < 0) {
+      throw new AppError('Insufficient wallet balance', 400, 'INSUFFICIENT_WALLET_BALANCE', {
+        balance: Number(wallet.balance),
+        required: -amount,
+        currency: wallet.currency,
+      });
+    }
+    await wallet.update({ balance }, { transaction });
+    const movement = await WalletTransaction.create({
+      wallet_id: wallet.id,
+      type,
+      amount,
+      balance_after: balance,
+      currency: wallet.currency,
+      payment_id,
+      refund_id,
+      description,
+    }, { transaction });
+
+    transaction.afterCommit(() => logTransactionEvent('Wallet balance changed', {
+      wallet_id: wallet.id,
+      customer_id: wallet.customer_id,
+      type,
+      amount,
+      balance_after: balance,
+      payment_id,
+      refund_id,
+    }));
+    return movement;
+  }
+
+  static async lockWallet(where, transaction) {
+    return Wallet.findOne({ where, transaction, lock: transaction.LOCK.UPDATE });
+  }
+
+  /**
+   * Pays for something out of the customer's wallet. The payment is booked in the
+   * ledger by SettlementService like any other, funded from the wallet account.
+   * @param {Object} params - { customer_id, amount, currency, payment_id, description }
+   * @param {Object} transaction - Sequelize transaction the payment is created in
+   * @returns {Promise<Object>} The WalletTransaction
+   */
+  static async debit({ customer_id, amount, currency, payment_id, description }, transaction) {
+    await this.getOrCreateWallet(customer_id, transaction);
+    const wallet = await this.lockWallet({ customer_id }, transaction);
+    if (wallet.status !== 'active') throw new AppError('Wallet is frozen', 403, 'WALLET_FROZEN');
+    if (currency && currency !== wallet.currency) {
+      throw new AppError(`Wallet holds ${wallet.currency}, not ${currency}`, 400, 'WALLET_CURRENCY_MISMATCH');
+    }
+    return this.applyMovement(wallet, {
+      type: PAYMENT,
+      amount: -roundAmount(amount),
+      payment_id,
+      description,
+    }, transaction);
+  }
+
+  /**
+   * Credits a settled top-up payment to the wallet it was for. Safe to call again for
+   * the same payment, e.g. when a provider repeats its callback.
+   * @param {Object} payment - Completed or verified top-up Payment
+   * @returns {Promise<Object|null>} The WalletTransaction, or null if already credited
+   */
+  static async creditTopUp(payment) {
+    return sequelize.transaction(async (t) => {
+      const wallet = await this.lockWallet({ id: payment.wallet_id }, t);
+      const credited = await WalletTransaction.findOne({
+        where: { payment_id: payment.id, type: TOP_UP },
+        transaction: t,
+      });
+      if (credited) return null;
+
+      const amount = roundAmount(payment.amount);
+      await LedgerService.post({
+        type: LEDGER_TRANSACTION_TYPES.WALLET_TOP_UP,
+        reference_type: 'payment',
+        reference_id: payment.id,
+        currency: wallet.currency,
+        description: `Wallet top-up #${payment.id}`,
+        entries: [
+          { account: PLATFORM_CLEARING, direction: 'debit', amount },
+          { ...walletAccount(wallet.customer_id), direction: 'credit', amount },
+        ],
+      }, t);
+      return this.applyMovement(wallet, {
+        type: TOP_UP,
+        amount,
+        payment_id: payment.id,
+        description: `Top-up via ${payment.provider}`,
+      }, t);
+    });
+  }
+
+  /**
+   * Credits an approved refund to the customer's wallet instead of sending it back
+   * through the provider. The ledger side is booked by SettlementService.recordRefund.
+   * @param {Object} refund - Refund instance with destination 'wallet'
+   * @param {Object} payment - The refunded Payment
+   * @param {Object} transaction - The refund's settlement transaction
+   * @returns {Promise<Object|null>} The WalletTransaction, or null if already credited
+   */
+  static async creditRefund(refund, payment, transaction) {
+    await this.getOrCreateWallet(payment.customer_id, transaction);
+    const wallet = await this.lockWallet({ customer_id: payment.customer_id }, transaction);
+    const credited = await WalletTransaction.findOne({ where: { refund_id: refund.id }, transaction });
+    if (credited) return null;
+    if (refund.currency && refund.currency !== wallet.currency) {
+      throw new AppError(`Wallet holds ${wallet.currency}, not ${refund.currency}`, 400, 'WALLET_CURRENCY_MISMATCH');
+    }
+
+    return this.applyMovement(wallet, {
+      type: REFUND,
+      amount: roundAmount(Number(refund.amount)),
+      payment_id: payment.id,
+      refund_id: refund.id,
+      description: `Refund on payment #${payment.id}`,
+    }, transaction);
+  }
+
+  /**
+   * Wallet movements, newest first, each with the balance it left
+   * @param {number} customerId - Customer ID
+   * @param {Object} [query] - { page, limit, from, to } with YYYY-MM-DD dates, `to` inclusive
+   * @returns {Promise<Object>} { wallet, transactions, total, page, totalPages }
+   */
+  static async getTransactions(customerId, { page = 1, limit = 20, from, to } = {}) {
+    const wallet = await this.getOrCreateWallet(customerId);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const where = { wallet_id: wallet.id };
+    const start = from ? new Date(`${from}T00:00:00Z`) : null;
+    const end = to ? new Date(new Date(`${to}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000) : null;
+    if ([start, end].some(date => date && Number.isNaN(date.getTime()))) {
+      throw new AppError('from and to must be YYYY-MM-DD dates', 400, 'INVALID_PERIOD');
+    }
+    if (start || end) {
+      where.created_at = {
+        ...(start && { [Op.gte]: start }),
+        ...(end && { [Op.lt]: end }),
+      };
+    }
+    const { rows, count } = await WalletTransaction.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+    });
+
+    return {
+      wallet: {
+        wallet_id: wallet.id,
+        currency: wallet.currency,
+        balance: Number(wallet.balance),
+        status: wallet.status,
+      },
+      transactions: rows.map(row => ({
+        id: row.id,
+        type: row.type,
+        amount: Number(row.amount),
+        balance_after: Number(row.balance_after),
+        currency: row.currency,
+        payment_id: row.payment_id,
+        refund_id: row.refund_id,
+        description: row.description,
+        created_at: row.created_at,
+      })),
+      total: count,
+      page: pageNumber,
+      totalPages: Math.ceil(count / pageSize),
+    };
+  }
+}
+
+module.exports = WalletService;
@@ -5,8 +5,11 @@ const { Order, Driver, Route, Payment, Notification, DriverRatings, Device } = r
 const AppError = require('@utils/AppError');
 const { logger } = require('@utils/logger');
 const mathUtils = require('@utils/mathUtils');
-const PaymentService = require('@services/common/paymentService');
+const DriverPaymentService = require('@services/driver/driverPaymentService');
+const OrderStatusService = require('@services/common/orderStatusService');
 const NotificationService = require('@services/notifications/core/notificationService');
+const DeliveryProofService = require('@services/common/deliveryProofService');
+const TripTrackingService = require('@services/common/tripTrackingService');
 const TokenService = require('@services/tokenService');
 const Geolocation1Service = require('@services/geoLocation/geolocation1Service');
 const Geolocation2Service = require('@services/geoLocation/geolocation2Service');
@@ -57,10 +60,10 @@ class DriverOrderService {
     await order.update({
       driver_id,
       route_id: route.id,
-      status: 'ASSIGNED',
       estimated_delivery_time: estimatedDeliveryTime,
     });
     await driver.update({ availability_status: 'BUSY', active_route_id: route.id });
+    await DeliveryProofService.issue(order.id, driver.id);
 
     logger.logTransactionEvent('Order assigned to driver', {
       order_id,
@@ -111,7 +114,11 @@ class DriverOrderService {
       throw new AppError('Order not assigned to this driver', 403, 'ORDER_MISMATCH');
     }
 
-    await order.update({ status: 'OUT_FOR_DELIVERY' });
+    await OrderStatusService.transition({
+      order,
+      toStatus: 'out_for_delivery',
+      actor: { user_id: driver.user_id, type: 'driver' },
+    });
     logger.logApiEvent('Driver confirmed pickup', { order_id, driver_id });
 
     await NotificationService.sendThroughChannel({
@@ -141,6 +148,9 @@ class DriverOrderService {
 
     // Update driver's current location
     await driver.update({ current_location });
+    await TripTrackingService.recordPing(driver.id, current_location).catch((error) => {
+      logger.error('Failed to record trip ping', { driver_id, error: error.message });
+    });
 
     // Validate delivery address using Geolocation1Service
     const isValidAddress = await Geolocation1Service.validateAddress(
@@ -163,11 +173,11 @@ class DriverOrderService {
   }
 
   /**
-   * Complete the order delivery
-   * @param {Object} params - { order_id, driver_id }
+   * Complete the order delivery once the driver's proof meets the merchant's requirements
+   * @param {Object} params - { order_id, driver_id, proof: { otp, location, photo, signature } }
    * @returns {Object} - Completion details
    */
-  static async completeOrder({ order_id, driver_id }) {
+  static async completeOrder({ order_id, driver_id, proof = {} }) {
     const order = await Order.findByPk(order_id, {
       include: [{ model: Payment }, { model: DriverRatings }],
     });
@@ -178,20 +188,19 @@ class DriverOrderService {
     const driver = await Driver.findByPk(driver_id);
     if (!driver) throw new AppError('Driver not found', 404, 'DRIVER_NOT_FOUND');
 
-    // Process payment (assuming tip or final payment step)
-    const payment = await PaymentService.processDriverPayment({
-      order_id,
-      driver_id,
-      amount: order.total_amount, // Adjust as needed for driver earnings
-    });
-
-    if (payment.status !== 'completed') {
-      throw new AppError('Payment processing failed', 402, 'PAYMENT_FAILED');
-    }
-
-    await order.update({
-      status: 'COMPLETED',
-      actual_delivery_time: new Date(),
+    const checked = await DeliveryProofService.check(order, driver, proof);
+
+    // The customer paid at checkout; the driver is paid their share through the earnings ledger
+    await Order.sequelize.transaction(async (t) => {
+      await DeliveryProofService.record(checked, proof, { transaction: t });
+      await OrderStatusService.transition({
+        order,
+        toStatus: 'completed',
+        actor: { user_id: driver.user_id, type: 'driver' },
+        updates: { actual_delivery_time: new Date() },
+        transaction: t,
+      });
+      await DriverPaymentService.recordDeliveryEarnings(order, driver_id, t);
     });
     await driver.update({
       availability_status: 'AVAILABLE',
@@ -218,6 +227,19 @@ class DriverOrderService {
       actual_delivery_time: order.actual_delivery_time,
     };
   }
+
+  /**
+   * Send the customer a new delivery code
+   * @param {Object} params - { order_id, driver_id }
+   * @returns {Object} - { order_id, otp_sent_at }
+   */
+  static async resendDeliveryOtp({ order_id, driver_id }) {
+    const order = await Order.findByPk(order_id);
+    if (!order || order.driver_id !== driver_id) {
+      throw new AppError('Order not assigned to this driver', 403, 'ORDER_MISMATCH');
+    }
+    return DeliveryProofService.resendOtp(order.id, driver_id);
+  }
 }
 
 module.exports = DriverOrderService;
\ No newline at end of file
@@ -1,19 +1,46 @@
 'use strict';
 
-const { Payment, DriverEarnings, Driver } = require('@models');
+const { Op } = require('sequelize');
+const { Payment, Driver, DriverPayout, DriverEarningAdjustment } = require('@models');
+const config = require('@config/config');
+const { LEDGER_ACCOUNTS, LEDGER_TRANSACTION_TYPES } = require('@config/constants/settlement');
+const LedgerService = require('@services/common/ledgerService');
+const SettlementService = require('@services/common/settlementService');
 const AppError = require('@utils/AppError');
-const { logger } = require('@utils/logger');
+const { logger, logTransactionEvent } = require('@utils/logger');
 const mathUtils = require('@utils/mathUtils');
 
+const { DRIVER_PAYABLE, PLATFORM_COMMISSION, DELIVERY_FEES, TIPS_PAYABLE, DRIVER_INCENTIVES } = LEDGER_ACCOUNTS;
+const { DELIVERY_EARNING, RIDE_EARNING, TIP_EARNING, BONUS, ADJUSTMENT, PAYOUT, PAYOUT_REVERSAL } = LEDGER_TRANSACTION_TYPES;
+const SETTLED_STATUSES = ['completed', 'verified', 'partially_refunded'];
+const DEFAULT_CURRENCY = 'MWK';
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const ADJUSTMENT_LEDGER_TYPES = { bonus: BONUS, adjustment: ADJUSTMENT };
+
+// Statement totals each kind of ledger transaction counts towards
+const STATEMENT_TOTALS = {
+  [DELIVERY_EARNING]: 'deliveries',
+  [RIDE_EARNING]: 'rides',
+  [TIP_EARNING]: 'tips',
+  [BONUS]: 'bonuses',
+  [ADJUSTMENT]: 'adjustments',
+  [PAYOUT]: 'payouts',
+  [PAYOUT_REVERSAL]: 'payouts',
+};
+
+const driverAccount = driverId => ({ account: DRIVER_PAYABLE, owner_type: 'driver', owner_id: driverId });
+const share = (amount, percent) => mathUtils.roundToDecimal((Number(amount) * percent) / 100, 2);
+
 /**
- * DriverPaymentService manages driver payments and earnings, including tips and payouts.
+ * DriverPaymentService manages driver earnings and payouts. Every earning is a
+ * ledger entry on the driver's payable account, and payouts are paid from it.
  */
 class DriverPaymentService {
   /**
-   * Adds a tip to a payment and updates driver earnings.
+   * Adds a tip to a payment and credits it to the driver.
    * @param {number} paymentId - The ID of the payment to add a tip to.
    * @param {Object} tipData - Tip details { amount, percentage }.
-   * @returns {Promise<Object>} Updated payment and earnings details.
+   * @returns {Promise<Object>} Updated payment and the driver's balance.
    */
   async addTip(paymentId, tipData) {
     const { amount, percentage } = tipData;
@@ -66,114 +93,272 @@ class DriverPaymentService {
       },
     });
 
-    // Update driver earnings
-    const earnings = await this.updateDriverEarnings(payment.driver_id, finalTipAmount, paymentId);
+    await this.recordTipEarnings(payment, payment.driver_id);
+    const balance = await LedgerService.getBalance(driverAccount(payment.driver_id));
 
-    logger.logTransactionEvent('Tip added and earnings updated', {
+    logTransactionEvent('Tip added to driver earnings', {
       paymentId,
       driverId: payment.driver_id,
       tipAmount: finalTipAmount,
       totalAmount,
     });
 
-    return { payment, earnings };
+    return { payment, earnings: { driver_id: payment.driver_id, balance } };
   }
 
   /**
-   * Updates a driver's total earnings.
-   * @param {number} driverId - The ID of the driver.
-   * @param {number} amount - The amount to add to earnings.
-   * @param {number} paymentId - The associated payment ID.
-   * @returns {Promise<Object>} Updated driver earnings record.
+   * Credits the driver's share of a delivered order's delivery fee, and the tip
+   * when the order was paid for on its own.
+   * @param {Object} order - The delivered Order.
+   * @param {number} driverId - The driver who delivered it.
+   * @param {Object} [transaction] - Sequelize transaction.
    */
-  async updateDriverEarnings(driverId, amount, paymentId) {
-    const driver = await Driver.findByPk(driverId);
-    if (!driver) {
-      logger.error('Driver not found for earnings update', { driverId });
-      throw new AppError('Driver not found', 404);
+  async recordDeliveryEarnings(order, driverId, transaction) {
+    const amount = share(order.delivery_fee || 0, config.settlement.drivers.deliveryFeeShare);
+    if (amount > 0) {
+      await LedgerService.post({
+        type: DELIVERY_EARNING,
+        reference_type: 'order',
+        reference_id: order.id,
+        currency: order.currency || DEFAULT_CURRENCY,
+        description: `Delivery of order #${order.order_number || order.id}`,
+        metadata: { delivery_fee: Number(order.delivery_fee), share: config.settlement.drivers.deliveryFeeShare },
+        entries: [
+          { account: DELIVERY_FEES, direction: 'debit', amount },
+          { ...driverAccount(driverId), direction: 'credit', amount },
+        ],
+      }, transaction);
     }
 
-    // Find or create earnings record for the driver
-    let earnings = await DriverEarnings.findOne({ where: { driver_id: driverId } });
-    if (!earnings) {
-      earnings = await DriverEarnings.create({
-        driver_id: driverId,
-        total_earned: 0.00,
-      });
-      logger.info('New earnings record created', { driverId });
+    const tipped = await Payment.findAll({
+      where: { order_id: order.id, status: SETTLED_STATUSES, tip_amount: { [Op.gt]: 0 } },
+      transaction,
+    });
+    for (const payment of tipped) {
+      await this.recordTipEarnings(payment, driverId, transaction);
     }
+  }
+
+  /**
+   * Books a completed ride's fare: the driver's share and the platform's cut.
+   * @param {Object} ride - The completed Ride.
+   * @param {Object} payment - The ride's Payment.
+   * @param {Object} [transaction] - Sequelize transaction.
+   */
+  async recordRideEarnings(ride, payment, transaction) {
+    const fare = Number(payment.amount) - (Number(payment.tip_amount) || 0);
+    const driverShare = share(fare, config.settlement.drivers.rideFareShare);
+    return LedgerService.post({
+      type: RIDE_EARNING,
+      reference_type: 'ride',
+      reference_id: ride.id,
+      currency: SettlementService.paymentCurrency(payment),
+      description: `Ride #${ride.id}`,
+      metadata: { payment_id: payment.id, fare, share: config.settlement.drivers.rideFareShare },
+      entries: [
+        { ...SettlementService.fundingAccount(payment), direction: 'debit', amount: fare },
+        { ...driverAccount(ride.driverId), direction: 'credit', amount: driverShare },
+        { account: PLATFORM_COMMISSION, direction: 'credit', amount: mathUtils.roundToDecimal(fare - driverShare, 2) },
+      ],
+    }, transaction);
+  }
 
-    const newTotalEarned = mathUtils.roundToDecimal(parseFloat(earnings.total_earned) + amount, 2);
-    await earnings.update({ total_earned: newTotalEarned });
+  /**
+   * Credits the driver's part of a payment's tip, as set by its tip allocation.
+   * @param {Object} payment - The tipped Payment.
+   * @param {number} driverId - The driver the tip was left for.
+   * @param {Object} [transaction] - Sequelize transaction.
+   */
+  async recordTipEarnings(payment, driverId, transaction) {
+    const driverAmount = payment.tip_allocation?.allocations?.driver_amount ?? payment.tip_amount;
+    const amount = mathUtils.roundToDecimal(Number(driverAmount) || 0, 2);
+    if (amount <= 0) return null;
 
-    logger.logTransactionEvent('Driver earnings updated', {
-      driverId,
-      paymentId,
-      amountAdded: amount,
-      newTotalEarned,
-    });
+    await SettlementService.recordTip(payment, transaction);
+    return LedgerService.post({
+      type: TIP_EARNING,
+      reference_type: 'payment',
+      reference_id: payment.id,
+      currency: SettlementService.paymentCurrency(payment),
+      description: `Tip on payment #${payment.id}`,
+      entries: [
+        { account: TIPS_PAYABLE, direction: 'debit', amount },
+        { ...driverAccount(driverId), direction: 'credit', amount },
+      ],
+    }, transaction);
+  }
 
-    return earnings;
+  /**
+   * Books a bonus or a manual adjustment; negative adjustments take money off the driver.
+   * @param {Object} params - { driver_id, type, amount, currency, reason, created_by }
+   * @returns {Promise<Object>} The DriverEarningAdjustment.
+   */
+  async addAdjustment({ driver_id, type, amount, currency = DEFAULT_CURRENCY, reason, created_by }) {
+    if (!ADJUSTMENT_LEDGER_TYPES[type]) {
+      throw new AppError('Adjustment type must be bonus or adjustment', 400, 'INVALID_ADJUSTMENT_TYPE');
+    }
+    const value = mathUtils.roundToDecimal(Number(amount), 2);
+    if (!value || (type === 'bonus' && value < 0)) {
+      throw new AppError('Bonuses must be positive and adjustments non-zero', 400, 'INVALID_ADJUSTMENT_AMOUNT');
+    }
+    if (!reason) throw new AppError('A reason is required', 400, 'ADJUSTMENT_REASON_REQUIRED');
+    const driver = await Driver.findByPk(driver_id);
+    if (!driver) throw new AppError('Driver not found', 404, 'DRIVER_NOT_FOUND');
+
+    return DriverEarningAdjustment.sequelize.transaction(async (t) => {
+      const adjustment = await DriverEarningAdjustment.create({
+        driver_id: driver.id, type, amount: value, currency, reason, created_by,
+      }, { transaction: t });
+      const magnitude = Math.abs(value);
+      await LedgerService.post({
+        type: ADJUSTMENT_LEDGER_TYPES[type],
+        reference_type: 'driver_earning_adjustment',
+        reference_id: adjustment.id,
+        currency,
+        description: reason,
+        metadata: { created_by },
+        entries: [
+          { account: DRIVER_INCENTIVES, direction: value > 0 ? 'debit' : 'credit', amount: magnitude },
+          { ...driverAccount(driver.id), direction: value > 0 ? 'credit' : 'debit', amount: magnitude },
+        ],
+      }, t);
+      logTransactionEvent('Driver earnings adjusted', { driver_id: driver.id, type, amount: value, reason, created_by });
+      return adjustment;
+    });
   }
 
   /**
-   * Retrieves a driver's total earnings.
+   * Retrieves a driver's payable balance per currency and any payout in flight.
    * @param {number} driverId - The ID of the driver.
-   * @returns {Promise<Object>} Driver earnings record.
+   * @returns {Promise<Object>} Balances, minimum payout and payouts in progress.
    */
   async getDriverEarnings(driverId) {
-    const earnings = await DriverEarnings.findOne({
-      where: { driver_id: driverId },
-      include: [{ model: Driver, as: 'driver', attributes: ['id', 'name'] }],
-    });
-    if (!earnings) {
-      logger.warn('No earnings record found for driver', { driverId });
-      throw new AppError('No earnings record found for this driver', 404);
-    }
+    const driver = await Driver.findByPk(driverId, { attributes: ['id', 'name'] });
+    if (!driver) throw new AppError('Driver not found', 404, 'DRIVER_NOT_FOUND');
 
-    logger.info('Driver earnings retrieved', { driverId, totalEarned: earnings.total_earned });
-    return earnings;
+    const [balances, inProgress] = await Promise.all([
+      LedgerService.getOwnerBalances(DRIVER_PAYABLE, 'driver', { owner_id: driverId }),
+      DriverPayout.findAll({ where: { driver_id: driverId, status: ['pending', 'processing'] } }),
+    ]);
+
+    logger.info('Driver earnings retrieved', { driverId });
+    return {
+      driver_id: driver.id,
+      balances: balances.map(({ currency, balance }) => ({ currency, balance })),
+      minimum_payout: config.settlement.drivers.minimumPayout,
+      payouts_in_progress: inProgress,
+    };
   }
 
   /**
-   * Processes a payout to a driver (placeholder for actual payout logic).
+   * Pays a driver's earnings out to a mobile-money number. Without an amount the
+   * whole balance is paid; without a number the driver's own phone is used.
    * @param {number} driverId - The ID of the driver.
-   * @param {number} amount - The amount to pay out.
-   * @returns {Promise<Object>} Payout confirmation.
+   * @param {Object} request - { amount, provider, phone_number, currency }
+   * @returns {Promise<Object>} The DriverPayout, processing or settled.
    */
-  async processPayout(driverId, amount) {
+  async requestPayout(driverId, { amount, provider, phone_number, currency } = {}) {
     const driver = await Driver.findByPk(driverId);
     if (!driver) {
       logger.error('Driver not found for payout', { driverId });
-      throw new AppError('Driver not found', 404);
+      throw new AppError('Driver not found', 404, 'DRIVER_NOT_FOUND');
     }
+    const destination = phone_number || driver.phone_number;
+    SettlementService.validatePayoutDestination({ provider, phone_number: destination });
 
-    const earnings = await DriverEarnings.findOne({ where: { driver_id: driverId } });
-    if (!earnings || earnings.total_earned < amount) {
-      logger.warn('Insufficient earnings for payout', { driverId, amount, totalEarned: earnings?.total_earned });
-      throw new AppError('Insufficient earnings for payout', 400);
+    const inFlight = await DriverPayout.count({ where: { driver_id: driverId, status: ['pending', 'processing'] } });
+    if (inFlight) {
+      throw new AppError('A payout is already in progress', 409, 'PAYOUT_IN_PROGRESS');
     }
 
-    // Placeholder for actual payout logic (e.g., bank transfer, mobile money)
-    const payoutDetails = {
-      driverId,
-      amount,
-      status: 'completed', // Simulated success
-      transactionId: `PAY-${Date.now()}-${driverId}`,
-      processedAt: new Date(),
-    };
+    const balances = await LedgerService.getOwnerBalances(DRIVER_PAYABLE, 'driver', { owner_id: driverId });
+    const available = balances.find(entry => entry.currency === (currency || DEFAULT_CURRENCY))
+      || (!currency && balances.length === 1 ? balances[0] : null);
+    const balance = available ? available.balance : 0;
+    const payoutAmount = mathUtils.roundToDecimal(amount ?? balance, 2);
+
+    if (payoutAmount < config.settlement.drivers.minimumPayout) {
+      throw new AppError('Payout is below the minimum amount', 400, 'PAYOUT_BELOW_MINIMUM', {
+        minimum: config.settlement.drivers.minimumPayout,
+        requested: payoutAmount,
+      });
+    }
+    if (payoutAmount > balance) {
+      logger.warn('Insufficient earnings for payout', { driverId, amount: payoutAmount, balance });
+      throw new AppError('Insufficient earnings for payout', 400, 'INSUFFICIENT_EARNINGS', {
+        available: balance,
+        requested: payoutAmount,
+      });
+    }
+
+    const payout = await DriverPayout.create({
+      driver_id: driverId,
+      amount: payoutAmount,
+      currency: available.currency,
+      provider,
+      destination,
+    });
+    return SettlementService.sendPayout(payout, 'driver');
+  }
+
+  async listPayouts(driverId, { page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const { rows, count } = await DriverPayout.findAndCountAll({
+      where: { driver_id: driverId },
+      order: [['created_at', 'DESC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+    });
+    return { payouts: rows, total: count, page: pageNumber, totalPages: Math.ceil(count / pageSize) };
+  }
 
-    // Deduct from earnings
-    const newTotalEarned = mathUtils.roundToDecimal(earnings.total_earned - amount, 2);
-    await earnings.update({ total_earned: newTotalEarned });
+  /**
+   * Earnings statement for the Monday-to-Sunday week containing a date.
+   * @param {number} driverId - The ID of the driver.
+   * @param {string} [weekOf] - Any YYYY-MM-DD date in the week; defaults to this week.
+   * @returns {Promise<Object>} Opening and closing balances, totals per kind and every entry.
+   */
+  async getWeeklyStatement(driverId, weekOf) {
+    const day = weekOf ? new Date(`${weekOf}T00:00:00Z`) : new Date();
+    if (Number.isNaN(day.getTime())) {
+      throw new AppError('Week must be a YYYY-MM-DD date', 400, 'INVALID_PERIOD');
+    }
+    const from = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() - ((day.getUTCDay() + 6) % 7)));
+    const to = new Date(from.getTime() + WEEK_MS);
+    const account = driverAccount(driverId);
+
+    const [openingBalance, closingBalance, entries] = await Promise.all([
+      LedgerService.getBalance({ ...account, until: from }),
+      LedgerService.getBalance({ ...account, until: to }),
+      LedgerService.getEntries({ ...account, from, to }),
+    ]);
 
-    logger.logTransactionEvent('Payout processed', {
-      ...payoutDetails,
-      newTotalEarned,
+    const totals = { deliveries: 0, rides: 0, tips: 0, bonuses: 0, adjustments: 0, payouts: 0 };
+    const lines = entries.map((entry) => {
+      const amount = Number(entry.amount);
+      const signed = entry.direction === 'credit' ? amount : -amount;
+      const total = STATEMENT_TOTALS[entry.transaction.type];
+      if (total) totals[total] = mathUtils.roundToDecimal(totals[total] + (total === 'payouts' ? -signed : signed), 2);
+      return {
+        date: entry.created_at,
+        type: entry.transaction.type,
+        description: entry.transaction.description,
+        amount: signed,
+      };
     });
 
-    return payoutDetails;
+    return {
+      driver_id: driverId,
+      from,
+      to,
+      opening_balance: openingBalance,
+      earned: mathUtils.roundToDecimal(totals.deliveries + totals.rides + totals.tips + totals.bonuses + totals.adjustments, 2),
+      totals,
+      closing_balance: closingBalance,
+      lines,
+    };
   }
 }
 
-module.exports = new DriverPaymentService();
\ No newline at end of file
+module.exports = new DriverPaymentService();
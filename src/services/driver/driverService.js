@@ -2,6 +2,8 @@
 
 const { Driver, Ride, Route, Payment, Notification, DriverRatings, Device, DriverAvailability, Customer } = require('@models');
 const PaymentService = require('@services/common/paymentService');
+const DriverPaymentService = require('@services/driver/driverPaymentService');
+const TripTrackingService = require('@services/common/tripTrackingService');
 const NotificationService = require('@services/notifications/core/notificationService');
 const TokenService = require('@services/common/tokenService');
 const Geolocation2Service = require('@services/geoLocation/Geolocation2Service');
@@ -236,17 +238,21 @@ const DriverService = {
     const distanceFare = (ride.route?.distance || 0) * 1.5;
     const fare = mathUtils.roundToDecimal(baseFare + distanceFare, 2);
 
-    const paymentData = {
-      amount: fare,
-      customer_id: ride.customerId,
-      driver_id: driverId,
-      order_id: null,
-      merchant_id: null,
-      bank_name: 'DefaultBank',
-      card_details: {},
-    };
-    const payment = await PaymentService.initiateBankCardPayment(paymentData);
-    await PaymentService.verifyPayment(payment.id);
+    // A ride paid up front, e.g. from the customer's wallet, is not charged again
+    let payment = ride.payment;
+    if (!payment || !['completed', 'verified'].includes(payment.status)) {
+      const paymentData = {
+        amount: fare,
+        customer_id: ride.customerId,
+        driver_id: driverId,
+        order_id: null,
+        merchant_id: null,
+        bank_name: 'DefaultBank',
+        card_details: {},
+      };
+      payment = await PaymentService.initiateBankCardPayment(paymentData);
+      await PaymentService.verifyPayment(payment.id);
+    }
 
     ride.paymentId = payment.id;
     ride.status = 'COMPLETED';
@@ -254,6 +260,14 @@ const DriverService = {
     availability.lastUpdated = now;
     await Promise.all([ride.save(), availability.save()]);
 
+    // The driver earns their share of the fare once it has been captured
+    await payment.reload();
+    if (['completed', 'verified'].includes(payment.status)) {
+      await DriverPaymentService.recordRideEarnings(ride, payment);
+    } else {
+      logger.warn('Ride fare not captured; driver earnings not booked', { rideId, paymentId: payment.id, status: payment.status });
+    }
+
     await DriverRatings.create({
       driver_id: driverId,
       ride_id: rideId,
@@ -311,6 +325,11 @@ const DriverService = {
     driver.last_location_update = new Date();
     await driver.save();
 
+    // The trail is a record for later; losing a ping must not fail the live update
+    await TripTrackingService.recordPing(driver.id, location).catch((error) => {
+      logger.error('Failed to record trip ping', { driverId, error: error.message });
+    });
+
     logger.debug('Driver location updated', { driverId, location });
     return driver;
   },
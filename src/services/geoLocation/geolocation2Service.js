@@ -205,12 +205,18 @@ class Geolocation2Service {
   }
 
   _formatOptimizedDeliveryRoute(route, prioritizedDeliveries) {
-    const optimizedOrder = prioritizedDeliveries.map((delivery, index) => ({
-      deliveryId: delivery.id,
-      location: delivery.location,
-      estimatedDuration: route.legs[index + 1] ? route.legs[index + 1].duration.value : null,
-      estimatedDistance: route.legs[index + 1] ? route.legs[index + 1].distance.value : null
-    }));
+    // Directions visits the waypoints in waypoint_order; leg i ends at the i-th stop visited
+    const stopOrder = route.waypoint_order || prioritizedDeliveries.map((delivery, index) => index);
+    const optimizedOrder = stopOrder.map((deliveryIndex, position) => {
+      const delivery = prioritizedDeliveries[deliveryIndex];
+      const leg = route.legs[position];
+      return {
+        deliveryId: delivery.id,
+        location: delivery.location,
+        estimatedDuration: leg ? leg.duration.value : null,
+        estimatedDistance: leg ? leg.distance.value : null
+      };
+    });
     const totalDistance = route.legs.reduce((sum, leg) => sum + (leg.distance ? leg.distance.value : 0), 0);
     const totalDuration = route.legs.reduce((sum, leg) => sum + (leg.duration ? leg.duration.value : 0), 0);
     return {
@@ -21,6 +21,7 @@ const OrderService = require('@services/customer/orderService');
 const { SubscriptionService } = require('@services/customer/subscriptionService');
 const MerchantStaffOperationsService = require('@services/merchant/merchantStaffOperationsService');
 const NotificationService = require('@services/notifications/core/notificationService');
+const OrderStatusService = require('@services/common/orderStatusService');
 const { logger } = require('@utils/logger');
 const AppError = require('@utils/appError');
 const { Op } = require('sequelize');
@@ -188,12 +189,18 @@ class MerchantCustomerOperationsService {
       }
   
       if (status && ['pending', 'confirmed', 'preparing', 'served', 'closed', 'cancelled'].includes(status)) {
-        updates.status = status;
-        if (status === 'closed' || close) {
-          await this.inDiningOrderService.closeOrder(orderId);
-          updates.status = 'closed';
-          await Table.update({ status: 'available' }, { where: { id: order.table_id } });
+        const targetStatus = close ? 'closed' : status;
+        if (targetStatus === 'closed') {
+          // Closing makes the transition itself, after checking the bill is settled
+          await this.inDiningOrderService.closeOrder(orderId, order.customer_id, { type: 'merchant' });
           this.io.to(`branch:${order.branch_id}`).emit('tableStatusUpdate', { tableId: order.table_id, status: 'available' });
+        } else {
+          await OrderStatusService.transition({
+            order,
+            orderType: 'in_dining_order',
+            toStatus: targetStatus,
+            actor: { type: 'merchant' },
+          });
         }
       }
   
@@ -231,7 +238,7 @@ class MerchantCustomerOperationsService {
         this.io.to(`order:${orderId}`).emit('staffAssigned', { orderId, staffId });
       }
       if (markReady) {
-        updates.status = 'ready';
+        await OrderStatusService.transition({ order, toStatus: 'ready', actor: { type: 'merchant', user_id: staff?.user_id } });
         logger.info('Order marked as ready', { order_id: orderId });
         this.io.to(`order:${orderId}`).emit('orderUpdated', { orderId, status: 'ready' });
       }
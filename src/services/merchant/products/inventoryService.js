@@ -120,7 +120,10 @@ const inventoryService = {
    * Process stock adjustments based on order actions
    */
   processOrderStockAdjustment: async (orderItem, action, transaction) => {
-    const product = await db.MenuInventory.findByPk(orderItem.menu_item_id, { transaction });
+    const product = await db.MenuInventory.findByPk(orderItem.menu_item_id, {
+      transaction,
+      ...(transaction && { lock: transaction.LOCK.UPDATE }),
+    });
     if (!product || product.quantity === null) return false;
 
     let newQuantity = product.quantity;
@@ -128,7 +131,15 @@ const inventoryService = {
     let reason = '';
     switch (action) {
       case 'reserve':
-        newQuantity = Math.max(0, product.quantity - orderItem.quantity);
+        // A cancel puts the full quantity back, so only reserve what is really there
+        if (product.quantity < orderItem.quantity) {
+          throw new AppError(`Not enough stock for ${product.name}`, 409, 'INSUFFICIENT_STOCK', {
+            menu_item_id: product.id,
+            available: product.quantity,
+            requested: orderItem.quantity,
+          });
+        }
+        newQuantity = product.quantity - orderItem.quantity;
         adjustmentType = 'subtract';
         reason = 'Order reservation';
         break;
@@ -141,11 +152,16 @@ const inventoryService = {
         adjustmentType = 'add';
         reason = 'Order cancellation';
         break;
+      case 'refund':
+        newQuantity = product.quantity + orderItem.quantity;
+        adjustmentType = 'add';
+        reason = 'Order refund';
+        break;
       default:
         return false;
     }
 
-    if (action === 'reserve' || action === 'cancel') {
+    if (['reserve', 'cancel', 'refund'].includes(action)) {
       await product.update(
         {
           quantity: newQuantity,
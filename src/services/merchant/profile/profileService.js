@@ -6,6 +6,9 @@ const TokenService = require('@services/common/tokenService');
 const EventManager = require('@services/events/core/eventManager');
 const { logger } = require('@utils/logger');
 const { getBusinessTypes } = require('@config/constants/businessTypes');
+const { DEFAULT_CANCELLATION_POLICY } = require('@config/constants/orderCancellation');
+const DeliveryFeeService = require('@services/customer/deliveryFeeService');
+const DeliveryProofService = require('@services/common/deliveryProofService');
 
 const { BUSINESS_TYPES } = getBusinessTypes();
 
@@ -83,14 +86,51 @@ const merchantProfileService = {
     return merchant;
   },
 
-  async updateDeliverySettings(merchantId, deliverySettings) {
+  async updateDeliverySettings(merchantId, deliverySettings = {}) {
     const merchant = await this.getProfile(merchantId);
-    await merchant.update({ delivery_settings: deliverySettings });
+    const settings = { ...DeliveryFeeService.getDeliverySettings(merchant), ...deliverySettings };
+    DeliveryFeeService.validateSettings(settings);
+    await merchant.update({ delivery_settings: settings });
 
     logger.info('Merchant delivery settings updated', { merchantId });
     return merchant;
   },
 
+  async updateProofOfDeliverySettings(merchantId, proofSettings = {}) {
+    const merchant = await this.getProfile(merchantId);
+    const settings = { ...DeliveryProofService.settingsFor(merchant), ...proofSettings };
+    DeliveryProofService.validateSettings(settings);
+    await merchant.update({ proof_of_delivery_settings: settings });
+
+    logger.info('Merchant proof of delivery settings updated', { merchantId });
+    return merchant;
+  },
+
+  async updateCancellationPolicy(merchantId, cancellationPolicy = {}) {
+    const merchant = await this.getProfile(merchantId);
+    const policy = { ...DEFAULT_CANCELLATION_POLICY, ...merchant.cancellation_policy, ...cancellationPolicy };
+
+    if (!Array.isArray(policy.free_statuses) || !Array.isArray(policy.fee_statuses)) {
+      throw new AppError('Free and fee statuses must be lists', 400, 'INVALID_CANCELLATION_POLICY');
+    }
+    const cancellableStatuses = ['pending', 'scheduled', 'confirmed', 'preparing', 'ready'];
+    const statuses = [...policy.free_statuses, ...policy.fee_statuses];
+    if (statuses.some(status => !cancellableStatuses.includes(status))) {
+      throw new AppError('Customers can only cancel orders that are not yet on the way', 400, 'INVALID_CANCELLATION_POLICY');
+    }
+    if (policy.fee_statuses.some(status => policy.free_statuses.includes(status))) {
+      throw new AppError('A status cannot be both free and charged', 400, 'INVALID_CANCELLATION_POLICY');
+    }
+    if (!(policy.fee_percentage >= 0 && policy.fee_percentage <= 100) || !(policy.min_fee >= 0) || !(policy.grace_period_minutes >= 0)) {
+      throw new AppError('Cancellation fees and grace period must be non-negative, with a fee percentage of at most 100', 400, 'INVALID_CANCELLATION_POLICY');
+    }
+
+    await merchant.update({ cancellation_policy: policy });
+
+    logger.info('Merchant cancellation policy updated', { merchantId });
+    return merchant;
+  },
+
   async createBranch(merchantId, branchData) {
     const { location } = branchData;
     const geoJson = {
@@ -5,6 +5,10 @@ const NotificationService = require('@services/notifications/core/notificationSe
 const Geolocation1Service = require('@services/geolocation/geolocation1Service');
 const Geolocation2Service = require('@services/geolocation/geolocation2Service');
 const PaymentService = require('@services/common/paymentService');
+const OrderStatusService = require('@services/common/orderStatusService');
+const DispatchService = require('@services/common/dispatchService');
+const DeliveryProofService = require('@services/common/deliveryProofService');
+const TripTrackingService = require('@services/common/tripTrackingService');
 const jwt = require('jsonwebtoken');
 const AvailabilityShiftService = require('@services/staff/availabilityShiftService');
 const { logger, PerformanceMonitor } = require('@utils/logger');
@@ -42,25 +46,24 @@ class StaffDriverCoordinationService {
         throw new AppError('Delivery location not set for order', 400, 'MISSING_DELIVERY_LOCATION');
       }
 
-      let selectedDriver;
-      if (driverId) {
-        selectedDriver = await Driver.findByPk(driverId, { include: [{ model: User, as: 'user' }] });
-        if (!selectedDriver) throw new AppError('Driver not found', 404, 'DRIVER_NOT_FOUND');
-        if (selectedDriver.availability_status !== 'available') {
-          throw new AppError('Driver not available', 400, 'DRIVER_UNAVAILABLE');
-        }
-      } else {
-        const drivers = await Driver.findAll({
-          where: { availability_status: 'available' },
-          include: [{ model: User, as: 'user' }],
-        });
-        if (!drivers.length) throw new AppError('No available drivers found', 404, 'NO_DRIVERS_AVAILABLE');
-
-        const branchLocation = order.branch.google_location || order.branch.work_location;
-        selectedDriver = await this.selectNearestDriver(drivers, branchLocation);
+      if (!driverId) {
+        // Without a chosen driver the dispatch engine offers the order to ranked drivers
+        await order.update({ staff_id: staffId });
+        const dispatch = await DispatchService.dispatchOrder(orderId, { requested_by: staff.user_id });
+        logger.info('Driver dispatch started for order', { staffId, orderId, dispatchId: dispatch.dispatch_id });
+        return { order, dispatch };
       }
 
+      const selectedDriver = await Driver.findByPk(driverId, { include: [{ model: User, as: 'user' }] });
+      if (!selectedDriver) throw new AppError('Driver not found', 404, 'DRIVER_NOT_FOUND');
+      if (selectedDriver.availability_status !== 'available') {
+        throw new AppError('Driver not available', 400, 'DRIVER_UNAVAILABLE');
+      }
+
+      // Assigned first so a batch the order was in cannot pick it up again when re-dispatched;
+      // a driver accepting an offer from the running search in between is turned away
       await order.update({ driver_id: selectedDriver.id, staff_id: staffId });
+      await DispatchService.cancelForOrder(orderId, 'MANUAL_ASSIGNMENT');
 
       const route = await Route.create({
         order_id: orderId,
@@ -74,6 +77,7 @@ class StaffDriverCoordinationService {
       });
 
       await selectedDriver.update({ active_route_id: route.id });
+      await DeliveryProofService.issue(order.id, selectedDriver.id);
 
       this.io.to(`driver:${selectedDriver.id}`).emit('orderAssigned', {
         orderId,
@@ -119,7 +123,7 @@ class StaffDriverCoordinationService {
       await this.availabilityShiftService.setAvailabilityStatus(selectedDriver.id, 'busy');
 
       logger.info('Driver assigned to order', { staffId, orderId, driverId: selectedDriver.id });
-      return order;
+      return { order, dispatch: null };
     } catch (error) {
       logger.error('Error assigning driver', { error: error.message, staffId, orderId, driverId });
       throw error instanceof AppError ? error : new AppError('Failed to assign driver', 500);
@@ -139,9 +143,6 @@ class StaffDriverCoordinationService {
       });
       if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
       if (!order.driver_id) throw new AppError('No driver assigned to order', 400, 'NO_DRIVER_ASSIGNED');
-      if (order.status !== 'preparing') {
-        throw new AppError('Order not ready for pickup', 400, 'INVALID_ORDER_STATUS');
-      }
 
       const driver = order.driver;
       const tokenPayload = jwt.verify(driverToken, config.jwt.secret);
@@ -149,7 +150,12 @@ class StaffDriverCoordinationService {
         throw new AppError('Invalid driver token', 403, 'INVALID_TOKEN');
       }
 
-      await order.update({ status: 'out_for_delivery' });
+      await OrderStatusService.transition({
+        order,
+        toStatus: 'out_for_delivery',
+        actor: { user_id: staff.user_id, type: 'staff' },
+        metadata: { driver_id: driver.id },
+      });
 
       await Route.update(
         { status: 'in_progress' },
@@ -282,13 +288,12 @@ class StaffDriverCoordinationService {
         ],
       });
       if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
-      if (order.status !== 'out_for_delivery') {
-        throw new AppError('Order not out for delivery', 400, 'INVALID_ORDER_STATUS');
-      }
 
-      await order.update({
-        status: 'completed',
-        actual_delivery_time: new Date(),
+      await OrderStatusService.transition({
+        order,
+        toStatus: 'completed',
+        actor: { user_id: staff.user_id, type: 'staff' },
+        updates: { actual_delivery_time: new Date() },
       });
 
       await Route.update(
@@ -300,9 +305,12 @@ class StaffDriverCoordinationService {
 
       const activePayment = order.payments.find(p => p.status === 'verified' || p.status === 'pending');
       if (activePayment && activePayment.status !== 'completed') {
-        await PaymentService.updatePaymentStatus(activePayment.id, 'completed', {
-          transaction_id: `TXN_${orderId}_${Date.now()}`,
-        });
+        await PaymentService.updatePaymentStatus(
+          activePayment.id,
+          'completed',
+          { transaction_id: `TXN_${orderId}_${Date.now()}` },
+          'delivery'
+        );
       }
 
       this.io.to(`branch:${order.branch_id}`).emit('orderCompleted', {
@@ -420,23 +428,44 @@ class StaffDriverCoordinationService {
     }
   }
 
-  async selectNearestDriver(drivers, branchLocation) {
-    const distances = await Promise.all(
-      drivers.map(async driver => {
-        const driverLocation = await Geolocation1Service.reverseGeocode(
-          driver.current_location.coordinates[1],
-          driver.current_location.coordinates[0]
-        );
-        const route = await Geolocation2Service.calculateRouteForDriver(
-          branchLocation,
-          driverLocation.formattedAddress
-        );
-        return { driver, distance: route.distance.value };
-      })
-    );
+  /**
+   * Gets what the driver captured at the door, for settling a "never received it" dispute
+   * @param {number} staffId - Staff ID
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Object>} Proof with the order's delivery details
+   */
+  async getDeliveryProof(staffId, orderId) {
+    const order = await this.findMerchantOrder(staffId, orderId);
+    const proof = await DeliveryProofService.getProof(order.id);
+    return {
+      ...proof,
+      orderNumber: order.order_number,
+      status: order.status,
+      deliveryLocation: order.delivery_location,
+      actualDeliveryTime: order.actual_delivery_time,
+    };
+  }
+
+  async getDeliveryProofImage(staffId, orderId, kind) {
+    const order = await this.findMerchantOrder(staffId, orderId);
+    return DeliveryProofService.getImagePath(order.id, kind);
+  }
 
-    const nearest = distances.reduce((prev, curr) => (curr.distance < prev.distance ? curr : prev));
-    return nearest.driver;
+  // The path the driver took, to set against the delivery proof
+  async getDeliveryTrail(staffId, orderId) {
+    const order = await this.findMerchantOrder(staffId, orderId);
+    return TripTrackingService.getTrail('order', order.id);
+  }
+
+  async findMerchantOrder(staffId, orderId) {
+    const staff = await Staff.findByPk(staffId);
+    if (!staff) throw new AppError('Staff not found', 404, 'STAFF_NOT_FOUND');
+
+    const order = await Order.findByPk(orderId);
+    if (!order || order.merchant_id !== staff.merchant_id) {
+      throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+    return order;
   }
 
   async calculateDriverEfficiency(driver) {
@@ -5,6 +5,7 @@ const BookingService = require('@services/customer/bookingService');
 const NotificationService = require('@services/notifications/core/notificationService');
 const InDiningOrderService = require('@services/customer/inDiningOrderService');
 const QuickLinkService = require('@services/customer/quickLinkService');
+const BillSplitService = require('@services/customer/billSplitService');
 const AvailabilityShiftService = require('@services/staff/availabilityShiftService');
 const { logger, PerformanceMonitor, logApiEvent, logErrorEvent } = require('@utils/logger');
 const AppError = require('@utils/AppError');
@@ -19,6 +20,7 @@ class StaffCustomerService {
     this.bookingService = BookingService;
     this.inDiningOrderService = new InDiningOrderService(io);
     this.quickLinkService = new QuickLinkService();
+    this.billSplitService = BillSplitService;
     this.availabilityShiftService = new AvailabilityShiftService(io);
     this.availabilityShiftService.setNotificationService(this.notificationService);
     this.sequelize = Sequelize;
@@ -139,9 +141,8 @@ class StaffCustomerService {
     }
   }
 
-  async processBill(orderId, staffId, paymentMethod, splitWith = []) {
+  async processBill(orderId, staffId, paymentMethod, splitWith = [], splitOptions = {}) {
     const perf = this.performanceMonitor.start('processBill');
-    const transaction = await this.sequelize.transaction();
     try {
       const order = await InDiningOrder.findByPk(orderId, {
         include: [
@@ -149,40 +150,47 @@ class StaffCustomerService {
           { model: MerchantBranch, as: 'branch' },
           { model: Customer, as: 'customer', include: [{ model: User, as: 'user' }] },
         ],
-        transaction,
       });
       if (!order) throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
-      if (order.payment_status !== 'unpaid') throw new AppError('Bill already processed', 400, 'BILL_ALREADY_PAID');
 
-      const assignedStaff = await Staff.findByPk(staffId, { include: [{ model: User, as: 'user' }], transaction });
+      const assignedStaff = await Staff.findByPk(staffId, { include: [{ model: User, as: 'user' }] });
       if (order.staff_id && order.staff_id !== staffId) {
         throw new AppError('Order is assigned to another staff member', 403, 'NOT_ASSIGNED');
       }
 
       if (!order.staff_id) {
-        await order.update({ staff_id: staffId }, { transaction });
-        await Table.update(
-          { assigned_staff_id: staffId },
-          { where: { id: order.table_id }, transaction }
-        );
-        await this.availabilityShiftService.setAvailabilityStatus(staffId, 'busy', { transaction });
+        const transaction = await this.sequelize.transaction();
+        try {
+          await order.update({ staff_id: staffId }, { transaction });
+          await Table.update(
+            { assigned_staff_id: staffId },
+            { where: { id: order.table_id }, transaction }
+          );
+          await this.availabilityShiftService.setAvailabilityStatus(staffId, 'busy', { transaction });
+          await transaction.commit();
+        } catch (error) {
+          await transaction.rollback();
+          throw error;
+        }
       }
 
-      const { payment } = await this.quickLinkService.requestBill(order.customer.user_id, orderId, paymentMethod, splitWith);
-      const updatedOrder = await this.inDiningOrderService.payOrder(orderId, order.customer_id, {
-        payment_method: paymentMethod.type,
-        provider: paymentMethod.provider,
-        phone_number: order.customer.user.phone,
-      }, { transaction });
+      // Each diner pays their own share; the table stays open until the last one settles
+      const { split } = await this.quickLinkService.requestBill(
+        order.customer.user_id,
+        orderId,
+        { phone_number: order.customer.user.phone, ...paymentMethod },
+        splitWith,
+        { ...splitOptions, staff_id: staffId }
+      );
 
-      const staffMessage = `Bill for table ${order.table.table_number} (Order: ${order.order_number}) processed by staff, payment ${updatedOrder.payment_status}`;
+      const staffMessage = `Bill for table ${order.table.table_number} (Order: ${order.order_number}) split ${split.sharesTotal} ways, ${split.sharesPaid} paid`;
       await Notification.create({
         user_id: assignedStaff.user_id,
         order_id: orderId,
         type: 'bill_request',
         message: staffMessage,
         priority: 'MEDIUM',
-      }, { transaction });
+      });
 
       await this.notificationService.sendThroughChannel('WHATSAPP', {
         notification: {
@@ -190,7 +198,7 @@ class StaffCustomerService {
           parameters: {
             tableNumber: order.table.table_number,
             orderNumber: order.order_number,
-            paymentStatus: updatedOrder.payment_status,
+            paymentStatus: split.status,
           },
         },
         content: staffMessage,
@@ -201,25 +209,32 @@ class StaffCustomerService {
         orderId,
         tableId: order.table_id,
         staffId,
-        paymentStatus: updatedOrder.payment_status,
+        paymentStatus: split.status,
+        split,
         timestamp: new Date(),
       });
 
-      if (updatedOrder.payment_status === 'paid') {
-        await this.inDiningOrderService.requestFeedback(orderId, order.customer_id, { transaction });
-      }
-
-      await transaction.commit();
-      logApiEvent('Staff processed bill', { orderId, staffId, paymentStatus: updatedOrder.payment_status });
-      return updatedOrder;
+      logApiEvent('Staff processed bill', { orderId, staffId, splitId: split.splitId, shares: split.sharesTotal });
+      return split;
     } catch (error) {
-      await transaction.rollback();
       logErrorEvent('Error processing bill', { error: error.message, orderId, staffId });
       throw error instanceof AppError ? error : new AppError('Failed to process bill', 500, 'BILL_PROCESSING_FAILED');
     } finally {
       perf.end();
     }
   }
+
+  async getBillProgress(orderId) {
+    const split = await this.billSplitService.getOrderSplit(orderId);
+    if (!split) throw new AppError('No bill has been requested for this order', 404, 'BILL_SPLIT_NOT_FOUND');
+    return split;
+  }
+
+  async cancelBillSplit(orderId, staffId) {
+    const split = await this.billSplitService.cancelSplit(orderId);
+    logApiEvent('Staff cancelled bill split', { orderId, staffId, splitId: split.splitId });
+    return split;
+  }
 }
 
 module.exports = StaffCustomerService;
\ No newline at end of file
@@ -0,0 +1,123 @@
+// src/utils/polyline.js
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const encodeValue = (value) => {
+  let shifted = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = '';
+  while (shifted >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (shifted & 0x1f)) + 63);
+    shifted >>= 5;
+  }
+  return encoded + String.fromCharCode(shifted + 63);
+};
+
+/**
+ * Encodes points in Google's encoded polyline format, as the Maps APIs return routes
+ * @param {Array<[number, number]>} points - [lat, lng] pairs
+ * @param {number} [precision=5] - Decimal places kept
+ * @returns {string} Encoded polyline
+ */
+const encodePolyline = (points, precision = 5) => {
+  const factor = 10 ** precision;
+  let lastLat = 0;
+  let lastLng = 0;
+  return points.map(([lat, lng]) => {
+    const latE = Math.round(lat * factor);
+    const lngE = Math.round(lng * factor);
+    const chunk = encodeValue(latE - lastLat) + encodeValue(lngE - lastLng);
+    lastLat = latE;
+    lastLng = lngE;
+    return chunk;
+  }).join('');
+};
+
+/**
+ * Decodes a Google encoded polyline
+ * @param {string} encoded - Encoded polyline
+ * @param {number} [precision=5] - Decimal places it was encoded with
+ * @returns {Array<[number, number]>} [lat, lng] pairs
+ */
+const decodePolyline = (encoded, precision = 5) => {
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    points.push([lat / factor, lng / factor]);
+  }
+  return points;
+};
+
+/**
+ * Great-circle distance between two [lat, lng] points
+ * @returns {number} Metres
+ */
+const distanceMeters = ([lat1, lng1], [lat2, lng2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Distance from a point to the segment between two others, on a local flat projection
+const offsetFromSegment = (point, start, end) => {
+  const metersPerDegLng = (Math.PI / 180) * EARTH_RADIUS_METERS * Math.cos((start[0] * Math.PI) / 180);
+  const metersPerDegLat = (Math.PI / 180) * EARTH_RADIUS_METERS;
+  const [px, py] = [(point[1] - start[1]) * metersPerDegLng, (point[0] - start[0]) * metersPerDegLat];
+  const [ex, ey] = [(end[1] - start[1]) * metersPerDegLng, (end[0] - start[0]) * metersPerDegLat];
+  const lengthSquared = ex * ex + ey * ey;
+  const t = lengthSquared ? Math.max(0, Math.min(1, (px * ex + py * ey) / lengthSquared)) : 0;
+  return Math.hypot(px - t * ex, py - t * ey);
+};
+
+/**
+ * Drops points that lie within a tolerance of the line through their neighbours
+ * (Douglas-Peucker). The first and last points are always kept.
+ * @param {Array<Array<number>>} points - [lat, lng, ...] entries; extra values are carried along
+ * @param {number} toleranceMeters - Largest offset a dropped point may have
+ * @returns {Array<Array<number>>} The points kept, in order
+ */
+const simplifyPath = (points, toleranceMeters) => {
+  if (points.length < 3) return points.slice();
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Iterative so long trips cannot exhaust the stack
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let maxOffset = toleranceMeters;
+    for (let i = first + 1; i < last; i += 1) {
+      const offset = offsetFromSegment(points[i], points[first], points[last]);
+      if (offset > maxOffset) {
+        maxOffset = offset;
+        farthest = i;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+};
+
+module.exports = { encodePolyline, decodePolyline, distanceMeters, simplifyPath };
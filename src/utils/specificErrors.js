@@ -25,6 +25,17 @@ class NotFoundError extends AppError {
   }
 }
 
+class InvalidStatusTransitionError extends AppError {
+  constructor(entity, fromStatus, toStatus, allowed = []) {
+    super(
+      `Cannot change ${entity} status from '${fromStatus}' to '${toStatus}'`,
+      409,
+      'INVALID_STATUS_TRANSITION',
+      { from: fromStatus, to: toStatus, allowed }
+    );
+  }
+}
+
 class MerchantAuthenticationError extends AuthenticationError {
   constructor(message = 'Merchant authentication failed') {
     super(message);
@@ -44,6 +55,7 @@ module.exports = {
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
+  InvalidStatusTransitionError,
   MerchantAuthenticationError,
   MerchantAuthorizationError
 };
@@ -0,0 +1,32 @@
+// src/utils/webhookSignature.js
+const crypto = require('crypto');
+
+/**
+ * Computes the HMAC-SHA256 signature of a webhook: hex digest of `${timestamp}.${body}`
+ * @param {string} secret - Shared signing secret
+ * @param {string|number} timestamp - Unix time in seconds sent with the webhook
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} Hex signature
+ */
+const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex');
+
+/**
+ * Checks a signature against every active secret, so a rotated-out secret keeps
+ * working until it is removed from config
+ * @param {Object} params
+ * @param {string[]} params.secrets - Current secret first, then older ones
+ * @param {string} params.signature - Hex signature, optionally prefixed with 'sha256='
+ * @param {string|number} params.timestamp - Unix time in seconds
+ * @param {string|Buffer} params.body - Raw request body
+ * @returns {boolean} Whether any secret produced the signature
+ */
+const isValidWebhookSignature = ({ secrets, signature, timestamp, body }) => {
+  const received = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+  return secrets.some((secret) => {
+    const expected = Buffer.from(signWebhookPayload(secret, timestamp, body), 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+};
+
+module.exports = { signWebhookPayload, isValidWebhookSignature };
@@ -1,6 +1,7 @@
 // src/validators/paymentValidators.js
 const Joi = require('joi');
 const { PAYMENT_CONSTANTS } = require('../config/constants');
+const { REFUND_DESTINATIONS } = require('../config/constants/wallet');
 
 // Extract valid providers from constants
 const VALID_MOBILE_MONEY_PROVIDERS = Object.values(PAYMENT_CONSTANTS.PROVIDERS.MOBILE_MONEY);
@@ -34,6 +35,8 @@ const mobileMoneySchema = Joi.object({
     }),
   customer_id: Joi.number().integer().positive().required(),
   merchant_id: Joi.number().integer().positive().required(),
+  currency: Joi.string().length(3).uppercase(),
+  description: Joi.string().max(100),
 });
 
 // Bank Card Payment Schema
@@ -154,11 +157,18 @@ const paymentValidators = {
       .isFloat({ min: 0, max: 100 })
       .withMessage('Threshold must be between 0 and 100'),
   ],
+  // The refundable amount depends on earlier refunds, so the service enforces the cap
   refundSchema: Joi.object({
     reason: Joi.string().required(),
-    amount: Joi.number().positive().max(Joi.ref('/originalAmount')),
+    amount: Joi.number().positive().precision(2),
     notes: Joi.string(),
-    requested_by: Joi.number().required(),
+    order_id: Joi.number().integer().positive(),
+    items: Joi.array().items(Joi.object({
+      menu_item_id: Joi.number().integer().positive().required(),
+      quantity: Joi.number().integer().min(1).required(),
+    })).min(1),
+    restock: Joi.boolean(),
+    destination: Joi.string().valid(...REFUND_DESTINATIONS),
   }),
   tipSchema: Joi.object({
     amount: Joi.number().positive().required(),